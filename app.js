@@ -11,6 +11,19 @@ const dashboard = require('./routes/dashboard');
 const userRouter = require('./routes/users');
 const catwaysRoutes = require('./routes/catways');
 const reservationsRoutes = require('./routes/reservations');
+const customersRoutes = require('./routes/customers');
+const boatsRoutes = require('./routes/boats');
+const invoicesRoutes = require('./routes/invoices');
+const paymentsRoutes = require('./routes/payments');
+const tariffsRoutes = require('./routes/tariffs');
+const trashRoutes = require('./routes/trash');
+const auditRoutes = require('./routes/audit');
+const searchRoutes = require('./routes/search');
+const calendarsRoutes = require('./routes/calendars');
+const importsRoutes = require('./routes/imports');
+const waitlistRoutes = require('./routes/waitlist');
+const apiV1Routes = require('./routes/api/v1');
+const api = require('./middlewares/api');
 
 const mongodb = require('./db/mongo');
 
@@ -166,4 +179,130 @@ app.use('/catways', catwaysRoutes);
  */
 app.use('/catways', reservationsRoutes); 
 
+/**
+ * Invoice routes.
+ * 
+ * Handles the invoices of reservations, under the reservation they belong to.
+ * 
+ * @name /invoices
+ * @returns {void}
+ */
+app.use('/catways', invoicesRoutes);
+
+/**
+ * Payment routes.
+ * 
+ * Handles the deposits, balance payments and refunds of reservations.
+ * 
+ * @name /payments
+ * @returns {void}
+ */
+app.use('/catways', paymentsRoutes);
+
+/**
+ * Customer routes.
+ * 
+ * Handles the boat owners who book catways, and their reservation history.
+ * 
+ * @name /customers
+ * @returns {void}
+ */
+app.use('/customers', customersRoutes);
+
+/**
+ * Boat routes.
+ * 
+ * Handles the boat registry: dimensions, owner and insurance of each boat.
+ * 
+ * @name /boats
+ * @returns {void}
+ */
+app.use('/boats', boatsRoutes);
+
+/**
+ * Tariff routes.
+ * 
+ * Handles the prices of the catways per type and season, used to price reservations.
+ * 
+ * @name /tariffs
+ * @returns {void}
+ */
+app.use('/tariffs', tariffsRoutes);
+
+/**
+ * Trash routes.
+ * 
+ * Handles the deleted catways, reservations and users: restore them or delete them for good.
+ * 
+ * @name /trash
+ * @returns {void}
+ */
+app.use('/trash', trashRoutes);
+
+/**
+ * Audit routes.
+ * 
+ * Shows who created, changed or deleted catways, reservations and users, and exports that log as JSON.
+ * 
+ * @name /audit
+ * @returns {void}
+ */
+app.use('/audit', auditRoutes);
+
+/**
+ * Search routes.
+ * 
+ * Finds catways, reservations, customers and users from a single search box, ignoring case and accents.
+ * 
+ * @name /search
+ * @returns {void}
+ */
+app.use('/search', searchRoutes);
+
+/**
+ * Calendar routes.
+ * 
+ * Publishes the reservations as iCalendar feeds behind secret, revocable URLs, for the
+ * calendar apps of the staff, and imports .ics files as reservations.
+ * 
+ * @name /calendars
+ * @returns {void}
+ */
+app.use('/calendars', calendarsRoutes);
+
+/**
+ * Import routes.
+ * 
+ * Imports catways, reservations and users from CSV, XLSX or JSON files, showing the
+ * errors of each row before anything is saved.
+ * 
+ * @name /imports
+ * @returns {void}
+ */
+app.use('/imports', importsRoutes);
+
+/**
+ * Waitlist routes.
+ * 
+ * Keeps the clients who could not book because their dates were full, and offers
+ * them, the oldest first, the catways freed by cancelled or shortened reservations.
+ * 
+ * @name /waitlist
+ * @returns {void}
+ */
+app.use('/waitlist', waitlistRoutes);
+
+/**
+ * JSON REST API, version 1.
+ * 
+ * Exposes catways, reservations and users as JSON only, for the booking kiosk
+ * and the mobile app. Errors raised before reaching the API routes
+ * (e.g. a malformed JSON body) are also answered with the JSON error envelope.
+ * 
+ * @name /api/v1
+ * @returns {void}
+ */
+app.use('/api/v1', apiV1Routes);
+app.use('/api/v1', api.errorHandler);
+
 module.exports = app;
@@ -0,0 +1,111 @@
+const userService = require('../../../services/users');
+const sessionService = require('../../../services/sessions');
+const api = require('../../../middlewares/api');
+
+/**
+ * JSON controller issuing access tokens to API clients.
+ *
+ * @module apiAuthController
+ */
+
+/**
+ * Shape the tokens of a session for an API response.
+ *
+ * @private
+ * @param {Object} tokens - The tokens returned by the session service.
+ * @returns {Object} The response body.
+ */
+const toTokenResponse = (tokens) => ({
+    token: tokens.accessToken,
+    tokenType: 'Bearer',
+    expiresIn: tokens.expiresIn,
+    refreshToken: tokens.refreshToken,
+    refreshExpiresIn: tokens.refreshExpiresIn,
+});
+
+/**
+ * Exchange an email and a password for a bearer token and a refresh token.
+ *
+ * Unlike `usersController.authenticate`, no cookie is set and no page is rendered:
+ * the client sends the token back in an `Authorization: Bearer <token>` header.
+ *
+ * @function issueToken
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/token', controller.issueToken);
+ */
+exports.issueToken = async (req, res) => {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+        return api.sendError(res, 400, 'L\'email et le mot de passe sont obligatoires');
+    }
+
+    try {
+        const user = await userService.checkCredentials(email, password, req.ip);
+
+        if (!user) {
+            return api.sendError(res, 401, 'Identifiants erronés');
+        }
+
+        const tokens = await sessionService.openSession(user, { ip: req.ip, userAgent: req.get('user-agent') });
+        return res.status(200).json({ ...toTokenResponse(tokens), user });
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Exchange a refresh token for a new bearer token. The refresh token is rotated.
+ *
+ * @function refreshToken
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/refresh', controller.refreshToken);
+ */
+exports.refreshToken = async (req, res) => {
+    if (!req.body.refreshToken) {
+        return api.sendError(res, 400, 'Le refresh token est obligatoire');
+    }
+
+    try {
+        const tokens = await sessionService.refreshSession(req.body.refreshToken);
+
+        if (!tokens) {
+            return api.sendError(res, 401, 'Refresh token invalide, expiré ou révoqué');
+        }
+
+        return res.status(200).json(toTokenResponse(tokens));
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Revoke the session of the bearer token.
+ *
+ * @function logout
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/logout', private.checkJWT, controller.logout);
+ */
+exports.logout = async (req, res) => {
+    try {
+        await sessionService.revokeSession(req.sessionId, 'logout');
+        return res.status(204).end();
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
@@ -0,0 +1,151 @@
+const boatService = require('../../../services/boats');
+const api = require('../../../middlewares/api');
+
+/**
+ * JSON controller for the `/api/v1/boats` endpoints.
+ *
+ * @module apiBoatsController
+ */
+
+/**
+ * Pick the boat fields a client is allowed to write.
+ *
+ * @private
+ * @param {Object} body - The request body.
+ * @returns {Object} The boat data, without the fields that were not sent.
+ */
+const pickBoatData = (body) => {
+    const data = {};
+
+    ['name', 'registrationNumber', 'length', 'beam', 'draft', 'owner', 'insuranceExpiresAt'].forEach((key) => {
+        if (body[key] !== undefined) {
+            data[key] = body[key];
+        }
+    });
+
+    return data;
+};
+
+/**
+ * List all boats, sorted by name, with their owner.
+ *
+ * @function getAll
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/', private.checkJWT, controller.getAll);
+ */
+exports.getAll = async (req, res) => {
+    try {
+        const boats = await boatService.getAllBoats();
+        return res.status(200).json(boats);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Get a boat by ID, with its owner.
+ *
+ * @function getById
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/:id', private.checkJWT, controller.getById);
+ */
+exports.getById = async (req, res) => {
+    try {
+        const boat = await boatService.getBoatById(req.params.id);
+
+        if (!boat) {
+            return api.sendError(res, 404, 'Bateau non trouvé');
+        }
+
+        return res.status(200).json(boat);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Register a boat.
+ *
+ * @function add
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/', private.checkJWT, controller.add);
+ */
+exports.add = async (req, res) => {
+    try {
+        const boat = await boatService.addBoat(pickBoatData(req.body));
+        return res.status(201).location(`${req.baseUrl}/${boat.id}`).json(boat);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Update a boat by ID. Used for both PUT and PATCH: only the fields sent are changed.
+ *
+ * @function update
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.put('/:id', private.checkJWT, controller.update);
+ */
+exports.update = async (req, res) => {
+    try {
+        const boat = await boatService.updateBoat(req.params.id, pickBoatData(req.body));
+
+        if (!boat) {
+            return api.sendError(res, 404, 'Bateau non trouvé');
+        }
+
+        return res.status(200).json(boat);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Delete a boat by ID. A boat that still has reservations is kept and a 409 is returned.
+ *
+ * @function delete
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.delete('/:id', private.checkJWT, controller.delete);
+ */
+exports.delete = async (req, res) => {
+    try {
+        const boat = await boatService.deleteBoat(req.params.id);
+
+        if (!boat) {
+            return api.sendError(res, 404, 'Bateau non trouvé');
+        }
+
+        return res.status(204).end();
+    } catch (error) {
+        if (error.name === 'BoatHasReservationsError') {
+            return api.sendError(res, 409, error.message);
+        }
+
+        return api.handleError(res, error);
+    }
+};
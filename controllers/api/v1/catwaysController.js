@@ -0,0 +1,182 @@
+const catwayService = require('../../../services/catways');
+const listQueryService = require('../../../services/listQuery');
+const api = require('../../../middlewares/api');
+
+/**
+ * JSON controller for the `/api/v1/catways` endpoints.
+ *
+ * @module apiCatwaysController
+ */
+
+/**
+ * Pick the catway fields a client is allowed to write.
+ *
+ * @private
+ * @param {Object} body - The request body.
+ * @returns {Object} The catway data, without the fields that were not sent.
+ */
+const pickCatwayData = (body) => {
+    const data = {};
+
+    ['catwayNumber', 'type', 'catwayState', 'boatName', 'maxLength', 'maxDraft'].forEach((key) => {
+        if (body[key] !== undefined) {
+            data[key] = body[key];
+        }
+    });
+
+    return data;
+};
+
+/**
+ * List the catways, one page at a time (`page`, `limit`), sorted with `sort` and
+ * filtered with `type`, `state`, `boatName` and `number`.
+ *
+ * @function getAll
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/', private.checkJWT, controller.getAll);
+ */
+exports.getAll = async (req, res) => {
+    const listQuery = listQueryService.parseListQuery(req.query, catwayService.LIST_OPTIONS);
+
+    if (listQuery.errors.length > 0) {
+        return api.sendError(res, 400, 'Paramètres de liste invalides', listQuery.errors);
+    }
+
+    try {
+        return api.sendPage(req, res, await catwayService.listCatways(listQuery));
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Search the catways free between `from` and `to` (optionally of one `type`).
+ *
+ * @function getAvailable
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/available', private.checkJWT, controller.getAvailable);
+ */
+exports.getAvailable = async (req, res) => {
+    const { from, to, type, errors } = catwayService.parseAvailabilityQuery(req.query);
+
+    if (errors.length > 0) {
+        return api.sendError(res, 400, 'Paramètres de recherche invalides', errors);
+    }
+
+    try {
+        const catways = await catwayService.getAvailableCatways(from, to, type);
+        return res.status(200).json({ from, to, type: type || null, catways });
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Get a catway by ID.
+ *
+ * @function getById
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/:id', private.checkJWT, controller.getById);
+ */
+exports.getById = async (req, res) => {
+    try {
+        const catway = await catwayService.getCatwayById(req.params.id);
+
+        if (!catway) {
+            return api.sendError(res, 404, 'Catway non trouvé');
+        }
+
+        return res.status(200).json(catway);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Create a catway.
+ *
+ * @function add
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/', private.checkJWT, controller.add);
+ */
+exports.add = async (req, res) => {
+    try {
+        const catway = await catwayService.addCatway(pickCatwayData(req.body), req.user);
+        return res.status(201).location(`${req.baseUrl}/${catway.id}`).json(catway);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Update a catway by ID. Used for both PUT and PATCH: only the fields sent are changed.
+ *
+ * @function update
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.put('/:id', private.checkJWT, controller.update);
+ */
+exports.update = async (req, res) => {
+    try {
+        const catway = await catwayService.updateCatway(req.params.id, pickCatwayData(req.body), req.user);
+
+        if (!catway) {
+            return api.sendError(res, 404, 'Catway non trouvé');
+        }
+
+        return res.status(200).json(catway);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Move a catway to the trash. A catway with reservations to come is a 409 listing them,
+ * unless `?cascade=true` is sent: those reservations then go to the trash with it.
+ *
+ * @function delete
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.delete('/:id', private.checkJWT, controller.delete);
+ */
+exports.delete = async (req, res) => {
+    try {
+        const catway = await catwayService.deleteCatway(req.params.id, req.user, { cascade: req.query.cascade === 'true' });
+
+        if (!catway) {
+            return api.sendError(res, 404, 'Catway non trouvé');
+        }
+
+        return res.status(204).end();
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
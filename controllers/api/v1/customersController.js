@@ -0,0 +1,178 @@
+const customerService = require('../../../services/customers');
+const api = require('../../../middlewares/api');
+
+/**
+ * JSON controller for the `/api/v1/customers` endpoints.
+ *
+ * @module apiCustomersController
+ */
+
+/**
+ * Pick the customer fields a client is allowed to write.
+ *
+ * @private
+ * @param {Object} body - The request body.
+ * @returns {Object} The customer data, without the fields that were not sent.
+ */
+const pickCustomerData = (body) => {
+    const data = {};
+
+    ['name', 'email', 'phone', 'address', 'notes'].forEach((key) => {
+        if (body[key] !== undefined) {
+            data[key] = body[key];
+        }
+    });
+
+    return data;
+};
+
+/**
+ * List all customers, sorted by name.
+ *
+ * @function getAll
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/', private.checkJWT, controller.getAll);
+ */
+exports.getAll = async (req, res) => {
+    try {
+        const customers = await customerService.getAllCustomers();
+        return res.status(200).json(customers);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Get a customer by ID.
+ *
+ * @function getById
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/:id', private.checkJWT, controller.getById);
+ */
+exports.getById = async (req, res) => {
+    try {
+        const customer = await customerService.getCustomerById(req.params.id);
+
+        if (!customer) {
+            return api.sendError(res, 404, 'Client non trouvé');
+        }
+
+        return res.status(200).json(customer);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * List the past and upcoming reservations of a customer.
+ *
+ * @function getReservations
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/:id/reservations', private.checkJWT, controller.getReservations);
+ */
+exports.getReservations = async (req, res) => {
+    try {
+        const customer = await customerService.getCustomerById(req.params.id);
+
+        if (!customer) {
+            return api.sendError(res, 404, 'Client non trouvé');
+        }
+
+        const { past, upcoming } = await customerService.getCustomerReservations(customer._id);
+        return res.status(200).json({ past, upcoming });
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Create a customer.
+ *
+ * @function add
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/', private.checkJWT, controller.add);
+ */
+exports.add = async (req, res) => {
+    try {
+        const customer = await customerService.addCustomer(pickCustomerData(req.body));
+        return res.status(201).location(`${req.baseUrl}/${customer.id}`).json(customer);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Update a customer by ID. Used for both PUT and PATCH: only the fields sent are changed.
+ *
+ * @function update
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.put('/:id', private.checkJWT, controller.update);
+ */
+exports.update = async (req, res) => {
+    try {
+        const customer = await customerService.updateCustomer(req.params.id, pickCustomerData(req.body));
+
+        if (!customer) {
+            return api.sendError(res, 404, 'Client non trouvé');
+        }
+
+        return res.status(200).json(customer);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Delete a customer by ID. A customer who still has reservations is kept and a 409 is returned.
+ *
+ * @function delete
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.delete('/:id', private.checkJWT, controller.delete);
+ */
+exports.delete = async (req, res) => {
+    try {
+        const customer = await customerService.deleteCustomer(req.params.id);
+
+        if (!customer) {
+            return api.sendError(res, 404, 'Client non trouvé');
+        }
+
+        return res.status(204).end();
+    } catch (error) {
+        if (error.name === 'CustomerHasReservationsError') {
+            return api.sendError(res, 409, error.message);
+        }
+
+        return api.handleError(res, error);
+    }
+};
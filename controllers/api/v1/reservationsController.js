@@ -0,0 +1,283 @@
+const catwayService = require('../../../services/catways');
+const reservationService = require('../../../services/reservations');
+const listQueryService = require('../../../services/listQuery');
+const api = require('../../../middlewares/api');
+
+/**
+ * JSON controller for the `/api/v1` reservation endpoints.
+ *
+ * @module apiReservationsController
+ */
+
+/**
+ * Load the catway of the URL and the reservation of the URL, and check that they belong together.
+ *
+ * @async
+ * @private
+ * @param {Object} req - The Express request object.
+ * @returns {Promise<{catway: (Object|null), reservation: (Object|null)}>} The catway and the reservation; `reservation` is null when missing or on another catway.
+ */
+const findCatwayReservation = async (req) => {
+    const catway = await catwayService.getCatwayById(req.params.id);
+
+    if (!catway) {
+        return { catway: null, reservation: null };
+    }
+
+    const reservation = await reservationService.getReservationById(req.params.idReservation);
+
+    if (!reservation || reservation.catwayNumber !== catway.catwayNumber) {
+        return { catway, reservation: null };
+    }
+
+    return { catway, reservation };
+};
+
+/**
+ * List the reservations, one page at a time (`page`, `limit`), sorted with `sort` and
+ * filtered with `catway`, `client`, `boat`, `status`, `from` and `to`.
+ *
+ * @function getAll
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/reservations', private.checkJWT, controller.getAll);
+ */
+exports.getAll = async (req, res) => {
+    const listQuery = listQueryService.parseListQuery(req.query, reservationService.LIST_OPTIONS);
+
+    if (listQuery.errors.length > 0) {
+        return api.sendError(res, 400, 'Paramètres de liste invalides', listQuery.errors);
+    }
+
+    try {
+        return api.sendPage(req, res, await reservationService.listReservations(listQuery));
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * List the reservations of a catway, with the same pages, sort and filters as `getAll`.
+ * An empty list is a 200, not a 404.
+ *
+ * @function getAllOfCatway
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/catways/:id/reservations', private.checkJWT, controller.getAllOfCatway);
+ */
+exports.getAllOfCatway = async (req, res) => {
+    const listQuery = listQueryService.parseListQuery(req.query, reservationService.LIST_OPTIONS);
+
+    if (listQuery.errors.length > 0) {
+        return api.sendError(res, 400, 'Paramètres de liste invalides', listQuery.errors);
+    }
+
+    try {
+        const catway = await catwayService.getCatwayById(req.params.id);
+
+        if (!catway) {
+            return api.sendError(res, 404, 'Catway non trouvé');
+        }
+
+        return api.sendPage(req, res, await reservationService.listReservations(listQuery, catway.catwayNumber));
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Get a reservation of a catway by ID.
+ *
+ * @function getById
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/catways/:id/reservations/:idReservation', private.checkJWT, controller.getById);
+ */
+exports.getById = async (req, res) => {
+    try {
+        const { catway, reservation } = await findCatwayReservation(req);
+
+        if (!catway) {
+            return api.sendError(res, 404, 'Catway non trouvé');
+        }
+        if (!reservation) {
+            return api.sendError(res, 404, 'Réservation non trouvée');
+        }
+
+        return res.status(200).json(reservation);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Create a reservation on a catway.
+ *
+ * Send `boat` to book a boat of the registry: its name is used, and it must fit
+ * the catway (422 otherwise). Without it, the boat name defaults to the boat
+ * assigned to the catway when none is sent.
+ * Send `extras: { electricity, water }` to order them. The price of the stay is
+ * computed from the tariffs and returned in `quote` (null when no tariff covers the dates).
+ * Overlapping an existing reservation is a 409 listing the conflicts.
+ *
+ * @function add
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/catways/:id/reservations', private.checkJWT, controller.add);
+ */
+exports.add = async (req, res) => {
+    try {
+        const catway = await catwayService.getCatwayById(req.params.id);
+
+        if (!catway) {
+            return api.sendError(res, 404, 'Catway non trouvé');
+        }
+
+        const reservation = await reservationService.creatReservation({
+            catwayNumber: catway.catwayNumber,
+            customer: req.body.customer,
+            clientName: req.body.clientName,
+            boat: req.body.boat,
+            extras: req.body.extras,
+            boatName: req.body.boatName || catway.boatName,
+            checkIn: req.body.checkIn,
+            checkOut: req.body.checkOut,
+        }, req.user);
+
+        return res.status(201).location(`${req.baseUrl}/catways/${catway.id}/reservations/${reservation.id}`).json(reservation);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Edit a reservation of a catway. Only the fields sent change: `checkIn`, `checkOut`,
+ * `customer`, `clientName`, `boat` (empty to unlink it), `boatName`, `extras`, and `catway`,
+ * the ID of the catway to move the reservation to.
+ *
+ * The same rules as for a new reservation apply (422, or 409 on overlaps), and a 409 is
+ * returned when the reservation can no longer be edited.
+ *
+ * @function update
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.put('/catways/:id/reservations/:idReservation', private.checkJWT, controller.update);
+ */
+exports.update = async (req, res) => {
+    try {
+        const { catway, reservation } = await findCatwayReservation(req);
+
+        if (!catway) {
+            return api.sendError(res, 404, 'Catway non trouvé');
+        }
+        if (!reservation) {
+            return api.sendError(res, 404, 'Réservation non trouvée');
+        }
+
+        let catwayNumber;
+        if (req.body.catway) {
+            const target = await catwayService.getCatwayById(req.body.catway);
+
+            if (!target) {
+                return api.sendError(res, 404, 'Catway non trouvé');
+            }
+            catwayNumber = target.catwayNumber;
+        }
+
+        const updated = await reservationService.updateReservation(reservation.id, {
+            catwayNumber,
+            customer: req.body.customer,
+            clientName: req.body.clientName,
+            boat: req.body.boat,
+            boatName: req.body.boatName,
+            extras: req.body.extras,
+            checkIn: req.body.checkIn,
+            checkOut: req.body.checkOut
+        }, req.user);
+
+        return res.status(200).json(updated);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Move a reservation of a catway to another status, e.g. `checkedIn` when the boat arrives.
+ * A change the lifecycle does not allow is a 409.
+ *
+ * @function changeStatus
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/catways/:id/reservations/:idReservation/status', private.checkJWT, controller.changeStatus);
+ */
+exports.changeStatus = async (req, res) => {
+    try {
+        const { catway, reservation } = await findCatwayReservation(req);
+
+        if (!catway) {
+            return api.sendError(res, 404, 'Catway non trouvé');
+        }
+        if (!reservation) {
+            return api.sendError(res, 404, 'Réservation non trouvée');
+        }
+
+        const updated = await reservationService.changeReservationStatus(reservation.id, req.body.status, req.user);
+        return res.status(200).json(updated);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Move a reservation of a catway to the trash.
+ *
+ * @function delete
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.delete('/catways/:id/reservations/:idReservation', private.checkJWT, controller.delete);
+ */
+exports.delete = async (req, res) => {
+    try {
+        const { catway, reservation } = await findCatwayReservation(req);
+
+        if (!catway) {
+            return api.sendError(res, 404, 'Catway non trouvé');
+        }
+        if (!reservation) {
+            return api.sendError(res, 404, 'Réservation non trouvée');
+        }
+
+        await reservationService.deleteReservation(reservation.id, req.user);
+        return res.status(204).end();
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
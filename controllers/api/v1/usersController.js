@@ -0,0 +1,205 @@
+const userService = require('../../../services/users');
+const listQueryService = require('../../../services/listQuery');
+const sessionService = require('../../../services/sessions');
+const loginAttempts = require('../../../services/loginAttempts');
+const api = require('../../../middlewares/api');
+
+/**
+ * JSON controller for the `/api/v1/users` endpoints.
+ *
+ * Passwords are never returned: the `User` model strips them when serialized.
+ *
+ * @module apiUsersController
+ */
+
+/**
+ * List the users, one page at a time (`page`, `limit`), sorted with `sort` and
+ * filtered with `name`, `email` and `role`.
+ *
+ * @function getAll
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/', private.checkJWT, controller.getAll);
+ */
+exports.getAll = async (req, res) => {
+    const listQuery = listQueryService.parseListQuery(req.query, userService.LIST_OPTIONS);
+
+    if (listQuery.errors.length > 0) {
+        return api.sendError(res, 400, 'Paramètres de liste invalides', listQuery.errors);
+    }
+
+    try {
+        return api.sendPage(req, res, await userService.listUsers(listQuery));
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Get a user by ID.
+ *
+ * @function getById
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/:id', private.checkJWT, controller.getById);
+ */
+exports.getById = async (req, res) => {
+    try {
+        const user = await userService.findUserById(req.params.id);
+
+        if (!user) {
+            return api.sendError(res, 404, 'Utilisateur non trouvé');
+        }
+
+        return res.status(200).json(user);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Create a user.
+ *
+ * @function add
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/', private.checkJWT, controller.add);
+ */
+exports.add = async (req, res) => {
+    try {
+        const user = await userService.addUser({
+            name: req.body.name,
+            email: req.body.email,
+            password: req.body.password,
+            role: req.body.role,
+        }, req.user);
+
+        return res.status(201).location(`${req.baseUrl}/${user.id}`).json(user);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Update a user by ID. Only the fields sent are changed; the password is re-hashed on save.
+ *
+ * @function update
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.put('/:id', private.checkJWT, controller.update);
+ */
+exports.update = async (req, res) => {
+    const updateData = {
+        name: req.body.name,
+        email: req.body.email,
+        password: req.body.password,
+        role: req.body.role,
+    };
+
+    try {
+        const user = await userService.updateUser(req.params.id, updateData, req.user);
+
+        if (!user) {
+            return api.sendError(res, 404, 'Utilisateur non trouvé');
+        }
+
+        return res.status(200).json(user);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Move a user to the trash. They can no longer log in.
+ *
+ * @function delete
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.delete('/:id', private.checkJWT, controller.delete);
+ */
+exports.delete = async (req, res) => {
+    try {
+        const user = await userService.deleteUser(req.params.id, req.user);
+
+        if (!user) {
+            return api.sendError(res, 404, 'Utilisateur non trouvé');
+        }
+
+        return res.status(204).end();
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Revoke every session of a user.
+ *
+ * @function revokeSessions
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.delete('/:id/sessions', private.checkJWT, controller.revokeSessions);
+ */
+exports.revokeSessions = async (req, res) => {
+    try {
+        const user = await userService.findUserById(req.params.id);
+
+        if (!user) {
+            return api.sendError(res, 404, 'Utilisateur non trouvé');
+        }
+
+        const revoked = await sessionService.revokeUserSessions(user.id, 'admin');
+        return res.status(200).json({ revoked });
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
+
+/**
+ * Unlock an account locked after too many failed logins.
+ *
+ * @function unlock
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/:id/unlock', private.checkJWT, controller.unlock);
+ */
+exports.unlock = async (req, res) => {
+    try {
+        const user = await loginAttempts.unlockUser(req.params.id);
+
+        if (!user) {
+            return api.sendError(res, 404, 'Utilisateur non trouvé');
+        }
+
+        return res.status(200).json(user);
+    } catch (error) {
+        return api.handleError(res, error);
+    }
+};
@@ -0,0 +1,70 @@
+const auditService = require('../services/audit');
+const AuditEntry = require('../models/auditEntry');
+
+/**
+ * @module auditController
+ */
+
+/**
+ * Render the audit log, filtered by the query string (`entity`, `action`, `user`,
+ * `entityId`, `from` and `to`), newest first.
+ *
+ * @function getAll
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/', private.checkJWT, controller.getAll);
+ */
+exports.getAll = async (req, res) => {
+    const { filters, errors } = auditService.parseAuditQuery(req.query);
+
+    if (errors.length > 0) {
+        return res.status(400).render('error/error', { errors });
+    }
+
+    try {
+        const entries = await auditService.getEntries(filters);
+
+        return res.status(200).render('audit/list', {
+            entries,
+            query: req.query,
+            limit: auditService.DEFAULT_LIMIT,
+            actionLabels: AuditEntry.ACTION_LABELS,
+            entityLabels: AuditEntry.ENTITY_LABELS
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Download the audit log as a JSON file, with the same filters as the audit page.
+ *
+ * @function export
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/export', private.checkJWT, controller.export);
+ */
+exports.export = async (req, res) => {
+    const { filters, errors } = auditService.parseAuditQuery(req.query);
+
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    try {
+        const entries = await auditService.getEntries(filters);
+
+        res.attachment('journal-audit.json');
+        return res.status(200).json(entries);
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
@@ -0,0 +1,231 @@
+const boatService = require('../services/boats');
+const customerService = require('../services/customers');
+
+/**
+ * @module boatsController
+ */
+
+/**
+ * Pick the boat fields from a submitted form. Empty fields are removed from the boat.
+ *
+ * @private
+ * @param {Object} body - The request body.
+ * @returns {Object} The boat data.
+ */
+const boatDataFromBody = (body) => ({
+    name: body.name,
+    registrationNumber: body.registrationNumber || undefined,
+    length: body.length,
+    beam: body.beam || undefined,
+    draft: body.draft || undefined,
+    owner: body.owner || undefined,
+    insuranceExpiresAt: body.insuranceExpiresAt || undefined
+});
+
+/**
+ * Get all boats and render the list view.
+ *
+ * @function getAll
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/', private.checkJWT, controller.getAll);
+ */
+exports.getAll = async (req, res) => {
+    try {
+        const boats = await boatService.getAllBoats();
+        return res.render('boats/list', { boats, message: req.query.message });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Get a boat by ID and render the details view.
+ *
+ * @function getById
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/:id', private.checkJWT, controller.getById);
+ */
+exports.getById = async (req, res) => {
+    const id = req.params.id;
+
+    try {
+        const boat = await boatService.getBoatById(id);
+
+        if (!boat) {
+            return res.status(404).render('error/error', { errors: ['Bateau non trouvé'] });
+        }
+
+        return res.status(200).render('boats/details', { boat, message: req.query.message });
+    } catch (error) {
+        if (error.kind === "ObjectId") {
+            return res.status(404).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Render the form to add a new boat.
+ *
+ * @function renderAddForm
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/add', private.checkJWT, controller.renderAddForm);
+ */
+exports.renderAddForm = async (req, res) => {
+    try {
+        const customers = await customerService.getAllCustomers();
+        return res.status(200).render('boats/add', { customers, owner: req.query.owner });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Add a new boat and redirect to its page.
+ *
+ * @function add
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/', private.checkJWT, controller.add);
+ */
+exports.add = async (req, res) => {
+    try {
+        const boat = await boatService.addBoat(boatDataFromBody(req.body));
+        return res.redirect(`/boats/${boat.id}?message=Le bateau ${boat.name} a été enregistré avec succès`);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(e => e.message);
+            return res.status(400).render('error/error', { errors });
+        } else if (error.code === 11000) {
+            return res.status(400).render('error/error', { errors: ['Ce numéro d\'immatriculation existe déjà'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Render the form to edit a boat.
+ *
+ * @function edit
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/:id/edit', private.checkJWT, controller.edit);
+ */
+exports.edit = async (req, res) => {
+    const id = req.params.id;
+
+    try {
+        const boat = await boatService.getBoatById(id);
+
+        if (!boat) {
+            return res.status(404).render('error/error', { errors: ['Bateau non trouvé'] });
+        }
+
+        const customers = await customerService.getAllCustomers();
+        return res.render('boats/edit', { boat, customers, message: null });
+    } catch (error) {
+        if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Update a boat and render the edit view.
+ *
+ * @function update
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.put('/:id', private.checkJWT, controller.update);
+ */
+exports.update = async (req, res) => {
+    const id = req.params.id;
+
+    try {
+        const boat = await boatService.updateBoat(id, boatDataFromBody(req.body));
+
+        if (!boat) {
+            return res.status(404).render('error/error', { errors: ['Bateau non trouvé'] });
+        }
+
+        const customers = await customerService.getAllCustomers();
+        return res.status(200).render('boats/edit', { boat, customers, message: 'Bateau mis à jour avec succès' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(e => e.message);
+            return res.status(400).render('error/error', { errors });
+        } else if (error.code === 11000) {
+            return res.status(400).render('error/error', { errors: ['Ce numéro d\'immatriculation existe déjà'] });
+        } else if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Delete a boat and redirect to the list view.
+ * A boat that still has reservations is kept.
+ *
+ * @function delete
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.delete('/:id', private.checkJWT, controller.delete);
+ */
+exports.delete = async (req, res) => {
+    const id = req.params.id;
+
+    try {
+        const boat = await boatService.deleteBoat(id);
+
+        if (!boat) {
+            return res.status(404).render('error/error', { errors: ['Bateau non trouvé'] });
+        }
+
+        return res.redirect(`/boats?message=Le bateau ${boat.name} a été supprimé avec succès`);
+    } catch (error) {
+        if (error.name === 'BoatHasReservationsError') {
+            return res.status(409).render('error/error', { errors: [error.message] });
+        } else if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
@@ -0,0 +1,234 @@
+const calendarFeedService = require('../services/calendarFeeds');
+const catwayService = require('../services/catways');
+const customerService = require('../services/customers');
+const CalendarFeed = require('../models/calendarFeed');
+const privateMiddleware = require('../middlewares/private');
+
+/**
+ * @module calendarsController
+ */
+
+/**
+ * The URL a calendar app subscribes to.
+ *
+ * @private
+ * @param {Object} req - The Express request object.
+ * @param {String} token - The token of the feed.
+ * @returns {String} The absolute URL of the feed.
+ */
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/calendars/${token}.ics`;
+
+/**
+ * Render the list of the calendar feeds, with the form to create one.
+ *
+ * @private
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @param {Number} status - The HTTP status.
+ * @param {Object} [created] - The feed just created, as `{ feed, url }`, whose URL is shown once.
+ * @returns {Promise<void>}
+ */
+const renderList = async (req, res, status, created = null) => {
+    const feeds = await calendarFeedService.listFeeds();
+    const catways = await catwayService.getAllCatways();
+    const customers = await customerService.getAllCustomers();
+
+    return res.status(status).render('calendars/list', {
+        feeds,
+        catways,
+        customers,
+        created,
+        message: req.query.message,
+        kindLabels: CalendarFeed.KIND_LABELS
+    });
+};
+
+/**
+ * Render the list of the calendar feeds.
+ *
+ * @function getAll
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/', private.checkJWT, controller.getAll);
+ */
+exports.getAll = async (req, res) => {
+    try {
+        return await renderList(req, res, 200);
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Create a calendar feed and show its URL, the only time it can be seen.
+ *
+ * Expects `kind` ('catway', 'movements' or 'customer'), `catwayNumber` or `customer`
+ * and an optional `label` in the body. API clients get `{ feed, url }` as JSON.
+ *
+ * @function create
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/', private.checkJWT, controller.create);
+ */
+exports.create = async (req, res) => {
+    try {
+        const { feed, token } = await calendarFeedService.createFeed(req.body || {}, req.user);
+        const url = feedUrl(req, token);
+
+        if (privateMiddleware.wantsJson(req)) {
+            return res.status(201).json({ feed, url });
+        }
+        return await renderList(req, res, 201, { feed, url });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(e => e.message);
+
+            if (privateMiddleware.wantsJson(req)) {
+                return res.status(400).json({ errors });
+            }
+            return res.status(400).render('error/error', { errors });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Revoke a calendar feed and go back to the list.
+ *
+ * @function revoke
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.delete('/:id', private.checkJWT, controller.revoke);
+ */
+exports.revoke = async (req, res) => {
+    try {
+        const feed = await calendarFeedService.revokeFeed(req.params.id);
+
+        if (!feed) {
+            return res.status(404).render('error/error', { errors: ['Calendrier non trouvé ou déjà révoqué'] });
+        }
+
+        return res.redirect(`/calendars?message=Le calendrier « ${feed.label} » est révoqué`);
+    } catch (error) {
+        if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Send the iCalendar file of a feed, to the calendar apps subscribed to its URL.
+ *
+ * The token of the URL is the only credential: an unknown or revoked token gets a 404.
+ *
+ * @function getFeed
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/:token.ics', controller.getFeed);
+ */
+exports.getFeed = async (req, res) => {
+    try {
+        const feed = await calendarFeedService.getFeedByToken(req.params.token);
+
+        if (!feed) {
+            return res.status(404).type('text/plain').send('Calendrier introuvable');
+        }
+
+        const calendar = await calendarFeedService.buildFeed(feed);
+
+        res.set('Cache-Control', 'no-cache');
+        return res.status(200).type('text/calendar; charset=utf-8').send(calendar);
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Render the form to import an iCalendar file.
+ *
+ * @function renderImportForm
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/import', private.checkJWT, controller.renderImportForm);
+ */
+exports.renderImportForm = async (req, res) => {
+    try {
+        const catways = await catwayService.getAllCatways();
+
+        return res.status(200).render('calendars/import', { catways });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Import the events of an iCalendar file as reservations and show what became of each.
+ *
+ * The file is uploaded as the `file` field of the form, or comes as the text of a
+ * `calendar` field or as a `text/calendar` body for API clients, who get the report as
+ * JSON. `catwayNumber` (in the form or the query string) is the catway of the events
+ * whose location names none.
+ *
+ * @function import
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/import', private.checkJWT, controller.import);
+ */
+exports.import = async (req, res) => {
+    let text = typeof req.body === 'string' ? req.body : (req.body && req.body.calendar);
+
+    if (req.file) {
+        text = req.file.buffer.toString('utf8');
+    }
+    const catwayNumber = (req.body && req.body.catwayNumber) || req.query.catwayNumber;
+
+    try {
+        const report = await calendarFeedService.importCalendar(text, catwayNumber ? Number(catwayNumber) : undefined, req.user);
+        const created = report.filter(line => line.status === 'created').length;
+
+        if (privateMiddleware.wantsJson(req)) {
+            return res.status(200).json({ created, report });
+        }
+        return res.status(200).render('calendars/importReport', {
+            report,
+            created,
+            statusLabels: calendarFeedService.IMPORT_STATUS_LABELS
+        });
+    } catch (error) {
+        if (error.name === 'InvalidCalendarError') {
+            if (privateMiddleware.wantsJson(req)) {
+                return res.status(400).json({ errors: [error.message] });
+            }
+            return res.status(400).render('error/error', { errors: [error.message] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
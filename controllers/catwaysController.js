@@ -1,11 +1,18 @@
 const catwayService = require('../services/catways');
+const reservationService = require('../services/reservations');
+const listQueryService = require('../services/listQuery');
+const exportService = require('../services/exports');
+const spreadsheetService = require('../services/spreadsheets');
+const privateMiddleware = require('../middlewares/private');
+const Reservation = require('../models/reservation');
 
 /**
  * @module catwaysController
  */
 
 /**
- * Get all catways and render the list view.
+ * Render one page of the catways list, sorted and filtered by the query string
+ * (see `catwayService.LIST_OPTIONS`).
  * 
  * @function getAll
  * @param {Object} req - The Express request object.
@@ -17,15 +24,56 @@ const catwayService = require('../services/catways');
  * router.get('/', private.checkJWT, controller.getAll);
  */
 exports.getAll = async (req, res) => {
+    const listQuery = listQueryService.parseListQuery(req.query, catwayService.LIST_OPTIONS);
+
+    if (listQuery.errors.length > 0) {
+        return res.status(400).render('error/error', { errors: listQuery.errors });
+    }
+
     try {
-        const catways = await catwayService.getAllCatways();
+        const result = await catwayService.listCatways(listQuery);
+        const pagination = listQueryService.pagination(req.baseUrl + req.path, req.query, result);
         const message = req.query.message;
         
-        if (!catways || catways.length === 0) {
-            return res.status(404).render('catways/list', { catways: [], message: message + "<br>Aucun catway trouvée" });
+        if (result.total === 0) {
+            return res.status(404).render('catways/list', { catways: [], pagination, query: req.query, message: message + "<br>Aucun catway trouvée" });
         }
         
-        return res.render('catways/list', { catways, message });
+        return res.render('catways/list', { catways: result.items, pagination, query: req.query, message });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Download the catways list as a CSV, XLSX or JSON file (`format`, 'csv' by default): every
+ * record matching the filters and the sort of the query string, not only the page shown.
+ * 
+ * @function export
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.get('/export', private.checkJWT, controller.export);
+ */
+exports.export = async (req, res) => {
+    const listQuery = listQueryService.parseListQuery(req.query, catwayService.LIST_OPTIONS);
+    const format = req.query.format || 'csv';
+
+    if (!spreadsheetService.FORMATS[format]) {
+        listQuery.errors.push('Le format (format) doit être \'csv\', \'xlsx\' ou \'json\'');
+    }
+    if (listQuery.errors.length > 0) {
+        return res.status(400).render('error/error', { errors: listQuery.errors });
+    }
+
+    try {
+        const file = await exportService.exportList('catways', listQuery, format);
+
+        res.attachment(file.fileName);
+        return res.status(200).type(file.contentType).send(file.content);
     } catch (error) {
         return res.status(500).json({ message: 'Internal Server Error', error });
     }
@@ -53,7 +101,9 @@ exports.getById = async (req, res) => {
             return res.status(404).render('error/error', { errors: ['Catway non trouvé'] });
         }
         
-        return res.status(200).render('catways/details', { catway });
+        const timeline = await reservationService.getCatwayTimeline(catway.catwayNumber);
+
+        return res.status(200).render('catways/details', { catway, timeline, statusLabels: Reservation.STATUS_LABELS });
     } catch (error) {
         if (error.kind === "ObjectId") {
             return res.status(404).render('error/error', { errors: ['Entrez un identifiant valide'] });
@@ -63,6 +113,36 @@ exports.getById = async (req, res) => {
     }
 };
 
+/**
+ * Search the catways free between two dates and return them as JSON.
+ * 
+ * Expects `from` and `to` dates in the query string, and optionally a `type`
+ * ('long' or 'short'). Catways in maintenance are never offered.
+ * 
+ * @function getAvailable
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.get('/available', private.checkJWT, controller.getAvailable);
+ */
+exports.getAvailable = async (req, res) => {
+    const { from, to, type, errors } = catwayService.parseAvailabilityQuery(req.query);
+
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    try {
+        const catways = await catwayService.getAvailableCatways(from, to, type);
+        return res.status(200).json({ from, to, type: type || null, catways });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
 /**
  * Add a new catway and redirect to the list view.
  * 
@@ -80,11 +160,13 @@ exports.add = async (req, res) => {
         catwayNumber: req.body.catwayNumber,
         type: req.body.type,
         catwayState: req.body.catwayState,
-        boatName: req.body.boatName
+        boatName: req.body.boatName,
+        maxLength: req.body.maxLength || undefined,
+        maxDraft: req.body.maxDraft || undefined
     };
 
     try {
-        const newCatway = await catwayService.addCatway(catwayData);
+        const newCatway = await catwayService.addCatway(catwayData, req.user);
         return res.redirect(`/catways?message=Catway ${newCatway.boatName} a été créé avec succès`);
     } catch (error) {
         // Check if the error is a Mongoose validation error
@@ -137,8 +219,16 @@ exports.renderAddforum = async (req, res) => {
 exports.update = async (req, res) => {
     const id = req.params.id;
 
+    // Only the fields of the form: the body also carries `_method` and anything a client adds
+    const updateData = {};
+    ['catwayNumber', 'type', 'catwayState', 'boatName', 'maxLength', 'maxDraft'].forEach((key) => {
+        if (req.body[key] !== undefined) {
+            updateData[key] = req.body[key];
+        }
+    });
+
     try {
-        const updatedCatway = await catwayService.updateCatway(id, req.body);
+        const updatedCatway = await catwayService.updateCatway(id, updateData, req.user);
 
         if (!updatedCatway) {
             return res.status(404).json('Catway non trouvé');
@@ -187,7 +277,10 @@ exports.edit = async (req, res) => {
 };
 
 /**
- * Delete a catway by ID and redirect to the list view.
+ * Move a catway to the trash and redirect to the list view.
+ * 
+ * A catway with reservations to come is kept (409), unless the `cascade` box was ticked:
+ * those reservations then go to the trash with it.
  * 
  * @function delete
  * @param {Object} req - The Express request object.
@@ -200,27 +293,122 @@ exports.edit = async (req, res) => {
  */
 exports.delete = async (req, res) => {
     const id = req.params.id;
+    const fromDashboard = !!req.headers && String(req.headers.referer || '').includes('dashboard');
     
     try {
-        const catway = await catwayService.deleteCatway(id);
-        
-        req.session.message = `Catway ${catway.boatName} a été supprimé avec succès`;
+        const catway = await catwayService.deleteCatway(id, req.user, { cascade: !!(req.body && req.body.cascade) });
 
-        console.log(req);
-        
+        if (!catway) {
+            return fromDashboard
+                ? res.status(404).json({ message: 'Catway non trouvé' })
+                : res.status(404).render('error/error', { errors: ['Catway non trouvé'] });
+        }
         
+        req.session.message = `Catway ${catway.boatName} a été mis à la corbeille`;
         
-        if (req.headers.referer.includes('dashboard')) {
+        if (fromDashboard) {
             return res.status(200).json({ message: req.session.message });
         }
-        
 
         return res.status(200).redirect(`/catways?message=${req.session.message}`);
     } catch (error) {
-        if (error.kind === "ObjectId") {
+        if (error.name === 'CatwayHasReservationsError') {
+            if (fromDashboard) {
+                return res.status(409).json({ message: error.message });
+            }
+
+            const errors = [error.message, ...error.reservations.map(reservation =>
+                `${reservation.clientName} (${reservation.boatName}) du ${new Date(reservation.checkIn).toLocaleDateString('fr-FR')} au ${new Date(reservation.checkOut).toLocaleDateString('fr-FR')}`
+            )];
+            return res.status(409).render('error/error', { errors });
+        } else if (error.kind === "ObjectId") {
             return res.status(400).json({ errorKind: error.kind });
         }
         
         return res.status(500).json({ message: 'Internal Server Error', error });
     }
 };
+
+/**
+ * Render the marina plan: the catways by pontoon, coloured by their state and by the
+ * reservations of the day. Each berth links to the page of its catway.
+ * 
+ * @function getPlan
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.get('/plan', private.checkJWT, controller.getPlan);
+ */
+exports.getPlan = async (req, res) => {
+    try {
+        const plan = await catwayService.getPlan();
+
+        return res.status(200).render('catways/plan', {
+            ...plan,
+            statusLabels: catwayService.PLAN_STATUS_LABELS,
+            canEdit: privateMiddleware.hasPermission(req.user, 'catways:layout'),
+            message: req.query.message
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Render the form to place the catways on the marina plan.
+ * 
+ * @function editPlan
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.get('/plan/edit', private.checkJWT, controller.editPlan);
+ */
+exports.editPlan = async (req, res) => {
+    try {
+        const plan = await catwayService.getPlan();
+
+        return res.status(200).render('catways/planEdit', plan);
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Save the places of the catways on the marina plan and go back to the plan.
+ * 
+ * Expects `layout[<catway id>][pontoon]` and `layout[<catway id>][position]` in the body.
+ * 
+ * @function updatePlan
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.put('/plan', private.checkJWT, controller.updatePlan);
+ */
+exports.updatePlan = async (req, res) => {
+    const layout = Object.entries((req.body && req.body.layout) || {})
+        .map(([id, place]) => ({ id, pontoon: place && place.pontoon, position: place && place.position }));
+
+    try {
+        const moved = await catwayService.updateLayout(layout, req.user);
+
+        return res.redirect(`/catways/plan?message=${moved} catway(s) déplacé(s)`);
+    } catch (error) {
+        if (error.name === 'InvalidLayoutError') {
+            return res.status(400).render('error/error', { errors: error.errors });
+        } else if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(e => e.message);
+            return res.status(400).render('error/error', { errors });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
@@ -0,0 +1,230 @@
+const customerService = require('../services/customers');
+const boatService = require('../services/boats');
+
+/**
+ * @module customersController
+ */
+
+/**
+ * Pick the customer fields from a submitted form.
+ *
+ * @private
+ * @param {Object} body - The request body.
+ * @returns {Object} The customer data.
+ */
+const customerDataFromBody = (body) => {
+    const address = body.address || {};
+
+    return {
+        name: body.name,
+        email: body.email,
+        phone: body.phone,
+        address: {
+            street: address.street,
+            postalCode: address.postalCode,
+            city: address.city,
+            country: address.country
+        },
+        notes: body.notes
+    };
+};
+
+/**
+ * Get all customers and render the list view.
+ *
+ * @function getAll
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/', private.checkJWT, controller.getAll);
+ */
+exports.getAll = async (req, res) => {
+    try {
+        const customers = await customerService.getAllCustomers();
+        return res.render('customers/list', { customers, message: req.query.message });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Get a customer by ID and render the details view, with their boats and their past and upcoming reservations.
+ *
+ * @function getById
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/:id', private.checkJWT, controller.getById);
+ */
+exports.getById = async (req, res) => {
+    const id = req.params.id;
+
+    try {
+        const customer = await customerService.getCustomerById(id);
+
+        if (!customer) {
+            return res.status(404).render('error/error', { errors: ['Client non trouvé'] });
+        }
+
+        const boats = await boatService.getBoatsOfOwner(customer._id);
+        const { past, upcoming } = await customerService.getCustomerReservations(customer._id);
+
+        return res.status(200).render('customers/details', { customer, boats, past, upcoming, message: req.query.message });
+    } catch (error) {
+        if (error.kind === "ObjectId") {
+            return res.status(404).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Render the form to add a new customer.
+ *
+ * @function renderAddForm
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/add', private.checkJWT, controller.renderAddForm);
+ */
+exports.renderAddForm = async (req, res) => {
+    return res.status(200).render('customers/add');
+};
+
+/**
+ * Add a new customer and redirect to their page.
+ *
+ * @function add
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/', private.checkJWT, controller.add);
+ */
+exports.add = async (req, res) => {
+    try {
+        const customer = await customerService.addCustomer(customerDataFromBody(req.body));
+        return res.redirect(`/customers/${customer.id}?message=Le client ${customer.name} a été créé avec succès`);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(e => e.message);
+            return res.status(400).render('error/error', { errors });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Render the form to edit a customer.
+ *
+ * @function edit
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/:id/edit', private.checkJWT, controller.edit);
+ */
+exports.edit = async (req, res) => {
+    const id = req.params.id;
+
+    try {
+        const customer = await customerService.getCustomerById(id);
+
+        if (!customer) {
+            return res.status(404).render('error/error', { errors: ['Client non trouvé'] });
+        }
+
+        return res.render('customers/edit', { customer, message: null });
+    } catch (error) {
+        if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Update a customer and render the edit view.
+ *
+ * @function update
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.put('/:id', private.checkJWT, controller.update);
+ */
+exports.update = async (req, res) => {
+    const id = req.params.id;
+
+    try {
+        const customer = await customerService.updateCustomer(id, customerDataFromBody(req.body));
+
+        if (!customer) {
+            return res.status(404).render('error/error', { errors: ['Client non trouvé'] });
+        }
+
+        return res.status(200).render('customers/edit', { customer, message: 'Client mis à jour avec succès' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(e => e.message);
+            return res.status(400).render('error/error', { errors });
+        } else if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Delete a customer and redirect to the list view.
+ * A customer who still has reservations is kept.
+ *
+ * @function delete
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.delete('/:id', private.checkJWT, controller.delete);
+ */
+exports.delete = async (req, res) => {
+    const id = req.params.id;
+
+    try {
+        const customer = await customerService.deleteCustomer(id);
+
+        if (!customer) {
+            return res.status(404).render('error/error', { errors: ['Client non trouvé'] });
+        }
+
+        return res.redirect(`/customers?message=Le client ${customer.name} a été supprimé avec succès`);
+    } catch (error) {
+        if (error.name === 'CustomerHasReservationsError') {
+            return res.status(409).render('error/error', { errors: [error.message] });
+        } else if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
@@ -1,3 +1,7 @@
+const statsService = require('../services/stats');
+const waitlistService = require('../services/waitlist');
+const privateMiddleware = require('../middlewares/private');
+
 /**
  * @module dashboardController
  */
@@ -18,7 +22,45 @@ exports.renderDashboard = async (req, res) => {
     const message = req.session.message;
     delete req.session.message;
 
-    return res.render('dashboard/dashboard', { message });
+    return res.render('dashboard/dashboard', { message, year: new Date().getFullYear() });
+};
+
+/**
+ * Send the figures of the dashboard as JSON, so the page can refresh them without
+ * reloading: the overview of today, the occupancy of each month of the `year`
+ * query parameter (the current year by default), and the catways offered to the
+ * waitlist, with `canBook` telling whether the user may book them.
+ *
+ * @function getStats
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/stats', private.checkJWT, dashboardController.getStats);
+ */
+exports.getStats = async (req, res) => {
+    const now = new Date();
+    const year = req.query.year === undefined || req.query.year === '' ? now.getFullYear() : Number(req.query.year);
+
+    if (!Number.isInteger(year) || year < 1970 || year > 9999) {
+        return res.status(400).json({ errors: ['L\'année (year) doit être un nombre entier, par exemple 2025'] });
+    }
+
+    try {
+        const overview = await statsService.getOverview(now);
+        const months = await statsService.getMonthlyOccupancy(year);
+        const offers = await waitlistService.getOpenOffers();
+
+        return res.status(200).json({
+            ...overview,
+            season: { year, months },
+            waitlist: { offers, canBook: privateMiddleware.hasPermission(req.user, 'reservations:write') }
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
 };
 
 /**
@@ -0,0 +1,194 @@
+const importService = require('../services/imports');
+const exportService = require('../services/exports');
+const spreadsheetService = require('../services/spreadsheets');
+const privateMiddleware = require('../middlewares/private');
+
+/**
+ * @module importsController
+ */
+
+// Largest number of rows imported from one file
+const MAX_ROWS = 1000;
+
+/**
+ * The kinds of records a user may import: those they may create.
+ *
+ * @private
+ * @param {Object} user - The user decoded from the JWT.
+ * @returns {Array<String>} The kinds of records, e.g. ['catways', 'reservations'].
+ */
+const importableTypes = (user) => Object.keys(importService.TYPE_LABELS)
+    .filter(type => privateMiddleware.hasPermission(user, `${type}:write`));
+
+/**
+ * The fields read by the import of each kind of record.
+ *
+ * @private
+ * @returns {Object<String, Array<String>>} The fields, by kind of record.
+ */
+const importedColumns = () => Object.fromEntries(Object.entries(exportService.COLUMNS)
+    .map(([type, columns]) => [type, columns.filter(column => !column.exportOnly).map(column => column.key)]));
+
+/**
+ * Answer an error of the import, as JSON for API clients or with the error page for browsers.
+ *
+ * @private
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @param {Number} status - The HTTP status.
+ * @param {Array<String>} errors - The messages.
+ * @returns {void}
+ */
+const sendErrors = (req, res, status, errors) => {
+    if (privateMiddleware.wantsJson(req)) {
+        return res.status(status).json({ errors });
+    }
+    return res.status(status).render('error/error', { errors });
+};
+
+/**
+ * Render the form to upload a file to import.
+ *
+ * @function renderForm
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/', private.checkJWT, controller.renderForm);
+ */
+exports.renderForm = (req, res) => {
+    const types = importableTypes(req.user);
+
+    if (types.length === 0) {
+        return res.status(403).render('error/error', { errors: ['Vous n\'avez pas les droits nécessaires pour cette action'] });
+    }
+
+    return res.status(200).render('imports/form', {
+        types,
+        type: types.includes(req.query.type) ? req.query.type : types[0],
+        typeLabels: importService.TYPE_LABELS,
+        columns: importedColumns(),
+        maxRows: MAX_ROWS
+    });
+};
+
+/**
+ * Read and check an uploaded file, and show what would be imported, row by row,
+ * before anything is saved.
+ *
+ * Expects `type` ('catways', 'reservations' or 'users') and the CSV, XLSX or JSON `file`
+ * in a `multipart/form-data` body. API clients get `{ batch, rows }` as JSON, `batch`
+ * being the ID to confirm the import with.
+ *
+ * @function preview
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/', private.checkJWT, upload.singleFile('file'), controller.preview);
+ */
+exports.preview = async (req, res) => {
+    const type = req.body && req.body.type;
+
+    if (!importService.TYPE_LABELS[type]) {
+        return sendErrors(req, res, 400, ['Choisissez ce que le fichier contient : catways, réservations ou utilisateurs']);
+    }
+    if (!privateMiddleware.hasPermission(req.user, `${type}:write`)) {
+        return sendErrors(req, res, 403, ['Vous n\'avez pas les droits nécessaires pour cette action']);
+    }
+    if (!req.file) {
+        return sendErrors(req, res, 400, ['Choisissez un fichier à importer']);
+    }
+
+    const format = spreadsheetService.formatOf(req.file.originalname);
+
+    if (!format) {
+        return sendErrors(req, res, 400, ['Le fichier doit être au format CSV, XLSX ou JSON (.csv, .xlsx ou .json)']);
+    }
+
+    try {
+        const rows = await spreadsheetService.readRows(req.file.buffer, format);
+
+        if (rows.length === 0) {
+            return sendErrors(req, res, 400, ['Le fichier ne contient aucune ligne à importer']);
+        }
+        if (rows.length > MAX_ROWS) {
+            return sendErrors(req, res, 400, [`Importez au plus ${MAX_ROWS} lignes à la fois (le fichier en contient ${rows.length})`]);
+        }
+
+        const batch = await importService.previewImport(type, rows, { fileName: req.file.originalname, user: req.user });
+        const valid = batch.rows.filter(row => row.messages.length === 0).length;
+
+        if (privateMiddleware.wantsJson(req)) {
+            return res.status(200).json({ batch: batch.id, valid, rows: batch.rows });
+        }
+        return res.status(200).render('imports/preview', {
+            batch,
+            valid,
+            columns: importedColumns()[type],
+            typeLabels: importService.TYPE_LABELS
+        });
+    } catch (error) {
+        if (error.name === 'InvalidFileError') {
+            return sendErrors(req, res, 400, [error.message]);
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Confirm an import checked by `preview`: save its valid rows and show what became of each.
+ *
+ * @function commit
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/:id/commit', private.checkJWT, controller.commit);
+ */
+exports.commit = async (req, res) => {
+    try {
+        const pending = await importService.getPendingBatch(req.params.id, req.user);
+
+        if (!pending) {
+            return sendErrors(req, res, 404, ['Import introuvable, expiré ou déjà effectué : envoyez le fichier à nouveau']);
+        }
+        if (!privateMiddleware.hasPermission(req.user, `${pending.type}:write`)) {
+            return sendErrors(req, res, 403, ['Vous n\'avez pas les droits nécessaires pour cette action']);
+        }
+
+        const imported = await importService.commitImport(req.params.id, req.user);
+
+        if (!imported) {
+            return sendErrors(req, res, 404, ['Import introuvable, expiré ou déjà effectué : envoyez le fichier à nouveau']);
+        }
+
+        const { batch, results } = imported;
+        const created = results.filter(result => result.status === 'created').length;
+
+        if (privateMiddleware.wantsJson(req)) {
+            return res.status(200).json({ created, results });
+        }
+        return res.status(200).render('imports/result', {
+            batch,
+            results,
+            created,
+            columns: importedColumns()[batch.type],
+            typeLabels: importService.TYPE_LABELS,
+            resultLabels: importService.RESULT_LABELS
+        });
+    } catch (error) {
+        if (error.kind === "ObjectId") {
+            return sendErrors(req, res, 400, ['Entrez un identifiant valide']);
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
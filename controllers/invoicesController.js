@@ -0,0 +1,113 @@
+const invoiceService = require('../services/invoices');
+
+/**
+ * @module invoicesController
+ */
+
+/**
+ * Issue the invoice of a reservation and redirect to it.
+ * Issuing it again shows the invoice already issued.
+ *
+ * @function issue
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/:id/reservations/:idReservation/invoice', private.checkJWT, controller.issue);
+ */
+exports.issue = async (req, res) => {
+    const { id, idReservation } = req.params;
+
+    try {
+        const invoice = await invoiceService.issueInvoice(idReservation);
+
+        if (!invoice) {
+            return res.status(404).render('error/error', { errors: ['Réservation non trouvée'] });
+        }
+
+        return res.redirect(`/catways/${id}/reservations/${idReservation}/invoice`);
+    } catch (error) {
+        if (error.name === 'NoTariffError' || error.name === 'ReservationNotQuotedError') {
+            return res.status(400).render('error/error', { errors: [error.message] });
+        } else if (error.name === 'CatwayLockedError') {
+            return res.status(503).render('error/error', { errors: [error.message] });
+        } else if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Render the invoice of a reservation.
+ *
+ * @function getInvoice
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/:id/reservations/:idReservation/invoice', private.checkJWT, controller.getInvoice);
+ */
+exports.getInvoice = async (req, res) => {
+    const { id, idReservation } = req.params;
+
+    try {
+        const invoice = await invoiceService.getInvoiceOfReservation(idReservation);
+
+        if (!invoice) {
+            return res.status(404).render('error/error', { errors: ['Aucune facture n\'a été émise pour cette réservation'] });
+        }
+
+        return res.status(200).render('invoices/invoice', { invoice, catwayId: id, download: false });
+    } catch (error) {
+        if (error.kind === "ObjectId") {
+            return res.status(404).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Send the invoice of a reservation as an HTML file to keep or print.
+ *
+ * @function download
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/:id/reservations/:idReservation/invoice/download', private.checkJWT, controller.download);
+ */
+exports.download = async (req, res) => {
+    const { id, idReservation } = req.params;
+
+    try {
+        const invoice = await invoiceService.getInvoiceOfReservation(idReservation);
+
+        if (!invoice) {
+            return res.status(404).render('error/error', { errors: ['Aucune facture n\'a été émise pour cette réservation'] });
+        }
+
+        return res.render('invoices/invoice', { invoice, catwayId: id, download: true }, (error, html) => {
+            if (error) {
+                return res.status(500).json({ message: 'Internal Server Error', error });
+            }
+
+            res.attachment(`facture-${invoice.number}.html`);
+            return res.send(html);
+        });
+    } catch (error) {
+        if (error.kind === "ObjectId") {
+            return res.status(404).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
@@ -0,0 +1,82 @@
+const paymentService = require('../services/payments');
+
+/**
+ * @module paymentsController
+ */
+
+/**
+ * Record a payment on a reservation and go back to the reservation.
+ *
+ * @function add
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/:id/reservations/:idReservation/payments', private.checkJWT, controller.add);
+ */
+exports.add = async (req, res) => {
+    const { id, idReservation } = req.params;
+
+    try {
+        const payment = await paymentService.addPayment(idReservation, {
+            kind: req.body.kind,
+            method: req.body.method,
+            amount: req.body.amount,
+            paidAt: req.body.paidAt || undefined,
+            note: req.body.note
+        }, req.user);
+
+        if (!payment) {
+            return res.status(404).render('error/error', { errors: ['Réservation non trouvée'] });
+        }
+
+        return res.redirect(`/catways/${id}/reservations/${idReservation}?message=Le paiement de ${payment.amount} € a été enregistré`);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(e => e.message);
+            return res.status(400).render('error/error', { errors });
+        } else if (error.name === 'InvalidPaymentError') {
+            return res.status(400).render('error/error', { errors: [error.message] });
+        } else if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Reverse a payment of a reservation and go back to the reservation.
+ *
+ * @function reverse
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/:id/reservations/:idReservation/payments/:idPayment/reverse', private.checkJWT, controller.reverse);
+ */
+exports.reverse = async (req, res) => {
+    const { id, idReservation, idPayment } = req.params;
+
+    try {
+        const payment = await paymentService.reversePayment(idReservation, idPayment, req.body.reason);
+
+        if (!payment) {
+            return res.status(404).render('error/error', { errors: ['Paiement non trouvé'] });
+        }
+
+        return res.redirect(`/catways/${id}/reservations/${idReservation}?message=Le paiement de ${payment.amount} € a été annulé`);
+    } catch (error) {
+        if (error.name === 'InvalidPaymentError') {
+            return res.status(400).render('error/error', { errors: [error.message] });
+        } else if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
@@ -1,12 +1,65 @@
+const Reservation = require('../models/reservation');
 const catwayService = require('../services/catways');
 const reservationService = require('../services/reservations');
+const customerService = require('../services/customers');
+const boatService = require('../services/boats');
+const invoiceService = require('../services/invoices');
+const paymentService = require('../services/payments');
+const listQueryService = require('../services/listQuery');
+const exportService = require('../services/exports');
+const spreadsheetService = require('../services/spreadsheets');
+const calendarService = require('../services/calendar');
+const privateMiddleware = require('../middlewares/private');
 
 /**
  * @module reservationsController
  */
 
 /**
- * Get all reservations for a specific catway by ID.
+ * Format a date for the French error and success messages.
+ *
+ * @private
+ * @param {Date|String} date - The date to format.
+ * @returns {String} The date as dd/mm/yyyy.
+ */
+const formatDate = (date) => new Date(date).toLocaleDateString('fr-FR');
+
+/**
+ * Render the error page for the errors thrown when a reservation is created or edited.
+ *
+ * @private
+ * @param {Object} res - The Express response object.
+ * @param {Error} error - The error thrown by the reservation service.
+ * @param {Object} [waitlist] - The client, boat and dates to offer to put on the waitlist when the dates clash.
+ * @returns {void}
+ */
+const renderReservationError = (res, error, waitlist) => {
+    if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(e => e.message);
+        return res.status(400).render('error/error', { errors });
+    } else if (error.name === 'ReservationConflictError') {
+        const errors = error.conflicts.map(conflict =>
+            `Le catway ${conflict.catwayNumber} est déjà réservé par ${conflict.clientName} du ${formatDate(conflict.checkIn)} au ${formatDate(conflict.checkOut)} (réservation ${conflict.id})`
+        );
+        return res.status(409).render('error/error', waitlist ? { errors, waitlist } : { errors });
+    } else if (error.name === 'BoatDoesNotFitError') {
+        return res.status(400).render('error/error', { errors: error.problems });
+    } else if (error.name === 'ReservationNotEditableError') {
+        return res.status(409).render('error/error', { errors: [error.message] });
+    } else if (error.name === 'CatwayLockedError') {
+        return res.status(503).render('error/error', { errors: [error.message] });
+    } else if (error.kind === "ObjectId") {
+        return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+    }
+    return res.status(500).json({ message: 'Internal Server Error', error });
+};
+
+/**
+ * Get the reservations of a catway by its ID.
+ * 
+ * They are sent as JSON, an empty array when there is none; with `from` and `to` in the
+ * query, only those crossing that period. The details page of the catway links to its
+ * calendar for browsers.
  * 
  * @function getAllOfCatway
  * @param {Object} req - The Express request object.
@@ -19,6 +72,16 @@ const reservationService = require('../services/reservations');
  */
 exports.getAllOfCatway = async (req, res) => {
     const catwayId = req.params.id;
+    const { from, to } = req.query;
+    let period;
+
+    if (from || to) {
+        period = { from: new Date(from), to: new Date(to) };
+
+        if (isNaN(period.from) || isNaN(period.to) || period.to <= period.from) {
+            return res.status(400).json({ errors: ['Donnez une date de début (from) et une date de fin (to) valides, la fin après le début'] });
+        }
+    }
 
     try {
         const catway = await catwayService.getCatwayById(catwayId);
@@ -27,11 +90,8 @@ exports.getAllOfCatway = async (req, res) => {
             return res.status(404).json({ message: 'Catway non trouvé' });
         }
 
-        const reservations = await reservationService.getAllCatwayReservations(catway.catwayNumber);
+        const reservations = await reservationService.getAllCatwayReservations(catway.catwayNumber, period);
 
-        if (!reservations || reservations.length === 0) {
-            return res.status(404).json({ message: 'Aucune réservation trouvée' });
-        }
         return res.status(200).json(reservations);
     } catch (error) {
         return res.status(500).json({ message: 'Internal Server Error', error });
@@ -39,7 +99,46 @@ exports.getAllOfCatway = async (req, res) => {
 };
 
 /**
- * Get all reservations and render the list view.
+ * Render the reservations calendar: one row per catway, the reservations as bars across
+ * days, weeks or months (see `calendarService.parseCalendarQuery`). Staff who may edit
+ * reservations can drag a bar to change its dates or its catway.
+ * 
+ * @function getCalendar
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.get('/reservations/calendar', private.checkJWT, controller.getCalendar);
+ */
+exports.getCalendar = async (req, res) => {
+    const period = calendarService.parseCalendarQuery(req.query);
+
+    if (period.errors.length > 0) {
+        return res.status(400).render('error/error', { errors: period.errors });
+    }
+
+    try {
+        const calendar = await calendarService.getCalendar(period);
+
+        return res.status(200).render('reservations/calendar', {
+            calendar,
+            catwayNumber: period.catwayNumber,
+            scaleLabels: calendarService.SCALE_LABELS,
+            statusLabels: Reservation.STATUS_LABELS,
+            // Once the boat has arrived, its catway and check-in date cannot change
+            movableStatuses: Reservation.EDITABLE_STATUSES.filter(status => status !== 'checkedIn'),
+            canEdit: privateMiddleware.hasPermission(req.user, 'reservations:write')
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Render one page of the reservations list, with the balance due of each, sorted and
+ * filtered by the query string (see `reservationService.LIST_OPTIONS`).
  * 
  * @function getAll
  * @param {Object} req - The Express request object.
@@ -51,16 +150,65 @@ exports.getAllOfCatway = async (req, res) => {
  * router.get('/reservations/list', private.checkJWT, controller.getAll);
  */
 exports.getAll = async (req, res) => {
+    const listQuery = listQueryService.parseListQuery(req.query, reservationService.LIST_OPTIONS);
+
+    if (listQuery.errors.length > 0) {
+        return res.status(400).render('error/error', { errors: listQuery.errors });
+    }
+
+    try {
+        const result = await reservationService.listReservations(listQuery);
+        const summaries = await paymentService.getSummariesOfReservations(result.items);
+        return res.render('reservations/list', {
+            reservations: result.items,
+            summaries,
+            statusLabels: Reservation.STATUS_LABELS,
+            pagination: listQueryService.pagination(req.baseUrl + req.path, req.query, result),
+            query: req.query
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Download the reservations list, with the price of each stay, as a CSV, XLSX or JSON
+ * file (`format`, 'csv' by default): every record matching the filters and the sort of
+ * the query string, not only the page shown.
+ * 
+ * @function export
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.get('/reservations/export', private.checkJWT, controller.export);
+ */
+exports.export = async (req, res) => {
+    const listQuery = listQueryService.parseListQuery(req.query, reservationService.LIST_OPTIONS);
+    const format = req.query.format || 'csv';
+
+    if (!spreadsheetService.FORMATS[format]) {
+        listQuery.errors.push('Le format (format) doit être \'csv\', \'xlsx\' ou \'json\'');
+    }
+    if (listQuery.errors.length > 0) {
+        return res.status(400).render('error/error', { errors: listQuery.errors });
+    }
+
     try {
-        const reservations = await reservationService.getAllReservation();
-        return res.render('reservations/list', { reservations });
+        const file = await exportService.exportList('reservations', listQuery, format);
+
+        res.attachment(file.fileName);
+        return res.status(200).type(file.contentType).send(file.content);
     } catch (error) {
         return res.status(500).json({ message: 'Internal Server Error', error });
     }
 };
 
 /**
- * Get a reservation by ID and render the details view.
+ * Get a reservation by ID and render the details view, with its price, its payments,
+ * its invoice if issued, and the statuses it can move to.
  * 
  * @function getbyId
  * @param {Object} req - The Express request object.
@@ -80,7 +228,23 @@ exports.getbyId = async (req, res) => {
         if (!reservation) {
             return res.status(404).render('error/error', { errors: ['Réservation non trouvée'] });
         }
-        return res.status(200).render('reservations/details', { reservation });
+
+        const invoice = await invoiceService.getInvoiceOfReservation(reservation._id);
+        const payments = await paymentService.getPaymentsOfReservation(reservation._id);
+        const summary = paymentService.summarizePayments(reservation, payments);
+
+        return res.status(200).render('reservations/details', {
+            reservation,
+            invoice,
+            payments,
+            summary,
+            statusLabels: Reservation.STATUS_LABELS,
+            historyLabels: Reservation.HISTORY_FIELD_LABELS,
+            editable: Reservation.EDITABLE_STATUSES.includes(reservation.status),
+            nextStatuses: Reservation.STATUS_TRANSITIONS[reservation.status] || [],
+            catwayId: req.params.id,
+            message: req.query.message
+        });
     } catch (error) {
         if (error.kind === "ObjectId") {
             return res.status(404).render('error/error', { errors: ['Entrez un identifiant valide'] });
@@ -92,6 +256,19 @@ exports.getbyId = async (req, res) => {
 /**
  * Add a new reservation and redirect to the dashboard.
  * 
+ * The reservation is made for the customer picked in the form, or else for the
+ * owner of the boat picked, or else for the customer matching the client name typed,
+ * who is created if needed. Without a boat picked, the boat of the catway is used.
+ * 
+ * The price of the stay is computed from the tariffs and stored on the reservation.
+ * 
+ * Responds with a 400 when the boat is too long or too deep for the catway, or when
+ * no tariff covers the dates.
+ * 
+ * Responds with a 409 listing the clashing reservations when the requested dates
+ * overlap an existing reservation on the same catway, with a form to put the client
+ * on the waitlist for these dates instead.
+ * 
  * @function add
  * @param {Object} req - The Express request object.
  * @param {Object} res - The Express response object.
@@ -103,35 +280,179 @@ exports.getbyId = async (req, res) => {
  */
 exports.add = async (req, res) => {
     const catwayId = req.params.id;
+    let catway, reservationData;
 
     try {
-        const catway = await catwayService.getCatwayById(catwayId);
+        catway = await catwayService.getCatwayById(catwayId);
 
         if (!catway) {
             return res.status(404).json({ message: 'Catway non trouvé' });
         }
 
-        const reservationData = {
+        reservationData = {
             catwayNumber: catway.catwayNumber,
+            customer: req.body.customer || undefined,
             clientName: req.body.clientName,
+            boat: req.body.boat || undefined,
             boatName: catway.boatName,
+            extras: {
+                electricity: !!req.body.electricity,
+                water: !!req.body.water
+            },
             checkIn: req.body.checkIn,
             checkOut: req.body.checkOut,
         };
 
-        const reservation = await reservationService.creatReservation(reservationData);
-        return res.render('dashboard/dashboard', { message: `La réservation du bateau ${reservation.boatName} a été créée avec succès` });
+        const reservation = await reservationService.creatReservation(reservationData, req.user);
+        const message = `La réservation du bateau ${reservation.boatName} a été créée avec succès`;
+        return res.render('dashboard/dashboard', { message: reservation.quote ? message : `${message}. ${reservationService.NO_QUOTE_WARNING}` });
+    } catch (error) {
+        return renderReservationError(res, error, reservationData && { ...reservationData, catwayType: catway.type });
+    }
+};
+
+/**
+ * Move a reservation to another status and go back to it: confirm, cancel, record
+ * that the boat arrived or left, or that it never came.
+ * 
+ * Responds with a 409 when the reservation cannot move to that status.
+ * 
+ * @function changeStatus
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.post('/:id/reservations/:idReservation/status', private.checkJWT, controller.changeStatus);
+ */
+exports.changeStatus = async (req, res) => {
+    const { id, idReservation } = req.params;
+
+    try {
+        const reservation = await reservationService.changeReservationStatus(idReservation, req.body.status, req.user);
+
+        if (!reservation) {
+            return res.status(404).render('error/error', { errors: ['Réservation non trouvée'] });
+        }
+
+        return res.redirect(`/catways/${id}/reservations/${idReservation}?message=La réservation est maintenant ${Reservation.STATUS_LABELS[reservation.status]}`);
+    } catch (error) {
+        if (error.name === 'InvalidStatusTransitionError') {
+            return res.status(409).render('error/error', { errors: [error.message] });
+        } else if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Edit a reservation and go back to it: change its dates, move it to the catway picked,
+ * or change its client, its boat or its extras. The values replaced are kept in its history.
+ * 
+ * Picking "Nouveau client" with a name links the reservation to the customer with that
+ * name, who is created if needed. Picking no boat instead of a boat of the registry uses
+ * the boat of the catway; the boat is left alone when the pick did not change.
+ * 
+ * Responds with the same errors as `add`, and with a 409 when the reservation can no
+ * longer be edited.
+ * 
+ * @function update
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.put('/:id/reservations/:idReservation', private.checkJWT, controller.update);
+ */
+exports.update = async (req, res) => {
+    const idReservation = req.params.idReservation;
+
+    try {
+        const catway = await catwayService.getCatwayById(req.body.catway || req.params.id);
+
+        if (!catway) {
+            return res.status(404).render('error/error', { errors: ['Catway non trouvé'] });
+        }
+
+        const current = await reservationService.getReservationById(idReservation);
+
+        if (!current) {
+            return res.status(404).render('error/error', { errors: ['Réservation non trouvée'] });
+        }
+
+        // The form posts the boat picked every time: only a different pick changes it
+        const boat = req.body.boat || '';
+        const boatChanged = req.body.boat !== undefined && boat !== (current.boat ? String(current.boat) : '');
+
+        const changes = {
+            catwayNumber: req.body.catway ? catway.catwayNumber : undefined,
+            customer: req.body.customer || undefined,
+            clientName: req.body.customer ? undefined : req.body.clientName || undefined,
+            boat: boatChanged ? boat : undefined,
+            boatName: boatChanged && !boat ? catway.boatName : undefined,
+            extras: {
+                electricity: !!req.body.electricity,
+                water: !!req.body.water
+            },
+            checkIn: req.body.checkIn,
+            checkOut: req.body.checkOut
+        };
+
+        const reservation = await reservationService.updateReservation(idReservation, changes, req.user);
+
+        if (!reservation) {
+            return res.status(404).render('error/error', { errors: ['Réservation non trouvée'] });
+        }
+
+        const message = reservation.quote ? 'La réservation a été modifiée' : `La réservation a été modifiée. ${reservationService.NO_QUOTE_WARNING}`;
+        return res.redirect(`/catways/${catway.id}/reservations/${reservation.id}?message=${message}`);
+    } catch (error) {
+        return renderReservationError(res, error);
+    }
+};
+
+/**
+ * Render the form to edit a reservation, filled with its current values.
+ * 
+ * @function renderEditForm
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.get('/:id/reservations/:idReservation/edit', private.checkJWT, controller.renderEditForm);
+ */
+exports.renderEditForm = async (req, res) => {
+    try {
+        const reservation = await reservationService.getReservationById(req.params.idReservation);
+
+        if (!reservation) {
+            return res.status(404).render('error/error', { errors: ['Réservation non trouvée'] });
+        }
+
+        if (!Reservation.EDITABLE_STATUSES.includes(reservation.status)) {
+            return res.status(409).render('error/error', { errors: [`Une réservation ${Reservation.STATUS_LABELS[reservation.status]} ne peut plus être modifiée`] });
+        }
+
+        const catways = await catwayService.getAllCatways();
+        const customers = await customerService.getAllCustomers();
+        const boats = await boatService.getAllBoats();
+        return res.render('reservations/edit', { reservation, catways, customers, boats, catwayId: req.params.id });
     } catch (error) {
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(e => e.message);
-            return res.status(400).render('error/error', { errors });
+        if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
         }
         return res.status(500).json({ message: 'Internal Server Error', error });
     }
 };
 
 /**
- * Render the form to add a new reservation.
+ * Render the form to add a new reservation, for an existing customer or a new one,
+ * and a boat of the registry.
  * 
  * @function renderAddForm
  * @param {Object} req - The Express request object.
@@ -149,14 +470,16 @@ exports.renderAddForm = async (req, res) => {
         if (!catways || catways.length === 0) {
             return res.status(404).render('catways/list', { catways: [], message: 'Aucun catway trouvé' });
         }
-        return res.render('reservations/add', { catways });
+        const customers = await customerService.getAllCustomers();
+        const boats = await boatService.getAllBoats();
+        return res.render('reservations/add', { catways, customers, boats });
     } catch (error) {
         return res.status(500).json({ message: 'Internal Server Error', error });
     }
 };
 
 /**
- * Delete a reservation by ID and redirect to the dashboard.
+ * Move a reservation to the trash and redirect to the dashboard.
  * 
  * @function delete
  * @param {Object} req - The Express request object.
@@ -171,8 +494,8 @@ exports.delete = async (req, res) => {
     const idReservation = req.params.idReservation;
     
     try {
-        const reservation = await reservationService.deleteReservation(idReservation);
-        req.session.message = `La réservation du bateau ${reservation.boatName}, le ${reservation.checkIn} a été supprimée avec succès`;
+        const reservation = await reservationService.deleteReservation(idReservation, req.user);
+        req.session.message = `La réservation du bateau ${reservation.boatName}, le ${reservation.checkIn} a été mise à la corbeille`;
 
         if (req.headers.referer.includes('dashboard')) {
             return res.status(200).json({ message: req.session.message });
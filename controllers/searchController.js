@@ -0,0 +1,49 @@
+const searchService = require('../services/search');
+const privateMiddleware = require('../middlewares/private');
+
+/**
+ * @module searchController
+ */
+
+const TYPE_LABELS = {
+    catways: 'Catways',
+    reservations: 'Réservations',
+    customers: 'Clients',
+    users: 'Utilisateurs'
+};
+
+/**
+ * Search the catways, reservations, customers and users for the text of the `q`
+ * query parameter, among the kinds of records the user may read. Answers JSON to API
+ * clients and renders the results page otherwise.
+ *
+ * @function search
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/', private.checkJWT, controller.search);
+ */
+exports.search = async (req, res) => {
+    const q = String(req.query.q || '').trim();
+    const types = searchService.SEARCH_TYPES.filter(type => privateMiddleware.hasPermission(req.user, `${type}:read`));
+
+    try {
+        const results = await searchService.search(q, types);
+
+        if (privateMiddleware.wantsJson(req)) {
+            return res.status(200).json({ q, results });
+        }
+
+        return res.status(200).render('search/results', {
+            q,
+            results,
+            typeLabels: TYPE_LABELS,
+            minLength: searchService.MIN_QUERY_LENGTH
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
@@ -0,0 +1,187 @@
+const tariffService = require('../services/tariffs');
+
+/**
+ * @module tariffsController
+ */
+
+/**
+ * Pick the tariff fields from a submitted form.
+ * The months are checkboxes, so a single month comes as a string.
+ *
+ * @private
+ * @param {Object} body - The request body.
+ * @returns {Object} The tariff data.
+ */
+const tariffDataFromBody = (body) => ({
+    name: body.name,
+    catwayType: body.catwayType,
+    season: body.season,
+    months: [].concat(body.months || []).map(Number),
+    nightlyRate: body.nightlyRate,
+    weeklyRate: body.weeklyRate || undefined,
+    monthlyRate: body.monthlyRate || undefined,
+    electricityRate: body.electricityRate || 0,
+    waterRate: body.waterRate || 0
+});
+
+/**
+ * Get all tariffs and render the list view.
+ *
+ * @function getAll
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/', private.checkJWT, controller.getAll);
+ */
+exports.getAll = async (req, res) => {
+    try {
+        const tariffs = await tariffService.getAllTariffs();
+        return res.render('tariffs/list', { tariffs, message: req.query.message });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Render the form to add a new tariff.
+ *
+ * @function renderAddForm
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/add', private.checkJWT, controller.renderAddForm);
+ */
+exports.renderAddForm = async (req, res) => {
+    return res.status(200).render('tariffs/add');
+};
+
+/**
+ * Add a new tariff and redirect to the list view.
+ *
+ * @function add
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/', private.checkJWT, controller.add);
+ */
+exports.add = async (req, res) => {
+    try {
+        const tariff = await tariffService.addTariff(tariffDataFromBody(req.body));
+        return res.redirect(`/tariffs?message=Le tarif ${tariff.name} a été créé avec succès`);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(e => e.message);
+            return res.status(400).render('error/error', { errors });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Render the form to edit a tariff.
+ *
+ * @function edit
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/:id/edit', private.checkJWT, controller.edit);
+ */
+exports.edit = async (req, res) => {
+    const id = req.params.id;
+
+    try {
+        const tariff = await tariffService.getTariffById(id);
+
+        if (!tariff) {
+            return res.status(404).render('error/error', { errors: ['Tarif non trouvé'] });
+        }
+
+        return res.render('tariffs/edit', { tariff, message: null });
+    } catch (error) {
+        if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Update a tariff and render the edit view.
+ *
+ * @function update
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.put('/:id', private.checkJWT, controller.update);
+ */
+exports.update = async (req, res) => {
+    const id = req.params.id;
+
+    try {
+        const tariff = await tariffService.updateTariff(id, tariffDataFromBody(req.body));
+
+        if (!tariff) {
+            return res.status(404).render('error/error', { errors: ['Tarif non trouvé'] });
+        }
+
+        return res.status(200).render('tariffs/edit', { tariff, message: 'Tarif mis à jour avec succès' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(e => e.message);
+            return res.status(400).render('error/error', { errors });
+        } else if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Delete a tariff and redirect to the list view.
+ *
+ * @function delete
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.delete('/:id', private.checkJWT, controller.delete);
+ */
+exports.delete = async (req, res) => {
+    const id = req.params.id;
+
+    try {
+        const tariff = await tariffService.deleteTariff(id);
+
+        if (!tariff) {
+            return res.status(404).render('error/error', { errors: ['Tarif non trouvé'] });
+        }
+
+        return res.redirect(`/tariffs?message=Le tarif ${tariff.name} a été supprimé avec succès`);
+    } catch (error) {
+        if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
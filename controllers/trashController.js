@@ -0,0 +1,137 @@
+const trashService = require('../services/trash');
+const privateMiddleware = require('../middlewares/private');
+
+/**
+ * @module trashController
+ */
+
+const TYPE_LABELS = {
+    catways: 'Le catway',
+    reservations: 'La réservation',
+    users: 'L\'utilisateur'
+};
+
+/**
+ * Tell whether the user may restore the records of a kind: the one who may delete them.
+ *
+ * @private
+ * @param {Object} user - The user decoded from the JWT (`req.user`).
+ * @param {String} type - The kind of record.
+ * @returns {Boolean} True if the user may restore them.
+ */
+const canRestore = (user, type) => privateMiddleware.hasPermission(user, `${type}:delete`);
+
+/**
+ * Render the error page for the errors thrown when restoring or purging a record.
+ *
+ * @private
+ * @param {Object} res - The Express response object.
+ * @param {Error} error - The error thrown by the trash service.
+ * @returns {void}
+ */
+const renderTrashError = (res, error) => {
+    if (error.name === 'TrashError') {
+        return res.status(409).render('error/error', { errors: [error.message] });
+    } else if (error.name === 'ReservationConflictError') {
+        const errors = error.conflicts.map(conflict =>
+            `Le catway ${conflict.catwayNumber} a été réservé entre-temps par ${conflict.clientName} du ${new Date(conflict.checkIn).toLocaleDateString('fr-FR')} au ${new Date(conflict.checkOut).toLocaleDateString('fr-FR')}`
+        );
+        return res.status(409).render('error/error', { errors });
+    } else if (error.name === 'CatwayLockedError') {
+        return res.status(503).render('error/error', { errors: [error.message] });
+    } else if (error.kind === "ObjectId") {
+        return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+    }
+    return res.status(500).json({ message: 'Internal Server Error', error });
+};
+
+/**
+ * Render the trash: the deleted records the user may restore.
+ *
+ * @function getAll
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/', private.checkJWT, controller.getAll);
+ */
+exports.getAll = async (req, res) => {
+    try {
+        const types = trashService.TRASH_TYPES.filter(type => canRestore(req.user, type));
+        const trash = await trashService.getTrash(types);
+
+        return res.status(200).render('trash/list', {
+            trash,
+            canPurge: privateMiddleware.hasPermission(req.user, 'trash:purge'),
+            message: req.query.message
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Take a record out of the trash and go back to the trash.
+ *
+ * @function restore
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/:type/:id/restore', private.checkJWT, controller.restore);
+ */
+exports.restore = async (req, res) => {
+    const { type, id } = req.params;
+
+    if (!trashService.TRASH_TYPES.includes(type)) {
+        return res.status(404).render('error/error', { errors: ['Élément non trouvé dans la corbeille'] });
+    }
+
+    if (!canRestore(req.user, type)) {
+        return res.status(403).render('error/error', { errors: ['Vous n\'avez pas les droits nécessaires pour cette action'] });
+    }
+
+    try {
+        const record = await trashService.restoreFromTrash(type, id, req.user);
+
+        if (!record) {
+            return res.status(404).render('error/error', { errors: ['Élément non trouvé dans la corbeille'] });
+        }
+
+        return res.redirect(`/trash?message=${TYPE_LABELS[type]} a été restauré(e)`);
+    } catch (error) {
+        return renderTrashError(res, error);
+    }
+};
+
+/**
+ * Delete a record of the trash for good and go back to the trash.
+ *
+ * @function purge
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.delete('/:type/:id', private.checkJWT, controller.purge);
+ */
+exports.purge = async (req, res) => {
+    const { type, id } = req.params;
+
+    try {
+        const record = await trashService.purgeFromTrash(type, id, req.user);
+
+        if (!record) {
+            return res.status(404).render('error/error', { errors: ['Élément non trouvé dans la corbeille'] });
+        }
+
+        return res.redirect(`/trash?message=${TYPE_LABELS[type]} a été supprimé(e) définitivement`);
+    } catch (error) {
+        return renderTrashError(res, error);
+    }
+};
@@ -1,13 +1,33 @@
 const userService = require('../services/users');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
+const sessionService = require('../services/sessions');
+const loginAttempts = require('../services/loginAttempts');
+const mailer = require('../services/mailer');
+const listQueryService = require('../services/listQuery');
+const exportService = require('../services/exports');
+const spreadsheetService = require('../services/spreadsheets');
+const privateMiddleware = require('../middlewares/private');
 const User = require('../models/user');
-const SECRET_KEY = process.env.SECRET_KEY;
 
 /**
  * @module usersController
  */
 
+/**
+ * Put a wait in words, in seconds below a minute and in minutes above.
+ *
+ * @private
+ * @param {Number} seconds - The wait, in seconds.
+ * @returns {String} The wait in French, e.g. '30 secondes' or '15 minutes'.
+ */
+const formatWait = (seconds) => {
+    if (seconds < 60) {
+        return `${seconds} seconde${seconds > 1 ? 's' : ''}`;
+    }
+
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes > 1 ? 's' : ''}`;
+};
+
 /**
  * Get a user by ID.
  * 
@@ -52,10 +72,11 @@ exports.add = async (req, res) => {
         name: req.body.name,
         email: req.body.email,
         password: req.body.password,
+        role: req.body.role,
     };
 
     try {
-        let user = await userService.addUser(userData);
+        let user = await userService.addUser(userData, req.user);
         return res.render('dashboard/dashboard', { message: `L'utilisateur ${user.name}a été créé avec succès` });
     } catch (error) {
         if (error.name === 'ValidationError') {
@@ -82,7 +103,7 @@ exports.add = async (req, res) => {
  * router.get('/user/add', private.checkJWT, userController.renderCreationPage);
  */
 exports.renderCreationPage = async (req, res) => {
-    res.render('users/create_user');
+    res.render('users/create_user', { roles: User.ROLES });
 };
 
 /**
@@ -104,19 +125,14 @@ exports.update = async (req, res) => {
         name: req.body.name,
         email: req.body.email,
         password: req.body.password,
+        role: req.body.role,
     };
 
     try {
-        const user = await userService.findUserById(id);
+        const user = await userService.updateUser(id, updateData, req.user);
 
         if (user) {
-            Object.keys(updateData).forEach((key) => {
-                if (!!updateData[key]) {
-                    user[key] = updateData[key];
-                }
-            });
-            await user.save();
-            return res.status(200).render('users/edit_user', { user, message: 'L\'utilisateur a été mis à jour avec succès' });
+            return res.status(200).render('users/edit_user', { user, roles: User.ROLES, message: 'L\'utilisateur a été mis à jour avec succès' });
         }
 
         return res.status(404).json('Utilisateur non trouvé');
@@ -151,7 +167,7 @@ exports.edit = async (req, res) => {
             return res.status(404).render('error/error', { errors: ['Utilisateur non trouvé'] });
         }
 
-        return res.render('users/edit_user', { user, message: null });
+        return res.render('users/edit_user', { user, roles: User.ROLES, message: null });
     } catch (error) {
         if (error.kind === "ObjectId") {
             return res.status(404).render('error/error', { errors: ['Entrez un identifiant valide'] });
@@ -162,7 +178,7 @@ exports.edit = async (req, res) => {
 };
 
 /**
- * Delete a user by ID.
+ * Move a user to the trash. They can no longer log in.
  * 
  * @function delete
  * @param {Object} req - The Express request object.
@@ -177,9 +193,9 @@ exports.delete = async (req, res) => {
     const id = req.params.id;
 
     try {
-        const user = await userService.deleteUser(id);
+        const user = await userService.deleteUser(id, req.user);
 
-        return res.render('dashboard/dashboard', { message: `L'utilisateur ${user.name} a été supprimé avec succès` });
+        return res.render('dashboard/dashboard', { message: `L'utilisateur ${user.name} a été mis à la corbeille` });
     } catch (error) {
 
         if (error.kind === "ObjectId") {
@@ -206,36 +222,62 @@ exports.authenticate = async (req, res) => {
     const { email, password } = req.body;
 
     try {
-        let user = await User.findOne({ email: email }, '-__v -createdAt -updatedAt');
+        const user = await userService.checkCredentials(email, password, req.ip);
 
-        if (user) {
-            bcrypt.compare(password, user.password, function(err, response) {
-                if (response) {
-                    delete user._doc.password;
+        if (!user) {
+            // Same message whether the email or the password is wrong, so the form does not reveal who has an account
+            return res.status(401).render('home/home', { message: 'Identifiants erronés, veuillez réessayer.' });
+        }
 
-                    const expireIn = 24 * 60 * 60;
-                    const token = jwt.sign({ user: user }, SECRET_KEY, { expiresIn: expireIn });
+        const tokens = await sessionService.openSession(user, { ip: req.ip, userAgent: req.get('user-agent') });
 
-                    res.cookie('authToken', token, { httpOnly: true, maxAge: expireIn * 1000 });
-                    return res.render('dashboard/dashboard');
-                }
+        privateMiddleware.setAuthCookies(res, tokens);
+        return res.render('dashboard/dashboard');
+    } catch (error) {
+        if (error.name === 'TooManyLoginAttemptsError') {
+            res.set('Retry-After', String(error.retryAfter));
+            return res.status(429).render('home/home', { message: `Trop de tentatives de connexion, veuillez réessayer dans ${formatWait(error.retryAfter)}.` });
+        }
 
-                if (err) {
-                    throw new Error(err);
-                }
+        return res.status(501).json(error);
+    }
+};
 
-                return res.render('home/home', { message: 'mot de passe erroné, veuillez réessayer.' }); 
-            });
-        } else {
-            return res.render('home/home', { message: 'Identifiants erronés, veuillez réessayer.' });
+/**
+ * Unlock an account locked after too many failed logins.
+ *
+ * @function unlock
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/:id/unlock', private.checkJWT, userController.unlock);
+ */
+exports.unlock = async (req, res) => {
+    const id = req.params.id;
+
+    try {
+        const user = await loginAttempts.unlockUser(id);
+
+        if (!user) {
+            return res.status(404).render('error/error', { errors: ['Utilisateur non trouvé'] });
         }
+
+        return res.render('dashboard/dashboard', { message: `Le compte de l'utilisateur ${user.name} a été déverrouillé` });
     } catch (error) {
+        if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
         return res.status(501).json(error);
     }
 };
 
 /**
- * Fetch and display a list of all users.
+ * Display one page of the users list, sorted and filtered by the query string
+ * (see `userService.LIST_OPTIONS`).
  * 
  * @async
  * @function getUsersList
@@ -248,15 +290,238 @@ exports.authenticate = async (req, res) => {
  * router.get('/list', userController.getUsersList);
  */
 exports.getUsersList = async (req, res) =>  {   
+    const listQuery = listQueryService.parseListQuery(req.query, userService.LIST_OPTIONS);
+
+    if (listQuery.errors.length > 0) {
+        return res.status(400).render('error/error', { errors: listQuery.errors });
+    }
+
     try {
-        const users = await userService.getAllUsers();
+        const result = await userService.listUsers(listQuery);
+        const pagination = listQueryService.pagination(req.baseUrl + req.path, req.query, result);
         
-        if (!users || users.length === 0){
-            return res.status(404).render('dashboard/dashboard', { message: `Aucun utilisateur trouvé` });
+        if (result.total === 0){
+            return res.status(404).render('users/list_users', { users: [], roles: User.ROLES, pagination, query: req.query, message: `Aucun utilisateur trouvé` });
         }
 
-        return res.render('users/list_users', { users : users })
+        return res.render('users/list_users', { users : result.items, roles: User.ROLES, pagination, query: req.query, message: null })
     } catch (error) {
         return res.status(501).json(error);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Download the users list as a CSV, XLSX or JSON file (`format`, 'csv' by default): every
+ * record matching the filters and the sort of the query string, not only the page shown.
+ * 
+ * @function export
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.get('/list/export', userController.export);
+ */
+exports.export = async (req, res) => {
+    const listQuery = listQueryService.parseListQuery(req.query, userService.LIST_OPTIONS);
+    const format = req.query.format || 'csv';
+
+    if (!spreadsheetService.FORMATS[format]) {
+        listQuery.errors.push('Le format (format) doit être \'csv\', \'xlsx\' ou \'json\'');
+    }
+    if (listQuery.errors.length > 0) {
+        return res.status(400).render('error/error', { errors: listQuery.errors });
+    }
+
+    try {
+        const file = await exportService.exportList('users', listQuery, format);
+
+        res.attachment(file.fileName);
+        return res.status(200).type(file.contentType).send(file.content);
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Log the current user out: revoke the session and clear the cookies.
+ * 
+ * @function logout
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.post('/logout', private.checkJWT, userController.logout);
+ */
+exports.logout = async (req, res) => {
+    try {
+        await sessionService.revokeSession(req.sessionId, 'logout');
+        privateMiddleware.clearAuthCookies(res);
+
+        return res.render('home/home', { message: 'Vous avez été déconnecté.' });
+    } catch (error) {
+        return res.status(501).json(error);
+    }
+};
+
+/**
+ * Revoke every session of a user, so that they are logged out everywhere.
+ * 
+ * @function revokeSessions
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.post('/:id/sessions/revoke', private.checkJWT, userController.revokeSessions);
+ */
+exports.revokeSessions = async (req, res) => {
+    const id = req.params.id;
+
+    try {
+        const user = await userService.findUserById(id);
+
+        if (!user) {
+            return res.status(404).render('error/error', { errors: ['Utilisateur non trouvé'] });
+        }
+
+        const count = await sessionService.revokeUserSessions(user.id, 'admin');
+
+        return res.render('dashboard/dashboard', { message: `${count} session(s) de l'utilisateur ${user.name} révoquée(s)` });
+    } catch (error) {
+        if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+
+        return res.status(501).json(error);
+    }
+};
+
+/**
+ * Render the "forgot password" page.
+ * 
+ * @function renderForgotPassword
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.get('/password/forgot', userController.renderForgotPassword);
+ */
+exports.renderForgotPassword = async (req, res) => {
+    return res.render('users/forgot_password', { message: null });
+};
+
+/**
+ * Email a password reset link to the user with the given email.
+ * 
+ * The answer is the same whether the email exists or not, so the page cannot be
+ * used to find out who has an account.
+ * 
+ * The link is built on `APP_URL`, never on the Host header of the request, which the
+ * client chooses: without `APP_URL` no link is sent and a 503 is returned.
+ * 
+ * @function forgotPassword
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.post('/password/forgot', userController.forgotPassword);
+ */
+exports.forgotPassword = async (req, res) => {
+    const message = 'Si un compte existe pour cet email, un lien de réinitialisation vient de lui être envoyé.';
+
+    if (!process.env.APP_URL) {
+        console.error('Password reset error: APP_URL is not set');
+        return res.status(503).render('error/error', { errors: ['La réinitialisation du mot de passe n\'est pas disponible, contactez la capitainerie'] });
+    }
+
+    try {
+        const reset = await userService.createPasswordResetToken(req.body.email);
+
+        if (reset) {
+            const link = `${process.env.APP_URL}/users/password/reset?token=${reset.token}`;
+            const minutes = userService.PASSWORD_RESET_EXPIRES_IN / 60000;
+
+            await mailer.sendMail({
+                to: reset.user.email,
+                subject: 'Réinitialisation de votre mot de passe',
+                text: `Bonjour ${reset.user.name},\n\nPour choisir un nouveau mot de passe, ouvrez ce lien dans les ${minutes} minutes :\n${link}\n\nSi vous n'avez rien demandé, ignorez ce message.`,
+            });
+        }
+
+        return res.render('users/forgot_password', { message });
+    } catch (error) {
+        return res.status(501).json(error);
+    }
+};
+
+/**
+ * Render the "reset password" page, if the token of the link is still valid.
+ * 
+ * @function renderResetPassword
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.get('/password/reset', userController.renderResetPassword);
+ */
+exports.renderResetPassword = async (req, res) => {
+    try {
+        const user = await userService.findUserByResetToken(req.query.token);
+
+        if (!user) {
+            return res.status(400).render('error/error', { errors: ['Ce lien de réinitialisation est invalide ou a expiré'] });
+        }
+
+        return res.render('users/reset_password', { token: req.query.token, message: null });
+    } catch (error) {
+        return res.status(501).json(error);
+    }
+};
+
+/**
+ * Set a new password with a reset token, then send the user back to the login page.
+ * 
+ * @function resetPassword
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * // Usage in route
+ * router.post('/password/reset', userController.resetPassword);
+ */
+exports.resetPassword = async (req, res) => {
+    const { token, password, passwordConfirm } = req.body;
+
+    if (!password || password !== passwordConfirm) {
+        return res.status(400).render('users/reset_password', { token, message: 'Les deux mots de passe ne correspondent pas' });
+    }
+
+    try {
+        const user = await userService.resetPassword(token, password);
+
+        if (!user) {
+            return res.status(400).render('error/error', { errors: ['Ce lien de réinitialisation est invalide ou a expiré'] });
+        }
+
+        return res.render('home/home', { message: 'Votre mot de passe a été modifié, vous pouvez vous connecter.' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(e => e.message);
+            return res.status(400).render('users/reset_password', { token, message: errors.join(' ') });
+        }
+
+        return res.status(501).json(error);
+    }
+};
@@ -0,0 +1,241 @@
+const WaitlistEntry = require('../models/waitlistEntry');
+const waitlistService = require('../services/waitlist');
+const customerService = require('../services/customers');
+const boatService = require('../services/boats');
+const privateMiddleware = require('../middlewares/private');
+
+/**
+ * @module waitlistController
+ */
+
+/**
+ * Go back to the dashboard when the action was made from it, or else to the waitlist,
+ * with a message.
+ *
+ * @private
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @param {String} message - The message to show.
+ * @returns {void}
+ */
+const redirectWithMessage = (req, res, message) => {
+    if (req.headers.referer && req.headers.referer.includes('dashboard')) {
+        req.session.message = message;
+        return res.redirect('/dashboard');
+    }
+
+    return res.redirect(`/waitlist?message=${message}`);
+};
+
+/**
+ * Render the waitlist, the oldest entries first: those waiting or with a catway offered,
+ * or those of the `status` of the query string.
+ *
+ * @function getAll
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/', private.checkJWT, controller.getAll);
+ */
+exports.getAll = async (req, res) => {
+    const status = req.query.status || '';
+
+    if (status && !WaitlistEntry.STATUS_LABELS[status]) {
+        return res.status(400).render('error/error', { errors: ['Le statut demandé n\'existe pas'] });
+    }
+
+    try {
+        const entries = await waitlistService.listEntries(status || undefined);
+
+        return res.status(200).render('waitlist/list', {
+            entries,
+            status,
+            statusLabels: WaitlistEntry.STATUS_LABELS,
+            canEdit: privateMiddleware.hasPermission(req.user, 'reservations:write'),
+            message: req.query.message
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Render the form to put a client on the waitlist.
+ *
+ * @function renderAddForm
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.get('/add', private.checkJWT, controller.renderAddForm);
+ */
+exports.renderAddForm = async (req, res) => {
+    try {
+        const customers = await customerService.getAllCustomers();
+        const boats = await boatService.getAllBoats();
+
+        return res.render('waitlist/add', { customers, boats });
+    } catch (error) {
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Put a client on the waitlist and go back to it.
+ *
+ * Expects the customer or `clientName`, the boat or `boatName`, `checkIn`, `checkOut`,
+ * the `catwayTypes` accepted and the `electricity` and `water` checkboxes in the body.
+ *
+ * @function add
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/', private.checkJWT, controller.add);
+ */
+exports.add = async (req, res) => {
+    try {
+        const entry = await waitlistService.addEntry({
+            customer: req.body.customer || undefined,
+            clientName: req.body.clientName,
+            boat: req.body.boat || undefined,
+            boatName: req.body.boatName,
+            checkIn: req.body.checkIn,
+            checkOut: req.body.checkOut,
+            catwayTypes: [].concat(req.body.catwayTypes || []),
+            extras: {
+                electricity: !!req.body.electricity,
+                water: !!req.body.water
+            }
+        }, req.user);
+
+        return res.redirect(`/waitlist?message=${entry.clientName} est sur liste d'attente du ${entry.checkIn.toLocaleDateString('fr-FR')} au ${entry.checkOut.toLocaleDateString('fr-FR')}`);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(e => e.message);
+            return res.status(400).render('error/error', { errors });
+        }
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Book the catway offered to a waitlist entry, in one click from the dashboard or the
+ * waitlist, and go back there.
+ *
+ * Responds with a 409 when no catway is offered to the entry, or when the catway was
+ * booked in the meantime (the entry is then back on the waitlist), with a 400 when the
+ * reservation cannot be made, e.g. when the boat does not fit, and with a 503 when the
+ * catway is being booked by someone else (the offer is kept, to try again).
+ *
+ * @function accept
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/:id/accept', private.checkJWT, controller.accept);
+ */
+exports.accept = async (req, res) => {
+    try {
+        const result = await waitlistService.acceptOffer(req.params.id, req.user);
+
+        if (!result) {
+            return res.status(404).render('error/error', { errors: ['Demande non trouvée'] });
+        }
+
+        const { reservation } = result;
+        return redirectWithMessage(req, res, `Le catway ${reservation.catwayNumber} est réservé pour le bateau ${reservation.boatName}`);
+    } catch (error) {
+        if (error.name === 'WaitlistStatusError') {
+            return res.status(409).render('error/error', { errors: [error.message] });
+        } else if (error.name === 'ReservationConflictError') {
+            return res.status(409).render('error/error', { errors: ['Le catway n\'est plus libre sur ces dates : la demande est remise sur liste d\'attente'] });
+        } else if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(e => e.message);
+            return res.status(400).render('error/error', { errors });
+        } else if (error.name === 'BoatDoesNotFitError') {
+            return res.status(400).render('error/error', { errors: error.problems });
+        } else if (error.name === 'CatwayLockedError') {
+            return res.status(503).render('error/error', { errors: [error.message] });
+        } else if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Turn down the catway offered to a waitlist entry: the entry goes back on the waitlist
+ * and the catway is offered to the next one.
+ *
+ * Responds with a 409 when no catway is offered to the entry.
+ *
+ * @function decline
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/:id/decline', private.checkJWT, controller.decline);
+ */
+exports.decline = async (req, res) => {
+    try {
+        const entry = await waitlistService.declineOffer(req.params.id);
+
+        if (!entry) {
+            return res.status(404).render('error/error', { errors: ['Demande non trouvée'] });
+        }
+
+        return redirectWithMessage(req, res, `${entry.clientName} est de nouveau sur liste d'attente`);
+    } catch (error) {
+        if (error.name === 'WaitlistStatusError') {
+            return res.status(409).render('error/error', { errors: [error.message] });
+        } else if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
+
+/**
+ * Take a client off the waitlist and go back to it.
+ *
+ * Responds with a 409 when the entry is already booked or withdrawn.
+ *
+ * @function withdraw
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * // Usage in route
+ * router.post('/:id/withdraw', private.checkJWT, controller.withdraw);
+ */
+exports.withdraw = async (req, res) => {
+    try {
+        const entry = await waitlistService.withdrawEntry(req.params.id);
+
+        if (!entry) {
+            return res.status(404).render('error/error', { errors: ['Demande non trouvée'] });
+        }
+
+        return redirectWithMessage(req, res, `${entry.clientName} n'est plus sur la liste d'attente`);
+    } catch (error) {
+        if (error.name === 'WaitlistStatusError') {
+            return res.status(409).render('error/error', { errors: [error.message] });
+        } else if (error.kind === "ObjectId") {
+            return res.status(400).render('error/error', { errors: ['Entrez un identifiant valide'] });
+        }
+        return res.status(500).json({ message: 'Internal Server Error', error });
+    }
+};
@@ -0,0 +1,160 @@
+const listQueryService = require('../services/listQuery');
+
+/**
+ * @module ApiMiddleware
+ *
+ */
+
+// Seconds after which a request refused because its catway was locked can be sent again
+const CATWAY_LOCKED_RETRY_AFTER = 5;
+
+/**
+ * Send an error using the JSON envelope shared by every `/api/v1` endpoint.
+ *
+ * The body always has the shape `{ error: { status, message, details } }`, where
+ * `details` is only present when there is something more to say (e.g. the list of
+ * invalid fields or of conflicting reservations).
+ *
+ * @function sendError
+ * @param {Object} res - The Express response object.
+ * @param {number} status - The HTTP status code.
+ * @param {string} message - A human readable message.
+ * @param {Array|Object} [details] - Extra information about the error.
+ * @returns {void}
+ *
+ * @example
+ * return api.sendError(res, 404, 'Catway non trouvé');
+ */
+exports.sendError = (res, status, message, details) => {
+    const error = { status, message };
+
+    if (details !== undefined) {
+        error.details = details;
+    }
+
+    return res.status(status).json({ error });
+};
+
+/**
+ * Send one page of a list. The body stays a plain array; the total number of records
+ * is sent in the `X-Total-Count` header and the links to the other pages in the `Link`
+ * header (`rel="prev"` and `rel="next"`).
+ *
+ * @function sendPage
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @param {Object} result - The page, as returned by `listQuery.findPage`.
+ * @returns {void}
+ *
+ * @example
+ * return api.sendPage(req, res, await catwayService.listCatways(listQuery));
+ */
+exports.sendPage = (req, res, result) => {
+    const { prev, next } = listQueryService.pagination(req.baseUrl + req.path, req.query, result);
+    const link = [[prev, 'prev'], [next, 'next']]
+        .filter(([url]) => url)
+        .map(([url, rel]) => `<${url}>; rel="${rel}"`)
+        .join(', ');
+
+    res.set('X-Total-Count', String(result.total));
+    if (link) {
+        res.set('Link', link);
+    }
+
+    return res.status(200).json(result.items);
+};
+
+/**
+ * Translate an error thrown by a service into an API error response.
+ *
+ * - Mongoose validation errors become 422 with one detail per invalid field.
+ * - A boat too big for its catway becomes 422 with the problems as details.
+ * - Stays that cannot be priced (no tariff, no quote) become 422.
+ * - Duplicate keys (code 11000), reservation overlaps, forbidden status changes, edits of
+ *   reservations that can no longer change, and catways deleted with reservations to come become 409.
+ * - Malformed ObjectIds become 400.
+ * - Logins refused after too many failures become 429, with a `Retry-After` header.
+ * - A catway whose reservation lock stays taken becomes 503, with a `Retry-After` header.
+ * - Anything else is a 500.
+ *
+ * @function handleError
+ * @param {Object} res - The Express response object.
+ * @param {Error} error - The error to translate.
+ * @returns {void}
+ *
+ * @example
+ * try {
+ *   ...
+ * } catch (error) {
+ *   return api.handleError(res, error);
+ * }
+ */
+exports.handleError = (res, error) => {
+    if (error.name === 'ValidationError') {
+        const details = Object.values(error.errors).map(e => ({ field: e.path, message: e.message }));
+        return exports.sendError(res, 422, 'Données invalides', details);
+    } else if (error.name === 'BoatDoesNotFitError') {
+        return exports.sendError(res, 422, error.message, error.problems);
+    } else if (error.name === 'NoTariffError' || error.name === 'ReservationNotQuotedError') {
+        return exports.sendError(res, 422, error.message);
+    } else if (error.name === 'ReservationConflictError') {
+        return exports.sendError(res, 409, error.message, error.conflicts);
+    } else if (error.name === 'InvalidStatusTransitionError') {
+        return exports.sendError(res, 409, error.message, { from: error.from, to: error.to });
+    } else if (error.name === 'ReservationNotEditableError') {
+        return exports.sendError(res, 409, error.message);
+    } else if (error.name === 'CatwayHasReservationsError') {
+        return exports.sendError(res, 409, error.message, error.reservations);
+    } else if (error.code === 11000) {
+        // Mongoose uses code 11000 for duplicate key errors
+        return exports.sendError(res, 409, 'Cette ressource existe déjà', error.keyValue);
+    } else if (error.kind === 'ObjectId') {
+        return exports.sendError(res, 400, 'Entrez un identifiant valide');
+    } else if (error.name === 'TooManyLoginAttemptsError') {
+        res.set('Retry-After', String(error.retryAfter));
+        return exports.sendError(res, 429, error.message, { retryAfter: error.retryAfter });
+    } else if (error.name === 'CatwayLockedError') {
+        res.set('Retry-After', String(CATWAY_LOCKED_RETRY_AFTER));
+        return exports.sendError(res, 503, error.message);
+    }
+
+    console.error('API error:', error);
+    return exports.sendError(res, 500, 'Internal Server Error');
+};
+
+/**
+ * Catch-all for `/api/v1` requests that match no route.
+ *
+ * @function notFound
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ *
+ * @example
+ * router.use(api.notFound);
+ */
+exports.notFound = (req, res) => {
+    return exports.sendError(res, 404, `Route ${req.method} ${req.originalUrl} introuvable`);
+};
+
+/**
+ * Express error handler for `/api/v1`, so that errors raised by other middlewares
+ * (e.g. a malformed JSON body) are returned with the JSON envelope instead of HTML.
+ *
+ * @function errorHandler
+ * @param {Error} err - The error passed to `next`.
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @param {Function} next - The next middleware function in the stack.
+ * @returns {void}
+ *
+ * @example
+ * app.use('/api/v1', api.errorHandler);
+ */
+exports.errorHandler = (err, req, res, next) => {
+    if (err.status && err.status < 500) {
+        return exports.sendError(res, err.status, err.message);
+    }
+
+    return exports.handleError(res, err);
+};
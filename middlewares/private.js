@@ -1,17 +1,202 @@
 const jwt = require('jsonwebtoken');
-const SECRET_KEY = process.env.SECRET_KEY;
+const api = require('./api');
+const sessionService = require('../services/sessions');
 
 /**
  * @module JwtMiddleware
  * 
  */
 
+/**
+ * Read the JWT sent with a request.
+ * 
+ * An `Authorization: Bearer <token>` header (used by scripts and API clients) takes
+ * precedence over the `authToken` cookie (used by the browser pages).
+ * 
+ * @function getToken
+ * @param {Object} req - The Express request object.
+ * @returns {string|undefined} The raw token, without any 'Bearer ' prefix.
+ * 
+ * @example
+ * const token = private.getToken(req);
+ */
+exports.getToken = (req) => {
+    const header = req.headers && req.headers.authorization;
+
+    if (header && /^bearer\s+/i.test(header)) {
+        return header.replace(/^bearer\s+/i, '').trim();
+    }
+
+    let token = req.cookies && req.cookies.authToken;
+
+    // Strip the 'Bearer ' prefix if it exists
+    if (token && token.toLowerCase().startsWith('bearer')) {
+        token = token.slice(7, token.length);
+    }
+
+    return token;
+};
+
+/**
+ * Tell whether a request comes from an API client rather than a browser page.
+ * 
+ * Requests to `/api/`, requests carrying an `Authorization` header and requests
+ * that prefer JSON over HTML are answered with JSON.
+ * 
+ * @function wantsJson
+ * @param {Object} req - The Express request object.
+ * @returns {boolean} True if the response should be JSON.
+ * 
+ * @example
+ * if (private.wantsJson(req)) { ... }
+ */
+exports.wantsJson = (req) => {
+    if ((req.originalUrl || '').startsWith('/api/') || (req.headers && req.headers.authorization)) {
+        return true;
+    }
+
+    return typeof req.accepts === 'function' && req.accepts(['html', 'json']) === 'json';
+};
+
+/**
+ * Answer an authentication or authorization error, as JSON for API clients
+ * or with the error page for browsers.
+ * 
+ * @private
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @param {number} status - 401 or 403.
+ * @param {string} message - The message to show.
+ * @returns {void}
+ */
+const deny = (req, res, status, message) => {
+    if (exports.wantsJson(req)) {
+        return api.sendError(res, status, message);
+    }
+
+    return res.status(status).render('error/error', { errors: [message] });
+};
+
+/**
+ * What each role may do. A permission is `<resource>:<action>`.
+ * 
+ * @constant
+ * @type {Object<string, Array<string>>}
+ */
+const PERMISSIONS = {
+    'catways:read': ['admin', 'harbourMaster', 'agent', 'accountant'],
+    'catways:write': ['admin', 'harbourMaster'],
+    'catways:delete': ['admin', 'harbourMaster'],
+    'catways:layout': ['admin'],
+    'reservations:read': ['admin', 'harbourMaster', 'agent', 'accountant'],
+    'reservations:write': ['admin', 'harbourMaster', 'agent'],
+    'reservations:delete': ['admin', 'harbourMaster', 'agent'],
+    'customers:read': ['admin', 'harbourMaster', 'agent', 'accountant'],
+    'customers:write': ['admin', 'harbourMaster', 'agent'],
+    'customers:delete': ['admin', 'harbourMaster'],
+    'boats:read': ['admin', 'harbourMaster', 'agent', 'accountant'],
+    'boats:write': ['admin', 'harbourMaster', 'agent'],
+    'boats:delete': ['admin', 'harbourMaster'],
+    'tariffs:read': ['admin', 'harbourMaster', 'agent', 'accountant'],
+    'tariffs:write': ['admin', 'harbourMaster'],
+    'invoices:read': ['admin', 'harbourMaster', 'agent', 'accountant'],
+    'invoices:write': ['admin', 'harbourMaster', 'agent'],
+    'payments:read': ['admin', 'harbourMaster', 'agent', 'accountant'],
+    'payments:write': ['admin', 'harbourMaster', 'agent'],
+    'payments:reverse': ['admin', 'harbourMaster'],
+    'users:read': ['admin', 'harbourMaster'],
+    'users:write': ['admin'],
+    'users:delete': ['admin'],
+    'trash:read': ['admin', 'harbourMaster', 'agent'],
+    'trash:purge': ['admin'],
+    'audit:read': ['admin'],
+    'calendars:manage': ['admin', 'harbourMaster'],
+};
+
+exports.PERMISSIONS = PERMISSIONS;
+
+/**
+ * Tell whether a user holds a permission.
+ * 
+ * @function hasPermission
+ * @param {Object} user - The user decoded from the JWT (`req.user`).
+ * @param {string} permission - The permission to check, e.g. 'catways:delete'.
+ * @returns {boolean} True if the role of the user grants the permission.
+ * 
+ * @example
+ * if (private.hasPermission(req.user, 'users:write')) { ... }
+ */
+exports.hasPermission = (user, permission) => {
+    const roles = PERMISSIONS[permission];
+
+    if (!roles) {
+        throw new Error(`Unknown permission: ${permission}`);
+    }
+
+    return !!user && roles.includes(user.role);
+};
+
+/**
+ * Store the tokens of a session in the browser cookies.
+ * 
+ * @function setAuthCookies
+ * @param {Object} res - The Express response object.
+ * @param {Object} tokens - The tokens returned by `sessionService.openSession` or `refreshSession`.
+ * @returns {void}
+ * 
+ * @example
+ * private.setAuthCookies(res, await sessionService.openSession(user));
+ */
+exports.setAuthCookies = (res, tokens) => {
+    res.cookie('authToken', tokens.accessToken, { httpOnly: true, sameSite: 'lax', maxAge: tokens.expiresIn * 1000 });
+    res.cookie('refreshToken', tokens.refreshToken, { httpOnly: true, sameSite: 'lax', maxAge: tokens.refreshExpiresIn * 1000 });
+};
+
+/**
+ * Remove the session cookies from the browser.
+ * 
+ * @function clearAuthCookies
+ * @param {Object} res - The Express response object.
+ * @returns {void}
+ * 
+ * @example
+ * private.clearAuthCookies(res);
+ */
+exports.clearAuthCookies = (res) => {
+    res.clearCookie('authToken');
+    res.clearCookie('refreshToken');
+};
+
+/**
+ * Verify a JWT and resolve with its payload, or null when it is not valid.
+ * 
+ * @private
+ * @param {string} token - The token to verify.
+ * @returns {Promise<Object|null>} The decoded payload.
+ */
+const verifyToken = (token) => new Promise((resolve) => {
+    jwt.verify(token, process.env.SECRET_KEY, (err, decoded) => {
+        if (err) {
+            console.error('Token verification error:', err);
+            return resolve(null);
+        }
+        resolve(decoded);
+    });
+});
+
 /**
  * Middleware to check if the user has a valid JWT (JSON Web Token).
  * 
- * This middleware checks the `authToken` from the user's cookies. If the token is valid,
- * the decoded user information is attached to the `req` object. If the token is invalid
- * or missing, it returns a 401 Unauthorized error.
+ * This middleware reads the token from the `Authorization: Bearer` header or, failing that,
+ * from the `authToken` cookie. The token must be valid and its session (`sid`) must not have
+ * been revoked. The decoded user information is then attached to `req.user` and the session
+ * ID to `req.sessionId`.
+ * 
+ * Browsers only keep a short-lived access token: when it is missing or expired, the
+ * `refreshToken` cookie is used to rotate both cookies transparently.
+ * 
+ * If no valid token can be found, it returns a 401 Unauthorized error: JSON for API clients,
+ * the error page for browsers.
  * 
  * @function checkJWT
  * @param {Object} req - The Express request object.
@@ -26,31 +211,70 @@ const SECRET_KEY = process.env.SECRET_KEY;
  *   res.json({ message: 'This is a protected route', user: req.user });
  * });
  * 
- * @throws {401} If the token is not valid or missing.
+ * @throws {401} If the token is not valid, revoked or missing.
  * @returns {void}
  */
 exports.checkJWT = async (req, res, next) => {
-    let token = req.cookies.authToken;
+    try {
+        const token = exports.getToken(req);
+        let decoded = token ? await verifyToken(token) : null;
 
-    // Strip the 'Bearer ' prefix if it exists
-    if (token && token.toLowerCase().startsWith('bearer')) {
-        token = token.slice(7, token.length);
-    }
+        // The browser access token is gone or expired: rotate it with the refresh cookie
+        if (!decoded && !exports.wantsJson(req) && req.cookies && req.cookies.refreshToken) {
+            const tokens = await sessionService.refreshSession(req.cookies.refreshToken);
 
-    if (token) {
-        // Verify the token using the SECRET_KEY
-        jwt.verify(token, SECRET_KEY, (err, decoded) => {
-            if (err) {
-                console.error('Token verification error:', err);
-                return res.status(401).json('token_not_valid');
+            if (tokens) {
+                exports.setAuthCookies(res, tokens);
+                decoded = jwt.decode(tokens.accessToken);
             } else {
-                // Attach the decoded user information to the request
-                req.user = decoded.user;
-                next();
+                exports.clearAuthCookies(res);
             }
-        });
-    } else {
-        // No token provided - render an error page
-        return res.status(401).render('error/error', { errors : ["Connectez vous pour accéder a cette page"] })
+        }
+
+        if (!decoded) {
+            const message = token ? 'Session invalide ou expirée, reconnectez vous' : 'Connectez vous pour accéder a cette page';
+            return deny(req, res, 401, message);
+        }
+
+        if (!(await sessionService.isSessionActive(decoded.sid))) {
+            return deny(req, res, 401, 'Session révoquée, reconnectez vous');
+        }
+
+        // Attach the decoded user information to the request
+        req.user = decoded.user;
+        req.sessionId = decoded.sid;
+        next();
+    } catch (error) {
+        next(error);
     }
 };
+
+/**
+ * Middleware factory checking that the authenticated user holds a permission.
+ * 
+ * Must be used after `checkJWT`, which sets `req.user`. Answers a 403 Forbidden
+ * (JSON for API clients, the error page for browsers) when the role of the user
+ * does not grant the permission.
+ * 
+ * @function checkPermission
+ * @param {string} permission - The permission required, e.g. 'catways:delete'.
+ * @returns {Function} The Express middleware.
+ * 
+ * @example
+ * router.delete('/:id', private.checkJWT, private.checkPermission('catways:delete'), controller.delete);
+ * 
+ * @throws {403} If the role of the user does not grant the permission.
+ */
+exports.checkPermission = (permission) => {
+    if (!PERMISSIONS[permission]) {
+        throw new Error(`Unknown permission: ${permission}`);
+    }
+
+    return (req, res, next) => {
+        if (!exports.hasPermission(req.user, permission)) {
+            return deny(req, res, 403, 'Vous n\'avez pas les droits nécessaires pour cette action');
+        }
+
+        next();
+    };
+};
@@ -0,0 +1,51 @@
+const multer = require('multer');
+const privateMiddleware = require('./private');
+
+/**
+ * @module UploadMiddleware
+ *
+ */
+
+// Largest file accepted, in bytes
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+exports.MAX_FILE_SIZE = MAX_FILE_SIZE;
+
+/**
+ * Middleware factory reading one file sent with a `multipart/form-data` form.
+ *
+ * The file is kept in memory, in `req.file.buffer`, with its name in
+ * `req.file.originalname`; the other fields of the form are in `req.body`. A file
+ * larger than `MAX_FILE_SIZE` or sent under another field is answered with a 400
+ * (JSON for API clients, the error page for browsers).
+ *
+ * @function singleFile
+ * @param {string} field - The name of the file field of the form.
+ * @returns {Function} The Express middleware.
+ *
+ * @example
+ * router.post('/', private.checkJWT, upload.singleFile('file'), controller.preview);
+ */
+exports.singleFile = (field) => {
+    const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FILE_SIZE, files: 1 } }).single(field);
+
+    return (req, res, next) => {
+        upload(req, res, (error) => {
+            if (!error) {
+                return next();
+            }
+            if (!(error instanceof multer.MulterError)) {
+                return next(error);
+            }
+
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Le fichier ne doit pas dépasser ${MAX_FILE_SIZE / 1024 / 1024} Mo`
+                : 'Envoyez un seul fichier, dans le champ prévu';
+
+            if (privateMiddleware.wantsJson(req)) {
+                return res.status(400).json({ errors: [message] });
+            }
+            return res.status(400).render('error/error', { errors: [message] });
+        });
+    };
+};
@@ -0,0 +1,23 @@
+/**
+ * Index the reservations by catway and dates, which every conflict check, availability
+ * search and calendar looks them up by. The index by customer is declared on the model
+ * (`customer_1`), which builds it on its own.
+ *
+ * @module migrations/001-reservation-indexes
+ */
+
+const INDEXES = [
+    { key: { catwayNumber: 1, checkIn: 1, checkOut: 1 }, name: 'catwayNumber_checkIn_checkOut' }
+];
+
+exports.description = 'Index des réservations par catway et dates';
+
+exports.up = async (db) => {
+    await db.collection('reservations').createIndexes(INDEXES);
+};
+
+exports.down = async (db) => {
+    for (const index of INDEXES) {
+        await db.collection('reservations').dropIndex(index.name);
+    }
+};
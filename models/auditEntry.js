@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * AuditEntry model for MongoDB using Mongoose.
+ *
+ * @module AuditEntry
+ *
+ */
+
+/**
+ * AuditEntry schema recording one write on a catway, a reservation or a user:
+ * who made it, what it did, and the values of the fields before and after.
+ *
+ * Entries are only ever added, never changed.
+ *
+ * @typedef {Object} AuditEntry
+ * @property {ObjectId} user - The user who made the change, if it was made by a user.
+ * @property {string} userName - The name of that user, kept in case the user is deleted.
+ * @property {string} action - 'create', 'update', 'delete', 'restore' or 'purge'.
+ * @property {string} entity - 'catway', 'reservation' or 'user'.
+ * @property {ObjectId} entityId - The ID of the record changed.
+ * @property {string} label - A readable name of the record changed, e.g. 'Catway 3'.
+ * @property {Array<Object>} changes - The fields changed, with their value before (`from`) and after (`to`).
+ * @property {Date} createdAt - When the change was made.
+ *
+ * @example
+ * const exampleAuditEntry = {
+ *   user: '60c72b2f9f1b2c001c9a9e99',
+ *   userName: 'Alice',
+ *   action: 'update',
+ *   entity: 'catway',
+ *   entityId: '60c72b2f9f1b2c001c9a9e84',
+ *   label: 'Catway 3',
+ *   changes: [{ field: 'catwayState', from: 'available', to: 'maintenance' }]
+ * };
+ *
+ *
+ */
+const auditEntrySchema = new Schema({
+    /**
+     * The user who made the change. Empty for changes made by the application itself.
+     *
+     * @type {ObjectId}
+     */
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    /**
+     * The name of the user who made the change.
+     *
+     * @type {string}
+     */
+    userName: {
+        type: String
+    },
+    /**
+     * What the change did.
+     *
+     * @type {string}
+     * @required
+     * @enum ['create', 'update', 'delete', 'restore', 'purge']
+     */
+    action: {
+        type: String,
+        required: true,
+        enum: ['create', 'update', 'delete', 'restore', 'purge'],
+        index: true
+    },
+    /**
+     * The kind of record changed.
+     *
+     * @type {string}
+     * @required
+     * @enum ['catway', 'reservation', 'user']
+     */
+    entity: {
+        type: String,
+        required: true,
+        enum: ['catway', 'reservation', 'user'],
+        index: true
+    },
+    /**
+     * The ID of the record changed.
+     *
+     * @type {ObjectId}
+     * @required
+     */
+    entityId: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        index: true
+    },
+    /**
+     * A readable name of the record changed.
+     *
+     * @type {string}
+     * @example 'Catway 3'
+     */
+    label: {
+        type: String
+    },
+    /**
+     * The fields changed, with their value before and after. Passwords are masked.
+     *
+     * @type {Array<Object>}
+     * @example [{ field: 'catwayState', from: 'available', to: 'maintenance' }]
+     */
+    changes: [{
+        _id: false,
+        field: String,
+        from: Schema.Types.Mixed,
+        to: Schema.Types.Mixed
+    }]
+}, {
+    // Only the creation date: an entry is never updated
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditEntrySchema.index({ createdAt: -1 });
+
+/**
+ * The actions in French, for the audit page.
+ */
+auditEntrySchema.statics.ACTION_LABELS = {
+    create: 'Création',
+    update: 'Modification',
+    delete: 'Mise à la corbeille',
+    restore: 'Restauration',
+    purge: 'Suppression définitive'
+};
+
+/**
+ * The kinds of records in French, for the audit page.
+ */
+auditEntrySchema.statics.ENTITY_LABELS = {
+    catway: 'Catway',
+    reservation: 'Réservation',
+    user: 'Utilisateur'
+};
+
+module.exports = mongoose.model('AuditEntry', auditEntrySchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const Customer = require('./customer');
+
+/**
+ * Boat model for MongoDB using Mongoose.
+ *
+ * @module Boat
+ *
+ */
+
+/**
+ * Boat schema representing a boat registered at the harbour office, resident or visiting.
+ *
+ * Dimensions are in metres. They decide which catways the boat fits on.
+ *
+ * @typedef {Object} Boat
+ * @property {string} name - The name of the boat.
+ * @property {string} registrationNumber - The official registration number, unique.
+ * @property {number} length - Length overall, in metres.
+ * @property {number} beam - Width, in metres.
+ * @property {number} draft - Depth below the waterline, in metres.
+ * @property {ObjectId} owner - The customer who owns the boat.
+ * @property {Date} insuranceExpiresAt - When the boat's insurance expires.
+ *
+ * @example
+ * const exampleBoat = {
+ *   name: 'The Odyssey',
+ *   registrationNumber: 'MA123456',
+ *   length: 11.5,
+ *   beam: 3.8,
+ *   draft: 1.9,
+ *   owner: '60c72b2f9f1b2c001c9a9e84',
+ *   insuranceExpiresAt: new Date('2025-03-31')
+ * };
+ *
+ *
+ */
+const boatSchema = new Schema({
+    /**
+     * The name of the boat.
+     * It must contain at least one alphabetic character.
+     *
+     * @type {string}
+     * @required
+     * @trim
+     * @minlength 2
+     * @maxlength 50
+     * @example 'The Odyssey'
+     */
+    name: {
+        type: String,
+        required: [true, 'Le nom du bateau est obligatoire'],
+        trim: true,
+        minlength: [2, 'Le nom du bateau doit comporter au moins 2 caractères'],
+        maxlength: [50, 'Le nom du bateau ne peut pas dépasser 50 caractères'],
+        validate: {
+            validator: function(v) {
+                return /[a-zA-Z]/.test(v);
+            },
+            message: props => `${props.value} n'est pas valide ! Le nom du bateau doit contenir au moins une lettre.`
+        }
+    },
+    /**
+     * The official registration number of the boat.
+     *
+     * @type {string}
+     * @trim
+     * @uppercase
+     * @unique
+     * @example 'MA123456'
+     */
+    registrationNumber: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        unique: true,
+        sparse: true
+    },
+    /**
+     * Length overall, in metres.
+     *
+     * @type {number}
+     * @required
+     * @example 11.5
+     */
+    length: {
+        type: Number,
+        required: [true, 'La longueur du bateau est obligatoire'],
+        min: [1, 'La longueur du bateau doit être d\'au moins 1 mètre'],
+        max: [100, 'La longueur du bateau ne peut pas dépasser 100 mètres']
+    },
+    /**
+     * Width, in metres.
+     *
+     * @type {number}
+     * @example 3.8
+     */
+    beam: {
+        type: Number,
+        min: [0.5, 'La largeur du bateau doit être d\'au moins 0,5 mètre'],
+        max: [30, 'La largeur du bateau ne peut pas dépasser 30 mètres']
+    },
+    /**
+     * Depth below the waterline, in metres.
+     *
+     * @type {number}
+     * @example 1.9
+     */
+    draft: {
+        type: Number,
+        min: [0, 'Le tirant d\'eau ne peut pas être négatif'],
+        max: [15, 'Le tirant d\'eau ne peut pas dépasser 15 mètres']
+    },
+    /**
+     * The customer who owns the boat.
+     *
+     * @type {ObjectId}
+     * @validate {validator: ownerExistsValidator, message: 'Owner not found'}
+     */
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: 'Customer',
+        index: true,
+        validate: {
+            validator: async function(v) {
+                return !v || !!(await Customer.exists({ _id: v }));
+            },
+            message: 'Propriétaire non trouvé'
+        }
+    },
+    /**
+     * When the boat's insurance expires.
+     *
+     * @type {Date}
+     * @example new Date('2025-03-31')
+     */
+    insuranceExpiresAt: {
+        type: Date
+    }
+}, {
+    // Automatically adds createdAt and updatedAt timestamps
+    timestamps: true
+});
+
+module.exports = mongoose.model('Boat', boatSchema);
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const Catway = require('./catway');
+const Customer = require('./customer');
+
+/**
+ * CalendarFeed model for MongoDB using Mongoose.
+ *
+ * @module CalendarFeed
+ *
+ */
+
+/**
+ * CalendarFeed schema representing a read-only iCalendar feed of reservations.
+ *
+ * Calendar apps cannot log in, so a feed is read through a secret URL token. Only the
+ * hash of the token is stored: the URL is shown once, when the feed is created, and
+ * revoking the feed makes it stop working.
+ *
+ * @typedef {Object} CalendarFeed
+ * @property {string} kind - What the feed shows: 'catway' (the stays on a catway), 'movements' (all arrivals and departures) or 'customer' (the stays of a customer).
+ * @property {number} catwayNumber - The catway of a 'catway' feed.
+ * @property {ObjectId} customer - The customer of a 'customer' feed.
+ * @property {string} label - The name of the feed, shown in the calendar apps.
+ * @property {string} tokenHash - SHA-256 hash of the URL token.
+ * @property {ObjectId} createdBy - The user who created the feed.
+ * @property {Date} lastReadAt - When a calendar app last read the feed.
+ * @property {Date} revokedAt - When the feed was revoked, if it was.
+ *
+ * @example
+ * const exampleFeed = {
+ *   kind: 'catway',
+ *   catwayNumber: 12,
+ *   label: 'Catway 12',
+ *   tokenHash: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+ * };
+ *
+ *
+ */
+const calendarFeedSchema = new Schema({
+    /**
+     * What the feed shows.
+     *
+     * @type {string}
+     * @required
+     * @enum ['catway', 'movements', 'customer']
+     */
+    kind: {
+        type: String,
+        required: [true, 'Le type de calendrier est obligatoire'],
+        enum: {
+            values: ['catway', 'movements', 'customer'],
+            message: '{VALUE} n\'est pas un type de calendrier valide'
+        }
+    },
+    /**
+     * The catway of a 'catway' feed.
+     *
+     * @type {number}
+     */
+    catwayNumber: {
+        type: Number,
+        required: [function() { return this.kind === 'catway'; }, 'Choisissez le catway du calendrier'],
+        validate: {
+            validator: async function(v) {
+                return v === undefined || v === null || !!(await Catway.exists({ catwayNumber: v }));
+            },
+            message: 'Catway non trouvé'
+        }
+    },
+    /**
+     * The customer of a 'customer' feed.
+     *
+     * @type {ObjectId}
+     */
+    customer: {
+        type: Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: [function() { return this.kind === 'customer'; }, 'Choisissez le client du calendrier'],
+        validate: {
+            validator: async function(v) {
+                return !v || !!(await Customer.exists({ _id: v }));
+            },
+            message: 'Client non trouvé'
+        }
+    },
+    /**
+     * The name of the feed, shown in the calendar apps.
+     *
+     * @type {string}
+     * @required
+     */
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    /**
+     * SHA-256 hash of the URL token. The token itself is never stored.
+     *
+     * @type {string}
+     * @required
+     */
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    /**
+     * The user who created the feed.
+     *
+     * @type {ObjectId}
+     */
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    /**
+     * When a calendar app last read the feed.
+     *
+     * @type {Date}
+     */
+    lastReadAt: {
+        type: Date
+    },
+    /**
+     * When the feed was revoked. Null while the feed works.
+     *
+     * @type {Date}
+     */
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    // Automatically adds createdAt and updatedAt timestamps
+    timestamps: true
+});
+
+/**
+ * The kinds of feeds in French, for the pages.
+ */
+calendarFeedSchema.statics.KIND_LABELS = {
+    catway: 'Séjours d\'un catway',
+    movements: 'Arrivées et départs',
+    customer: 'Séjours d\'un client'
+};
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const softDelete = require('./plugins/softDelete');
 /**
  * Catway model for MongoDB using Mongoose.
  * 
@@ -17,6 +18,12 @@ const Schema = mongoose.Schema;
  * @property {string} type - The type of the catway, either 'long' or 'short'.
  * @property {string} catwayState - Current state of the catway (e.g., 'occupied', 'available').
  * @property {string} boatName - The name of the boat assigned to this catway. Must contain at least one alphabetic letter.
+ * @property {number} maxLength - The longest boat the catway takes, in metres. Defaults to the limit of its type.
+ * @property {number} maxDraft - The deepest draft the catway allows, in metres.
+ * @property {string} pontoon - The pontoon the catway is on, shown on the marina plan.
+ * @property {number} position - The place of the catway along its pontoon, from 1.
+ * @property {Date} deletedAt - When the catway was moved to the trash (see `plugins/softDelete`).
+ * @property {ObjectId} deletedBy - The user who moved it to the trash.
  * 
  * @example
  * const exampleCatway = {
@@ -93,8 +100,71 @@ const catwaySchema = new Schema({
             },
             message: props => `${props.value} n'est pas valide ! Le nom du bateau doit contenir au moins une lettre.`
         }
+    },
+    /**
+     * The longest boat the catway takes, in metres.
+     * When not set, the limit of the catway type applies (see `TYPE_MAX_LENGTH`).
+     * 
+     * @type {number}
+     * @example 12
+     */
+    maxLength: {
+        type: Number,
+        min: [1, 'La longueur maximale doit être d\'au moins 1 mètre']
+    },
+    /**
+     * The deepest draft the water at the catway allows, in metres. No limit when not set.
+     * 
+     * @type {number}
+     * @example 2.5
+     */
+    maxDraft: {
+        type: Number,
+        min: [0, 'Le tirant d\'eau maximal ne peut pas être négatif']
+    },
+    /**
+     * The pontoon the catway is on, e.g. 'A'. Catways without one are not on the marina plan yet.
+     * 
+     * @type {string}
+     * @uppercase
+     * @maxlength 10
+     * @example 'A'
+     */
+    pontoon: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: [10, 'Le nom du ponton ne peut pas dépasser 10 caractères']
+    },
+    /**
+     * The place of the catway along its pontoon, from 1 at the shore end.
+     * Two catways of the same pontoon cannot share a place (see `catwayService.updateLayout`).
+     * 
+     * @type {number}
+     * @example 3
+     */
+    position: {
+        type: Number,
+        min: [1, 'La position sur le ponton commence à 1'],
+        validate: {
+            // A catway off the plan has no position
+            validator: v => v === null || v === undefined || Number.isInteger(v),
+            message: 'La position sur le ponton doit être un nombre entier'
+        }
     }
 });
 
+/**
+ * The longest boat each catway type takes, in metres, unless the catway sets its own `maxLength`.
+ * 
+ * @constant
+ * @type {Object<string, number>}
+ */
+catwaySchema.statics.TYPE_MAX_LENGTH = {
+    short: 12,
+    long: 25
+};
+
+catwaySchema.plugin(softDelete);
 
 module.exports = mongoose.model('Catway', catwaySchema);
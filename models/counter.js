@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Counter model for MongoDB using Mongoose.
+ *
+ * @module Counter
+ *
+ */
+
+/**
+ * Counter schema holding the last number handed out in a sequence, e.g. the invoices of a year.
+ *
+ * Counters are incremented with a single atomic `findOneAndUpdate`, so two requests
+ * never get the same number.
+ *
+ * @typedef {Object} Counter
+ * @property {string} _id - The name of the sequence.
+ * @property {number} seq - The last number handed out.
+ *
+ * @example
+ * const exampleCounter = {
+ *   _id: 'invoice-2025',
+ *   seq: 42
+ * };
+ *
+ *
+ */
+const counterSchema = new Schema({
+    /**
+     * The name of the sequence.
+     *
+     * @type {string}
+     * @example 'invoice-2025'
+     */
+    _id: {
+        type: String
+    },
+    /**
+     * The last number handed out.
+     *
+     * @type {number}
+     * @example 42
+     */
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
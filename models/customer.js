@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Customer model for MongoDB using Mongoose.
+ *
+ * @module Customer
+ *
+ */
+
+/**
+ * Normalize a name so that 'John Doe', 'john  doe' and 'Jöhn Doe' compare equal:
+ * accents removed, lower case, single spaces.
+ *
+ * @param {string} name - The name to normalize.
+ * @returns {string} The normalized name.
+ *
+ * @example
+ * normalizeName('  Élodie   Martin '); // 'elodie martin'
+ */
+const normalizeName = (name) => String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Customer schema representing a boat owner who books catways.
+ *
+ * Reservations reference their customer, so that a customer's history can be
+ * listed even when the name was typed differently from one booking to the next.
+ *
+ * @typedef {Object} Customer
+ * @property {string} name - The full name of the customer.
+ * @property {string} normalizedName - The name without accents, in lower case, used to match reservations.
+ * @property {string} email - The email address of the customer.
+ * @property {string} phone - The phone number of the customer.
+ * @property {Object} address - The postal address of the customer.
+ * @property {string} address.street - Street and number.
+ * @property {string} address.postalCode - Postal code.
+ * @property {string} address.city - City.
+ * @property {string} address.country - Country.
+ * @property {string} notes - Free notes of the harbour office.
+ *
+ * @example
+ * const exampleCustomer = {
+ *   name: 'John Doe',
+ *   email: 'john@example.com',
+ *   phone: '+33 6 12 34 56 78',
+ *   address: { street: '1 quai du Port', postalCode: '13000', city: 'Marseille', country: 'France' },
+ *   notes: 'Arrive souvent de nuit'
+ * };
+ *
+ *
+ */
+const customerSchema = new Schema({
+    /**
+     * The full name of the customer.
+     *
+     * @type {string}
+     * @required
+     * @trim
+     * @minlength 3
+     * @maxlength 100
+     * @example 'John Doe'
+     */
+    name: {
+        type: String,
+        required: [true, 'Le nom du client est obligatoire'],
+        trim: true,
+        minlength: [3, 'Le nom du client doit comporter au moins 3 caractères'],
+        maxlength: [100, 'Le nom du client ne peut pas dépasser 100 caractères']
+    },
+    /**
+     * The name without accents, in lower case and with single spaces.
+     * Set from `name` on every save.
+     *
+     * @type {string}
+     * @example 'john doe'
+     */
+    normalizedName: {
+        type: String,
+        index: true
+    },
+    /**
+     * The email address of the customer.
+     *
+     * @type {string}
+     * @trim
+     * @lowercase
+     * @example 'john@example.com'
+     */
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        validate: {
+            validator: function(v) {
+                return !v || /^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/.test(v);
+            },
+            message: props => `${props.value} n'est pas une adresse email valide !`
+        }
+    },
+    /**
+     * The phone number of the customer.
+     *
+     * @type {string}
+     * @trim
+     * @example '+33 6 12 34 56 78'
+     */
+    phone: {
+        type: String,
+        trim: true
+    },
+    /**
+     * The postal address of the customer.
+     *
+     * @type {Object}
+     */
+    address: {
+        street: { type: String, trim: true },
+        postalCode: { type: String, trim: true },
+        city: { type: String, trim: true },
+        country: { type: String, trim: true }
+    },
+    /**
+     * Free notes of the harbour office about the customer.
+     *
+     * @type {string}
+     * @maxlength 2000
+     */
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Les notes ne peuvent pas dépasser 2000 caractères']
+    }
+}, {
+    // Automatically adds createdAt and updatedAt timestamps
+    timestamps: true
+});
+
+/**
+ * Keep `normalizedName` in sync with `name`.
+ */
+customerSchema.pre('validate', function(next) {
+    this.normalizedName = normalizeName(this.name);
+    next();
+});
+
+customerSchema.statics.normalizeName = normalizeName;
+
+module.exports = mongoose.model('Customer', customerSchema);
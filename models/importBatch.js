@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * ImportBatch model for MongoDB using Mongoose.
+ *
+ * @module ImportBatch
+ *
+ */
+
+/**
+ * ImportBatch schema representing a file being imported, between its preview and its
+ * confirmation.
+ *
+ * The rows of the file are read and checked when it is uploaded, and kept here with
+ * their errors until the user confirms the import or the batch expires.
+ *
+ * @typedef {Object} ImportBatch
+ * @property {string} type - What the file holds: 'catways', 'reservations' or 'users'.
+ * @property {string} fileName - The name of the uploaded file.
+ * @property {Array<Object>} rows - The rows of the file, as `{ line, data, messages }`.
+ * @property {ObjectId} createdBy - The user who uploaded the file.
+ * @property {Date} committedAt - When the import was confirmed, if it was.
+ * @property {Date} expiresAt - When the batch is removed if it is not confirmed.
+ *
+ * @example
+ * const exampleBatch = {
+ *   type: 'catways',
+ *   fileName: 'catways.csv',
+ *   rows: [{ line: 2, data: { catwayNumber: 12, type: 'long', catwayState: 'disponible', boatName: 'Serenity' }, messages: [] }],
+ *   expiresAt: new Date('2025-06-01T12:00:00Z')
+ * };
+ *
+ *
+ */
+const importBatchSchema = new Schema({
+    /**
+     * What the file holds.
+     *
+     * @type {string}
+     * @required
+     * @enum ['catways', 'reservations', 'users']
+     */
+    type: {
+        type: String,
+        required: true,
+        enum: ['catways', 'reservations', 'users']
+    },
+    /**
+     * The name of the uploaded file.
+     *
+     * @type {string}
+     */
+    fileName: {
+        type: String,
+        trim: true
+    },
+    /**
+     * The rows of the file: their line in the file (the header being line 1 of a
+     * spreadsheet), the data read from them and what is wrong with them.
+     *
+     * @type {Array<Object>}
+     */
+    rows: [{
+        _id: false,
+        line: Number,
+        data: Schema.Types.Mixed,
+        messages: [String]
+    }],
+    /**
+     * The user who uploaded the file. Only they can confirm the import.
+     *
+     * @type {ObjectId}
+     */
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    /**
+     * When the import was confirmed. A batch is imported once only.
+     *
+     * @type {Date}
+     */
+    committedAt: {
+        type: Date,
+        default: null
+    },
+    /**
+     * When the batch is removed if it is not confirmed. MongoDB deletes it through the TTL index.
+     *
+     * @type {Date}
+     * @required
+     */
+    expiresAt: {
+        type: Date,
+        required: true,
+        expires: 0
+    }
+}, {
+    // Automatically adds createdAt and updatedAt timestamps
+    timestamps: true
+});
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
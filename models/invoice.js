@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Invoice model for MongoDB using Mongoose.
+ *
+ * @module Invoice
+ *
+ */
+
+/**
+ * Invoice schema representing the invoice of a reservation.
+ *
+ * An invoice copies everything it shows (client, boat, dates, lines and total) at the
+ * time it is issued, so later changes to the reservation or the tariffs never alter it.
+ * Numbers follow each other within a year, e.g. `2025-00042`.
+ *
+ * @typedef {Object} Invoice
+ * @property {string} number - The invoice number, unique.
+ * @property {ObjectId} reservation - The reservation invoiced. A reservation has one invoice at most.
+ * @property {ObjectId} customer - The customer invoiced.
+ * @property {string} clientName - The name of the customer.
+ * @property {string} clientAddress - The postal address of the customer, on one line.
+ * @property {string} boatName - The name of the boat.
+ * @property {number} catwayNumber - The catway reserved.
+ * @property {Date} checkIn - The check-in date.
+ * @property {Date} checkOut - The check-out date.
+ * @property {Array<Object>} lines - What is charged: `label`, `quantity`, `unitPrice` and `amount`.
+ * @property {number} total - The total, in euros.
+ * @property {string} currency - The currency of the amounts.
+ * @property {Date} issuedAt - When the invoice was issued.
+ *
+ * @example
+ * const exampleInvoice = {
+ *   number: '2025-00042',
+ *   reservation: '60c72b2f9f1b2c001c9a9e84',
+ *   clientName: 'John Doe',
+ *   boatName: 'The Odyssey',
+ *   catwayNumber: 101,
+ *   checkIn: new Date('2025-09-01'),
+ *   checkOut: new Date('2025-09-04'),
+ *   lines: [{ label: 'Amarrage à la nuit, 12 m - haute saison', quantity: 3, unitPrice: 54, amount: 162 }],
+ *   total: 162,
+ *   currency: 'EUR',
+ *   issuedAt: new Date('2025-09-04')
+ * };
+ *
+ *
+ */
+const invoiceSchema = new Schema({
+    /**
+     * The invoice number, unique.
+     *
+     * @type {string}
+     * @required
+     * @unique
+     * @example '2025-00042'
+     */
+    number: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    /**
+     * The reservation invoiced.
+     *
+     * @type {ObjectId}
+     * @required
+     * @unique
+     */
+    reservation: {
+        type: Schema.Types.ObjectId,
+        ref: 'Reservation',
+        required: true,
+        unique: true
+    },
+    /**
+     * The customer invoiced.
+     *
+     * @type {ObjectId}
+     */
+    customer: {
+        type: Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+    clientName: {
+        type: String,
+        required: true
+    },
+    clientAddress: {
+        type: String
+    },
+    boatName: {
+        type: String,
+        required: true
+    },
+    catwayNumber: {
+        type: Number,
+        required: true
+    },
+    checkIn: {
+        type: Date,
+        required: true
+    },
+    checkOut: {
+        type: Date,
+        required: true
+    },
+    /**
+     * What is charged, copied from the quote of the reservation.
+     *
+     * @type {Array<Object>}
+     */
+    lines: [{
+        _id: false,
+        label: String,
+        quantity: Number,
+        unitPrice: Number,
+        amount: Number
+    }],
+    total: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: 'EUR'
+    },
+    /**
+     * When the invoice was issued.
+     *
+     * @type {Date}
+     */
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    // Automatically adds createdAt and updatedAt timestamps
+    timestamps: true
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
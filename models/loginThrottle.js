@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Login throttle model for MongoDB using Mongoose.
+ *
+ * @module LoginThrottle
+ *
+ */
+
+/**
+ * Login throttle schema counting the failed logins coming from one IP address.
+ *
+ * Failures on the accounts themselves are stored on the `User` document; this
+ * collection catches an attacker trying many different emails from the same address.
+ * A document disappears one hour after the last failure.
+ *
+ * @typedef {Object} LoginThrottle
+ * @property {string} ip - The IP address.
+ * @property {number} failures - The number of failed logins from this address.
+ * @property {Date} lastFailureAt - When the last failed login happened.
+ *
+ * @example
+ * const exampleThrottle = {
+ *   ip: '203.0.113.7',
+ *   failures: 12,
+ *   lastFailureAt: new Date()
+ * };
+ *
+ *
+ */
+const loginThrottleSchema = new Schema({
+    /**
+     * The IP address the failed logins come from.
+     *
+     * @type {string}
+     * @required
+     * @unique
+     */
+    ip: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    /**
+     * The number of failed logins from this address.
+     *
+     * @type {number}
+     */
+    failures: {
+        type: Number,
+        default: 0
+    },
+    /**
+     * When the last failed login happened.
+     * The document is removed by MongoDB one hour after this date.
+     *
+     * @type {Date}
+     */
+    lastFailureAt: {
+        type: Date,
+        default: Date.now,
+        expires: 60 * 60
+    }
+});
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
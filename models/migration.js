@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Migration model for MongoDB using Mongoose.
+ *
+ * @module Migration
+ *
+ */
+
+/**
+ * Migration schema recording a migration of the database that was applied.
+ *
+ * The migrations themselves are the files of the `migrations` folder; a migration has
+ * a record here from the time it is applied until it is reverted.
+ *
+ * @typedef {Object} Migration
+ * @property {string} version - The version of the migration, the number its file name starts with (e.g. '001').
+ * @property {string} name - The rest of its file name, e.g. 'reservation-indexes'.
+ * @property {Date} appliedAt - When the migration was applied.
+ *
+ * @example
+ * const exampleMigration = {
+ *   version: '001',
+ *   name: 'reservation-indexes',
+ *   appliedAt: new Date('2025-06-01T12:00:00Z')
+ * };
+ *
+ *
+ */
+const migrationSchema = new Schema({
+    /**
+     * The version of the migration. Migrations are applied in the order of their versions.
+     *
+     * @type {string}
+     * @required
+     */
+    version: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    /**
+     * The name of the migration.
+     *
+     * @type {string}
+     */
+    name: {
+        type: String,
+        trim: true
+    },
+    /**
+     * When the migration was applied.
+     *
+     * @type {Date}
+     */
+    appliedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
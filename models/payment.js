@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Payment model for MongoDB using Mongoose.
+ *
+ * @module Payment
+ *
+ */
+
+/**
+ * Payment schema representing money received for, or given back on, a reservation.
+ *
+ * Payments are never deleted: a payment recorded by mistake is reversed, and no
+ * longer counts in the balance of the reservation.
+ *
+ * @typedef {Object} Payment
+ * @property {ObjectId} reservation - The reservation paid.
+ * @property {string} kind - 'deposit', 'balance' or 'refund'.
+ * @property {string} method - 'cash', 'card' or 'transfer'.
+ * @property {number} amount - The amount, in euros, always positive.
+ * @property {Date} paidAt - When the money was received or given back.
+ * @property {string} note - A free note, e.g. a cheque or transfer reference.
+ * @property {ObjectId} recordedBy - The user who recorded the payment.
+ * @property {Date} reversedAt - When the payment was reversed, if it was.
+ * @property {string} reversalReason - Why the payment was reversed.
+ *
+ * @example
+ * const examplePayment = {
+ *   reservation: '60c72b2f9f1b2c001c9a9e84',
+ *   kind: 'deposit',
+ *   method: 'card',
+ *   amount: 50,
+ *   paidAt: new Date('2025-06-12')
+ * };
+ *
+ *
+ */
+const paymentSchema = new Schema({
+    /**
+     * The reservation paid.
+     *
+     * @type {ObjectId}
+     * @required
+     */
+    reservation: {
+        type: Schema.Types.ObjectId,
+        ref: 'Reservation',
+        required: [true, 'La réservation est obligatoire'],
+        index: true
+    },
+    /**
+     * What the payment is for.
+     *
+     * @type {string}
+     * @required
+     * @enum ['deposit', 'balance', 'refund']
+     * @example 'deposit'
+     */
+    kind: {
+        type: String,
+        required: [true, 'Le type de paiement est obligatoire'],
+        enum: {
+            values: ['deposit', 'balance', 'refund'],
+            message: '{VALUE} n\'est pas un type de paiement valide'
+        }
+    },
+    /**
+     * How the money was paid or given back.
+     *
+     * @type {string}
+     * @required
+     * @enum ['cash', 'card', 'transfer']
+     * @example 'card'
+     */
+    method: {
+        type: String,
+        required: [true, 'Le moyen de paiement est obligatoire'],
+        enum: {
+            values: ['cash', 'card', 'transfer'],
+            message: '{VALUE} n\'est pas un moyen de paiement valide'
+        }
+    },
+    /**
+     * The amount, in euros. A refund is recorded with a positive amount too.
+     *
+     * @type {number}
+     * @required
+     * @example 50
+     */
+    amount: {
+        type: Number,
+        required: [true, 'Le montant est obligatoire'],
+        min: [0.01, 'Le montant doit être positif']
+    },
+    /**
+     * When the money was received or given back.
+     *
+     * @type {Date}
+     */
+    paidAt: {
+        type: Date,
+        default: Date.now
+    },
+    /**
+     * A free note, e.g. a cheque or transfer reference.
+     *
+     * @type {string}
+     * @maxlength 500
+     */
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'La note ne peut pas dépasser 500 caractères']
+    },
+    /**
+     * The user who recorded the payment.
+     *
+     * @type {ObjectId}
+     */
+    recordedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    /**
+     * When the payment was reversed, if it was.
+     *
+     * @type {Date}
+     */
+    reversedAt: {
+        type: Date
+    },
+    /**
+     * Why the payment was reversed.
+     *
+     * @type {string}
+     */
+    reversalReason: {
+        type: String,
+        trim: true
+    }
+}, {
+    // Automatically adds createdAt and updatedAt timestamps
+    timestamps: true
+});
+
+module.exports = mongoose.model('Payment', paymentSchema);
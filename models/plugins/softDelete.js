@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Mongoose plugin for soft deletion.
+ *
+ * Adds `deletedAt` and `deletedBy` to a schema, and hides the documents that have a
+ * `deletedAt` from every find, count and update. A query still reaches them when its
+ * filter mentions `deletedAt` (e.g. to list or restore the trash), or with the
+ * `withDeleted` option.
+ *
+ * @module softDelete
+ *
+ * @example
+ * reservationSchema.plugin(softDelete);
+ *
+ * // Every reservation, deleted or not
+ * await Reservation.countDocuments({ catwayNumber: 3 }).setOptions({ withDeleted: true });
+ */
+
+// The queries that skip deleted documents
+const QUERIES = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'];
+
+module.exports = (schema) => {
+    schema.add({
+        /**
+         * When the document was moved to the trash.
+         *
+         * @type {Date}
+         */
+        deletedAt: {
+            type: Date,
+            index: true
+        },
+        /**
+         * The user who moved the document to the trash.
+         *
+         * @type {ObjectId}
+         */
+        deletedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    });
+
+    schema.pre(QUERIES, function() {
+        if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) {
+            return;
+        }
+
+        this.where({ deletedAt: null });
+    });
+};
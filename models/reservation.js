@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const Customer = require('./customer');
+const Boat = require('./boat');
+const softDelete = require('./plugins/softDelete');
 
 /**
  * Reservation model for MongoDB using Mongoose.
@@ -16,10 +19,21 @@ const Schema = mongoose.Schema;
  * 
  * @typedef {Object} Reservation
  * @property {number} catwayNumber - The catway number being reserved.
- * @property {string} clientName - The name of the client making the reservation.
- * @property {string} boatName - The name of the boat associated with the reservation.
+ * @property {ObjectId} customer - The customer making the reservation.
+ * @property {string} clientName - The name of the client making the reservation, copied from the customer.
+ * @property {ObjectId} boat - The boat moored during the reservation.
+ * @property {string} boatName - The name of the boat associated with the reservation, copied from the boat.
  * @property {Date} checkIn - The check-in date for the reservation, which must not be in the past.
  * @property {Date} checkOut - The check-out date for the reservation, which must be later than the check-in date.
+ * @property {Object} extras - The services ordered on top of the mooring (`electricity`, `water`).
+ * @property {Object} quote - The price of the stay, computed from the tariffs when the reservation is made.
+ * @property {string} status - Where the reservation stands (see `STATUS_TRANSITIONS`).
+ * @property {Date} arrivedAt - When the boat actually arrived.
+ * @property {Date} departedAt - When the boat actually left.
+ * @property {string} catwayStateBeforeArrival - The state of the catway before the boat arrived, restored when it leaves.
+ * @property {Array<Object>} history - The changes made after the reservation was created, with the values they replaced.
+ * @property {Date} deletedAt - When the reservation was moved to the trash (see `plugins/softDelete`).
+ * @property {ObjectId} deletedBy - The user who moved it to the trash.
  * 
  * @example
  * const exampleReservation = {
@@ -44,8 +58,27 @@ const reservationSchema = new Schema({
         type: Number,
         required: [true, 'Le numéro de catway est requis']
     },
+    /**
+     * The customer who made the reservation.
+     * 
+     * @type {ObjectId}
+     * @validate {validator: customerExistsValidator, message: 'Customer not found'}
+     * @example '60c72b2f9f1b2c001c9a9e84'
+     */
+    customer: {
+        type: Schema.Types.ObjectId,
+        ref: 'Customer',
+        index: true,
+        validate: {
+            validator: async function(v) {
+                return !v || !!(await Customer.exists({ _id: v }));
+            },
+            message: 'Client non trouvé'
+        }
+    },
     /**
      * The name of the client who made the reservation.
+     * Copied from the customer, so that lists can show it without a lookup.
      * 
      * @type {string}
      * @required
@@ -61,8 +94,27 @@ const reservationSchema = new Schema({
         minlength: [3, 'Le nom du client doit comporter au moins 3 caractères'],
         maxlength: [100, 'Le nom du client ne peut pas dépasser 100 caractères']
     },
+    /**
+     * The boat moored during the reservation.
+     * 
+     * @type {ObjectId}
+     * @validate {validator: boatExistsValidator, message: 'Boat not found'}
+     * @example '60c72b2f9f1b2c001c9a9e85'
+     */
+    boat: {
+        type: Schema.Types.ObjectId,
+        ref: 'Boat',
+        index: true,
+        validate: {
+            validator: async function(v) {
+                return !v || !!(await Boat.exists({ _id: v }));
+            },
+            message: 'Bateau non trouvé'
+        }
+    },
     /**
      * The name of the boat associated with the reservation.
+     * Copied from the boat when there is one.
      * 
      * @type {string}
      * @required
@@ -111,10 +163,154 @@ const reservationSchema = new Schema({
             },
             message: 'La date de check-out doit être postérieure à la date de check-in.'
         }
+    },
+    /**
+     * The services ordered on top of the mooring, charged per night.
+     * 
+     * @type {Object}
+     * @example { electricity: true, water: false }
+     */
+    extras: {
+        electricity: { type: Boolean, default: false },
+        water: { type: Boolean, default: false }
+    },
+    /**
+     * Where the reservation stands. Changes follow `STATUS_TRANSITIONS`.
+     * 
+     * @type {string}
+     * @enum ['pending', 'confirmed', 'checkedIn', 'checkedOut', 'cancelled', 'noShow']
+     * @example 'confirmed'
+     */
+    status: {
+        type: String,
+        enum: {
+            values: ['pending', 'confirmed', 'checkedIn', 'checkedOut', 'cancelled', 'noShow'],
+            message: '{VALUE} n\'est pas un statut de réservation valide'
+        },
+        default: 'pending',
+        index: true
+    },
+    /**
+     * When the boat actually arrived.
+     * 
+     * @type {Date}
+     */
+    arrivedAt: {
+        type: Date
+    },
+    /**
+     * When the boat actually left.
+     * 
+     * @type {Date}
+     */
+    departedAt: {
+        type: Date
+    },
+    /**
+     * The state of the catway before the boat arrived, restored when it leaves.
+     * 
+     * @type {string}
+     * @example 'available'
+     */
+    catwayStateBeforeArrival: {
+        type: String
+    },
+    /**
+     * The changes made after the reservation was created, oldest first.
+     * Each change lists the fields edited with their previous (`from`) and new (`to`) values.
+     * 
+     * @type {Array<Object>}
+     * @example [{ changedAt: new Date('2025-06-20'), changes: [{ field: 'checkOut', from: new Date('2025-07-05'), to: new Date('2025-07-08') }] }]
+     */
+    history: [{
+        _id: false,
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+        changes: [{
+            _id: false,
+            field: String,
+            from: Schema.Types.Mixed,
+            to: Schema.Types.Mixed
+        }]
+    }],
+    /**
+     * The price of the stay, computed from the tariffs when the reservation is made.
+     * Amounts are in euros.
+     * 
+     * @type {Object}
+     * @example { length: 12, lines: [{ label: '3 nuit(s) - haute saison', quantity: 3, unitPrice: 54, amount: 162 }], total: 162, currency: 'EUR' }
+     */
+    quote: {
+        type: new Schema({
+            length: Number,
+            lines: [{
+                _id: false,
+                label: String,
+                quantity: Number,
+                unitPrice: Number,
+                amount: Number
+            }],
+            total: Number,
+            currency: { type: String, default: 'EUR' },
+            computedAt: { type: Date, default: Date.now }
+        }, { _id: false })
     }
 }, {
     // Automatically adds createdAt and updatedAt timestamps
     timestamps: true
 });
 
+/**
+ * The statuses a reservation can move to from each status.
+ * A checked out, cancelled or no-show reservation is over and cannot change anymore.
+ */
+reservationSchema.statics.STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'checkedIn', 'cancelled', 'noShow'],
+    confirmed: ['checkedIn', 'cancelled', 'noShow'],
+    checkedIn: ['checkedOut'],
+    checkedOut: [],
+    cancelled: [],
+    noShow: []
+};
+
+/**
+ * The statuses in French, for the pages and the error messages.
+ */
+reservationSchema.statics.STATUS_LABELS = {
+    pending: 'en attente',
+    confirmed: 'confirmée',
+    checkedIn: 'bateau arrivé',
+    checkedOut: 'bateau parti',
+    cancelled: 'annulée',
+    noShow: 'bateau jamais arrivé'
+};
+
+/**
+ * The statuses of reservations that no longer hold their catway.
+ */
+reservationSchema.statics.RELEASED_STATUSES = ['cancelled', 'noShow'];
+
+/**
+ * The statuses of reservations that can still be edited. Once the boat has arrived,
+ * only the check-out date, the client and the extras can change.
+ */
+reservationSchema.statics.EDITABLE_STATUSES = ['pending', 'confirmed', 'checkedIn'];
+
+/**
+ * The fields whose changes are kept in the history, with their French labels.
+ */
+reservationSchema.statics.HISTORY_FIELD_LABELS = {
+    catwayNumber: 'Catway',
+    customer: 'Client (fiche)',
+    clientName: 'Client',
+    boat: 'Bateau (fiche)',
+    boatName: 'Bateau',
+    checkIn: 'Check-in',
+    checkOut: 'Check-out',
+    'extras.electricity': 'Électricité',
+    'extras.water': 'Eau'
+};
+
+reservationSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Reservation', reservationSchema);
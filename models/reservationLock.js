@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Reservation lock model for MongoDB using Mongoose.
+ *
+ * @module ReservationLock
+ *
+ */
+
+/**
+ * Reservation lock schema used to serialize reservation writes on a single catway.
+ *
+ * Only one lock document can exist per catway number (unique index). A request that
+ * wants to write a reservation must insert the lock first, so two concurrent requests
+ * on the same catway cannot both pass the overlap check. Locks expire automatically
+ * so a crashed process never blocks a catway for good.
+ *
+ * @typedef {Object} ReservationLock
+ * @property {number} catwayNumber - The catway number being locked.
+ * @property {Date} createdAt - When the lock was acquired. Used by the TTL index.
+ *
+ * @example
+ * const exampleLock = {
+ *   catwayNumber: 101,
+ *   createdAt: new Date()
+ * };
+ *
+ *
+ */
+const reservationLockSchema = new Schema({
+    /**
+     * The catway number that is locked.
+     *
+     * @type {number}
+     * @required
+     * @unique
+     * @example 101
+     */
+    catwayNumber: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    /**
+     * The date the lock was acquired.
+     * The lock is removed by MongoDB 30 seconds after this date.
+     *
+     * @type {Date}
+     * @example new Date()
+     */
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 30
+    }
+});
+
+module.exports = mongoose.model('ReservationLock', reservationLockSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Session model for MongoDB using Mongoose.
+ *
+ * @module Session
+ *
+ */
+
+/**
+ * Session schema representing a login of a user.
+ *
+ * A session is opened at login and holds the hash of the current refresh token.
+ * Each refresh rotates that token; presenting an old one revokes the session,
+ * since it means the token was stolen. Access tokens carry the session ID, so
+ * revoking a session invalidates them too.
+ *
+ * @typedef {Object} Session
+ * @property {ObjectId} user - The user the session belongs to.
+ * @property {string} refreshTokenHash - SHA-256 hash of the current refresh token.
+ * @property {Date} expiresAt - When the refresh token stops being accepted.
+ * @property {Date} revokedAt - When the session was revoked, if it was.
+ * @property {string} revokedReason - Why the session was revoked ('logout', 'admin', 'reuse', 'passwordReset').
+ * @property {string} ip - The IP address the session was opened from.
+ * @property {string} userAgent - The user agent the session was opened from.
+ *
+ * @example
+ * const exampleSession = {
+ *   user: '60c72b2f9f1b2c001c9a9e84',
+ *   refreshTokenHash: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08',
+ *   expiresAt: new Date('2024-10-08')
+ * };
+ *
+ *
+ */
+const sessionSchema = new Schema({
+    /**
+     * The user the session belongs to.
+     *
+     * @type {ObjectId}
+     * @required
+     */
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    /**
+     * SHA-256 hash of the current refresh token. The token itself is never stored.
+     *
+     * @type {string}
+     * @required
+     */
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    /**
+     * When the refresh token stops being accepted.
+     * Expired sessions are removed by MongoDB.
+     *
+     * @type {Date}
+     * @required
+     */
+    expiresAt: {
+        type: Date,
+        required: true,
+        expires: 0
+    },
+    /**
+     * When the session was revoked. Null while the session is active.
+     *
+     * @type {Date}
+     */
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    /**
+     * Why the session was revoked.
+     *
+     * @type {('logout' | 'admin' | 'reuse' | 'passwordReset')}
+     */
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'admin', 'reuse', 'passwordReset']
+    },
+    /**
+     * The IP address the session was opened from.
+     *
+     * @type {string}
+     */
+    ip: String,
+    /**
+     * The user agent the session was opened from.
+     *
+     * @type {string}
+     */
+    userAgent: String
+}, {
+    // Automatically adds createdAt and updatedAt timestamps
+    timestamps: true
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Tariff model for MongoDB using Mongoose.
+ *
+ * @module Tariff
+ *
+ */
+
+/**
+ * Tariff schema representing the prices of one type of catway during one season.
+ *
+ * A season is the list of months it covers, so the harbour office decides when the
+ * high season starts. Two tariffs of the same catway type cannot share a month.
+ * Mooring rates are per metre of boat length; electricity and water are per night.
+ * All prices are in euros.
+ *
+ * @typedef {Object} Tariff
+ * @property {string} name - A label for the tariff.
+ * @property {string} catwayType - The type of catway the tariff applies to ('long' or 'short').
+ * @property {string} season - The season of the tariff ('high' or 'low').
+ * @property {Array<number>} months - The months covered by the tariff, from 1 (January) to 12 (December).
+ * @property {number} nightlyRate - The price of a night, per metre.
+ * @property {number} weeklyRate - The price of a week (7 nights), per metre.
+ * @property {number} monthlyRate - The price of a month (30 nights), per metre.
+ * @property {number} electricityRate - The price of electricity, per night.
+ * @property {number} waterRate - The price of water, per night.
+ *
+ * @example
+ * const exampleTariff = {
+ *   name: 'Haute saison - catways longs',
+ *   catwayType: 'long',
+ *   season: 'high',
+ *   months: [6, 7, 8, 9],
+ *   nightlyRate: 4.5,
+ *   weeklyRate: 27,
+ *   monthlyRate: 95,
+ *   electricityRate: 3,
+ *   waterRate: 2
+ * };
+ *
+ *
+ */
+const tariffSchema = new Schema({
+    /**
+     * A label for the tariff.
+     *
+     * @type {string}
+     * @required
+     * @trim
+     * @maxlength 100
+     * @example 'Haute saison - catways longs'
+     */
+    name: {
+        type: String,
+        required: [true, 'Le nom du tarif est obligatoire'],
+        trim: true,
+        maxlength: [100, 'Le nom du tarif ne peut pas dépasser 100 caractères']
+    },
+    /**
+     * The type of catway the tariff applies to.
+     *
+     * @type {string}
+     * @required
+     * @enum ['long', 'short']
+     * @example 'long'
+     */
+    catwayType: {
+        type: String,
+        required: [true, 'Le type de catway est obligatoire'],
+        enum: {
+            values: ['long', 'short'],
+            message: '{VALUE} n\'est pas un type de catway valide'
+        }
+    },
+    /**
+     * The season of the tariff.
+     *
+     * @type {string}
+     * @required
+     * @enum ['high', 'low']
+     * @example 'high'
+     */
+    season: {
+        type: String,
+        required: [true, 'La saison est obligatoire'],
+        enum: {
+            values: ['high', 'low'],
+            message: '{VALUE} n\'est pas une saison valide'
+        }
+    },
+    /**
+     * The months covered by the tariff, from 1 (January) to 12 (December).
+     * No other tariff of the same catway type may cover one of them.
+     *
+     * @type {Array<number>}
+     * @required
+     * @example [6, 7, 8, 9]
+     * @validate {validator: monthsAvailableValidator, message: 'Months already covered'}
+     */
+    months: {
+        type: [{
+            type: Number,
+            min: [1, 'Un mois va de 1 à 12'],
+            max: [12, 'Un mois va de 1 à 12']
+        }],
+        validate: [
+            {
+                validator: function(v) {
+                    return v.length > 0;
+                },
+                message: 'Choisissez au moins un mois'
+            },
+            {
+                validator: async function(v) {
+                    return !(await this.constructor.exists({
+                        _id: { $ne: this._id },
+                        catwayType: this.catwayType,
+                        months: { $in: v }
+                    }));
+                },
+                message: 'Un autre tarif couvre déjà certains de ces mois pour ce type de catway'
+            }
+        ]
+    },
+    /**
+     * The price of a night, per metre of boat length.
+     *
+     * @type {number}
+     * @required
+     * @example 4.5
+     */
+    nightlyRate: {
+        type: Number,
+        required: [true, 'Le tarif à la nuit est obligatoire'],
+        min: [0, 'Un tarif ne peut pas être négatif']
+    },
+    /**
+     * The price of a week (7 nights), per metre of boat length.
+     * Without it, a week is charged night by night.
+     *
+     * @type {number}
+     * @example 27
+     */
+    weeklyRate: {
+        type: Number,
+        min: [0, 'Un tarif ne peut pas être négatif']
+    },
+    /**
+     * The price of a month (30 nights), per metre of boat length.
+     * Without it, a month is charged by the week and the night.
+     *
+     * @type {number}
+     * @example 95
+     */
+    monthlyRate: {
+        type: Number,
+        min: [0, 'Un tarif ne peut pas être négatif']
+    },
+    /**
+     * The price of electricity, per night.
+     *
+     * @type {number}
+     * @example 3
+     */
+    electricityRate: {
+        type: Number,
+        default: 0,
+        min: [0, 'Un tarif ne peut pas être négatif']
+    },
+    /**
+     * The price of water, per night.
+     *
+     * @type {number}
+     * @example 2
+     */
+    waterRate: {
+        type: Number,
+        default: 0,
+        min: [0, 'Un tarif ne peut pas être négatif']
+    }
+}, {
+    // Automatically adds createdAt and updatedAt timestamps
+    timestamps: true
+});
+
+module.exports = mongoose.model('Tariff', tariffSchema);
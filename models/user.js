@@ -1,6 +1,25 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const Schema = mongoose.Schema;
+const softDelete = require('./plugins/softDelete');
+
+/**
+ * The roles a user can have, with their French label.
+ * 
+ * - admin: everything, including managing users.
+ * - harbourMaster: manages catways and reservations.
+ * - agent: manages reservations, reads catways.
+ * - accountant: read-only access.
+ * 
+ * @constant
+ * @type {Object<string, string>}
+ */
+const ROLES = {
+    admin: 'Administrateur',
+    harbourMaster: 'Maître de port',
+    agent: 'Agent',
+    accountant: 'Comptable (lecture seule)'
+};
 
 /**
  * User model for MongoDB using Mongoose.
@@ -21,12 +40,21 @@ const Schema = mongoose.Schema;
  * @property {string} name - The full name of the user, which must contain only alphabetic characters.
  * @property {string} email - The unique email address of the user, validated against a standard email format.
  * @property {string} password - The hashed password of the user, stored securely after being hashed using bcrypt.
- * 
+ * @property {string} role - The role of the user: 'admin', 'harbourMaster', 'agent' or 'accountant'. Decides what the user may do.
+ * @property {string} passwordResetTokenHash - SHA-256 hash of the pending password reset token, if any.
+ * @property {Date} passwordResetExpiresAt - When the pending password reset token expires.
+ * @property {number} failedLoginAttempts - The number of failed logins since the last successful one.
+ * @property {Date} lastFailedLoginAt - When the last failed login happened.
+ * @property {Date} lockedUntil - Until when logins are refused after too many failures.
+ * @property {Date} deletedAt - When the user was moved to the trash (see `plugins/softDelete`). A deleted user cannot log in.
+ * @property {ObjectId} deletedBy - The user who moved them to the trash.
+ *
  * @example
  * const exampleUser = {
  *   name: 'JohnDoe',
  *   email: 'john@example.com',
- *   password: 'hashedpassword123'
+ *   password: 'hashedpassword123',
+ *   role: 'agent'
  * };
  * 
  * 
@@ -96,6 +124,68 @@ const userSchema = new Schema({
         trim: true,
         required: [true, 'Le mot de passe est requis'],
         minlength: [6, 'Le mot de passe doit comporter au moins 6 caractères']
+    },
+    /**
+     * The role of the user, carried in the JWT and checked by `checkPermission`.
+     * 
+     * @type {('admin' | 'harbourMaster' | 'agent' | 'accountant')}
+     * @required
+     * @default 'agent'
+     * @example 'harbourMaster'
+     */
+    role: {
+        type: String,
+        required: [true, 'Le rôle est obligatoire'],
+        enum: {
+            values: Object.keys(ROLES),
+            message: props => `${props.value} n'est pas un rôle valide !`
+        },
+        default: 'agent'
+    },
+    /**
+     * SHA-256 hash of the pending password reset token. The token itself is only sent by email.
+     * Cleared once used, so a token works only once.
+     * 
+     * @type {string}
+     */
+    passwordResetTokenHash: {
+        type: String,
+        index: { sparse: true }
+    },
+    /**
+     * When the pending password reset token stops being accepted.
+     * 
+     * @type {Date}
+     */
+    passwordResetExpiresAt: {
+        type: Date
+    },
+    /**
+     * The number of failed logins since the last successful one.
+     * Past a few failures each new attempt has to wait longer; past the limit the account is locked.
+     *
+     * @type {number}
+     * @default 0
+     */
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    /**
+     * When the last failed login happened.
+     *
+     * @type {Date}
+     */
+    lastFailedLoginAt: {
+        type: Date
+    },
+    /**
+     * Until when logins are refused for this account. An administrator can lift it earlier.
+     *
+     * @type {Date}
+     */
+    lockedUntil: {
+        type: Date
     }
 }, {
     // Automatically adds createdAt and updatedAt timestamps
@@ -135,4 +225,20 @@ userSchema.pre('save', async function(next) {
     }
 });
 
+/**
+ * Never serialize the password hash nor the reset token, whether the user is sent as JSON or signed into a token.
+ */
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.passwordResetTokenHash;
+        delete ret.passwordResetExpiresAt;
+        return ret;
+    }
+});
+
+userSchema.statics.ROLES = ROLES;
+
+userSchema.plugin(softDelete);
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * WaitlistEntry model for MongoDB using Mongoose.
+ *
+ * @module WaitlistEntry
+ *
+ */
+
+/**
+ * WaitlistEntry schema representing a customer waiting for a catway on dates that are
+ * fully booked.
+ *
+ * When a reservation is cancelled, shortened, moved or put in the trash, the entries
+ * its catway now suits are offered that catway, the oldest first. Staff turn an offer
+ * into a reservation, or decline it to put the entry back on the waitlist.
+ *
+ * @typedef {Object} WaitlistEntry
+ * @property {ObjectId} customer - The customer waiting, if known.
+ * @property {string} clientName - The name of the client, copied from the customer.
+ * @property {ObjectId} boat - The boat of the registry, if known.
+ * @property {string} boatName - The name of the boat.
+ * @property {Date} checkIn - The first day wanted.
+ * @property {Date} checkOut - The day of departure wanted.
+ * @property {Array<string>} catwayTypes - The types of catway the client accepts: 'long', 'short' or both.
+ * @property {Object} extras - The services wanted (`electricity`, `water`).
+ * @property {string} status - 'waiting', 'offered', 'booking' (while the reservation is being made), 'booked' or 'withdrawn'.
+ * @property {Object} offer - The catway offered: `{ catwayNumber, offeredAt, releasedBy }`.
+ * @property {Array<number>} declinedCatways - The catways the client turned down.
+ * @property {ObjectId} reservation - The reservation made from the offer.
+ * @property {ObjectId} createdBy - The user who put the client on the waitlist.
+ *
+ * @example
+ * const exampleEntry = {
+ *   clientName: 'Jean Dupont',
+ *   boatName: 'Seahorse',
+ *   checkIn: new Date('2025-07-01'),
+ *   checkOut: new Date('2025-07-15'),
+ *   catwayTypes: ['long', 'short'],
+ *   status: 'waiting'
+ * };
+ *
+ *
+ */
+const waitlistEntrySchema = new Schema({
+    /**
+     * The customer waiting.
+     *
+     * @type {ObjectId}
+     */
+    customer: {
+        type: Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+    /**
+     * The name of the client.
+     *
+     * @type {string}
+     * @required
+     */
+    clientName: {
+        type: String,
+        required: [true, 'Le nom du client est obligatoire'],
+        trim: true
+    },
+    /**
+     * The boat of the registry.
+     *
+     * @type {ObjectId}
+     */
+    boat: {
+        type: Schema.Types.ObjectId,
+        ref: 'Boat'
+    },
+    /**
+     * The name of the boat.
+     *
+     * @type {string}
+     * @required
+     */
+    boatName: {
+        type: String,
+        required: [true, 'Le nom du bateau est obligatoire'],
+        trim: true
+    },
+    /**
+     * The first day wanted, which must not be in the past.
+     *
+     * @type {Date}
+     * @required
+     */
+    checkIn: {
+        type: Date,
+        required: [true, 'Date de check-in est obligatoire'],
+        validate: {
+            validator: function(v) {
+                return v >= new Date();
+            },
+            message: 'La date de check-in ne peut pas être dans le passé.'
+        }
+    },
+    /**
+     * The day of departure wanted, after the first day.
+     *
+     * @type {Date}
+     * @required
+     */
+    checkOut: {
+        type: Date,
+        required: [true, 'Date de check-out est obligatoire'],
+        validate: {
+            validator: function(v) {
+                return v > this.checkIn;
+            },
+            message: 'La date de check-out doit être postérieure à la date de check-in.'
+        }
+    },
+    /**
+     * The types of catway the client accepts.
+     *
+     * @type {Array<string>}
+     * @required
+     */
+    catwayTypes: {
+        type: [{
+            type: String,
+            enum: {
+                values: ['long', 'short'],
+                message: '{VALUE} n\'est pas un type de catway valide'
+            }
+        }],
+        validate: {
+            validator: v => v.length > 0,
+            message: 'Choisissez au moins un type de catway'
+        }
+    },
+    /**
+     * The services wanted on top of the mooring.
+     *
+     * @type {Object}
+     */
+    extras: {
+        electricity: { type: Boolean, default: false },
+        water: { type: Boolean, default: false }
+    },
+    /**
+     * Where the entry stands.
+     *
+     * @type {string}
+     * @enum ['waiting', 'offered', 'booking', 'booked', 'withdrawn']
+     */
+    status: {
+        type: String,
+        enum: ['waiting', 'offered', 'booking', 'booked', 'withdrawn'],
+        default: 'waiting'
+    },
+    /**
+     * The catway offered, and the reservation whose release made it free.
+     *
+     * @type {Object}
+     */
+    offer: {
+        catwayNumber: Number,
+        offeredAt: Date,
+        releasedBy: { type: Schema.Types.ObjectId, ref: 'Reservation' }
+    },
+    /**
+     * The catways the client turned down: they are not offered again.
+     *
+     * @type {Array<number>}
+     */
+    declinedCatways: {
+        type: [Number],
+        default: []
+    },
+    /**
+     * The reservation made from the offer.
+     *
+     * @type {ObjectId}
+     */
+    reservation: {
+        type: Schema.Types.ObjectId,
+        ref: 'Reservation'
+    },
+    /**
+     * The user who put the client on the waitlist.
+     *
+     * @type {ObjectId}
+     */
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    // Automatically adds createdAt and updatedAt timestamps: the waitlist is served in the order of createdAt
+    timestamps: true
+});
+
+/**
+ * The statuses in French, for the pages.
+ */
+waitlistEntrySchema.statics.STATUS_LABELS = {
+    waiting: 'en attente',
+    offered: 'catway proposé',
+    booking: 'en cours de réservation',
+    booked: 'réservé',
+    withdrawn: 'retiré'
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
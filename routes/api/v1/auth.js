@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../../../controllers/api/v1/authController');
+const privateMiddleware = require('../../../middlewares/private');
+
+/**
+ * @module ApiAuthRoutes
+ */
+
+/**
+ * Issue a bearer token and a refresh token for API clients.
+ * 
+ * @name ApiIssueToken
+ * @route {POST} /api/v1/auth/token
+ * @group API Auth - Authentication of API clients
+ * @param {string} email.body.required - The user's email
+ * @param {string} password.body.required - The user's password
+ * @returns {Object} 200 - `{ token, tokenType: 'Bearer', expiresIn, refreshToken, refreshExpiresIn, user }`
+ * @returns {Object} 400 - Missing email or password
+ * @returns {Object} 401 - Wrong credentials
+ * @returns {Object} 429 - Too many failed logins for this account or this IP address, see the `Retry-After` header
+ * 
+ * @example
+ * // Usage
+ * curl -X POST /api/v1/auth/token -H 'Content-Type: application/json' -d '{"email":"test@example.com","password":"test123"}'
+ * curl /api/v1/catways -H 'Authorization: Bearer <token>'
+ */
+router.post('/token', controller.issueToken);
+
+/**
+ * Exchange a refresh token for a new bearer token. The refresh token given is no longer valid afterwards.
+ * 
+ * @name ApiRefreshToken
+ * @route {POST} /api/v1/auth/refresh
+ * @group API Auth - Authentication of API clients
+ * @param {string} refreshToken.body.required - The current refresh token
+ * @returns {Object} 200 - `{ token, tokenType: 'Bearer', expiresIn, refreshToken, refreshExpiresIn }`
+ * @returns {Object} 400 - Missing refresh token
+ * @returns {Object} 401 - Invalid, expired or revoked refresh token
+ */
+router.post('/refresh', controller.refreshToken);
+
+/**
+ * Revoke the session of the bearer token.
+ * 
+ * @name ApiLogout
+ * @route {POST} /api/v1/auth/logout
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @group API Auth - Authentication of API clients
+ * @returns {Object} 204 - Session revoked
+ * @returns {Object} 401 - Unauthorized if no valid token
+ */
+router.post('/logout', privateMiddleware.checkJWT, controller.logout);
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../../../controllers/api/v1/boatsController');
+const privateMiddleware = require('../../../middlewares/private');
+
+/**
+ * @module ApiBoatsRoutes
+ */
+
+/**
+ * List all boats, sorted by name, with their owner.
+ * 
+ * @name ApiGetAllBoats
+ * @route {GET} /api/v1/boats
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('boats:read')
+ * @group API Boats - JSON operations related to boats
+ * @returns {Object} 200 - An array of boats
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.get('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:read'), controller.getAll);
+
+/**
+ * Get a boat by ID.
+ * 
+ * @name ApiGetBoatById
+ * @route {GET} /api/v1/boats/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('boats:read')
+ * @group API Boats - JSON operations related to boats
+ * @param {string} id.path.required - The boat ID
+ * @returns {Object} 200 - The boat
+ * @returns {Object} 400 - Malformed ID
+ * @returns {Object} 404 - Boat not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.get('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:read'), controller.getById);
+
+/**
+ * Register a boat.
+ * 
+ * @name ApiAddBoat
+ * @route {POST} /api/v1/boats
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('boats:write')
+ * @group API Boats - JSON operations related to boats
+ * @returns {Object} 201 - The created boat, with a `Location` header
+ * @returns {Object} 409 - Registration number already used
+ * @returns {Object} 422 - Validation error
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.post('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:write'), controller.add);
+
+/**
+ * Update a boat by ID. The name copied on its reservations follows.
+ * 
+ * @name ApiReplaceBoat
+ * @route {PUT} /api/v1/boats/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('boats:write')
+ * @group API Boats - JSON operations related to boats
+ * @param {string} id.path.required - The boat ID
+ * @returns {Object} 200 - The updated boat
+ * @returns {Object} 404 - Boat not found
+ * @returns {Object} 422 - Validation error
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.put('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:write'), controller.update);
+
+/**
+ * Partially update a boat by ID. Only the fields sent are changed.
+ * 
+ * @name ApiPatchBoat
+ * @route {PATCH} /api/v1/boats/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('boats:write')
+ * @group API Boats - JSON operations related to boats
+ * @param {string} id.path.required - The boat ID
+ * @returns {Object} 200 - The updated boat
+ * @returns {Object} 404 - Boat not found
+ * @returns {Object} 422 - Validation error
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.patch('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:write'), controller.update);
+
+/**
+ * Delete a boat by ID.
+ * 
+ * @name ApiDeleteBoat
+ * @route {DELETE} /api/v1/boats/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('boats:delete')
+ * @group API Boats - JSON operations related to boats
+ * @param {string} id.path.required - The boat ID
+ * @returns {Object} 204 - Boat deleted
+ * @returns {Object} 404 - Boat not found
+ * @returns {Object} 409 - The boat still has reservations
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.delete('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:delete'), controller.delete);
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../../../controllers/api/v1/catwaysController');
+const privateMiddleware = require('../../../middlewares/private');
+
+/**
+ * @module ApiCatwaysRoutes
+ */
+
+/**
+ * List all catways.
+ * 
+ * @name ApiGetAllCatways
+ * @route {GET} /api/v1/catways
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:read')
+ * @group API Catways - JSON operations related to catways
+ * @returns {Object} 200 - An array of catways
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.get('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:read'), controller.getAll);
+
+/**
+ * Search the catways available between two dates.
+ * 
+ * @name ApiGetAvailableCatways
+ * @route {GET} /api/v1/catways/available
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:read')
+ * @group API Catways - JSON operations related to catways
+ * @param {string} from.query.required - Start of the window
+ * @param {string} to.query.required - End of the window
+ * @param {string} type.query - 'long' or 'short'
+ * @returns {Object} 200 - The free catways, each with its next free slots
+ * @returns {Object} 400 - Missing or invalid query parameters
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.get('/available', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:read'), controller.getAvailable);
+
+/**
+ * Get a catway by ID.
+ * 
+ * @name ApiGetCatwayById
+ * @route {GET} /api/v1/catways/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:read')
+ * @group API Catways - JSON operations related to catways
+ * @param {string} id.path.required - The catway ID
+ * @returns {Object} 200 - The catway
+ * @returns {Object} 400 - Malformed ID
+ * @returns {Object} 404 - Catway not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.get('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:read'), controller.getById);
+
+/**
+ * Create a catway.
+ * 
+ * @name ApiAddCatway
+ * @route {POST} /api/v1/catways
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:write')
+ * @group API Catways - JSON operations related to catways
+ * @param {Catway.model} catway.body.required - The new catway
+ * @returns {Object} 201 - The created catway
+ * @returns {Object} 409 - This catway number already exists
+ * @returns {Object} 422 - Validation error
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.post('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:write'), controller.add);
+
+/**
+ * Update a catway by ID (PUT and PATCH both only change the fields sent).
+ * 
+ * @name ApiUpdateCatway
+ * @route {PUT|PATCH} /api/v1/catways/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:write')
+ * @group API Catways - JSON operations related to catways
+ * @param {string} id.path.required - The catway ID
+ * @returns {Object} 200 - The updated catway
+ * @returns {Object} 404 - Catway not found
+ * @returns {Object} 422 - Validation error
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.put('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:write'), controller.update);
+router.patch('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:write'), controller.update);
+
+/**
+ * Delete a catway by ID.
+ * 
+ * @name ApiDeleteCatway
+ * @route {DELETE} /api/v1/catways/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:delete')
+ * @group API Catways - JSON operations related to catways
+ * @param {string} id.path.required - The catway ID
+ * @returns {Object} 204 - Deleted
+ * @returns {Object} 404 - Catway not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.delete('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:delete'), controller.delete);
+
+module.exports = router;
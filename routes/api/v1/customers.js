@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../../../controllers/api/v1/customersController');
+const privateMiddleware = require('../../../middlewares/private');
+
+/**
+ * @module ApiCustomersRoutes
+ */
+
+/**
+ * List all customers, sorted by name.
+ * 
+ * @name ApiGetAllCustomers
+ * @route {GET} /api/v1/customers
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('customers:read')
+ * @group API Customers - JSON operations related to customers
+ * @returns {Object} 200 - An array of customers
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.get('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:read'), controller.getAll);
+
+/**
+ * Get a customer by ID.
+ * 
+ * @name ApiGetCustomerById
+ * @route {GET} /api/v1/customers/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('customers:read')
+ * @group API Customers - JSON operations related to customers
+ * @param {string} id.path.required - The customer ID
+ * @returns {Object} 200 - The customer
+ * @returns {Object} 400 - Malformed ID
+ * @returns {Object} 404 - Customer not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.get('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:read'), controller.getById);
+
+/**
+ * List the past and upcoming reservations of a customer.
+ * 
+ * @name ApiGetCustomerReservations
+ * @route {GET} /api/v1/customers/:id/reservations
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:read')
+ * @group API Customers - JSON operations related to customers
+ * @param {string} id.path.required - The customer ID
+ * @returns {Object} 200 - `{ past, upcoming }`
+ * @returns {Object} 400 - Malformed ID
+ * @returns {Object} 404 - Customer not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.get('/:id/reservations', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.getReservations);
+
+/**
+ * Create a customer.
+ * 
+ * @name ApiAddCustomer
+ * @route {POST} /api/v1/customers
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('customers:write')
+ * @group API Customers - JSON operations related to customers
+ * @returns {Object} 201 - The created customer, with a `Location` header
+ * @returns {Object} 422 - Validation error
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.post('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:write'), controller.add);
+
+/**
+ * Update a customer by ID. The name copied on their reservations follows.
+ * 
+ * @name ApiReplaceCustomer
+ * @route {PUT} /api/v1/customers/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('customers:write')
+ * @group API Customers - JSON operations related to customers
+ * @param {string} id.path.required - The customer ID
+ * @returns {Object} 200 - The updated customer
+ * @returns {Object} 404 - Customer not found
+ * @returns {Object} 422 - Validation error
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.put('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:write'), controller.update);
+
+/**
+ * Partially update a customer by ID. Only the fields sent are changed.
+ * 
+ * @name ApiPatchCustomer
+ * @route {PATCH} /api/v1/customers/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('customers:write')
+ * @group API Customers - JSON operations related to customers
+ * @param {string} id.path.required - The customer ID
+ * @returns {Object} 200 - The updated customer
+ * @returns {Object} 404 - Customer not found
+ * @returns {Object} 422 - Validation error
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.patch('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:write'), controller.update);
+
+/**
+ * Delete a customer by ID.
+ * 
+ * @name ApiDeleteCustomer
+ * @route {DELETE} /api/v1/customers/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('customers:delete')
+ * @group API Customers - JSON operations related to customers
+ * @param {string} id.path.required - The customer ID
+ * @returns {Object} 204 - Customer deleted
+ * @returns {Object} 404 - Customer not found
+ * @returns {Object} 409 - The customer still has reservations
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.delete('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:delete'), controller.delete);
+
+module.exports = router;
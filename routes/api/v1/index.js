@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const api = require('../../../middlewares/api');
+const authRoutes = require('./auth');
+const boatsRoutes = require('./boats');
+const catwaysRoutes = require('./catways');
+const customersRoutes = require('./customers');
+const reservationsRoutes = require('./reservations');
+const usersRoutes = require('./users');
+
+/**
+ * Version 1 of the JSON REST API.
+ * 
+ * Every endpoint answers with JSON, including errors, which all use the
+ * `{ error: { status, message, details } }` envelope. The EJS pages are not affected.
+ * 
+ * @module ApiV1Routes
+ */
+
+router.use('/auth', authRoutes);
+router.use('/boats', boatsRoutes);
+router.use('/catways', catwaysRoutes);
+router.use('/customers', customersRoutes);
+router.use('/', reservationsRoutes);
+router.use('/users', usersRoutes);
+
+// Anything else under /api/v1 is a JSON 404, never the HTML error page
+router.use(api.notFound);
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../../../controllers/api/v1/reservationsController');
+const privateMiddleware = require('../../../middlewares/private');
+
+/**
+ * @module ApiReservationsRoutes
+ */
+
+/**
+ * List every reservation.
+ * 
+ * @name ApiGetAllReservations
+ * @route {GET} /api/v1/reservations
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:read')
+ * @group API Reservations - JSON operations about reservations
+ * @returns {Object} 200 - An array of reservations
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.get('/reservations', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.getAll);
+
+/**
+ * List the reservations of a catway.
+ * 
+ * @name ApiGetCatwayReservations
+ * @route {GET} /api/v1/catways/:id/reservations
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:read')
+ * @group API Reservations - JSON operations about reservations
+ * @param {string} id.path.required - The catway ID
+ * @returns {Object} 200 - An array of reservations, possibly empty
+ * @returns {Object} 404 - Catway not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.get('/catways/:id/reservations', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.getAllOfCatway);
+
+/**
+ * Get a reservation of a catway.
+ * 
+ * @name ApiGetReservationById
+ * @route {GET} /api/v1/catways/:id/reservations/:idReservation
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:read')
+ * @group API Reservations - JSON operations about reservations
+ * @param {string} id.path.required - The catway ID
+ * @param {string} idReservation.path.required - The reservation ID
+ * @returns {Object} 200 - The reservation
+ * @returns {Object} 404 - Catway or reservation not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.get('/catways/:id/reservations/:idReservation', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.getById);
+
+/**
+ * Create a reservation on a catway.
+ * 
+ * @name ApiAddReservation
+ * @route {POST} /api/v1/catways/:id/reservations
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:write')
+ * @group API Reservations - JSON operations about reservations
+ * @param {string} id.path.required - The catway ID
+ * @returns {Object} 201 - The created reservation
+ * @returns {Object} 404 - Catway not found
+ * @returns {Object} 409 - The dates overlap existing reservations (listed in `error.details`)
+ * @returns {Object} 422 - Validation error
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.post('/catways/:id/reservations', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.add);
+
+/**
+ * Edit a reservation: change its dates, move it to another catway (`catway`), or change
+ * its client, boat or extras. Only the fields sent change; the values replaced are kept
+ * in its `history`.
+ * 
+ * @name ApiUpdateReservation
+ * @route {PUT} /api/v1/catways/:id/reservations/:idReservation
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:write')
+ * @group API Reservations - JSON operations about reservations
+ * @param {string} id.path.required - The catway ID
+ * @param {string} idReservation.path.required - The reservation ID
+ * @param {string} catway.body - The ID of the catway to move the reservation to
+ * @returns {Object} 200 - The updated reservation
+ * @returns {Object} 404 - Catway or reservation not found
+ * @returns {Object} 422 - Validation error or boat too big
+ * @returns {Object} 409 - The dates overlap existing reservations, or the reservation can no longer be edited
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.put('/catways/:id/reservations/:idReservation', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.update);
+
+/**
+ * Move a reservation to another status: `confirmed`, `checkedIn` (the boat arrived),
+ * `checkedOut` (the boat left), `cancelled` or `noShow`.
+ * 
+ * @name ApiChangeReservationStatus
+ * @route {POST} /api/v1/catways/:id/reservations/:idReservation/status
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:write')
+ * @group API Reservations - JSON operations about reservations
+ * @param {string} id.path.required - The catway ID
+ * @param {string} idReservation.path.required - The reservation ID
+ * @param {string} status.body.required - The new status
+ * @returns {Object} 200 - The updated reservation
+ * @returns {Object} 404 - Catway or reservation not found
+ * @returns {Object} 409 - The reservation cannot move to that status
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.post('/catways/:id/reservations/:idReservation/status', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.changeStatus);
+
+/**
+ * Delete a reservation of a catway.
+ * 
+ * @name ApiDeleteReservation
+ * @route {DELETE} /api/v1/catways/:id/reservations/:idReservation
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:delete')
+ * @group API Reservations - JSON operations about reservations
+ * @param {string} id.path.required - The catway ID
+ * @param {string} idReservation.path.required - The reservation ID
+ * @returns {Object} 204 - Deleted
+ * @returns {Object} 404 - Catway or reservation not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.delete('/catways/:id/reservations/:idReservation', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:delete'), controller.delete);
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../../../controllers/api/v1/usersController');
+const privateMiddleware = require('../../../middlewares/private');
+
+/**
+ * @module ApiUsersRoutes
+ */
+
+/**
+ * List all users.
+ * 
+ * @name ApiGetAllUsers
+ * @route {GET} /api/v1/users
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:read')
+ * @group API Users - JSON operations about users
+ * @returns {Object} 200 - An array of users (without passwords)
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.get('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:read'), controller.getAll);
+
+/**
+ * Get a user by ID.
+ * 
+ * @name ApiGetUserById
+ * @route {GET} /api/v1/users/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:read')
+ * @group API Users - JSON operations about users
+ * @param {string} id.path.required - The user's ID
+ * @returns {Object} 200 - The user
+ * @returns {Object} 404 - User not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.get('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:read'), controller.getById);
+
+/**
+ * Create a user.
+ * 
+ * @name ApiAddUser
+ * @route {POST} /api/v1/users
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:write')
+ * @group API Users - JSON operations about users
+ * @returns {Object} 201 - The created user
+ * @returns {Object} 409 - This email already exists
+ * @returns {Object} 422 - Validation error
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.post('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), controller.add);
+
+/**
+ * Update a user by ID (PUT and PATCH both only change the fields sent).
+ * 
+ * @name ApiUpdateUser
+ * @route {PUT|PATCH} /api/v1/users/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:write')
+ * @group API Users - JSON operations about users
+ * @param {string} id.path.required - The user's ID
+ * @returns {Object} 200 - The updated user
+ * @returns {Object} 404 - User not found
+ * @returns {Object} 422 - Validation error
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.put('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), controller.update);
+router.patch('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), controller.update);
+
+/**
+ * Delete a user by ID.
+ * 
+ * @name ApiDeleteUser
+ * @route {DELETE} /api/v1/users/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:delete')
+ * @group API Users - JSON operations about users
+ * @param {string} id.path.required - The user's ID
+ * @returns {Object} 204 - Deleted
+ * @returns {Object} 404 - User not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.delete('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:delete'), controller.delete);
+
+/**
+ * Revoke every session of a user.
+ * 
+ * @name ApiRevokeUserSessions
+ * @route {DELETE} /api/v1/users/:id/sessions
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:write')
+ * @group API Users - JSON operations about users
+ * @param {string} id.path.required - The user's ID
+ * @returns {Object} 200 - `{ revoked }`, the number of sessions revoked
+ * @returns {Object} 404 - User not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.delete('/:id/sessions', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), controller.revokeSessions);
+
+/**
+ * Unlock an account locked after too many failed logins.
+ * 
+ * @name ApiUnlockUser
+ * @route {POST} /api/v1/users/:id/unlock
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:write')
+ * @group API Users - JSON operations about users
+ * @param {string} id.path.required - The user's ID
+ * @returns {Object} 200 - The unlocked user
+ * @returns {Object} 404 - User not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ */
+router.post('/:id/unlock', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), controller.unlock);
+
+module.exports = router;
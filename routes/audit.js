@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/auditController');
+const privateMiddleware = require('../middlewares/private');
+
+/**
+ * @module AuditRoutes
+ */
+
+/**
+ * Render the audit log: who created, changed or deleted catways, reservations and users,
+ * with the values before and after.
+ * 
+ * @name GetAuditLog
+ * @route {GET} /audit
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('audit:read')
+ * @group Audit - Log of the writes
+ * @param {string} entity.query - 'catway', 'reservation' or 'user'
+ * @param {string} action.query - 'create', 'update', 'delete', 'restore' or 'purge'
+ * @param {string} user.query - The ID of the user who made the changes
+ * @param {string} entityId.query - The ID of the record changed
+ * @param {string} from.query - The first day (YYYY-MM-DD)
+ * @param {string} to.query - The last day (YYYY-MM-DD), included
+ * @returns {Object} 200 - The audit log view
+ * @returns {Object} 400 - Invalid filters
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/audit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('audit:read'), controller.getAll);
+ */
+router.get('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('audit:read'), controller.getAll);
+
+/**
+ * Download the audit log as a JSON file. Takes the same filters as the audit page.
+ * 
+ * @name ExportAuditLog
+ * @route {GET} /audit/export
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('audit:read')
+ * @group Audit - Log of the writes
+ * @returns {Object} 200 - The entries, as the attachment journal-audit.json
+ * @returns {Object} 400 - Invalid filters
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/audit/export', privateMiddleware.checkJWT, privateMiddleware.checkPermission('audit:read'), controller.export);
+ */
+router.get('/export', privateMiddleware.checkJWT, privateMiddleware.checkPermission('audit:read'), controller.export);
+
+module.exports = router;
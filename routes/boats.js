@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/boatsController');
+const privateMiddleware = require('../middlewares/private');
+
+/**
+ * @module BoatsRoutes
+ */
+
+/**
+ * @group Boat Routes - Operations related to boats
+ * 
+ * Get all boats of the registry.
+ * 
+ * @name GetAllBoats
+ * @route {GET} /boats
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('boats:read')
+ * @group Boats - Operations related to boats
+ * @returns {Object} 200 - The list of boats
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/boats', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:read'), controller.getAll);
+ */
+router.get('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:read'), controller.getAll);
+
+/**
+ * Render the form to register a new boat.
+ * 
+ * @name RenderAddBoat
+ * @route {GET} /boats/add
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('boats:write')
+ * @group Boats - Operations related to boats
+ * @param {string} owner.query - The ID of the customer to preselect as owner
+ * @returns {Object} 200 - The add boat form
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/boats/add', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:write'), controller.renderAddForm);
+ */
+router.get('/add', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:write'), controller.renderAddForm);
+
+/**
+ * Get a boat by ID.
+ * 
+ * @name GetBoatById
+ * @route {GET} /boats/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('boats:read')
+ * @group Boats - Operations related to boats
+ * @param {string} id.path.required - The boat ID
+ * @returns {Object} 200 - The boat details
+ * @returns {Object} 404 - Boat not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/boats/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:read'), controller.getById);
+ */
+router.get('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:read'), controller.getById);
+
+/**
+ * Register a new boat.
+ * 
+ * @name AddBoat
+ * @route {POST} /boats
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('boats:write')
+ * @group Boats - Operations related to boats
+ * @returns {Object} 302 - Redirect to the boat page
+ * @returns {Object} 400 - Validation error or registration number already used
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.post('/boats', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:write'), controller.add);
+ */
+router.post('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:write'), controller.add);
+
+/**
+ * Render the form to edit a boat.
+ * 
+ * @name RenderEditBoat
+ * @route {GET} /boats/:id/edit
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('boats:write')
+ * @group Boats - Operations related to boats
+ * @param {string} id.path.required - The boat ID
+ * @returns {Object} 200 - The edit boat form
+ * @returns {Object} 404 - Boat not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/boats/:id/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:write'), controller.edit);
+ */
+router.get('/:id/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:write'), controller.edit);
+
+/**
+ * Update a boat. The name copied on its reservations follows.
+ * 
+ * @name UpdateBoat
+ * @route {PUT} /boats/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('boats:write')
+ * @group Boats - Operations related to boats
+ * @param {string} id.path.required - The boat ID
+ * @returns {Object} 200 - The edit form with a confirmation
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Boat not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.put('/boats/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:write'), controller.update);
+ */
+router.put('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:write'), controller.update);
+
+/**
+ * Delete a boat that has no reservations left.
+ * 
+ * @name DeleteBoat
+ * @route {DELETE} /boats/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('boats:delete')
+ * @group Boats - Operations related to boats
+ * @param {string} id.path.required - The boat ID
+ * @returns {Object} 302 - Redirect to the list of boats
+ * @returns {Object} 404 - Boat not found
+ * @returns {Object} 409 - The boat still has reservations
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.delete('/boats/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:delete'), controller.delete);
+ */
+router.delete('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('boats:delete'), controller.delete);
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/calendarsController');
+const privateMiddleware = require('../middlewares/private');
+const uploadMiddleware = require('../middlewares/upload');
+
+/**
+ * @module CalendarsRoutes
+ */
+
+// Largest .ics file accepted as a text/calendar body. The import form uploads the file, up to `uploadMiddleware.MAX_FILE_SIZE`.
+const IMPORT_SIZE_LIMIT = '2mb';
+
+/**
+ * Render the list of the iCalendar feeds, with the form to create one.
+ *
+ * @name GetCalendarFeeds
+ * @route {GET} /calendars
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('calendars:manage')
+ * @group Calendars - iCalendar feeds and import
+ * @returns {Object} 200 - The list of the feeds
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ *
+ * @example
+ * // Usage
+ * app.get('/calendars', privateMiddleware.checkJWT, privateMiddleware.checkPermission('calendars:manage'), controller.getAll);
+ */
+router.get('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('calendars:manage'), controller.getAll);
+
+/**
+ * Create an iCalendar feed. Its secret URL is shown once, in the response.
+ *
+ * @name CreateCalendarFeed
+ * @route {POST} /calendars
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('calendars:manage')
+ * @group Calendars - iCalendar feeds and import
+ * @param {string} kind.body - 'catway', 'movements' or 'customer'
+ * @param {number} catwayNumber.body - The catway of a 'catway' feed
+ * @param {string} customer.body - The ID of the customer of a 'customer' feed
+ * @param {string} label.body - The name of the feed (optional)
+ * @returns {Object} 201 - The list of the feeds with the URL of the new one, or `{ feed, url }` for API clients
+ * @returns {Object} 400 - Invalid feed
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ *
+ * @example
+ * // Usage
+ * app.post('/calendars', privateMiddleware.checkJWT, privateMiddleware.checkPermission('calendars:manage'), controller.create);
+ */
+router.post('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('calendars:manage'), controller.create);
+
+/**
+ * Render the form to import an iCalendar file as reservations.
+ *
+ * @name RenderCalendarImport
+ * @route {GET} /calendars/import
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:write')
+ * @group Calendars - iCalendar feeds and import
+ * @returns {Object} 200 - The import form
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ *
+ * @example
+ * // Usage
+ * app.get('/calendars/import', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.renderImportForm);
+ */
+router.get('/import', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.renderImportForm);
+
+/**
+ * Import the events of an iCalendar file as reservations, and report the created ones,
+ * the conflicts and the invalid events.
+ *
+ * @name ImportCalendar
+ * @route {POST} /calendars/import
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:write')
+ * @middleware {singleFile} uploadMiddleware.singleFile('file')
+ * @group Calendars - iCalendar feeds and import
+ * @param {file} file.formData - The .ics file, sent with `multipart/form-data`
+ * @param {string} calendar.body - The content of the .ics file, or the whole body with `Content-Type: text/calendar`
+ * @param {number} catwayNumber.body - The catway of the events whose location names none
+ * @returns {Object} 200 - The import report
+ * @returns {Object} 400 - Not an iCalendar file, or a file too large
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ *
+ * @example
+ * // Usage
+ * app.post('/calendars/import', express.text({ type: 'text/calendar' }), privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), uploadMiddleware.singleFile('file'), controller.import);
+ */
+router.post(
+    '/import',
+    express.text({ type: 'text/calendar', limit: IMPORT_SIZE_LIMIT }),
+    privateMiddleware.checkJWT,
+    privateMiddleware.checkPermission('reservations:write'),
+    uploadMiddleware.singleFile('file'),
+    controller.import
+);
+
+/**
+ * Revoke an iCalendar feed: its URL stops working.
+ *
+ * @name RevokeCalendarFeed
+ * @route {DELETE} /calendars/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('calendars:manage')
+ * @group Calendars - iCalendar feeds and import
+ * @param {string} id.path - The ID of the feed
+ * @returns {Object} 302 - Redirect to the list of the feeds
+ * @returns {Object} 404 - Feed not found or already revoked
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ *
+ * @example
+ * // Usage
+ * app.delete('/calendars/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('calendars:manage'), controller.revoke);
+ */
+router.delete('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('calendars:manage'), controller.revoke);
+
+/**
+ * Get the iCalendar file of a feed. Calendar apps cannot log in: the secret token of
+ * the URL is the only credential.
+ *
+ * @name GetCalendarFeed
+ * @route {GET} /calendars/:token.ics
+ * @group Calendars - iCalendar feeds and import
+ * @param {string} token.path - The secret token of the feed
+ * @returns {Object} 200 - The .ics file
+ * @returns {Object} 404 - Unknown or revoked token
+ *
+ * @example
+ * // Usage
+ * app.get('/calendars/:token.ics', controller.getFeed);
+ */
+router.get('/:token.ics', controller.getFeed);
+
+module.exports = router;
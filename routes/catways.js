@@ -15,15 +15,17 @@ const privateMiddleware = require('../middlewares/private');
  * @name GetAllCatways
  * @route {GET} /catways
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:read')
  * @group Catways - Operations related to catways
  * @returns {Object} 200 - An array of catways
  * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/catways', privateMiddleware.checkJWT, controller.getAll);
+ * app.get('/catways', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:read'), controller.getAll);
  */
-router.get('/', privateMiddleware.checkJWT, controller.getAll);
+router.get('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:read'), controller.getAll);
 
 /**
  * Render the form to add a new catway.
@@ -31,15 +33,120 @@ router.get('/', privateMiddleware.checkJWT, controller.getAll);
  * @name RenderAddCatway
  * @route {GET} /catways/add
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:write')
  * @group Catways - Operations related to catways
  * @returns {Object} 200 - The add catway form
  * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/catways/add', privateMiddleware.checkJWT, controller.renderAddforum);
+ * app.get('/catways/add', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:write'), controller.renderAddforum);
  */
-router.get('/add', privateMiddleware.checkJWT, controller.renderAddforum);
+router.get('/add', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:write'), controller.renderAddforum);
+
+/**
+ * Render the marina plan: the berths by pontoon, coloured by the state of their catway
+ * and by the reservations of the day.
+ * 
+ * @name GetMarinaPlan
+ * @route {GET} /catways/plan
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:read')
+ * @group Catways - Operations related to catways
+ * @returns {Object} 200 - The marina plan view
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/catways/plan', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:read'), controller.getPlan);
+ */
+router.get('/plan', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:read'), controller.getPlan);
+
+/**
+ * Render the form to place the catways on the marina plan.
+ * 
+ * @name EditMarinaPlan
+ * @route {GET} /catways/plan/edit
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:layout')
+ * @group Catways - Operations related to catways
+ * @returns {Object} 200 - The layout form
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/catways/plan/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:layout'), controller.editPlan);
+ */
+router.get('/plan/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:layout'), controller.editPlan);
+
+/**
+ * Save the places of the catways on the marina plan.
+ * 
+ * @name UpdateMarinaPlan
+ * @route {PUT} /catways/plan
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:layout')
+ * @group Catways - Operations related to catways
+ * @param {Object} layout.body.required - The pontoon and position of each catway, by catway ID
+ * @returns {Object} 302 - Redirect to the marina plan
+ * @returns {Object} 400 - Invalid place, or two catways at the same place
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.put('/catways/plan', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:layout'), controller.updatePlan);
+ */
+router.put('/plan', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:layout'), controller.updatePlan);
+
+/**
+ * Search the catways available between two dates.
+ * 
+ * Must be declared before `/:id` so that 'available' is not taken for an ID.
+ * 
+ * @name GetAvailableCatways
+ * @route {GET} /catways/available
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:read')
+ * @group Catways - Operations related to catways
+ * @param {string} from.query.required - Start of the window (any date format understood by `Date`)
+ * @param {string} to.query.required - End of the window
+ * @param {string} type.query - 'long' or 'short'
+ * @returns {Object} 200 - The free catways, each with its next free slots
+ * @returns {Object} 400 - Missing or invalid query parameters
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/catways/available', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:read'), controller.getAvailable);
+ */
+router.get('/available', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:read'), controller.getAvailable);
+
+/**
+ * Download the catways list as a CSV, XLSX or JSON file, with the filters and the sort of the list view.
+ * 
+ * Must be declared before `/:id` so that 'export' is not taken for an ID.
+ * 
+ * @name ExportCatways
+ * @route {GET} /catways/export
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:read')
+ * @group Catways - Operations related to catways
+ * @param {string} format.query - 'csv' (default), 'xlsx' or 'json'
+ * @returns {Object} 200 - The file, as an attachment
+ * @returns {Object} 400 - Invalid format, filter or sort
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/catways/export', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:read'), controller.export);
+ */
+router.get('/export', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:read'), controller.export);
 
 /**
  * Get a specific catway by ID.
@@ -47,17 +154,19 @@ router.get('/add', privateMiddleware.checkJWT, controller.renderAddforum);
  * @name GetCatwayById
  * @route {GET} /catways/:id
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:read')
  * @group Catways - Operations related to catways
  * @param {string} id.path.required - The catway ID
  * @returns {Object} 200 - The catway details
  * @returns {Object} 404 - Catway not found
  * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/catways/:id', privateMiddleware.checkJWT, controller.getById);
+ * app.get('/catways/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:read'), controller.getById);
  */
-router.get('/:id', privateMiddleware.checkJWT, controller.getById);
+router.get('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:read'), controller.getById);
 
 /**
  * Add a new catway.
@@ -65,17 +174,19 @@ router.get('/:id', privateMiddleware.checkJWT, controller.getById);
  * @name AddCatway
  * @route {POST} /catways
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:write')
  * @group Catways - Operations related to catways
  * @param {Catway.model} catway.body.required - The new catway details
  * @returns {Object} 302 - Redirects to catways list on success
  * @returns {Object} 400 - Validation error
  * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.post('/catways', privateMiddleware.checkJWT, controller.add);
+ * app.post('/catways', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:write'), controller.add);
  */
-router.post('/', privateMiddleware.checkJWT, controller.add);
+router.post('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:write'), controller.add);
 
 /**
  * Update an existing catway by ID.
@@ -83,6 +194,7 @@ router.post('/', privateMiddleware.checkJWT, controller.add);
  * @name UpdateCatway
  * @route {PUT} /catways/:id
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:write')
  * @group Catways - Operations related to catways
  * @param {string} id.path.required - The catway ID
  * @param {Catway.model} catway.body.required - The updated catway details
@@ -90,12 +202,13 @@ router.post('/', privateMiddleware.checkJWT, controller.add);
  * @returns {Object} 404 - Catway not found
  * @returns {Object} 400 - Validation error
  * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.put('/catways/:id', privateMiddleware.checkJWT, controller.update);
+ * app.put('/catways/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:write'), controller.update);
  */
-router.put('/:id', privateMiddleware.checkJWT, controller.update);
+router.put('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:write'), controller.update);
 
 /**
  * Render the form to edit an existing catway.
@@ -103,17 +216,19 @@ router.put('/:id', privateMiddleware.checkJWT, controller.update);
  * @name EditCatway
  * @route {GET} /catways/:id/edit
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:write')
  * @group Catways - Operations related to catways
  * @param {string} id.path.required - The catway ID
  * @returns {Object} 200 - The edit catway form
  * @returns {Object} 404 - Catway not found
  * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/catways/:id/edit', privateMiddleware.checkJWT, controller.edit);
+ * app.get('/catways/:id/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:write'), controller.edit);
  */
-router.get('/:id/edit', privateMiddleware.checkJWT, controller.edit);
+router.get('/:id/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:write'), controller.edit);
 
 /**
  * Delete a catway by ID.
@@ -121,16 +236,18 @@ router.get('/:id/edit', privateMiddleware.checkJWT, controller.edit);
  * @name DeleteCatway
  * @route {DELETE} /catways/:id
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:delete')
  * @group Catways - Operations related to catways
  * @param {string} id.path.required - The catway ID
  * @returns {Object} 200 - Confirmation message on success
  * @returns {Object} 404 - Catway not found
  * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.delete('/catways/:id', privateMiddleware.checkJWT, controller.delete);
+ * app.delete('/catways/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:delete'), controller.delete);
  */
-router.delete('/:id', privateMiddleware.checkJWT, controller.delete);
+router.delete('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:delete'), controller.delete);
 
 module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/customersController');
+const privateMiddleware = require('../middlewares/private');
+
+/**
+ * @module CustomersRoutes
+ */
+
+/**
+ * @group Customer Routes - Operations related to customers
+ * 
+ * Get all customers.
+ * 
+ * @name GetAllCustomers
+ * @route {GET} /customers
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('customers:read')
+ * @group Customers - Operations related to customers
+ * @returns {Object} 200 - The list of customers
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/customers', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:read'), controller.getAll);
+ */
+router.get('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:read'), controller.getAll);
+
+/**
+ * Render the form to add a new customer.
+ * 
+ * @name RenderAddCustomer
+ * @route {GET} /customers/add
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('customers:write')
+ * @group Customers - Operations related to customers
+ * @returns {Object} 200 - The add customer form
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/customers/add', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:write'), controller.renderAddForm);
+ */
+router.get('/add', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:write'), controller.renderAddForm);
+
+/**
+ * Get a customer by ID, with their past and upcoming reservations.
+ * 
+ * @name GetCustomerById
+ * @route {GET} /customers/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('customers:read')
+ * @group Customers - Operations related to customers
+ * @param {string} id.path.required - The customer ID
+ * @returns {Object} 200 - The customer details
+ * @returns {Object} 404 - Customer not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/customers/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:read'), controller.getById);
+ */
+router.get('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:read'), controller.getById);
+
+/**
+ * Create a new customer.
+ * 
+ * @name AddCustomer
+ * @route {POST} /customers
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('customers:write')
+ * @group Customers - Operations related to customers
+ * @returns {Object} 302 - Redirect to the customer page
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.post('/customers', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:write'), controller.add);
+ */
+router.post('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:write'), controller.add);
+
+/**
+ * Render the form to edit a customer.
+ * 
+ * @name RenderEditCustomer
+ * @route {GET} /customers/:id/edit
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('customers:write')
+ * @group Customers - Operations related to customers
+ * @param {string} id.path.required - The customer ID
+ * @returns {Object} 200 - The edit customer form
+ * @returns {Object} 404 - Customer not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/customers/:id/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:write'), controller.edit);
+ */
+router.get('/:id/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:write'), controller.edit);
+
+/**
+ * Update a customer. The name copied on their reservations follows.
+ * 
+ * @name UpdateCustomer
+ * @route {PUT} /customers/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('customers:write')
+ * @group Customers - Operations related to customers
+ * @param {string} id.path.required - The customer ID
+ * @returns {Object} 200 - The edit form with a confirmation
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 404 - Customer not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.put('/customers/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:write'), controller.update);
+ */
+router.put('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:write'), controller.update);
+
+/**
+ * Delete a customer who has no reservations left.
+ * 
+ * @name DeleteCustomer
+ * @route {DELETE} /customers/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('customers:delete')
+ * @group Customers - Operations related to customers
+ * @param {string} id.path.required - The customer ID
+ * @returns {Object} 302 - Redirect to the list of customers
+ * @returns {Object} 404 - Customer not found
+ * @returns {Object} 409 - The customer still has reservations
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.delete('/customers/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:delete'), controller.delete);
+ */
+router.delete('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('customers:delete'), controller.delete);
+
+module.exports = router;
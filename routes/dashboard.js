@@ -25,21 +25,45 @@ const privateMiddleware = require('../middlewares/private');
  */
 router.get('/', privateMiddleware.checkJWT, dashboardController.renderDashboard);
 
+/**
+ * Send the figures of the dashboard as JSON: arrivals and departures of the day,
+ * occupancy by catway type, catways in maintenance, arrivals of the week, revenue
+ * of the month so far and occupancy of each month of a year.
+ * 
+ * @name GetDashboardStats
+ * @route {GET} /stats
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:read')
+ * @group Dashboard - Operations related to the dashboard
+ * @param {number} year.query - The year of the monthly occupancy, the current one by default
+ * @returns {Object} 200 - The figures
+ * @returns {Object} 400 - Invalid year
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/dashboard/stats', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), dashboardController.getStats);
+ */
+router.get('/stats', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), dashboardController.getStats);
+
 /**
  * Render the edit user widget.
  * 
  * @name RenderEditUserWidget
  * @route {GET} /user/edit
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:write')
  * @group Dashboard - Operations related to the dashboard
  * @returns {Object} 200 - The rendered edit user view
  * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/dashboard/user/edit', privateMiddleware.checkJWT, dashboardController.renderEditUserWid);
+ * app.get('/dashboard/user/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), dashboardController.renderEditUserWid);
  */
-router.get('/user/edit', privateMiddleware.checkJWT, dashboardController.renderEditUserWid);
+router.get('/user/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), dashboardController.renderEditUserWid);
 
 /**
  * Render the delete user widget.
@@ -47,15 +71,17 @@ router.get('/user/edit', privateMiddleware.checkJWT, dashboardController.renderE
  * @name RenderDeleteUserWidget
  * @route {GET} /user/delete
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:delete')
  * @group Dashboard - Operations related to the dashboard
  * @returns {Object} 200 - The rendered delete user view
  * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/dashboard/user/delete', privateMiddleware.checkJWT, dashboardController.renderDeleteUserWid);
+ * app.get('/dashboard/user/delete', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:delete'), dashboardController.renderDeleteUserWid);
  */
-router.get('/user/delete', privateMiddleware.checkJWT, dashboardController.renderDeleteUserWid);
+router.get('/user/delete', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:delete'), dashboardController.renderDeleteUserWid);
 
 /**
  * Render the edit catway widget.
@@ -63,15 +89,17 @@ router.get('/user/delete', privateMiddleware.checkJWT, dashboardController.rende
  * @name RenderEditCatwayWidget
  * @route {GET} /catway/edit
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:write')
  * @group Dashboard - Operations related to the dashboard
  * @returns {Object} 200 - The rendered edit catway view
  * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/dashboard/catway/edit', privateMiddleware.checkJWT, dashboardController.renderEditCatwayWid);
+ * app.get('/dashboard/catway/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:write'), dashboardController.renderEditCatwayWid);
  */
-router.get('/catway/edit', privateMiddleware.checkJWT, dashboardController.renderEditCatwayWid);
+router.get('/catway/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:write'), dashboardController.renderEditCatwayWid);
 
 /**
  * Render the delete catway widget.
@@ -79,15 +107,17 @@ router.get('/catway/edit', privateMiddleware.checkJWT, dashboardController.rende
  * @name RenderDeleteCatwayWidget
  * @route {GET} /catway/delete
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:delete')
  * @group Dashboard - Operations related to the dashboard
  * @returns {Object} 200 - The rendered delete catway view
  * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/dashboard/catway/delete', privateMiddleware.checkJWT, dashboardController.renderDeleteCatwayWid);
+ * app.get('/dashboard/catway/delete', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:delete'), dashboardController.renderDeleteCatwayWid);
  */
-router.get('/catway/delete', privateMiddleware.checkJWT, dashboardController.renderDeleteCatwayWid);
+router.get('/catway/delete', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:delete'), dashboardController.renderDeleteCatwayWid);
 
 /**
  * Render the catway details widget.
@@ -95,15 +125,17 @@ router.get('/catway/delete', privateMiddleware.checkJWT, dashboardController.ren
  * @name RenderCatwayDetailsWidget
  * @route {GET} /catway/details
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('catways:read')
  * @group Dashboard - Operations related to the dashboard
  * @returns {Object} 200 - The rendered catway details view
  * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/dashboard/catway/details', privateMiddleware.checkJWT, dashboardController.renderGetCatwayDetailsWid);
+ * app.get('/dashboard/catway/details', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:read'), dashboardController.renderGetCatwayDetailsWid);
  */
-router.get('/catway/details', privateMiddleware.checkJWT, dashboardController.renderGetCatwayDetailsWid);
+router.get('/catway/details', privateMiddleware.checkJWT, privateMiddleware.checkPermission('catways:read'), dashboardController.renderGetCatwayDetailsWid);
 
 /**
  * Render the reservation details widget.
@@ -111,15 +143,17 @@ router.get('/catway/details', privateMiddleware.checkJWT, dashboardController.re
  * @name RenderReservationDetailsWidget
  * @route {GET} /reservation/details
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:read')
  * @group Dashboard - Operations related to the dashboard
  * @returns {Object} 200 - The rendered reservation details view
  * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/dashboard/reservation/details', privateMiddleware.checkJWT, dashboardController.renderGetReservationDetailsWid);
+ * app.get('/dashboard/reservation/details', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), dashboardController.renderGetReservationDetailsWid);
  */
-router.get('/reservation/details', privateMiddleware.checkJWT, dashboardController.renderGetReservationDetailsWid);
+router.get('/reservation/details', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), dashboardController.renderGetReservationDetailsWid);
 
 /**
  * Render the delete reservation widget.
@@ -127,14 +161,16 @@ router.get('/reservation/details', privateMiddleware.checkJWT, dashboardControll
  * @name RenderDeleteReservationWidget
  * @route {GET} /reservation/delete
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:delete')
  * @group Dashboard - Operations related to the dashboard
  * @returns {Object} 200 - The rendered delete reservation view
  * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/dashboard/reservation/delete', privateMiddleware.checkJWT, dashboardController.renderDeleteReservationWid);
+ * app.get('/dashboard/reservation/delete', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:delete'), dashboardController.renderDeleteReservationWid);
  */
-router.get('/reservation/delete', privateMiddleware.checkJWT, dashboardController.renderDeleteReservationWid);
+router.get('/reservation/delete', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:delete'), dashboardController.renderDeleteReservationWid);
 
 module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/importsController');
+const privateMiddleware = require('../middlewares/private');
+const uploadMiddleware = require('../middlewares/upload');
+
+/**
+ * @module ImportsRoutes
+ */
+
+/**
+ * Render the form to import catways, reservations or users from a CSV, XLSX or JSON file.
+ * Only the kinds of records the user may create are offered.
+ *
+ * @name RenderImportForm
+ * @route {GET} /imports
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @group Imports - Import of files
+ * @param {string} type.query - The kind of records selected: 'catways', 'reservations' or 'users'
+ * @returns {Object} 200 - The import form
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user may create none of these records
+ *
+ * @example
+ * // Usage
+ * app.get('/imports', privateMiddleware.checkJWT, controller.renderForm);
+ */
+router.get('/', privateMiddleware.checkJWT, controller.renderForm);
+
+/**
+ * Read and check a file, and show each row with its errors. Nothing is imported yet.
+ *
+ * @name PreviewImport
+ * @route {POST} /imports
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {singleFile} uploadMiddleware.singleFile('file')
+ * @group Imports - Import of files
+ * @param {string} type.body - 'catways', 'reservations' or 'users'; the user needs the matching write permission
+ * @param {file} file.body - The CSV, XLSX or JSON file (multipart/form-data)
+ * @returns {Object} 200 - The preview, or `{ batch, valid, rows }` for API clients
+ * @returns {Object} 400 - No file, a file that cannot be read or too many rows
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ *
+ * @example
+ * // Usage
+ * app.post('/imports', privateMiddleware.checkJWT, uploadMiddleware.singleFile('file'), controller.preview);
+ */
+router.post('/', privateMiddleware.checkJWT, uploadMiddleware.singleFile('file'), controller.preview);
+
+/**
+ * Confirm an import: save the rows without errors and report what became of each.
+ *
+ * @name CommitImport
+ * @route {POST} /imports/:id/commit
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @group Imports - Import of files
+ * @param {string} id.path - The ID of the import, given by the preview
+ * @returns {Object} 200 - The report of the import, or `{ created, results }` for API clients
+ * @returns {Object} 404 - Import not found, expired, already done or uploaded by another user
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ *
+ * @example
+ * // Usage
+ * app.post('/imports/:id/commit', privateMiddleware.checkJWT, controller.commit);
+ */
+router.post('/:id/commit', privateMiddleware.checkJWT, controller.commit);
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/invoicesController');
+const privateMiddleware = require('../middlewares/private');
+
+/**
+ * @module InvoicesRoutes
+ */
+
+/**
+ * Issue the invoice of a reservation, numbered after the last invoice of the year.
+ * 
+ * @name IssueInvoice
+ * @route {POST} /catways/:id/reservations/:idReservation/invoice
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('invoices:write')
+ * @group Invoices - Operations about invoices
+ * @param {string} id.path.required - The catway ID
+ * @param {string} idReservation.path.required - The reservation ID
+ * @returns {Object} 302 - Redirect to the invoice
+ * @returns {Object} 400 - No tariff covers the reservation
+ * @returns {Object} 404 - Reservation not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.post('/catways/:id/reservations/:idReservation/invoice', privateMiddleware.checkJWT, privateMiddleware.checkPermission('invoices:write'), controller.issue);
+ */
+router.post('/:id/reservations/:idReservation/invoice', privateMiddleware.checkJWT, privateMiddleware.checkPermission('invoices:write'), controller.issue);
+
+/**
+ * Render the invoice of a reservation.
+ * 
+ * @name GetInvoice
+ * @route {GET} /catways/:id/reservations/:idReservation/invoice
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('invoices:read')
+ * @group Invoices - Operations about invoices
+ * @param {string} id.path.required - The catway ID
+ * @param {string} idReservation.path.required - The reservation ID
+ * @returns {Object} 200 - The invoice
+ * @returns {Object} 404 - No invoice issued for the reservation
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/catways/:id/reservations/:idReservation/invoice', privateMiddleware.checkJWT, privateMiddleware.checkPermission('invoices:read'), controller.getInvoice);
+ */
+router.get('/:id/reservations/:idReservation/invoice', privateMiddleware.checkJWT, privateMiddleware.checkPermission('invoices:read'), controller.getInvoice);
+
+/**
+ * Download the invoice of a reservation as an HTML file.
+ * 
+ * @name DownloadInvoice
+ * @route {GET} /catways/:id/reservations/:idReservation/invoice/download
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('invoices:read')
+ * @group Invoices - Operations about invoices
+ * @param {string} id.path.required - The catway ID
+ * @param {string} idReservation.path.required - The reservation ID
+ * @returns {Object} 200 - The invoice, as an attachment
+ * @returns {Object} 404 - No invoice issued for the reservation
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/catways/:id/reservations/:idReservation/invoice/download', privateMiddleware.checkJWT, privateMiddleware.checkPermission('invoices:read'), controller.download);
+ */
+router.get('/:id/reservations/:idReservation/invoice/download', privateMiddleware.checkJWT, privateMiddleware.checkPermission('invoices:read'), controller.download);
+
+module.exports = router;
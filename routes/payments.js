@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/paymentsController');
+const privateMiddleware = require('../middlewares/private');
+
+/**
+ * @module PaymentsRoutes
+ */
+
+/**
+ * Record a deposit, a balance payment or a refund on a reservation.
+ * 
+ * @name AddPayment
+ * @route {POST} /catways/:id/reservations/:idReservation/payments
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('payments:write')
+ * @group Payments - Operations about payments
+ * @param {string} id.path.required - The catway ID
+ * @param {string} idReservation.path.required - The reservation ID
+ * @returns {Object} 302 - Redirect to the reservation
+ * @returns {Object} 400 - Validation error or refund larger than what was paid
+ * @returns {Object} 404 - Reservation not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.post('/catways/:id/reservations/:idReservation/payments', privateMiddleware.checkJWT, privateMiddleware.checkPermission('payments:write'), controller.add);
+ */
+router.post('/:id/reservations/:idReservation/payments', privateMiddleware.checkJWT, privateMiddleware.checkPermission('payments:write'), controller.add);
+
+/**
+ * Reverse a payment recorded by mistake. It stays in the history but no longer counts.
+ * 
+ * @name ReversePayment
+ * @route {POST} /catways/:id/reservations/:idReservation/payments/:idPayment/reverse
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('payments:reverse')
+ * @group Payments - Operations about payments
+ * @param {string} id.path.required - The catway ID
+ * @param {string} idReservation.path.required - The reservation ID
+ * @param {string} idPayment.path.required - The payment ID
+ * @returns {Object} 302 - Redirect to the reservation
+ * @returns {Object} 400 - Payment already reversed
+ * @returns {Object} 404 - Payment not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.post('/catways/:id/reservations/:idReservation/payments/:idPayment/reverse', privateMiddleware.checkJWT, privateMiddleware.checkPermission('payments:reverse'), controller.reverse);
+ */
+router.post('/:id/reservations/:idReservation/payments/:idPayment/reverse', privateMiddleware.checkJWT, privateMiddleware.checkPermission('payments:reverse'), controller.reverse);
+
+module.exports = router;
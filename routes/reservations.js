@@ -13,17 +13,22 @@ const privateMiddleware = require('../middlewares/private');
  * @name GetAllReservations
  * @route {GET} /:id/reservations
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:read')
  * @group Reservations - Operations about reservations
  * @param {string} id.path.required - The catway ID
- * @returns {Object} 200 - An array of reservations
+ * @param {string} from.query - With `to`, only the reservations crossing that period (YYYY-MM-DD)
+ * @param {string} to.query - The end of the period, excluded
+ * @returns {Object} 200 - An array of reservations, empty when there is none
+ * @returns {Object} 400 - Invalid period
  * @returns {Object} 404 - Catway not found
  * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/:id/reservations', privateMiddleware.checkJWT, controller.getAllOfCatway);
+ * app.get('/:id/reservations', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.getAllOfCatway);
  */
-router.get('/:id/reservations', privateMiddleware.checkJWT, controller.getAllOfCatway);
+router.get('/:id/reservations', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.getAllOfCatway);
 
 /**
  * Get all reservations and render the list view.
@@ -31,15 +36,59 @@ router.get('/:id/reservations', privateMiddleware.checkJWT, controller.getAllOfC
  * @name GetAllReservationsList
  * @route {GET} /reservations/list
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:read')
  * @group Reservations - Operations about reservations
  * @returns {Object} 200 - An object containing the rendered reservations list view
  * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/reservations/list', privateMiddleware.checkJWT, controller.getAll);
+ * app.get('/reservations/list', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.getAll);
  */
-router.get('/reservations/list', privateMiddleware.checkJWT, controller.getAll);
+router.get('/reservations/list', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.getAll);
+
+/**
+ * Download the reservations list, with the price of each stay, as a CSV, XLSX or JSON file, with the filters and the sort of the list view.
+ * 
+ * @name ExportReservations
+ * @route {GET} /reservations/export
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:read')
+ * @group Reservations - Operations about reservations
+ * @param {string} format.query - 'csv' (default), 'xlsx' or 'json'
+ * @returns {Object} 200 - The file, as an attachment
+ * @returns {Object} 400 - Invalid format, filter or sort
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/reservations/export', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.export);
+ */
+router.get('/reservations/export', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.export);
+
+/**
+ * Render the reservations calendar: every catway as a row, the reservations as bars.
+ * 
+ * @name GetReservationsCalendar
+ * @route {GET} /reservations/calendar
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:read')
+ * @group Reservations - Operations about reservations
+ * @param {string} scale.query - 'day', 'week' (default) or 'month'
+ * @param {string} from.query - A day of the first column (YYYY-MM-DD), today by default
+ * @param {number} catway.query - Only show the catway with this number
+ * @returns {Object} 200 - The calendar view
+ * @returns {Object} 400 - Invalid scale, date or catway number
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/reservations/calendar', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.getCalendar);
+ */
+router.get('/reservations/calendar', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.getCalendar);
 
 /**
  * Get a reservation by ID and render the details view.
@@ -47,18 +96,20 @@ router.get('/reservations/list', privateMiddleware.checkJWT, controller.getAll);
  * @name GetReservationById
  * @route {GET} /:id/reservations/:idReservation
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:read')
  * @group Reservations - Operations about reservations
  * @param {string} id.path.required - The catway ID
  * @param {string} idReservation.path.required - The reservation ID
  * @returns {Object} 200 - An object containing the rendered reservation details view
  * @returns {Object} 404 - Reservation not found
  * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/:id/reservations/:idReservation', privateMiddleware.checkJWT, controller.getbyId);
+ * app.get('/:id/reservations/:idReservation', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.getbyId);
  */
-router.get('/:id/reservations/:idReservation', privateMiddleware.checkJWT, controller.getbyId);
+router.get('/:id/reservations/:idReservation', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.getbyId);
 
 /**
  * Add a new reservation.
@@ -66,18 +117,21 @@ router.get('/:id/reservations/:idReservation', privateMiddleware.checkJWT, contr
  * @name AddReservation
  * @route {POST} /:id/reservations
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:write')
  * @group Reservations - Operations about reservations
  * @param {string} id.path.required - The catway ID
  * @returns {Object} 200 - An object containing a success message
  * @returns {Object} 404 - Catway not found
  * @returns {Object} 400 - Validation error
+ * @returns {Object} 409 - The dates overlap existing reservations (listed in the response)
  * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.post('/:id/reservations', privateMiddleware.checkJWT, controller.add);
+ * app.post('/:id/reservations', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.add);
  */
-router.post('/:id/reservations', privateMiddleware.checkJWT, controller.add);
+router.post('/:id/reservations', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.add);
 
 /**
  * Render the form for adding a new reservation.
@@ -85,15 +139,88 @@ router.post('/:id/reservations', privateMiddleware.checkJWT, controller.add);
  * @name RenderAddReservationForm
  * @route {GET} /reservation/add
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:write')
  * @group Reservations - Operations about reservations
  * @returns {Object} 200 - An object containing the rendered add reservation form
  * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/reservation/add', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.renderAddForm);
+ */
+router.get('/reservation/add', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.renderAddForm);
+
+/**
+ * Render the form to edit a reservation.
+ * 
+ * @name RenderEditReservationForm
+ * @route {GET} /:id/reservations/:idReservation/edit
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:write')
+ * @group Reservations - Operations about reservations
+ * @param {string} id.path.required - The catway ID
+ * @param {string} idReservation.path.required - The reservation ID
+ * @returns {Object} 200 - An object containing the rendered edit reservation form
+ * @returns {Object} 404 - Reservation not found
+ * @returns {Object} 409 - The reservation can no longer be edited
+ * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/:id/reservations/:idReservation/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.renderEditForm);
+ */
+router.get('/:id/reservations/:idReservation/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.renderEditForm);
+
+/**
+ * Edit a reservation: change its dates, move it to another catway, or change its
+ * client, boat or extras. The values replaced are kept in its history.
+ * 
+ * @name UpdateReservation
+ * @route {PUT} /:id/reservations/:idReservation
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:write')
+ * @group Reservations - Operations about reservations
+ * @param {string} id.path.required - The catway ID
+ * @param {string} idReservation.path.required - The reservation ID
+ * @param {string} catway.body - The ID of the catway to move the reservation to
+ * @returns {Object} 302 - Redirect to the reservation
+ * @returns {Object} 404 - Catway or reservation not found
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 409 - The dates overlap existing reservations, or the reservation can no longer be edited
+ * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.put('/:id/reservations/:idReservation', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.update);
+ */
+router.put('/:id/reservations/:idReservation', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.update);
+
+/**
+ * Move a reservation to another status: confirm or cancel it, record that the boat
+ * arrived or left, or that it never came.
+ * 
+ * @name ChangeReservationStatus
+ * @route {POST} /:id/reservations/:idReservation/status
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:write')
+ * @group Reservations - Operations about reservations
+ * @param {string} id.path.required - The catway ID
+ * @param {string} idReservation.path.required - The reservation ID
+ * @param {string} status.body.required - The new status
+ * @returns {Object} 302 - Redirect to the reservation
+ * @returns {Object} 404 - Reservation not found
+ * @returns {Object} 409 - The reservation cannot move to that status
+ * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/reservation/add', privateMiddleware.checkJWT, controller.renderAddForm);
+ * app.post('/:id/reservations/:idReservation/status', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.changeStatus);
  */
-router.get('/reservation/add', privateMiddleware.checkJWT, controller.renderAddForm);
+router.post('/:id/reservations/:idReservation/status', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.changeStatus);
 
 /**
  * Delete a reservation by ID.
@@ -101,17 +228,19 @@ router.get('/reservation/add', privateMiddleware.checkJWT, controller.renderAddF
  * @name DeleteReservation
  * @route {DELETE} /:id/reservations/:idReservation
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:delete')
  * @group Reservations - Operations about reservations
  * @param {string} id.path.required - The catway ID
  * @param {string} idReservation.path.required - The reservation ID
  * @returns {Object} 200 - An object containing a success message
  * @returns {Object} 404 - Reservation not found
  * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.delete('/:id/reservations/:idReservation', privateMiddleware.checkJWT, controller.delete);
+ * app.delete('/:id/reservations/:idReservation', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:delete'), controller.delete);
  */
-router.delete('/:id/reservations/:idReservation', privateMiddleware.checkJWT, controller.delete);
+router.delete('/:id/reservations/:idReservation', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:delete'), controller.delete);
 
 module.exports = router;
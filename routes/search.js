@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/searchController');
+const privateMiddleware = require('../middlewares/private');
+
+/**
+ * @module SearchRoutes
+ */
+
+/**
+ * Search the catways (boat name, number), the reservations (client name, boat name,
+ * catway number), the customers (name, email) and the users (name, email), ignoring
+ * case and accents. Only the kinds of records the user may read are searched.
+ * 
+ * @name Search
+ * @route {GET} /search
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @group Search - Global search
+ * @param {string} q.query - The text to look for, at least 2 characters
+ * @returns {Object} 200 - The results view, or the results as JSON for API clients
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * 
+ * @example
+ * // Usage
+ * app.get('/search', privateMiddleware.checkJWT, controller.search);
+ */
+router.get('/', privateMiddleware.checkJWT, controller.search);
+
+module.exports = router;
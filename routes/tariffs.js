@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/tariffsController');
+const privateMiddleware = require('../middlewares/private');
+
+/**
+ * @module TariffsRoutes
+ */
+
+/**
+ * @group Tariff Routes - Operations related to tariffs
+ * 
+ * Get all tariffs.
+ * 
+ * @name GetAllTariffs
+ * @route {GET} /tariffs
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('tariffs:read')
+ * @group Tariffs - Operations related to tariffs
+ * @returns {Object} 200 - The list of tariffs
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/tariffs', privateMiddleware.checkJWT, privateMiddleware.checkPermission('tariffs:read'), controller.getAll);
+ */
+router.get('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('tariffs:read'), controller.getAll);
+
+/**
+ * Render the form to create a tariff.
+ * 
+ * @name RenderAddTariff
+ * @route {GET} /tariffs/add
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('tariffs:write')
+ * @group Tariffs - Operations related to tariffs
+ * @returns {Object} 200 - The add tariff form
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/tariffs/add', privateMiddleware.checkJWT, privateMiddleware.checkPermission('tariffs:write'), controller.renderAddForm);
+ */
+router.get('/add', privateMiddleware.checkJWT, privateMiddleware.checkPermission('tariffs:write'), controller.renderAddForm);
+
+/**
+ * Create a tariff.
+ * 
+ * @name AddTariff
+ * @route {POST} /tariffs
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('tariffs:write')
+ * @group Tariffs - Operations related to tariffs
+ * @returns {Object} 302 - Redirect to the list of tariffs
+ * @returns {Object} 400 - Validation error or months already covered
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.post('/tariffs', privateMiddleware.checkJWT, privateMiddleware.checkPermission('tariffs:write'), controller.add);
+ */
+router.post('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('tariffs:write'), controller.add);
+
+/**
+ * Render the form to edit a tariff.
+ * 
+ * @name RenderEditTariff
+ * @route {GET} /tariffs/:id/edit
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('tariffs:write')
+ * @group Tariffs - Operations related to tariffs
+ * @param {string} id.path.required - The tariff ID
+ * @returns {Object} 200 - The edit tariff form
+ * @returns {Object} 404 - Tariff not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/tariffs/:id/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('tariffs:write'), controller.edit);
+ */
+router.get('/:id/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('tariffs:write'), controller.edit);
+
+/**
+ * Update a tariff. Reservations already made keep their price.
+ * 
+ * @name UpdateTariff
+ * @route {PUT} /tariffs/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('tariffs:write')
+ * @group Tariffs - Operations related to tariffs
+ * @param {string} id.path.required - The tariff ID
+ * @returns {Object} 200 - The edit form with a confirmation
+ * @returns {Object} 400 - Validation error or months already covered
+ * @returns {Object} 404 - Tariff not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.put('/tariffs/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('tariffs:write'), controller.update);
+ */
+router.put('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('tariffs:write'), controller.update);
+
+/**
+ * Delete a tariff.
+ * 
+ * @name DeleteTariff
+ * @route {DELETE} /tariffs/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('tariffs:write')
+ * @group Tariffs - Operations related to tariffs
+ * @param {string} id.path.required - The tariff ID
+ * @returns {Object} 302 - Redirect to the list of tariffs
+ * @returns {Object} 404 - Tariff not found
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.delete('/tariffs/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('tariffs:write'), controller.delete);
+ */
+router.delete('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('tariffs:write'), controller.delete);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/trashController');
+const privateMiddleware = require('../middlewares/private');
+
+/**
+ * @module TrashRoutes
+ */
+
+/**
+ * Render the trash: the deleted catways, reservations and users the user may restore.
+ * 
+ * @name GetTrash
+ * @route {GET} /trash
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('trash:read')
+ * @group Trash - Deleted records
+ * @returns {Object} 200 - The trash view
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/trash', privateMiddleware.checkJWT, privateMiddleware.checkPermission('trash:read'), controller.getAll);
+ */
+router.get('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('trash:read'), controller.getAll);
+
+/**
+ * Restore a deleted record. Needs the permission to delete records of its kind.
+ * 
+ * @name RestoreFromTrash
+ * @route {POST} /trash/:type/:id/restore
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('trash:read')
+ * @group Trash - Deleted records
+ * @param {string} type.path.required - 'catways', 'reservations' or 'users'
+ * @param {string} id.path.required - The ID of the record
+ * @returns {Object} 302 - Redirect to the trash
+ * @returns {Object} 404 - Not in the trash
+ * @returns {Object} 409 - The catway of the reservation is in the trash, or its dates were taken
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.post('/trash/:type/:id/restore', privateMiddleware.checkJWT, privateMiddleware.checkPermission('trash:read'), controller.restore);
+ */
+router.post('/:type/:id/restore', privateMiddleware.checkJWT, privateMiddleware.checkPermission('trash:read'), controller.restore);
+
+/**
+ * Delete a record of the trash for good.
+ * 
+ * @name PurgeFromTrash
+ * @route {DELETE} /trash/:type/:id
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('trash:purge')
+ * @group Trash - Deleted records
+ * @param {string} type.path.required - 'catways', 'reservations' or 'users'
+ * @param {string} id.path.required - The ID of the record
+ * @returns {Object} 302 - Redirect to the trash
+ * @returns {Object} 404 - Not in the trash
+ * @returns {Object} 409 - The record must be kept (catway with reservations, invoiced or paid reservation)
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.delete('/trash/:type/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('trash:purge'), controller.purge);
+ */
+router.delete('/:type/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('trash:purge'), controller.purge);
+
+module.exports = router;
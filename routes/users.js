@@ -15,17 +15,19 @@ const router = express.Router();
  * @name GetUserById
  * @route {GET} /:id
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:read')
  * @group Users - Operations about users
  * @param {string} id.path.required - The user's ID
  * @returns {Object} 200 - The user object
  * @returns {Object} 404 - User not found
  * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/users/:id', privateMiddleware.checkJWT, userController.getById);
+ * app.get('/users/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:read'), userController.getById);
  */
-router.get('/:id', privateMiddleware.checkJWT, userController.getById);
+router.get('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:read'), userController.getById);
 
 /**
  * @group Users Routes - Operations related to users
@@ -35,16 +37,18 @@ router.get('/:id', privateMiddleware.checkJWT, userController.getById);
  * @name AddUser
  * @route {POST} /
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:write')
  * @group Users - Operations about users
  * @returns {Object} 200 - An object containing a success message
  * @returns {Object} 400 - Validation error
  * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.post('/users', privateMiddleware.checkJWT, userController.add);
+ * app.post('/users', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), userController.add);
  */
-router.post('/', privateMiddleware.checkJWT, userController.add);
+router.post('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), userController.add);
 
 /**
  * @group Users Routes - Operations related to users
@@ -54,15 +58,17 @@ router.post('/', privateMiddleware.checkJWT, userController.add);
  * @name RenderUserCreationPage
  * @route {GET} /user/add
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:write')
  * @group Users - Operations about users
  * @returns {Object} 200 - An object containing the rendered user creation form
  * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/users/user/add', privateMiddleware.checkJWT, userController.renderCreationPage);
+ * app.get('/users/user/add', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), userController.renderCreationPage);
  */
-router.get('/user/add', privateMiddleware.checkJWT, userController.renderCreationPage);
+router.get('/user/add', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), userController.renderCreationPage);
 
 /**
  * @group Users Routes - Operations related to users
@@ -72,17 +78,19 @@ router.get('/user/add', privateMiddleware.checkJWT, userController.renderCreatio
  * @name DeleteUser
  * @route {DELETE} /:id
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:delete')
  * @group Users - Operations about users
  * @param {string} id.path.required - The user's ID
  * @returns {Object} 200 - An object containing a success message
  * @returns {Object} 404 - User not found
  * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.delete('/users/:id', privateMiddleware.checkJWT, userController.delete);
+ * app.delete('/users/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:delete'), userController.delete);
  */
-router.delete('/:id', privateMiddleware.checkJWT, userController.delete);
+router.delete('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:delete'), userController.delete);
 
 /**
  * @group Users Routes - Operations related to users
@@ -92,18 +100,20 @@ router.delete('/:id', privateMiddleware.checkJWT, userController.delete);
  * @name UpdateUser
  * @route {PUT} /:id
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:write')
  * @group Users - Operations about users
  * @param {string} id.path.required - The user's ID
  * @returns {Object} 200 - An object containing a success message
  * @returns {Object} 404 - User not found
  * @returns {Object} 400 - Validation error
  * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.put('/users/:id', privateMiddleware.checkJWT, userController.update);
+ * app.put('/users/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), userController.update);
  */
-router.put('/:id', privateMiddleware.checkJWT, userController.update);
+router.put('/:id', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), userController.update);
 
 /**
  * @group Users Routes - Operations related to users
@@ -113,17 +123,19 @@ router.put('/:id', privateMiddleware.checkJWT, userController.update);
  * @name RenderEditUserPage
  * @route {GET} /:id/edit
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:write')
  * @group Users - Operations about users
  * @param {string} id.path.required - The user's ID
  * @returns {Object} 200 - An object containing the rendered edit user form 
  * @returns {Object} 404 - User not found
  * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/users/:id/edit', privateMiddleware.checkJWT, userController.edit);
+ * app.get('/users/:id/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), userController.edit);
  */
-router.get('/:id/edit', privateMiddleware.checkJWT, userController.edit);
+router.get('/:id/edit', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), userController.edit);
 
 /**
  * @group Users Routes - Operations related to users
@@ -135,6 +147,7 @@ router.get('/:id/edit', privateMiddleware.checkJWT, userController.edit);
  * @group Users - Operations about users
  * @returns {Object} 200 - An object containing the rendered dashboard
  * @returns {Object} 401 - Wrong credentials
+ * @returns {Object} 429 - Too many failed logins for this account or this IP address
  * @returns {Object} 500 - Internal Server Error
  * 
  * @example
@@ -143,6 +156,141 @@ router.get('/:id/edit', privateMiddleware.checkJWT, userController.edit);
  */
 router.post('/authenticate', userController.authenticate);
 
+/**
+ * @group Users Routes - Operations related to users
+ * 
+ * Route to render the "forgot password" page.
+ * 
+ * @name RenderForgotPassword
+ * @route {GET} /password/forgot
+ * @group Users - Operations about users
+ * @returns {Object} 200 - The rendered form
+ * 
+ * @example
+ * // Usage
+ * app.get('/users/password/forgot', userController.renderForgotPassword);
+ */
+router.get('/password/forgot', userController.renderForgotPassword);
+
+/**
+ * @group Users Routes - Operations related to users
+ * 
+ * Route to request a password reset link by email.
+ * 
+ * @name ForgotPassword
+ * @route {POST} /password/forgot
+ * @group Users - Operations about users
+ * @param {string} email.body.required - The email of the account
+ * @returns {Object} 200 - The same confirmation whether the email exists or not
+ * @returns {Object} 500 - Internal Server Error
+ * 
+ * @example
+ * // Usage
+ * app.post('/users/password/forgot', userController.forgotPassword);
+ */
+router.post('/password/forgot', userController.forgotPassword);
+
+/**
+ * @group Users Routes - Operations related to users
+ * 
+ * Route to render the "reset password" page from the link of the email.
+ * 
+ * @name RenderResetPassword
+ * @route {GET} /password/reset
+ * @group Users - Operations about users
+ * @param {string} token.query.required - The reset token
+ * @returns {Object} 200 - The rendered form
+ * @returns {Object} 400 - Invalid or expired token
+ * 
+ * @example
+ * // Usage
+ * app.get('/users/password/reset', userController.renderResetPassword);
+ */
+router.get('/password/reset', userController.renderResetPassword);
+
+/**
+ * @group Users Routes - Operations related to users
+ * 
+ * Route to set a new password with a reset token. The token can be used only once.
+ * 
+ * @name ResetPassword
+ * @route {POST} /password/reset
+ * @group Users - Operations about users
+ * @param {string} token.body.required - The reset token
+ * @param {string} password.body.required - The new password
+ * @param {string} passwordConfirm.body.required - The new password, again
+ * @returns {Object} 200 - The login page with a confirmation
+ * @returns {Object} 400 - Invalid or expired token, or invalid password
+ * 
+ * @example
+ * // Usage
+ * app.post('/users/password/reset', userController.resetPassword);
+ */
+router.post('/password/reset', userController.resetPassword);
+
+/**
+ * @group Users Routes - Operations related to users
+ * 
+ * Route to log the current user out. The session is revoked and the cookies are cleared.
+ * 
+ * @name LogoutUser
+ * @route {POST} /logout
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @group Users - Operations about users
+ * @returns {Object} 200 - The rendered home page
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 500 - Internal Server Error
+ * 
+ * @example
+ * // Usage
+ * app.post('/users/logout', privateMiddleware.checkJWT, userController.logout);
+ */
+router.post('/logout', privateMiddleware.checkJWT, userController.logout);
+
+/**
+ * @group Users Routes - Operations related to users
+ * 
+ * Route to revoke every session of a user (e.g. a stolen device or an employee leaving).
+ * 
+ * @name RevokeUserSessions
+ * @route {POST} /:id/sessions/revoke
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:write')
+ * @group Users - Operations about users
+ * @param {string} id.path.required - The user's ID
+ * @returns {Object} 200 - The rendered dashboard with the number of sessions revoked
+ * @returns {Object} 404 - User not found
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * @returns {Object} 500 - Internal Server Error
+ * 
+ * @example
+ * // Usage
+ * app.post('/users/:id/sessions/revoke', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), userController.revokeSessions);
+ */
+router.post('/:id/sessions/revoke', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), userController.revokeSessions);
+
+/**
+ * @group Users Routes - Operations related to users
+ * 
+ * Route to unlock an account locked after too many failed logins.
+ * 
+ * @name UnlockUser
+ * @route {POST} /:id/unlock
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:write')
+ * @group Users - Operations about users
+ * @param {string} id.path.required - The user's ID
+ * @returns {Object} 200 - The rendered dashboard with a confirmation
+ * @returns {Object} 404 - User not found
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * @returns {Object} 500 - Internal Server Error
+ * 
+ * @example
+ * // Usage
+ * app.post('/users/:id/unlock', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), userController.unlock);
+ */
+router.post('/:id/unlock', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:write'), userController.unlock);
+
 /** 
  * @group Users Routes - Operations related to users
  * 
@@ -151,15 +299,37 @@ router.post('/authenticate', userController.authenticate);
  * @name GetAllUsers
  * @route {GET} /list/all
  * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:read')
  * @group Users - Operations about users
  * @returns {Object} 200 - A list of user objects
  * @returns {Object} 404 - No users found
  * @returns {Object} 500 - Internal Server Error
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ * 
+ * @example
+ * // Usage
+ * app.get('/list/all', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:read'), userController.getUsersList);
+ */
+router.get('/list/all',privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:read'), userController.getUsersList )
+
+/**
+ * Download the users list as a CSV, XLSX or JSON file, with the filters and the sort of the list view.
+ * 
+ * @name ExportUsers
+ * @route {GET} /list/export
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('users:read')
+ * @group Users - Operations about users
+ * @param {string} format.query - 'csv' (default), 'xlsx' or 'json'
+ * @returns {Object} 200 - The file, as an attachment
+ * @returns {Object} 400 - Invalid format, filter or sort
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
  * 
  * @example
  * // Usage
- * app.get('/list/all', privateMiddleware.checkJWT, userController.getUsersList);
+ * app.get('/list/export', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:read'), userController.export);
  */
-router.get('/list/all',privateMiddleware.checkJWT, userController.getUsersList )
+router.get('/list/export', privateMiddleware.checkJWT, privateMiddleware.checkPermission('users:read'), userController.export);
 
 module.exports = router;
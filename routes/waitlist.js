@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/waitlistController');
+const privateMiddleware = require('../middlewares/private');
+
+/**
+ * @module WaitlistRoutes
+ */
+
+/**
+ * Render the waitlist: the clients waiting for a catway on fully booked dates, and the catways offered to them.
+ *
+ * @name GetWaitlist
+ * @route {GET} /waitlist
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:read')
+ * @group Waitlist - Clients waiting for a catway
+ * @param {string} status.query - Only the entries 'waiting', 'offered', 'booking', 'booked' or 'withdrawn' (by default those waiting or offered)
+ * @returns {Object} 200 - The waitlist, the oldest entries first
+ * @returns {Object} 400 - Invalid status
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ *
+ * @example
+ * // Usage
+ * app.get('/waitlist', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.getAll);
+ */
+router.get('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:read'), controller.getAll);
+
+/**
+ * Render the form to put a client on the waitlist.
+ *
+ * @name RenderWaitlistAdd
+ * @route {GET} /waitlist/add
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:write')
+ * @group Waitlist - Clients waiting for a catway
+ * @returns {Object} 200 - The form
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ *
+ * @example
+ * // Usage
+ * app.get('/waitlist/add', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.renderAddForm);
+ */
+router.get('/add', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.renderAddForm);
+
+/**
+ * Put a client on the waitlist for dates that are fully booked.
+ *
+ * @name AddWaitlistEntry
+ * @route {POST} /waitlist
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:write')
+ * @group Waitlist - Clients waiting for a catway
+ * @param {string} customer.body - The ID of the customer, or `clientName`
+ * @param {string} boat.body - The ID of the boat, or `boatName`
+ * @param {string} checkIn.body.required - The first day wanted
+ * @param {string} checkOut.body.required - The day of departure wanted
+ * @param {Array<string>} catwayTypes.body.required - 'long', 'short' or both
+ * @returns {Object} 302 - Redirect to the waitlist
+ * @returns {Object} 400 - Invalid entry
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ *
+ * @example
+ * // Usage
+ * app.post('/waitlist', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.add);
+ */
+router.post('/', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.add);
+
+/**
+ * Book the catway offered to a waitlist entry.
+ *
+ * @name AcceptWaitlistOffer
+ * @route {POST} /waitlist/:id/accept
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:write')
+ * @group Waitlist - Clients waiting for a catway
+ * @param {string} id.path.required - The entry ID
+ * @returns {Object} 302 - Redirect to the dashboard or the waitlist
+ * @returns {Object} 400 - The reservation cannot be made
+ * @returns {Object} 404 - Entry not found
+ * @returns {Object} 409 - No catway offered, or the catway is no longer free
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ *
+ * @example
+ * // Usage
+ * app.post('/waitlist/:id/accept', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.accept);
+ */
+router.post('/:id/accept', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.accept);
+
+/**
+ * Turn down the catway offered to a waitlist entry; it is offered to the next entry.
+ *
+ * @name DeclineWaitlistOffer
+ * @route {POST} /waitlist/:id/decline
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:write')
+ * @group Waitlist - Clients waiting for a catway
+ * @param {string} id.path.required - The entry ID
+ * @returns {Object} 302 - Redirect to the dashboard or the waitlist
+ * @returns {Object} 404 - Entry not found
+ * @returns {Object} 409 - No catway offered
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ *
+ * @example
+ * // Usage
+ * app.post('/waitlist/:id/decline', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.decline);
+ */
+router.post('/:id/decline', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.decline);
+
+/**
+ * Take a client off the waitlist.
+ *
+ * @name WithdrawWaitlistEntry
+ * @route {POST} /waitlist/:id/withdraw
+ * @middleware {checkJWT} privateMiddleware.checkJWT
+ * @middleware {checkPermission} privateMiddleware.checkPermission('reservations:write')
+ * @group Waitlist - Clients waiting for a catway
+ * @param {string} id.path.required - The entry ID
+ * @returns {Object} 302 - Redirect to the dashboard or the waitlist
+ * @returns {Object} 404 - Entry not found
+ * @returns {Object} 409 - The entry is already booked or withdrawn
+ * @returns {Object} 401 - Unauthorized if no valid token
+ * @returns {Object} 403 - Forbidden if the user's role does not allow it
+ *
+ * @example
+ * // Usage
+ * app.post('/waitlist/:id/withdraw', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.withdraw);
+ */
+router.post('/:id/withdraw', privateMiddleware.checkJWT, privateMiddleware.checkPermission('reservations:write'), controller.withdraw);
+
+module.exports = router;
@@ -0,0 +1,272 @@
+const mongoose = require('mongoose');
+const AuditEntry = require('../models/auditEntry');
+
+/**
+ * @module AuditServices
+ */
+
+// Fields that are bookkeeping rather than data: they are left out of the changes
+const IGNORED_FIELDS = [
+    '_id', '__v', 'createdAt', 'updatedAt', 'history', 'quote.computedAt',
+    'passwordResetTokenHash', 'passwordResetExpiresAt',
+    'failedLoginAttempts', 'lastFailedLoginAt', 'lockedUntil'
+];
+
+// Fields whose values are never written to the log, only the fact that they changed
+const MASKED_FIELDS = ['password'];
+const MASK = '••••••';
+
+// Maximum number of entries shown on the audit page or exported at once
+const DEFAULT_LIMIT = 500;
+
+exports.DEFAULT_LIMIT = DEFAULT_LIMIT;
+
+/**
+ * Copy a record as a plain object, to keep its values before it changes or to build
+ * its values after a change made with a query.
+ *
+ * @function snapshot
+ * @param {Object} record - A Mongoose document or a plain object.
+ * @returns {Object} A plain copy of the record.
+ *
+ * @example
+ * const before = auditService.snapshot(user);
+ */
+exports.snapshot = (record) => {
+    return typeof record.toObject === 'function' ? record.toObject({ depopulate: true }) : { ...record };
+};
+
+/**
+ * Turn a record into a flat object of its fields, nested objects as dotted paths
+ * (`extras.water`). Arrays, dates and IDs are kept as single values.
+ *
+ * @private
+ * @param {Object|null} record - A Mongoose document or a plain object.
+ * @returns {Object} The fields of the record and their values.
+ */
+const flatten = (record) => {
+    const fields = {};
+
+    const walk = (value, prefix) => {
+        Object.keys(value).forEach((key) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const child = value[key];
+
+            if (child && child.constructor === Object) {
+                walk(child, path);
+            } else {
+                fields[path] = child;
+            }
+        });
+    };
+
+    if (record) {
+        walk(exports.snapshot(record), '');
+    }
+
+    return fields;
+};
+
+/**
+ * Turn a field value into something that can be compared and stored in the log.
+ *
+ * @private
+ * @param {*} value - The value of a field.
+ * @returns {*} The value, with IDs as strings and missing values as null.
+ */
+const auditValue = (value) => {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (value instanceof mongoose.Types.ObjectId) {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return JSON.parse(JSON.stringify(value));
+    }
+    return value;
+};
+
+/**
+ * Tell whether two field values are the same.
+ *
+ * @private
+ * @param {*} a - The value before.
+ * @param {*} b - The value after.
+ * @returns {Boolean} True if the values are equal.
+ */
+const sameValue = (a, b) => {
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * List the fields that differ between two versions of a record.
+ *
+ * A record that did not exist before (a creation) or no longer exists after (a purge)
+ * is given as null: all its fields then appear, from or to null. Passwords are masked.
+ *
+ * @function diff
+ * @param {Object|null} before - The record before the change.
+ * @param {Object|null} after - The record after the change.
+ * @returns {Array<{field: String, from: *, to: *}>} The fields changed, in the order of the record.
+ *
+ * @example
+ * const changes = auditService.diff({ catwayState: 'available' }, { catwayState: 'maintenance' });
+ * // [{ field: 'catwayState', from: 'available', to: 'maintenance' }]
+ */
+exports.diff = (before, after) => {
+    const from = flatten(before);
+    const to = flatten(after);
+    const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+    return fields
+        .filter(field => !IGNORED_FIELDS.includes(field))
+        .map(field => ({ field, from: auditValue(from[field]), to: auditValue(to[field]) }))
+        .filter(change => !sameValue(change.from, change.to))
+        .map(change => MASKED_FIELDS.includes(change.field)
+            ? { field: change.field, from: change.from === null ? null : MASK, to: change.to === null ? null : MASK }
+            : change);
+};
+
+/**
+ * Build a readable name for a record, shown on the audit page.
+ *
+ * @private
+ * @param {String} entity - 'catway', 'reservation' or 'user'.
+ * @param {Object} record - The record.
+ * @returns {String} The name of the record.
+ */
+const labelOf = (entity, record) => {
+    if (entity === 'catway') {
+        return `Catway ${record.catwayNumber}`;
+    } else if (entity === 'reservation') {
+        return `${record.clientName} - catway ${record.catwayNumber}`;
+    }
+    return `${record.name} <${record.email}>`;
+};
+
+/**
+ * Add an entry to the audit log for a write on a catway, a reservation or a user.
+ *
+ * Updates that change nothing, and writes whose record is gone, are not logged. The log must never undo a write that
+ * already happened, so an entry that cannot be saved is reported and dropped.
+ *
+ * @async
+ * @function record
+ * @param {Object} entry - The write to log.
+ * @param {Object} [entry.user] - The user who made it (`req.user`).
+ * @param {String} entry.action - 'create', 'update', 'delete', 'restore' or 'purge'.
+ * @param {String} entry.entity - 'catway', 'reservation' or 'user'.
+ * @param {Object|null} entry.before - The record before the write, null for a creation.
+ * @param {Object|null} entry.after - The record after the write, null for a purge.
+ * @returns {Promise<Object|null>} A promise that resolves to the new entry, or null if nothing was logged.
+ *
+ * @example
+ * await auditService.record({ user: req.user, action: 'update', entity: 'catway', before, after: catway });
+ */
+exports.record = async ({ user, action, entity, before, after }) => {
+    // Only a purge leaves nothing behind: otherwise the write did not happen
+    const record = action === 'purge' ? before : after;
+
+    if (!record) {
+        return null;
+    }
+
+    const changes = exports.diff(before, after);
+
+    if (action === 'update' && changes.length === 0) {
+        return null;
+    }
+
+    try {
+        return await AuditEntry.create({
+            user: user ? user._id : undefined,
+            userName: user ? user.name : undefined,
+            action,
+            entity,
+            entityId: record._id,
+            label: labelOf(entity, record),
+            changes
+        });
+    } catch (error) {
+        console.error('Audit error:', error);
+        return null;
+    }
+};
+
+/**
+ * Parse and validate the filters of the audit page.
+ *
+ * @function parseAuditQuery
+ * @param {Object} query - The request query (`entity`, `action`, `user`, `entityId`, `from` and `to`, all optional).
+ * @returns {{filters: Object, errors: Array<String>}} The filters as a MongoDB query and the list of validation errors (empty when valid).
+ *
+ * @example
+ * const { filters, errors } = auditService.parseAuditQuery(req.query);
+ */
+exports.parseAuditQuery = (query) => {
+    const filters = {};
+    const errors = [];
+
+    if (query.entity) {
+        if (Object.keys(AuditEntry.ENTITY_LABELS).includes(query.entity)) {
+            filters.entity = query.entity;
+        } else {
+            errors.push('Le type d\'enregistrement doit être \'catway\', \'reservation\' ou \'user\'');
+        }
+    }
+    if (query.action) {
+        if (Object.keys(AuditEntry.ACTION_LABELS).includes(query.action)) {
+            filters.action = query.action;
+        } else {
+            errors.push(`${query.action} n'est pas une action valide`);
+        }
+    }
+    ['user', 'entityId'].forEach((field) => {
+        if (query[field]) {
+            if (mongoose.isValidObjectId(query[field])) {
+                filters[field] = query[field];
+            } else {
+                errors.push(`L'identifiant ${query[field]} n'est pas valide`);
+            }
+        }
+    });
+
+    const from = new Date(query.from);
+    const to = new Date(query.to);
+
+    if (query.from && isNaN(from)) {
+        errors.push('La date de début (from) doit être valide');
+    }
+    if (query.to && isNaN(to)) {
+        errors.push('La date de fin (to) doit être valide');
+    }
+    if (query.from && !isNaN(from)) {
+        filters.createdAt = { $gte: from };
+    }
+    if (query.to && !isNaN(to)) {
+        // The end date is included: everything before the next day
+        filters.createdAt = { ...filters.createdAt, $lt: new Date(to.getTime() + 24 * 60 * 60 * 1000) };
+    }
+
+    return { filters, errors };
+};
+
+/**
+ * Fetch the entries of the audit log, newest first.
+ *
+ * @async
+ * @function getEntries
+ * @param {Object} [filters={}] - A MongoDB query, as built by `parseAuditQuery`.
+ * @param {Number} [limit=DEFAULT_LIMIT] - The maximum number of entries to return.
+ * @returns {Promise<Array>} A promise that resolves to the entries.
+ *
+ * @example
+ * const entries = await auditService.getEntries({ entity: 'catway' });
+ */
+exports.getEntries = async (filters = {}, limit = DEFAULT_LIMIT) => {
+    return await AuditEntry.find(filters).sort({ createdAt: -1 }).limit(limit);
+};
@@ -0,0 +1,223 @@
+const Boat = require('../models/boat');
+const Catway = require('../models/catway');
+const Reservation = require('../models/reservation');
+
+/**
+ * @module BoatsServices
+ */
+
+/**
+ * Error thrown when a boat is too long or too deep for the catway it is booked on.
+ *
+ * @class BoatDoesNotFitError
+ * @extends Error
+ * @property {Array<String>} problems - What does not fit, in French.
+ *
+ * @example
+ * throw new BoatDoesNotFitError(['Le bateau mesure 14 m, le catway 3 accepte 12 m au plus']);
+ */
+class BoatDoesNotFitError extends Error {
+    constructor(problems) {
+        super('Le bateau ne convient pas à ce catway');
+        this.name = 'BoatDoesNotFitError';
+        this.problems = problems;
+    }
+}
+
+exports.BoatDoesNotFitError = BoatDoesNotFitError;
+
+/**
+ * Error thrown when deleting a boat that still has reservations.
+ *
+ * @class BoatHasReservationsError
+ * @extends Error
+ * @property {Number} count - The number of reservations of the boat.
+ *
+ * @example
+ * throw new BoatHasReservationsError(2);
+ */
+class BoatHasReservationsError extends Error {
+    constructor(count) {
+        super(`Ce bateau a encore ${count} réservation(s), corbeille comprise : supprimez-les définitivement d'abord`);
+        this.name = 'BoatHasReservationsError';
+        this.count = count;
+    }
+}
+
+exports.BoatHasReservationsError = BoatHasReservationsError;
+
+/**
+ * Add a new boat to the registry.
+ *
+ * @async
+ * @function addBoat
+ * @param {Object} boatData - The data for the new boat.
+ * @returns {Promise<Object>} A promise that resolves to the newly created boat.
+ *
+ * @example
+ * const boat = await boatService.addBoat({ name: 'The Odyssey', length: 11.5, draft: 1.9 });
+ */
+exports.addBoat = async (boatData) => {
+    const boat = new Boat(boatData);
+    return await boat.save();
+};
+
+/**
+ * Fetch all boats, sorted by name, with their owner.
+ *
+ * @async
+ * @function getAllBoats
+ * @returns {Promise<Array>} A promise that resolves to an array of all boats.
+ *
+ * @example
+ * const boats = await boatService.getAllBoats();
+ */
+exports.getAllBoats = async () => {
+    return await Boat.find().sort({ name: 1 }).populate('owner', 'name');
+};
+
+/**
+ * Fetch a boat by its ID, with its owner.
+ *
+ * @async
+ * @function getBoatById
+ * @param {String} id - The ID of the boat.
+ * @returns {Promise<Object|null>} A promise that resolves to the boat, or null if not found.
+ *
+ * @example
+ * const boat = await boatService.getBoatById('60c72b2f9f1b2c001c9a9e84');
+ */
+exports.getBoatById = async (id) => {
+    return await Boat.findById(id).populate('owner', 'name');
+};
+
+/**
+ * Fetch the boats of a customer.
+ *
+ * @async
+ * @function getBoatsOfOwner
+ * @param {String} ownerId - The ID of the customer.
+ * @returns {Promise<Array>} A promise that resolves to the customer's boats, sorted by name.
+ *
+ * @example
+ * const boats = await boatService.getBoatsOfOwner(customer.id);
+ */
+exports.getBoatsOfOwner = async (ownerId) => {
+    return await Boat.find({ owner: ownerId }).sort({ name: 1 });
+};
+
+/**
+ * Update a boat by its ID.
+ *
+ * The name copied on the boat's reservations is updated too.
+ *
+ * @async
+ * @function updateBoat
+ * @param {String} id - The ID of the boat.
+ * @param {Object} updateData - The fields to change.
+ * @returns {Promise<Object|null>} A promise that resolves to the updated boat, or null if not found.
+ *
+ * @example
+ * const boat = await boatService.updateBoat('60c72b2f9f1b2c001c9a9e84', { insuranceExpiresAt: new Date('2026-03-31') });
+ */
+exports.updateBoat = async (id, updateData) => {
+    const boat = await Boat.findById(id);
+
+    if (!boat) {
+        return null;
+    }
+
+    boat.set(updateData);
+    const nameChanged = boat.isModified('name');
+    await boat.save();
+
+    if (nameChanged) {
+        await Reservation.updateMany({ boat: boat._id }, { boatName: boat.name });
+    }
+
+    return boat;
+};
+
+/**
+ * Delete a boat by its ID. A boat that still has reservations cannot be deleted.
+ *
+ * @async
+ * @function deleteBoat
+ * @param {String} id - The ID of the boat.
+ * @returns {Promise<Object|null>} A promise that resolves to the deleted boat, or null if not found.
+ * @throws {BoatHasReservationsError} If reservations still reference the boat.
+ *
+ * @example
+ * const boat = await boatService.deleteBoat('60c72b2f9f1b2c001c9a9e84');
+ */
+exports.deleteBoat = async (id) => {
+    const boat = await Boat.findById(id);
+
+    if (!boat) {
+        return null;
+    }
+
+    // Reservations in the trash count too, they could still be restored
+    const count = await Reservation.countDocuments({ boat: boat._id }).setOptions({ withDeleted: true });
+
+    if (count > 0) {
+        throw new BoatHasReservationsError(count);
+    }
+
+    return await Boat.findByIdAndDelete(boat._id);
+};
+
+/**
+ * List what keeps a boat from mooring on a catway: a length over the limit of the
+ * catway (or of its type), or a draft deeper than the catway allows.
+ *
+ * @function getFitProblems
+ * @param {Object} boat - The boat.
+ * @param {Object} catway - The catway.
+ * @returns {Array<String>} The problems, in French. Empty when the boat fits.
+ *
+ * @example
+ * const problems = boatService.getFitProblems(boat, catway);
+ * if (problems.length > 0) { ... }
+ */
+exports.getFitProblems = (boat, catway) => {
+    const problems = [];
+    const maxLength = catway.maxLength || Catway.TYPE_MAX_LENGTH[catway.type];
+
+    if (maxLength && boat.length > maxLength) {
+        problems.push(`Le bateau ${boat.name} mesure ${boat.length} m, le catway ${catway.catwayNumber} accepte ${maxLength} m au plus`);
+    }
+
+    if (catway.maxDraft && boat.draft > catway.maxDraft) {
+        problems.push(`Le bateau ${boat.name} a un tirant d'eau de ${boat.draft} m, le catway ${catway.catwayNumber} accepte ${catway.maxDraft} m au plus`);
+    }
+
+    return problems;
+};
+
+/**
+ * Check that a boat fits on a catway.
+ *
+ * @async
+ * @function assertBoatFitsCatway
+ * @param {Object} boat - The boat.
+ * @param {Number} catwayNumber - The number of the catway.
+ * @returns {Promise<void>}
+ * @throws {BoatDoesNotFitError} If the boat is too long or too deep for the catway.
+ *
+ * @example
+ * await boatService.assertBoatFitsCatway(boat, reservation.catwayNumber);
+ */
+exports.assertBoatFitsCatway = async (boat, catwayNumber) => {
+    const catway = await Catway.findOne({ catwayNumber });
+
+    if (!catway) {
+        return;
+    }
+
+    const problems = exports.getFitProblems(boat, catway);
+
+    if (problems.length > 0) {
+        throw new BoatDoesNotFitError(problems);
+    }
+};
@@ -0,0 +1,178 @@
+const Catway = require('../models/catway');
+const reservationService = require('./reservations');
+
+/**
+ * @module CalendarServices
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The scales of the calendar, with their French labels. A column is a day, a week or a month.
+ *
+ * @constant {Object<String, String>}
+ */
+const SCALE_LABELS = {
+    day: 'jours',
+    week: 'semaines',
+    month: 'mois'
+};
+
+exports.SCALE_LABELS = SCALE_LABELS;
+
+/**
+ * The midnight (UTC, as the days of the forms are stored) starting the day of a date.
+ *
+ * @private
+ * @param {Date} date - A date.
+ * @returns {Date} The start of its day.
+ */
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Move a date by a number of periods shown by the calendar: 14 days, 8 weeks or 6 months.
+ *
+ * @private
+ * @param {Date} date - The start of a period.
+ * @param {String} scale - 'day', 'week' or 'month'.
+ * @param {Number} count - How many periods to move, backwards when negative.
+ * @returns {Date} The moved date.
+ */
+const shift = (date, scale, count) => {
+    if (scale === 'month') {
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 6 * count, 1));
+    }
+    return new Date(date.getTime() + (scale === 'week' ? 56 : 14) * count * DAY);
+};
+
+/**
+ * Parse and validate the query string of the calendar: `scale` ('day', 'week' or
+ * 'month', 'week' by default), `from` (a day, today by default) and `catway` (a number,
+ * to show only that catway).
+ *
+ * The period starts on the day, the Monday or the first of the month of `from`, and
+ * lasts 14 days, 8 weeks or 6 months.
+ *
+ * @function parseCalendarQuery
+ * @param {Object} query - The request query.
+ * @param {Date} [now=new Date()] - The current date.
+ * @returns {{from: Date, to: Date, scale: String, catwayNumber: (Number|undefined), errors: Array<String>}} The period and the list of validation errors (empty when valid).
+ *
+ * @example
+ * const period = calendarService.parseCalendarQuery({ scale: 'month', from: '2025-06-15' });
+ * // period.from is 2025-06-01, period.to 2025-12-01
+ */
+exports.parseCalendarQuery = (query, now = new Date()) => {
+    const errors = [];
+    const scale = query.scale || 'week';
+    let day = query.from ? new Date(query.from) : now;
+    let catwayNumber;
+
+    if (!SCALE_LABELS[scale]) {
+        errors.push('L\'échelle (scale) doit être \'day\', \'week\' ou \'month\'');
+    }
+    if (isNaN(day)) {
+        errors.push('La date de début (from) doit être valide');
+        day = now;
+    }
+    if (query.catway !== undefined && query.catway !== '') {
+        catwayNumber = Number(query.catway);
+
+        if (!Number.isInteger(catwayNumber)) {
+            errors.push('Le numéro de catway doit être un entier');
+        }
+    }
+
+    let from = startOfDay(day);
+    if (scale === 'week') {
+        // Weeks start on Monday
+        from = new Date(from.getTime() - ((from.getUTCDay() + 6) % 7) * DAY);
+    } else if (scale === 'month') {
+        from = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+    }
+
+    return { from, to: shift(from, scale, 1), scale, catwayNumber, errors };
+};
+
+/**
+ * Build the headers of the calendar: one column per day, week or month, with the
+ * number of days it covers.
+ *
+ * @private
+ * @param {Date} from - The start of the period.
+ * @param {Date} to - The end of the period, excluded.
+ * @param {String} scale - 'day', 'week' or 'month'.
+ * @returns {Array<{label: String, days: Number}>} The columns.
+ */
+const buildColumns = (from, to, scale) => {
+    const columns = [];
+    let start = from;
+
+    while (start < to) {
+        let end;
+        let label;
+
+        if (scale === 'month') {
+            end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+            label = start.toLocaleDateString('fr-FR', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+        } else if (scale === 'week') {
+            end = new Date(start.getTime() + 7 * DAY);
+            label = `sem. du ${start.toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit', timeZone: 'UTC' })}`;
+        } else {
+            end = new Date(start.getTime() + DAY);
+            label = start.toLocaleDateString('fr-FR', { weekday: 'short', day: '2-digit', month: '2-digit', timeZone: 'UTC' });
+        }
+
+        columns.push({ label, days: Math.round((end - start) / DAY) });
+        start = end;
+    }
+
+    return columns;
+};
+
+/**
+ * Build the calendar of a period: one row per catway, with its reservations as bars
+ * placed in days from the start of the period. Bars are cut at the edges of the period,
+ * which `continuesBefore` and `continuesAfter` tell.
+ *
+ * @async
+ * @function getCalendar
+ * @param {Object} period - The period, as returned by `parseCalendarQuery`.
+ * @returns {Promise<Object>} A promise that resolves to `{ from, to, scale, days, columns, rows, previous, next }`, each row being `{ catway, bars }` and each bar `{ reservation, start, end, continuesBefore, continuesAfter }`.
+ *
+ * @example
+ * const calendar = await calendarService.getCalendar(calendarService.parseCalendarQuery(req.query));
+ * calendar.rows[0].bars.forEach(bar => console.log(bar.reservation.clientName, bar.start, bar.end));
+ */
+exports.getCalendar = async ({ from, to, scale, catwayNumber }) => {
+    const catways = await Catway.find(catwayNumber === undefined ? {} : { catwayNumber }).sort({ catwayNumber: 1 });
+    const reservations = await reservationService.getReservationsBetween(from, to, catways.map(catway => catway.catwayNumber));
+    const days = Math.round((to - from) / DAY);
+
+    const bar = (reservation) => {
+        const start = Math.floor((startOfDay(reservation.checkIn) - from) / DAY);
+        const end = Math.floor((startOfDay(reservation.checkOut) - from) / DAY);
+
+        return {
+            reservation,
+            start: Math.max(0, start),
+            end: Math.min(days, Math.max(end, start + 1)),
+            continuesBefore: start < 0,
+            continuesAfter: end > days
+        };
+    };
+
+    return {
+        from,
+        to,
+        scale,
+        days,
+        columns: buildColumns(from, to, scale),
+        rows: catways.map(catway => ({
+            catway,
+            bars: reservations.filter(reservation => reservation.catwayNumber === catway.catwayNumber).map(bar)
+        })),
+        previous: shift(from, scale, -1),
+        next: to
+    };
+};
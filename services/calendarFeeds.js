@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CalendarFeed = require('../models/calendarFeed');
+const Catway = require('../models/catway');
+const Customer = require('../models/customer');
+const Reservation = require('../models/reservation');
+const icalService = require('./ical');
+const reservationService = require('./reservations');
+
+/**
+ * @module CalendarFeedsServices
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Stays that ended longer ago than this are left out of the feeds
+const FEED_PAST_DAYS = 90;
+
+exports.FEED_PAST_DAYS = FEED_PAST_DAYS;
+
+// Suffix of the UIDs of the events, so that calendar apps tell our events from others
+const UID_DOMAIN = 'port-de-plaisance';
+
+/**
+ * What happened to each event of an imported calendar, in French.
+ *
+ * @constant {Object<String, String>}
+ */
+const IMPORT_STATUS_LABELS = {
+    created: 'Réservation créée',
+    conflict: 'En conflit',
+    invalid: 'Invalide',
+    skipped: 'Ignoré'
+};
+
+exports.IMPORT_STATUS_LABELS = IMPORT_STATUS_LABELS;
+
+/**
+ * Hash a feed token. Only the hash is stored in the database.
+ *
+ * @private
+ * @param {String} token - The token of the feed URL.
+ * @returns {String} The hex encoded SHA-256 hash.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * The name of a new feed, when none is given.
+ *
+ * @private
+ * @param {Object} data - The kind and the target of the feed.
+ * @returns {Promise<String>} The name.
+ */
+const defaultLabel = async ({ kind, catwayNumber, customer }) => {
+    if (kind === 'catway') {
+        return `Catway ${catwayNumber}`;
+    }
+    if (kind === 'customer') {
+        const found = mongoose.isValidObjectId(customer) ? await Customer.findById(customer) : null;
+        return found ? `Séjours de ${found.name}` : 'Séjours du client';
+    }
+    return 'Arrivées et départs du port';
+};
+
+/**
+ * Create a calendar feed. The token of its URL is returned once and never stored:
+ * whoever loses it has to create a new feed.
+ *
+ * @async
+ * @function createFeed
+ * @param {Object} data - The feed.
+ * @param {String} data.kind - 'catway', 'movements' or 'customer'.
+ * @param {Number} [data.catwayNumber] - The catway of a 'catway' feed.
+ * @param {String} [data.customer] - The ID of the customer of a 'customer' feed.
+ * @param {String} [data.label] - The name of the feed, made up from its target when not given.
+ * @param {Object} [user] - The user creating the feed.
+ * @returns {Promise<{feed: Object, token: String}>} A promise that resolves to the saved feed and the token of its URL.
+ * @throws {ValidationError} If the kind is unknown, or the catway or the customer missing or not found.
+ *
+ * @example
+ * const { feed, token } = await calendarFeedService.createFeed({ kind: 'catway', catwayNumber: 12 }, req.user);
+ * console.log(`/calendars/${token}.ics`);
+ */
+exports.createFeed = async (data, user) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const feed = new CalendarFeed({
+        kind: data.kind,
+        catwayNumber: data.kind === 'catway' ? data.catwayNumber : undefined,
+        customer: data.kind === 'customer' ? data.customer : undefined,
+        label: (data.label || '').trim() || await defaultLabel(data),
+        tokenHash: hashToken(token),
+        createdBy: user ? user._id : undefined
+    });
+
+    return { feed: await feed.save(), token };
+};
+
+/**
+ * Get all the calendar feeds, revoked ones included, newest first.
+ *
+ * @async
+ * @function listFeeds
+ * @returns {Promise<Array<Object>>} A promise that resolves to the feeds, with the name of their customer and creator.
+ *
+ * @example
+ * const feeds = await calendarFeedService.listFeeds();
+ */
+exports.listFeeds = async () => {
+    return await CalendarFeed.find()
+        .populate('customer', 'name')
+        .populate('createdBy', 'name')
+        .sort({ createdAt: -1 });
+};
+
+/**
+ * Revoke a calendar feed: its URL stops working at once.
+ *
+ * @async
+ * @function revokeFeed
+ * @param {String} id - The ID of the feed.
+ * @returns {Promise<Object|null>} A promise that resolves to the revoked feed, or null if there is no such feed or it was already revoked.
+ *
+ * @example
+ * const feed = await calendarFeedService.revokeFeed(req.params.id);
+ */
+exports.revokeFeed = async (id) => {
+    return await CalendarFeed.findOneAndUpdate({ _id: id, revokedAt: null }, { revokedAt: new Date() }, { new: true });
+};
+
+/**
+ * Find the feed of a URL token.
+ *
+ * @async
+ * @function getFeedByToken
+ * @param {String} token - The token of the feed URL.
+ * @returns {Promise<Object|null>} A promise that resolves to the feed, or null if the token is unknown or the feed revoked.
+ *
+ * @example
+ * const feed = await calendarFeedService.getFeedByToken(req.params.token);
+ */
+exports.getFeedByToken = async (token) => {
+    if (!token) {
+        return null;
+    }
+    return await CalendarFeed.findOne({ tokenHash: hashToken(token), revokedAt: null });
+};
+
+/**
+ * The all-day event of a stay, from its check-in to its check-out.
+ *
+ * @private
+ * @param {Object} reservation - The reservation.
+ * @returns {Object} The event, for `icalService.formatCalendar`.
+ */
+const stayEvent = (reservation) => ({
+    uid: `${reservation.id}@${UID_DOMAIN}`,
+    start: reservation.checkIn,
+    end: reservation.checkOut,
+    summary: `${reservation.clientName} - ${reservation.boatName}`,
+    location: `Catway ${reservation.catwayNumber}`,
+    description: `Statut : ${Reservation.STATUS_LABELS[reservation.status] || reservation.status}`,
+    status: reservation.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED',
+    properties: {
+        'X-CLIENT-NAME': reservation.clientName,
+        'X-BOAT-NAME': reservation.boatName
+    }
+});
+
+/**
+ * The one-day events of the arrival and the departure of a stay.
+ *
+ * @private
+ * @param {Object} reservation - The reservation.
+ * @returns {Array<Object>} The two events, for `icalService.formatCalendar`.
+ */
+const movementEvents = (reservation) => [
+    ['arrival', 'Arrivée', reservation.checkIn],
+    ['departure', 'Départ', reservation.checkOut]
+].map(([movement, label, day]) => ({
+    uid: `${reservation.id}-${movement}@${UID_DOMAIN}`,
+    start: day,
+    end: new Date(day.getTime() + DAY),
+    summary: `${label} : ${reservation.clientName} - ${reservation.boatName} (catway ${reservation.catwayNumber})`,
+    location: `Catway ${reservation.catwayNumber}`,
+    status: reservation.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED'
+}));
+
+/**
+ * Build the iCalendar file of a feed and note when it was read.
+ *
+ * A 'catway' feed holds the stays on its catway, a 'customer' feed the stays of its
+ * customer and the 'movements' feed an event for each arrival and each departure.
+ * Cancelled and no-show reservations are left out, as are the stays that ended more
+ * than `FEED_PAST_DAYS` days ago.
+ *
+ * @async
+ * @function buildFeed
+ * @param {Object} feed - The feed, as returned by `getFeedByToken`.
+ * @param {Date} [now=new Date()] - The current date.
+ * @returns {Promise<String>} A promise that resolves to the content of the .ics file.
+ *
+ * @example
+ * res.type('text/calendar').send(await calendarFeedService.buildFeed(feed));
+ */
+exports.buildFeed = async (feed, now = new Date()) => {
+    const filter = {
+        status: { $nin: Reservation.RELEASED_STATUSES },
+        checkOut: { $gte: new Date(now.getTime() - FEED_PAST_DAYS * DAY) }
+    };
+
+    if (feed.kind === 'catway') {
+        filter.catwayNumber = feed.catwayNumber;
+    } else if (feed.kind === 'customer') {
+        filter.customer = feed.customer;
+    }
+
+    const reservations = await Reservation.find(filter).sort({ checkIn: 1 });
+    const events = feed.kind === 'movements'
+        ? reservations.flatMap(movementEvents)
+        : reservations.map(stayEvent);
+
+    await CalendarFeed.updateOne({ _id: feed._id }, { lastReadAt: now });
+
+    return icalService.formatCalendar({ name: feed.label, events }, now);
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('fr-FR');
+
+/**
+ * The midnight (UTC, as the days of the forms are stored) starting the day of a date.
+ *
+ * @private
+ * @param {Date} date - A date.
+ * @returns {Date} The start of its day.
+ */
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Turn an imported event into the data of a reservation.
+ *
+ * The catway comes from a location such as 'Catway 12', or else is the default one.
+ * The client and the boat come from the X-CLIENT-NAME and X-BOAT-NAME properties of
+ * our own feeds, or else from a summary such as 'John Doe - Seahorse'. An event
+ * without an end lasts one night.
+ *
+ * @private
+ * @param {Object} event - The event, as returned by `icalService.parseCalendar`.
+ * @param {Number} [defaultCatwayNumber] - The catway of the events without one.
+ * @returns {Object} The reservation data, for `reservationService.creatReservation`.
+ */
+const reservationData = (event, defaultCatwayNumber) => {
+    const location = /catway\s*(\d+)/i.exec(event.location);
+    const [summaryClient, ...summaryBoat] = event.summary.split(' - ');
+    const checkIn = event.start ? startOfDay(event.start) : undefined;
+    const checkOut = event.end ? startOfDay(event.end) : undefined;
+
+    return {
+        catwayNumber: location ? Number(location[1]) : defaultCatwayNumber,
+        clientName: (event.properties['X-CLIENT-NAME'] || summaryClient || '').trim(),
+        boatName: (event.properties['X-BOAT-NAME'] || summaryBoat.join(' - ')).trim(),
+        checkIn,
+        checkOut: checkIn && (!checkOut || checkOut <= checkIn) ? new Date(checkIn.getTime() + DAY) : checkOut
+    };
+};
+
+/**
+ * Import the events of an iCalendar (.ics) file as reservations, one by one.
+ *
+ * Each event becomes a reservation (see `reservationData` for how its fields are read),
+ * created the same way as from the form: the customer is found or created by name and
+ * the stay is priced. Cancelled events are skipped, and events on a catway that does not
+ * exist or is in the trash are not imported. An event overlapping a reservation,
+ * including one imported earlier from the same file, is reported as a conflict and
+ * not imported.
+ *
+ * @async
+ * @function importCalendar
+ * @param {String} text - The content of the .ics file.
+ * @param {Number} [defaultCatwayNumber] - The catway of the events whose location names none.
+ * @param {Object} [user] - The user importing the file, for the audit log.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the report, one `{ uid, summary, start, end, status, messages, reservation }` per event, `status` being a key of `IMPORT_STATUS_LABELS`.
+ * @throws {InvalidCalendarError} If the text is not an iCalendar file.
+ *
+ * @example
+ * const report = await calendarFeedService.importCalendar(req.body.calendar, 12, req.user);
+ * report.filter(line => line.status === 'conflict').forEach(line => console.log(line.summary, line.messages));
+ */
+exports.importCalendar = async (text, defaultCatwayNumber, user) => {
+    const events = icalService.parseCalendar(text);
+    const report = [];
+
+    for (const event of events) {
+        const line = { uid: event.uid, summary: event.summary, start: event.start, end: event.end, status: 'invalid', messages: [], reservation: null };
+        report.push(line);
+
+        if (event.status.toUpperCase() === 'CANCELLED') {
+            line.status = 'skipped';
+            line.messages = ['Événement annulé'];
+            continue;
+        }
+        if (!event.start) {
+            line.messages = ['L\'événement n\'a pas de date de début valide'];
+            continue;
+        }
+
+        const data = reservationData(event, defaultCatwayNumber);
+
+        if (data.catwayNumber === undefined || data.catwayNumber === null || isNaN(data.catwayNumber)) {
+            line.messages = ['Le catway n\'est pas indiqué (lieu « Catway N ») et aucun catway par défaut n\'a été choisi'];
+            continue;
+        }
+        if (!(await Catway.exists({ catwayNumber: data.catwayNumber }))) {
+            line.messages = await Catway.exists({ catwayNumber: data.catwayNumber, deletedAt: { $ne: null } })
+                ? [`Le catway ${data.catwayNumber} est dans la corbeille`]
+                : [`Le catway ${data.catwayNumber} n'existe pas`];
+            continue;
+        }
+
+        try {
+            line.reservation = await reservationService.creatReservation(data, user);
+            line.status = 'created';
+        } catch (error) {
+            if (error.name === 'ReservationConflictError') {
+                line.status = 'conflict';
+                line.messages = error.conflicts.map(conflict =>
+                    `Le catway ${conflict.catwayNumber} est déjà réservé par ${conflict.clientName} du ${formatDate(conflict.checkIn)} au ${formatDate(conflict.checkOut)} (réservation ${conflict.id})`
+                );
+            } else if (error.name === 'ValidationError') {
+                line.messages = Object.values(error.errors).map(e => e.message);
+            } else if (error.name === 'BoatDoesNotFitError') {
+                line.messages = error.problems;
+            } else if (error.name === 'CatwayLockedError') {
+                line.messages = [error.message];
+            } else {
+                throw error;
+            }
+        }
+    }
+
+    return report;
+};
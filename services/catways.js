@@ -1,9 +1,53 @@
 const Catway = require('../models/catway');
+const Reservation = require('../models/reservation');
+const auditService = require('./audit');
+const listQueryService = require('./listQuery');
 
 /**
  * @module CatwaysServices
  */
 
+/**
+ * Error thrown when deleting a catway that still has reservations to come.
+ *
+ * @class CatwayHasReservationsError
+ * @extends Error
+ * @property {Array<Object>} reservations - The reservations to come on the catway.
+ *
+ * @example
+ * throw new CatwayHasReservationsError([reservation]);
+ */
+class CatwayHasReservationsError extends Error {
+    constructor(reservations) {
+        super(`Ce catway a encore ${reservations.length} réservation(s) à venir : annulez-les, ou supprimez-les avec le catway`);
+        this.name = 'CatwayHasReservationsError';
+        this.reservations = reservations;
+    }
+}
+
+exports.CatwayHasReservationsError = CatwayHasReservationsError;
+
+/**
+ * Error thrown when a marina layout cannot be saved: a place is not valid, or two
+ * catways would share a place.
+ *
+ * @class InvalidLayoutError
+ * @extends Error
+ * @property {Array<String>} errors - What is wrong, one message per problem.
+ *
+ * @example
+ * throw new InvalidLayoutError(['Les catways 3 et 4 sont tous les deux à la place 2 du ponton A']);
+ */
+class InvalidLayoutError extends Error {
+    constructor(errors) {
+        super(errors[0]);
+        this.name = 'InvalidLayoutError';
+        this.errors = errors;
+    }
+}
+
+exports.InvalidLayoutError = InvalidLayoutError;
+
 /**
  * Fetch all catways from the database.
  * 
@@ -19,6 +63,47 @@ exports.getAllCatways = async () => {
     return await Catway.find();
 };
 
+/**
+ * What the catways list can be sorted and filtered on (see `listQuery.parseListQuery`):
+ * `type` ('long' or 'short'), `state` and `boatName` (part of the text), `number`.
+ */
+exports.LIST_OPTIONS = {
+    sortFields: ['catwayNumber', 'type', 'catwayState', 'boatName'],
+    defaultSort: 'catwayNumber',
+    filters: {
+        type: {
+            parse: value => ['long', 'short'].includes(value) ? { type: value } : null,
+            message: 'Le type de catway doit être \'long\' ou \'short\''
+        },
+        state: {
+            parse: value => ({ catwayState: listQueryService.contains(value) })
+        },
+        boatName: {
+            parse: value => ({ boatName: listQueryService.contains(value) })
+        },
+        number: {
+            parse: value => Number.isInteger(Number(value)) ? { catwayNumber: Number(value) } : null,
+            message: 'Le numéro de catway doit être un entier'
+        }
+    }
+};
+
+/**
+ * Fetch one page of catways, filtered and sorted.
+ * 
+ * @async
+ * @function listCatways
+ * @param {Object} listQuery - The list query, as returned by `listQuery.parseListQuery` with `LIST_OPTIONS`.
+ * @returns {Promise<{items: Array, total: Number, page: Number, limit: Number, pages: Number}>} A promise that resolves to the page of catways.
+ * 
+ * @example
+ * const listQuery = listQueryService.parseListQuery({ type: 'long', sort: '-catwayNumber' }, catwayService.LIST_OPTIONS);
+ * const { items, total } = await catwayService.listCatways(listQuery);
+ */
+exports.listCatways = async (listQuery) => {
+    return await listQueryService.findPage(Catway, listQuery);
+};
+
 /**
  * Fetch a specific catway by its ID.
  * 
@@ -45,15 +130,17 @@ exports.getCatwayById = async (id) => {
  * @param {String} catwayData.type - The type of catway ('long' or 'short').
  * @param {String} catwayData.catwayState - The current state of the catway.
  * @param {String} catwayData.boatName - The name of the boat assigned to the catway.
+ * @param {Object} [user] - The user adding the catway, for the audit log.
  * @returns {Promise<Object>} A promise that resolves to the newly created catway object.
  * 
  * @example
- * const newCatway = await catwayService.addCatway({ catwayNumber: 1, type: 'long', catwayState: 'available', boatName: 'Poseidon' });
+ * const newCatway = await catwayService.addCatway({ catwayNumber: 1, type: 'long', catwayState: 'available', boatName: 'Poseidon' }, req.user);
  * console.log(newCatway);
  */
-exports.addCatway = async (catwayData) => {
-    const newCatway = new Catway(catwayData);
-    return await newCatway.save();
+exports.addCatway = async (catwayData, user) => {
+    const newCatway = await new Catway(catwayData).save();
+    await auditService.record({ user, action: 'create', entity: 'catway', before: null, after: newCatway });
+    return newCatway;
 };
 
 /**
@@ -63,15 +150,22 @@ exports.addCatway = async (catwayData) => {
  * @function updateCatway
  * @param {String} id - The ID of the catway to update.
  * @param {Object} updateData - The data to update in the catway.
+ * @param {Object} [user] - The user updating the catway, for the audit log.
  * @returns {Promise<Object|null>} A promise that resolves to the updated catway object, or null if the catway doesn't exist.
  * 
  * @example
- * const updatedCatway = await catwayService.updateCatway('60c72b2f9f1b2c001c9a9e84', { catwayState: 'occupied' });
+ * const updatedCatway = await catwayService.updateCatway('60c72b2f9f1b2c001c9a9e84', { catwayState: 'occupied' }, req.user);
  * console.log(updatedCatway);
  */
-exports.updateCatway = async (id, updateData) => {
-    return await Catway.findByIdAndUpdate(
-        { _id: id }, 
+exports.updateCatway = async (id, updateData, user) => {
+    const before = await Catway.findById(id);
+
+    if (!before) {
+        return null;
+    }
+
+    const updatedCatway = await Catway.findByIdAndUpdate(
+        { _id: before._id }, 
         updateData, 
         { 
             new: true,            // Return the updated document
@@ -79,20 +173,426 @@ exports.updateCatway = async (id, updateData) => {
             context: 'query'      // Ensure proper context for custom validators
         }
     );
+
+    await auditService.record({ user, action: 'update', entity: 'catway', before, after: updatedCatway });
+    return updatedCatway;
 };
 
 /**
- * Delete a catway by its ID.
+ * Move a catway to the trash.
+ * 
+ * A catway that still has reservations to come (not over, cancelled or no-show) is kept,
+ * unless `cascade` is set: those reservations then go to the trash with it, and come back
+ * with it when it is restored.
  * 
  * @async
  * @function deleteCatway
  * @param {String} id - The ID of the catway to delete.
+ * @param {Object} [user] - The user deleting the catway.
+ * @param {Object} [options] - `{ cascade: true }` to delete its reservations to come too.
  * @returns {Promise<Object|null>} A promise that resolves to the deleted catway object, or null if the catway doesn't exist.
+ * @throws {CatwayHasReservationsError} If the catway has reservations to come and `cascade` is not set.
  * 
  * @example
- * const deletedCatway = await catwayService.deleteCatway('60c72b2f9f1b2c001c9a9e84');
+ * const deletedCatway = await catwayService.deleteCatway('60c72b2f9f1b2c001c9a9e84', req.user, { cascade: true });
  * console.log(deletedCatway);
  */
-exports.deleteCatway = async (id) => {
-    return await Catway.findByIdAndDelete({ _id: id });
+exports.deleteCatway = async (id, user, options = {}) => {
+    const catway = await Catway.findById(id);
+
+    if (!catway) {
+        return null;
+    }
+
+    const upcoming = await Reservation.find({
+        catwayNumber: catway.catwayNumber,
+        checkOut: { $gt: new Date() },
+        status: { $nin: Reservation.RELEASED_STATUSES }
+    }).sort({ checkIn: 1 });
+
+    if (upcoming.length > 0 && !options.cascade) {
+        throw new CatwayHasReservationsError(upcoming);
+    }
+
+    const deletion = { deletedAt: new Date(), deletedBy: user ? user._id : undefined };
+
+    // The reservations share the date of the catway, so that they are restored together
+    if (upcoming.length > 0) {
+        await Reservation.updateMany({ _id: { $in: upcoming.map(reservation => reservation._id) } }, deletion);
+
+        for (const reservation of upcoming) {
+            await auditService.record({ user, action: 'delete', entity: 'reservation', before: reservation, after: { ...auditService.snapshot(reservation), ...deletion } });
+        }
+    }
+
+    const deletedCatway = await Catway.findByIdAndUpdate(catway._id, deletion, { new: true });
+    await auditService.record({ user, action: 'delete', entity: 'catway', before: catway, after: deletedCatway });
+    return deletedCatway;
+};
+
+/**
+ * Take a catway out of the trash, with the reservations deleted along with it.
+ * 
+ * @async
+ * @function restoreCatway
+ * @param {String} id - The ID of the deleted catway.
+ * @param {Object} [user] - The user restoring the catway, for the audit log.
+ * @returns {Promise<Object|null>} A promise that resolves to the restored catway, or null if the trash has no such catway.
+ * 
+ * @example
+ * const catway = await catwayService.restoreCatway('60c72b2f9f1b2c001c9a9e84', req.user);
+ */
+exports.restoreCatway = async (id, user) => {
+    const catway = await Catway.findOne({ _id: id, deletedAt: { $ne: null } });
+
+    if (!catway) {
+        return null;
+    }
+
+    const reservations = await Reservation.find({ catwayNumber: catway.catwayNumber, deletedAt: catway.deletedAt });
+
+    await Reservation.updateMany(
+        { catwayNumber: catway.catwayNumber, deletedAt: catway.deletedAt },
+        { $unset: { deletedAt: 1, deletedBy: 1 } }
+    );
+
+    for (const reservation of reservations) {
+        await auditService.record({ user, action: 'restore', entity: 'reservation', before: reservation, after: { ...auditService.snapshot(reservation), deletedAt: null, deletedBy: null } });
+    }
+
+    const restoredCatway = await Catway.findOneAndUpdate(
+        { _id: catway._id, deletedAt: { $ne: null } },
+        { $unset: { deletedAt: 1, deletedBy: 1 } },
+        { new: true }
+    );
+
+    await auditService.record({ user, action: 'restore', entity: 'catway', before: catway, after: restoredCatway });
+    return restoredCatway;
+};
+
+/**
+ * Parse and validate the query string of an availability search.
+ *
+ * @function parseAvailabilityQuery
+ * @param {Object} query - The request query (`from`, `to` and optional `type`).
+ * @returns {{from: Date, to: Date, type: (String|undefined), errors: Array<String>}} The parsed values and the list of validation errors (empty when valid).
+ *
+ * @example
+ * const { from, to, type, errors } = catwayService.parseAvailabilityQuery(req.query);
+ */
+exports.parseAvailabilityQuery = (query) => {
+    const { type } = query;
+    const from = new Date(query.from);
+    const to = new Date(query.to);
+    const errors = [];
+
+    if (!query.from || isNaN(from)) {
+        errors.push('La date de début (from) est obligatoire et doit être valide');
+    }
+    if (!query.to || isNaN(to)) {
+        errors.push('La date de fin (to) est obligatoire et doit être valide');
+    } else if (to <= from) {
+        errors.push('La date de fin doit être postérieure à la date de début');
+    }
+    if (type && !['long', 'short'].includes(type)) {
+        errors.push('Le type de catway doit être \'long\' ou \'short\'');
+    }
+
+    return { from, to, type, errors };
+};
+
+// Number of free slots returned for each available catway
+const FREE_SLOTS_LIMIT = 3;
+
+/**
+ * Compute the free periods of a catway from a start date, given its reservations.
+ *
+ * The last slot is open-ended (`to` is null) since nothing is booked after it.
+ *
+ * @private
+ * @param {Date} from - The date to start looking from.
+ * @param {Array<Object>} reservations - The reservations of the catway, sorted by check-in date.
+ * @param {Number} limit - The maximum number of slots to return.
+ * @returns {Array<{from: Date, to: (Date|null)}>} The free slots, in chronological order.
+ */
+const computeFreeSlots = (from, reservations, limit) => {
+    const slots = [];
+    let cursor = from;
+
+    for (const reservation of reservations) {
+        if (slots.length >= limit) {
+            return slots;
+        }
+        if (reservation.checkIn > cursor) {
+            slots.push({ from: cursor, to: reservation.checkIn });
+        }
+        if (reservation.checkOut > cursor) {
+            cursor = reservation.checkOut;
+        }
+    }
+
+    if (slots.length < limit) {
+        slots.push({ from: cursor, to: null });
+    }
+
+    return slots;
+};
+
+/**
+ * Fetch the catways that have no reservation between two dates.
+ *
+ * Catways in maintenance are never returned. Each catway comes with its next
+ * free slots starting from `from`, the first one covering the requested window.
+ * Cancelled and no-show reservations do not hold their catway.
+ *
+ * @async
+ * @function getAvailableCatways
+ * @param {Date} from - The start of the requested window.
+ * @param {Date} to - The end of the requested window.
+ * @param {String} [type] - Restrict the search to 'long' or 'short' catways.
+ * @returns {Promise<Array<{catway: Object, freeSlots: Array}>>} A promise that resolves to the available catways and their free slots.
+ *
+ * @example
+ * const available = await catwayService.getAvailableCatways(new Date('2024-10-01'), new Date('2024-10-05'), 'long');
+ * console.log(available[0].catway.catwayNumber, available[0].freeSlots);
+ */
+exports.getAvailableCatways = async (from, to, type) => {
+    const catwayQuery = { catwayState: { $not: /^maintenance$/i } };
+
+    if (type) {
+        catwayQuery.type = type;
+    }
+
+    const catways = await Catway.find(catwayQuery).sort({ catwayNumber: 1 });
+
+    const reservations = await Reservation.find({
+        catwayNumber: { $in: catways.map(catway => catway.catwayNumber) },
+        checkOut: { $gt: from },
+        status: { $nin: Reservation.RELEASED_STATUSES }
+    }).sort({ checkIn: 1 });
+
+    const reservationsByCatway = new Map();
+    reservations.forEach(reservation => {
+        const list = reservationsByCatway.get(reservation.catwayNumber) || [];
+        list.push(reservation);
+        reservationsByCatway.set(reservation.catwayNumber, list);
+    });
+
+    return catways
+        .filter(catway => {
+            const list = reservationsByCatway.get(catway.catwayNumber) || [];
+            return !list.some(reservation => reservation.checkIn < to && reservation.checkOut > from);
+        })
+        .map(catway => ({
+            catway,
+            freeSlots: computeFreeSlots(from, reservationsByCatway.get(catway.catwayNumber) || [], FREE_SLOTS_LIMIT)
+        }));
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The colours of the berths on the marina plan, with their French labels.
+ *
+ * @constant {Object<String, String>}
+ */
+const PLAN_STATUS_LABELS = {
+    maintenance: 'en maintenance',
+    arriving: 'arrivée prévue aujourd\'hui',
+    departing: 'départ prévu aujourd\'hui',
+    occupied: 'occupé',
+    free: 'libre'
+};
+
+exports.PLAN_STATUS_LABELS = PLAN_STATUS_LABELS;
+
+/**
+ * Work out the colour of a berth for the day, from the state of its catway and its reservations.
+ *
+ * A catway in maintenance stays so; otherwise a boat expected today comes first, then a boat
+ * leaving today, then a boat staying tonight.
+ *
+ * @private
+ * @param {Object} catway - The catway.
+ * @param {Array<Object>} reservations - Its reservations around today.
+ * @param {Date} today - The start of the day.
+ * @param {Date} tomorrow - The start of the next day.
+ * @returns {{status: String, reservation: (Object|null)}} The status and the reservation behind it.
+ */
+const berthStatus = (catway, reservations, today, tomorrow) => {
+    if (/^maintenance$/i.test(catway.catwayState)) {
+        return { status: 'maintenance', reservation: null };
+    }
+
+    const arriving = reservations.find(reservation =>
+        reservation.checkIn >= today && reservation.checkIn < tomorrow && !['checkedIn', 'checkedOut'].includes(reservation.status));
+    const departing = reservations.find(reservation =>
+        reservation.checkOut >= today && reservation.checkOut < tomorrow && reservation.status !== 'checkedOut');
+    const staying = reservations.find(reservation =>
+        reservation.checkIn < tomorrow && reservation.checkOut >= tomorrow);
+
+    if (arriving) {
+        return { status: 'arriving', reservation: arriving };
+    } else if (departing) {
+        return { status: 'departing', reservation: departing };
+    } else if (staying) {
+        return { status: 'occupied', reservation: staying };
+    }
+    return { status: 'free', reservation: null };
+};
+
+/**
+ * Build the marina plan for a day: the catways by pontoon, in the order of their places,
+ * each with its status for the day (see `PLAN_STATUS_LABELS`). Cancelled and no-show
+ * reservations are left out.
+ *
+ * @async
+ * @function getPlan
+ * @param {Date} [now=new Date()] - The current date.
+ * @returns {Promise<{pontoons: Array<{name: String, length: Number, berths: Array}>, unplaced: Array}>} A promise that resolves to the pontoons, their length being the last place used, and their berths as `{ catway, status, reservation }`; and the berths not placed yet.
+ *
+ * @example
+ * const { pontoons } = await catwayService.getPlan();
+ * console.log(pontoons[0].name, pontoons[0].berths[0].status);
+ */
+exports.getPlan = async (now = new Date()) => {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const tomorrow = new Date(today.getTime() + DAY);
+
+    const catways = await Catway.find().sort({ pontoon: 1, position: 1, catwayNumber: 1 });
+    const reservations = await Reservation.find({
+        checkIn: { $lt: tomorrow },
+        checkOut: { $gte: today },
+        status: { $nin: Reservation.RELEASED_STATUSES }
+    }).sort({ checkIn: 1 });
+
+    const pontoons = [];
+    const unplaced = [];
+
+    catways.forEach(catway => {
+        const berth = {
+            catway,
+            ...berthStatus(catway, reservations.filter(reservation => reservation.catwayNumber === catway.catwayNumber), today, tomorrow)
+        };
+
+        if (!catway.pontoon || !catway.position) {
+            unplaced.push(berth);
+            return;
+        }
+
+        let pontoon = pontoons.find(candidate => candidate.name === catway.pontoon);
+        if (!pontoon) {
+            pontoon = { name: catway.pontoon, length: 0, berths: [] };
+            pontoons.push(pontoon);
+        }
+        pontoon.berths.push(berth);
+        pontoon.length = Math.max(pontoon.length, catway.position);
+    });
+
+    return { pontoons, unplaced };
+};
+
+/**
+ * Save the places of catways on the marina plan, as edited by an administrator.
+ *
+ * A catway with no pontoon is taken off the plan. Nothing is saved when a place is not
+ * valid or two catways would share one, counting the catways left out of `layout`, and
+ * the catways already moved are put back if saving one of them fails.
+ * Each catway moved is logged in the audit log.
+ *
+ * @async
+ * @function updateLayout
+ * @param {Array<{id: String, pontoon: String, position: (Number|String)}>} layout - The new places.
+ * @param {Object} [user] - The user saving the layout (`req.user`), for the audit log.
+ * @returns {Promise<Number>} A promise that resolves to the number of catways moved.
+ * @throws {InvalidLayoutError} When the layout is not valid.
+ * @throws {ValidationError} When the database refuses a place; the layout is then left as it was.
+ *
+ * @example
+ * await catwayService.updateLayout([{ id: catway.id, pontoon: 'A', position: 3 }], req.user);
+ */
+exports.updateLayout = async (layout, user) => {
+    const catways = await Catway.find();
+    const places = new Map(catways.map(catway => [catway.id, { pontoon: catway.pontoon || null, position: catway.position || null }]));
+    const errors = [];
+    const moves = [];
+
+    layout.forEach(({ id, pontoon, position }) => {
+        const catway = catways.find(candidate => candidate.id === id);
+
+        if (!catway) {
+            errors.push(`Le catway ${id} n'existe pas`);
+            return;
+        }
+
+        const name = String(pontoon || '').trim().toUpperCase();
+        const place = name ? Number(position) : null;
+
+        if (name && (!Number.isInteger(place) || place < 1)) {
+            errors.push(`Catway ${catway.catwayNumber} : la position sur le ponton doit être un entier à partir de 1`);
+            return;
+        }
+        if (name.length > 10) {
+            errors.push(`Catway ${catway.catwayNumber} : le nom du ponton ne peut pas dépasser 10 caractères`);
+            return;
+        }
+
+        const next = { pontoon: name || null, position: place };
+        const current = places.get(id);
+
+        if (next.pontoon !== current.pontoon || next.position !== current.position) {
+            places.set(id, next);
+            moves.push({ id, ...next });
+        }
+    });
+
+    const taken = new Map();
+    catways.forEach(catway => {
+        const { pontoon, position } = places.get(catway.id);
+
+        if (!pontoon) {
+            return;
+        }
+
+        const key = `${pontoon}/${position}`;
+        if (taken.has(key)) {
+            errors.push(`Les catways ${taken.get(key)} et ${catway.catwayNumber} sont tous les deux à la place ${position} du ponton ${pontoon}`);
+        } else {
+            taken.set(key, catway.catwayNumber);
+        }
+    });
+
+    // The rules of the schema too, before anything is saved
+    moves.filter(move => move.pontoon).forEach((move) => {
+        const catway = catways.find(candidate => candidate.id === move.id);
+        const error = Catway.hydrate(catway.toObject()).set({ pontoon: move.pontoon, position: move.position }).validateSync(['pontoon', 'position']);
+
+        if (error) {
+            errors.push(...Object.values(error.errors).map(e => `Catway ${catway.catwayNumber} : ${e.message}`));
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new InvalidLayoutError(errors);
+    }
+
+    // A catway taken off the plan loses its place rather than getting empty values
+    const placeUpdate = ({ pontoon, position }) => pontoon ? { pontoon, position } : { $unset: { pontoon: 1, position: 1 } };
+    const applied = [];
+
+    try {
+        for (const move of moves) {
+            await exports.updateCatway(move.id, placeUpdate(move), user);
+            applied.push(move);
+        }
+    } catch (error) {
+        // Put back the catways already moved, so the layout is saved whole or not at all
+        for (const move of applied.reverse()) {
+            const catway = catways.find(candidate => candidate.id === move.id);
+            await exports.updateCatway(move.id, placeUpdate({ pontoon: catway.pontoon, position: catway.position }), user);
+        }
+        throw error;
+    }
+
+    return moves.length;
 };
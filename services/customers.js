@@ -0,0 +1,221 @@
+const Customer = require('../models/customer');
+const Reservation = require('../models/reservation');
+
+/**
+ * @module CustomersServices
+ */
+
+/**
+ * Error thrown when deleting a customer who still has reservations.
+ *
+ * @class CustomerHasReservationsError
+ * @extends Error
+ * @property {Number} count - The number of reservations of the customer.
+ *
+ * @example
+ * throw new CustomerHasReservationsError(3);
+ */
+class CustomerHasReservationsError extends Error {
+    constructor(count) {
+        super(`Ce client a encore ${count} réservation(s), corbeille comprise : supprimez-les définitivement d'abord`);
+        this.name = 'CustomerHasReservationsError';
+        this.count = count;
+    }
+}
+
+exports.CustomerHasReservationsError = CustomerHasReservationsError;
+
+/**
+ * Add a new customer to the database.
+ *
+ * @async
+ * @function addCustomer
+ * @param {Object} customerData - The data for the new customer.
+ * @returns {Promise<Object>} A promise that resolves to the newly created customer.
+ *
+ * @example
+ * const customer = await customerService.addCustomer({ name: 'John Doe', email: 'john@example.com' });
+ */
+exports.addCustomer = async (customerData) => {
+    const customer = new Customer(customerData);
+    return await customer.save();
+};
+
+/**
+ * Fetch all customers, sorted by name.
+ *
+ * @async
+ * @function getAllCustomers
+ * @returns {Promise<Array>} A promise that resolves to an array of all customers.
+ *
+ * @example
+ * const customers = await customerService.getAllCustomers();
+ */
+exports.getAllCustomers = async () => {
+    return await Customer.find().sort({ normalizedName: 1 });
+};
+
+/**
+ * Fetch a customer by their ID.
+ *
+ * @async
+ * @function getCustomerById
+ * @param {String} id - The ID of the customer.
+ * @returns {Promise<Object|null>} A promise that resolves to the customer, or null if not found.
+ *
+ * @example
+ * const customer = await customerService.getCustomerById('60c72b2f9f1b2c001c9a9e84');
+ */
+exports.getCustomerById = async (id) => {
+    return await Customer.findById(id);
+};
+
+/**
+ * Update a customer by their ID.
+ *
+ * The name copied on the customer's reservations is updated too.
+ *
+ * @async
+ * @function updateCustomer
+ * @param {String} id - The ID of the customer.
+ * @param {Object} updateData - The fields to change.
+ * @returns {Promise<Object|null>} A promise that resolves to the updated customer, or null if not found.
+ *
+ * @example
+ * const customer = await customerService.updateCustomer('60c72b2f9f1b2c001c9a9e84', { phone: '0612345678' });
+ */
+exports.updateCustomer = async (id, updateData) => {
+    const customer = await Customer.findById(id);
+
+    if (!customer) {
+        return null;
+    }
+
+    customer.set(updateData);
+    const nameChanged = customer.isModified('name');
+    await customer.save();
+
+    if (nameChanged) {
+        await Reservation.updateMany({ customer: customer._id }, { clientName: customer.name });
+    }
+
+    return customer;
+};
+
+/**
+ * Delete a customer by their ID. A customer who still has reservations cannot be deleted.
+ *
+ * @async
+ * @function deleteCustomer
+ * @param {String} id - The ID of the customer.
+ * @returns {Promise<Object|null>} A promise that resolves to the deleted customer, or null if not found.
+ * @throws {CustomerHasReservationsError} If reservations still reference the customer.
+ *
+ * @example
+ * const customer = await customerService.deleteCustomer('60c72b2f9f1b2c001c9a9e84');
+ */
+exports.deleteCustomer = async (id) => {
+    const customer = await Customer.findById(id);
+
+    if (!customer) {
+        return null;
+    }
+
+    // Reservations in the trash count too, they could still be restored
+    const count = await Reservation.countDocuments({ customer: customer._id }).setOptions({ withDeleted: true });
+
+    if (count > 0) {
+        throw new CustomerHasReservationsError(count);
+    }
+
+    return await Customer.findByIdAndDelete(customer._id);
+};
+
+/**
+ * Find the oldest customer with this name, ignoring case, accents and spacing.
+ *
+ * @private
+ * @param {String} name - The name to look for.
+ * @returns {Promise<Object|null>} A promise that resolves to the customer, or null if none has this name.
+ */
+const findCustomerByName = async (name) => {
+    return await Customer.findOne({ normalizedName: Customer.normalizeName(name) }).sort({ createdAt: 1 });
+};
+
+/**
+ * Find the customer with this name, ignoring case, accents and spacing, or create one.
+ * When several customers share the name, the oldest is taken.
+ *
+ * @async
+ * @function findOrCreateCustomerByName
+ * @param {String} name - The name typed for a reservation.
+ * @returns {Promise<Object>} A promise that resolves to the customer.
+ *
+ * @example
+ * const customer = await customerService.findOrCreateCustomerByName('john  DOE');
+ */
+exports.findOrCreateCustomerByName = async (name) => {
+    return await findCustomerByName(name) || await exports.addCustomer({ name });
+};
+
+/**
+ * Fetch the reservations of a customer, split between past and upcoming ones.
+ * A reservation is past once its check-out date is over.
+ *
+ * @async
+ * @function getCustomerReservations
+ * @param {String} customerId - The ID of the customer.
+ * @returns {Promise<{past: Array, upcoming: Array}>} A promise that resolves to the past reservations, latest first, and the upcoming ones, soonest first.
+ *
+ * @example
+ * const { past, upcoming } = await customerService.getCustomerReservations(customer.id);
+ */
+exports.getCustomerReservations = async (customerId) => {
+    const now = new Date();
+
+    const [past, upcoming] = await Promise.all([
+        Reservation.find({ customer: customerId, checkOut: { $lt: now } }).sort({ checkIn: -1 }),
+        Reservation.find({ customer: customerId, checkOut: { $gte: now } }).sort({ checkIn: 1 })
+    ]);
+
+    return { past, upcoming };
+};
+
+/**
+ * Link the reservations made before customers existed to a customer, by their client name.
+ *
+ * Names that differ only by case, accents or spacing end up with the same customer.
+ * Running it again only handles the reservations still without a customer.
+ *
+ * @async
+ * @function linkReservationsByClientName
+ * @returns {Promise<{customersCreated: Number, reservationsLinked: Number}>} A promise that resolves to what was done.
+ *
+ * @example
+ * const { customersCreated, reservationsLinked } = await customerService.linkReservationsByClientName();
+ */
+exports.linkReservationsByClientName = async () => {
+    // Matches reservations with no customer field as well
+    const unlinked = { customer: null };
+    const clientNames = await Reservation.distinct('clientName', unlinked);
+
+    let customersCreated = 0;
+    let reservationsLinked = 0;
+
+    for (const clientName of clientNames) {
+        let customer = await findCustomerByName(clientName);
+
+        if (!customer) {
+            customer = await exports.addCustomer({ name: clientName });
+            customersCreated++;
+        }
+
+        const result = await Reservation.updateMany(
+            { ...unlinked, clientName },
+            { customer: customer._id, clientName: customer.name }
+        );
+        reservationsLinked += result.modifiedCount;
+    }
+
+    return { customersCreated, reservationsLinked };
+};
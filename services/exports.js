@@ -0,0 +1,90 @@
+const Catway = require('../models/catway');
+const Reservation = require('../models/reservation');
+const User = require('../models/user');
+const listQueryService = require('./listQuery');
+const spreadsheetService = require('./spreadsheets');
+
+/**
+ * @module ExportsServices
+ */
+
+/**
+ * The fields of the files of each list, in order. The imports read the same fields,
+ * so that an exported file can be imported again; the ones marked `exportOnly` are
+ * left aside by the imports.
+ *
+ * @constant {Object<String, Array<{key: String, type: (String|undefined), exportOnly: (Boolean|undefined)}>>}
+ */
+const COLUMNS = {
+    catways: [
+        { key: 'catwayNumber' },
+        { key: 'type' },
+        { key: 'catwayState' },
+        { key: 'boatName' },
+        { key: 'pontoon' },
+        { key: 'position' }
+    ],
+    reservations: [
+        { key: 'catwayNumber' },
+        { key: 'clientName' },
+        { key: 'boatName' },
+        { key: 'checkIn', type: 'date' },
+        { key: 'checkOut', type: 'date' },
+        { key: 'status', exportOnly: true },
+        { key: 'total', exportOnly: true },
+        { key: 'currency', exportOnly: true }
+    ],
+    users: [
+        { key: 'name' },
+        { key: 'email' },
+        { key: 'role' }
+    ]
+};
+
+exports.COLUMNS = COLUMNS;
+
+/**
+ * What each list exports: its records and how each becomes a row.
+ *
+ * @private
+ */
+const LISTS = {
+    catways: { Model: Catway, row: catway => catway.toObject() },
+    reservations: {
+        Model: Reservation,
+        row: reservation => ({
+            ...reservation.toObject(),
+            total: reservation.quote ? reservation.quote.total : null,
+            currency: reservation.quote ? reservation.quote.currency : null
+        })
+    },
+    users: { Model: User, row: user => user.toObject() }
+};
+
+/**
+ * Export a list as a CSV, XLSX or JSON file: every record matching its filters, in its
+ * order, not only those of the page shown.
+ *
+ * @async
+ * @function exportList
+ * @param {String} type - 'catways', 'reservations' or 'users'.
+ * @param {Object} listQuery - The list query, as returned by `listQuery.parseListQuery` with the `LIST_OPTIONS` of the list.
+ * @param {String} format - 'csv', 'xlsx' or 'json'.
+ * @param {Date} [now=new Date()] - The current date, which names the file.
+ * @returns {Promise<{fileName: String, contentType: String, content: Buffer}>} A promise that resolves to the file.
+ *
+ * @example
+ * const file = await exportService.exportList('catways', listQuery, 'xlsx');
+ * res.attachment(file.fileName).type(file.contentType).send(file.content);
+ */
+exports.exportList = async (type, listQuery, format, now = new Date()) => {
+    const { Model, row } = LISTS[type];
+    const records = await listQueryService.findAll(Model, listQuery);
+    const day = now.toISOString().slice(0, 10);
+
+    return {
+        fileName: `${type}-${day}.${spreadsheetService.FORMATS[format].extension}`,
+        contentType: spreadsheetService.FORMATS[format].contentType,
+        content: await spreadsheetService.writeRows(COLUMNS[type], records.map(row), format)
+    };
+};
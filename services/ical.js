@@ -0,0 +1,268 @@
+/**
+ * @module IcalServices
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Lines longer than this, in octets, are folded (RFC 5545, section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Error thrown when a text is not an iCalendar file.
+ *
+ * @class InvalidCalendarError
+ * @extends Error
+ *
+ * @example
+ * throw new InvalidCalendarError('Le fichier n\'est pas un calendrier iCalendar (.ics)');
+ */
+class InvalidCalendarError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidCalendarError';
+    }
+}
+
+exports.InvalidCalendarError = InvalidCalendarError;
+
+/**
+ * Escape a text value: backslashes, semicolons, commas and line breaks.
+ *
+ * @private
+ * @param {String} text - The text.
+ * @returns {String} The escaped text.
+ */
+const escapeText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Undo `escapeText`.
+ *
+ * @private
+ * @param {String} text - The escaped text.
+ * @returns {String} The text.
+ */
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+/**
+ * Fold a content line into lines of at most 75 octets, each continuation line
+ * starting with a space. Multi-byte characters are never cut.
+ *
+ * @private
+ * @param {String} line - The content line.
+ * @returns {String} The folded line, with CRLF line breaks.
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let part = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+
+        // Continuation lines lose one octet to their leading space
+        if (octets + size > (parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1)) {
+            parts.push(part);
+            part = '';
+            octets = 0;
+        }
+        part += char;
+        octets += size;
+    }
+    parts.push(part);
+
+    return parts.join('\r\n ');
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Format the day of a date (in UTC, as the days of the forms are stored) as an iCalendar DATE.
+ *
+ * @private
+ * @param {Date} date - The date.
+ * @returns {String} The day, e.g. '20250601'.
+ */
+const formatDay = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+
+/**
+ * Format a date as an iCalendar UTC DATE-TIME.
+ *
+ * @private
+ * @param {Date} date - The date.
+ * @returns {String} The date and time, e.g. '20250601T093000Z'.
+ */
+const formatDateTime = (date) => `${formatDay(date)}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+/**
+ * Build an iCalendar (.ics) file of all-day events.
+ *
+ * Each event lasts from the day of `start` to the day of `end`, excluded, as iCalendar
+ * all-day events do: a stay from the 1st to the 8th shows on the 1st to the 7th, the
+ * nights the boat spends in the harbour.
+ *
+ * @function formatCalendar
+ * @param {Object} calendar - The calendar.
+ * @param {String} calendar.name - The name shown by the calendar apps.
+ * @param {Array<Object>} calendar.events - The events, as `{ uid, start, end, summary, location?, description?, status?, properties? }`, `status` being an iCalendar status ('CONFIRMED', 'TENTATIVE') and `properties` extra properties by name (e.g. `{ 'X-BOAT-NAME': 'Seahorse' }`).
+ * @param {Date} [now=new Date()] - When the file is built.
+ * @returns {String} The content of the file.
+ *
+ * @example
+ * res.type('text/calendar').send(icalService.formatCalendar({
+ *   name: 'Catway 12',
+ *   events: [{ uid: 'abc@port-de-plaisance', start: reservation.checkIn, end: reservation.checkOut, summary: 'John Doe - Seahorse' }]
+ * }));
+ */
+exports.formatCalendar = ({ name, events }, now = new Date()) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Port de plaisance//Reservations//FR',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    events.forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${formatDateTime(now)}`,
+            `DTSTART;VALUE=DATE:${formatDay(event.start)}`,
+            `DTEND;VALUE=DATE:${formatDay(event.end)}`,
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.location) {
+            lines.push(`LOCATION:${escapeText(event.location)}`);
+        }
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+        if (event.status) {
+            lines.push(`STATUS:${event.status}`);
+        }
+        Object.entries(event.properties || {}).forEach(([property, value]) => {
+            lines.push(`${property}:${escapeText(value)}`);
+        });
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME value.
+ *
+ * Dates without a time are midnight UTC, like the days of the forms. Times without the
+ * 'Z' suffix (floating or with a TZID) are read as UTC: only their day is used.
+ *
+ * @private
+ * @param {String} value - The value, e.g. '20250601' or '20250601T140000Z'.
+ * @returns {Date|null} The date, or null when the value is not a date.
+ */
+const parseDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value.trim());
+
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hours, minutes, seconds] = match.map(part => Number(part || 0));
+    const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+
+    return isNaN(date) ? null : date;
+};
+
+/**
+ * Split a content line into its name and value, leaving out the parameters
+ * (';VALUE=DATE', ';TZID=...'). Colons inside quoted parameter values are skipped.
+ *
+ * @private
+ * @param {String} line - The unfolded content line.
+ * @returns {{name: String, value: String}|null} The parts, or null for a line without a colon.
+ */
+const parseLine = (line) => {
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') {
+            quoted = !quoted;
+        } else if (line[i] === ':' && !quoted) {
+            return { name: line.slice(0, i).split(';')[0].toUpperCase(), value: line.slice(i + 1) };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Read the events of an iCalendar (.ics) file.
+ *
+ * Each event is returned as `{ uid, summary, location, description, status, start, end, properties }`:
+ * `start` and `end` are dates (see `formatCalendar`), `end` being null when the event has
+ * neither DTEND nor DURATION in days or weeks, and `properties` holds the other properties
+ * by name (e.g. 'X-BOAT-NAME'), unescaped.
+ *
+ * @function parseCalendar
+ * @param {String} text - The content of the file.
+ * @returns {Array<Object>} The events, in the order of the file.
+ * @throws {InvalidCalendarError} If the text is not an iCalendar file.
+ *
+ * @example
+ * const events = icalService.parseCalendar(fs.readFileSync('export.ics', 'utf8'));
+ * console.log(events[0].summary, events[0].start);
+ */
+exports.parseCalendar = (text) => {
+    // Unfold the lines: a line break followed by a space or a tab continues the line
+    const lines = String(text || '').replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+    if (!lines.some(line => /^BEGIN:VCALENDAR$/i.test(line.trim()))) {
+        throw new InvalidCalendarError('Le fichier n\'est pas un calendrier iCalendar (.ics)');
+    }
+
+    const events = [];
+    let event = null;
+
+    lines.forEach(line => {
+        const parsed = parseLine(line);
+
+        if (!parsed) {
+            return;
+        }
+
+        const { name, value } = parsed;
+
+        if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+            event = { uid: '', summary: '', location: '', description: '', status: '', start: null, end: null, duration: null, properties: {} };
+        } else if (name === 'END' && value.toUpperCase() === 'VEVENT' && event) {
+            if (!event.end && event.start && event.duration) {
+                event.end = new Date(event.start.getTime() + event.duration * DAY);
+            }
+            delete event.duration;
+            events.push(event);
+            event = null;
+        } else if (event) {
+            if (name === 'DTSTART') {
+                event.start = parseDate(value);
+            } else if (name === 'DTEND') {
+                event.end = parseDate(value);
+            } else if (name === 'DURATION') {
+                // Stays last whole days: P3D, P1W
+                const match = /^P(?:(\d+)W)?(?:(\d+)D)?/.exec(value.trim());
+                event.duration = match ? Number(match[1] || 0) * 7 + Number(match[2] || 0) : null;
+            } else if (['UID', 'SUMMARY', 'LOCATION', 'DESCRIPTION', 'STATUS'].includes(name)) {
+                event[name.toLowerCase()] = unescapeText(value).trim();
+            } else {
+                event.properties[name] = unescapeText(value);
+            }
+        }
+    });
+
+    return events;
+};
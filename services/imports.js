@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const Catway = require('../models/catway');
+const Reservation = require('../models/reservation');
+const User = require('../models/user');
+const ImportBatch = require('../models/importBatch');
+const catwayService = require('./catways');
+const reservationService = require('./reservations');
+const userService = require('./users');
+
+/**
+ * @module ImportsServices
+ */
+
+// How long an uploaded file waits for its import to be confirmed, in milliseconds
+const BATCH_TTL = 60 * 60 * 1000;
+
+exports.BATCH_TTL = BATCH_TTL;
+
+/**
+ * The kinds of records that can be imported, with their French labels.
+ *
+ * @constant {Object<String, String>}
+ */
+const TYPE_LABELS = {
+    catways: 'Catways',
+    reservations: 'Réservations',
+    users: 'Utilisateurs'
+};
+
+exports.TYPE_LABELS = TYPE_LABELS;
+
+/**
+ * What became of each row once the import is confirmed, in French.
+ *
+ * @constant {Object<String, String>}
+ */
+const RESULT_LABELS = {
+    created: 'Importée',
+    failed: 'Refusée',
+    skipped: 'Ignorée (erreurs)'
+};
+
+exports.RESULT_LABELS = RESULT_LABELS;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('fr-FR', { timeZone: 'UTC' });
+
+/**
+ * Whether a cell is empty.
+ *
+ * @private
+ * @param {*} value - The value of the cell.
+ * @returns {Boolean} True for null, undefined and blank text.
+ */
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Read the text of a cell.
+ *
+ * @private
+ * @param {*} value - The value of the cell.
+ * @returns {String|undefined} The trimmed text, undefined when the cell is empty.
+ */
+const text = (value) => (isEmpty(value) ? undefined : String(value).trim());
+
+/**
+ * Read a number from a cell, a decimal comma being accepted.
+ *
+ * @private
+ * @param {*} value - The value of the cell.
+ * @param {String} field - The name of the field, for the message.
+ * @param {Array<String>} messages - Where to add the message when the cell is not a number.
+ * @returns {Number|undefined} The number, undefined when the cell is empty or wrong.
+ */
+const number = (value, field, messages) => {
+    if (isEmpty(value)) {
+        return undefined;
+    }
+
+    const parsed = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+
+    if (isNaN(parsed)) {
+        messages.push(`${field} doit être un nombre (« ${value} »)`);
+        return undefined;
+    }
+    return parsed;
+};
+
+/**
+ * Read a day from a cell: a date cell, YYYY-MM-DD or DD/MM/YYYY. The day is stored as
+ * midnight UTC, like the days of the forms.
+ *
+ * @private
+ * @param {*} value - The value of the cell.
+ * @param {String} field - The name of the field, for the message.
+ * @param {Array<String>} messages - Where to add the message when the cell is not a day.
+ * @returns {Date|undefined} The day, undefined when the cell is empty or wrong.
+ */
+const day = (value, field, messages) => {
+    if (isEmpty(value)) {
+        return undefined;
+    }
+    if (value instanceof Date && !isNaN(value)) {
+        return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+    }
+
+    const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value).trim());
+    const french = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(String(value).trim());
+    const [year, month, date] = iso ? [iso[1], iso[2], iso[3]] : french ? [french[3], french[2], french[1]] : [];
+    const parsed = year ? new Date(Date.UTC(Number(year), Number(month) - 1, Number(date))) : null;
+
+    if (!parsed || parsed.getUTCDate() !== Number(date)) {
+        messages.push(`${field} doit être une date AAAA-MM-JJ ou JJ/MM/AAAA (« ${value} »)`);
+        return undefined;
+    }
+    return parsed;
+};
+
+/**
+ * Run the validators of the schema on a record not saved yet.
+ *
+ * @private
+ * @param {Object} document - The Mongoose document.
+ * @returns {Promise<Array<String>>} A promise that resolves to the messages of the validators, empty when the record is valid.
+ */
+const validate = async (document) => {
+    try {
+        await document.validate();
+        return [];
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return Object.values(error.errors).map(e => e.message);
+        }
+        throw error;
+    }
+};
+
+/**
+ * How each kind of record is imported:
+ * - `read` turns the values of a row into the data of a record, adding a message for
+ *   each value that cannot be read;
+ * - `check` returns what prevents importing the data, `file` holding the data of the
+ *   valid rows before it in the file;
+ * - `create` saves the record the way the forms do.
+ *
+ * @private
+ */
+const IMPORTS = {
+    catways: {
+        read: (values, messages) => ({
+            catwayNumber: number(values.catwayNumber, 'catwayNumber', messages),
+            type: text(values.type),
+            catwayState: text(values.catwayState),
+            boatName: text(values.boatName),
+            pontoon: text(values.pontoon),
+            position: number(values.position, 'position', messages)
+        }),
+        check: async (data, file) => {
+            const messages = await validate(new Catway(data));
+
+            if (data.catwayNumber !== undefined) {
+                if (file.some(other => other.catwayNumber === data.catwayNumber)) {
+                    messages.push(`Le catway ${data.catwayNumber} est déjà plus haut dans le fichier`);
+                } else if (await Catway.exists({ catwayNumber: data.catwayNumber })) {
+                    messages.push(`Le catway ${data.catwayNumber} existe déjà`);
+                }
+            }
+            return messages;
+        },
+        create: (data, user) => catwayService.addCatway(data, user)
+    },
+    reservations: {
+        read: (values, messages) => ({
+            catwayNumber: number(values.catwayNumber, 'catwayNumber', messages),
+            clientName: text(values.clientName),
+            boatName: text(values.boatName),
+            checkIn: day(values.checkIn, 'checkIn', messages),
+            checkOut: day(values.checkOut, 'checkOut', messages)
+        }),
+        check: async (data, file) => {
+            const reservation = new Reservation(data);
+            const messages = await validate(reservation);
+
+            if (data.catwayNumber === undefined || !data.checkIn || !data.checkOut || data.checkOut <= data.checkIn) {
+                return messages;
+            }
+            if (!(await Catway.exists({ catwayNumber: data.catwayNumber }))) {
+                messages.push(`Le catway ${data.catwayNumber} n'existe pas`);
+                return messages;
+            }
+
+            const conflicts = await reservationService.findConflictingReservations(data.catwayNumber, data.checkIn, data.checkOut);
+            conflicts.forEach(conflict => {
+                messages.push(`Le catway ${conflict.catwayNumber} est déjà réservé par ${conflict.clientName} du ${formatDate(conflict.checkIn)} au ${formatDate(conflict.checkOut)} (réservation ${conflict.id})`);
+            });
+            file
+                .filter(other => other.catwayNumber === data.catwayNumber && other.checkIn < data.checkOut && other.checkOut > data.checkIn)
+                .forEach(other => {
+                    messages.push(`Le catway ${data.catwayNumber} est déjà réservé plus haut dans le fichier par ${other.clientName} du ${formatDate(other.checkIn)} au ${formatDate(other.checkOut)}`);
+                });
+            return messages;
+        },
+        create: (data, user) => reservationService.creatReservation(data, user)
+    },
+    users: {
+        read: (values) => ({
+            name: text(values.name),
+            email: text(values.email),
+            role: text(values.role) || 'agent'
+        }),
+        check: async (data, file) => {
+            // The password is only there for the validators: imported users choose theirs
+            const messages = await validate(new User({ ...data, password: 'not-imported' }));
+            const email = String(data.email || '').toLowerCase();
+
+            if (email) {
+                if (file.some(other => String(other.email || '').toLowerCase() === email)) {
+                    messages.push(`L'email ${data.email} est déjà plus haut dans le fichier`);
+                } else if (await User.exists({ email: data.email })) {
+                    messages.push(`Un utilisateur a déjà l'email ${data.email}`);
+                }
+            }
+            return messages;
+        },
+        // A random password nobody knows: the user sets theirs with "mot de passe oublié"
+        create: (data, user) => userService.addUser({ ...data, password: crypto.randomBytes(24).toString('hex') }, user)
+    }
+};
+
+/**
+ * Check the rows of a file to import and keep them until the import is confirmed.
+ *
+ * Each row is read from the fields of the exports (see `exportService.COLUMNS`, other
+ * columns being left aside) and checked against the schema of its records. Catways and
+ * users must not exist yet; reservations must not overlap another one, in the harbour
+ * or higher in the file. Nothing is saved but the batch, which expires after `BATCH_TTL`.
+ *
+ * Imported users get no password: they choose theirs through "mot de passe oublié".
+ *
+ * @async
+ * @function previewImport
+ * @param {String} type - 'catways', 'reservations' or 'users'.
+ * @param {Array<{line: Number, values: Object}>} rows - The rows, as returned by `spreadsheetService.readRows`.
+ * @param {Object} [options] - Where the rows come from.
+ * @param {String} [options.fileName] - The name of the file.
+ * @param {Object} [options.user] - The user importing the file.
+ * @param {Date} [options.now=new Date()] - The current date.
+ * @returns {Promise<Object>} A promise that resolves to the saved batch, each row being `{ line, data, messages }`, `messages` empty for the rows that can be imported.
+ *
+ * @example
+ * const batch = await importService.previewImport('catways', rows, { fileName: 'catways.csv', user: req.user });
+ * console.log(batch.rows.filter(row => row.messages.length > 0));
+ */
+exports.previewImport = async (type, rows, { fileName, user, now = new Date() } = {}) => {
+    const definition = IMPORTS[type];
+    const checked = [];
+    const valid = [];
+
+    for (const row of rows) {
+        const messages = [];
+        const data = Object.fromEntries(Object.entries(definition.read(row.values, messages)).filter(([, value]) => value !== undefined));
+
+        messages.push(...await definition.check(data, valid));
+        checked.push({ line: row.line, data, messages });
+
+        if (messages.length === 0) {
+            valid.push(data);
+        }
+    }
+
+    return await ImportBatch.create({
+        type,
+        fileName,
+        rows: checked,
+        createdBy: user ? user._id : undefined,
+        expiresAt: new Date(now.getTime() + BATCH_TTL)
+    });
+};
+
+/**
+ * Find a batch waiting for its import to be confirmed by a user.
+ *
+ * @async
+ * @function getPendingBatch
+ * @param {String} id - The ID of the batch.
+ * @param {Object} user - The user who uploaded the file.
+ * @param {Date} [now=new Date()] - The current date.
+ * @returns {Promise<Object|null>} A promise that resolves to the batch, or null if there is no such batch, it expired, was imported already or was uploaded by someone else.
+ *
+ * @example
+ * const batch = await importService.getPendingBatch(req.params.id, req.user);
+ */
+exports.getPendingBatch = async (id, user, now = new Date()) => {
+    return await ImportBatch.findOne({ _id: id, createdBy: user._id, committedAt: null, expiresAt: { $gt: now } });
+};
+
+/**
+ * Confirm an import: save the rows without errors, one by one, the way the forms do.
+ *
+ * A batch is imported once only. A row that could be imported when the file was checked
+ * can be refused now (e.g. a reservation taken in the meantime): it is reported as
+ * failed and the other rows are still imported. So is a row whose save fails for an
+ * unexpected reason, since the batch is marked imported before its first row is saved.
+ *
+ * @async
+ * @function commitImport
+ * @param {String} id - The ID of the batch.
+ * @param {Object} user - The user who uploaded the file.
+ * @param {Date} [now=new Date()] - The current date.
+ * @returns {Promise<{batch: Object, results: Array<Object>}|null>} A promise that resolves to the batch and one `{ line, data, status, messages, record }` per row, `status` being a key of `RESULT_LABELS`, or null if the batch cannot be imported (see `getPendingBatch`).
+ *
+ * @example
+ * const imported = await importService.commitImport(req.params.id, req.user);
+ * console.log(imported.results.filter(result => result.status === 'created').length);
+ */
+exports.commitImport = async (id, user, now = new Date()) => {
+    // Marking the batch first keeps a double submit from importing the rows twice
+    const batch = await ImportBatch.findOneAndUpdate(
+        { _id: id, createdBy: user._id, committedAt: null, expiresAt: { $gt: now } },
+        { committedAt: now },
+        { new: true }
+    );
+
+    if (!batch) {
+        return null;
+    }
+
+    const definition = IMPORTS[batch.type];
+    const results = [];
+
+    for (const row of batch.rows) {
+        const result = { line: row.line, data: row.data, status: 'skipped', messages: row.messages, record: null };
+        results.push(result);
+
+        if (row.messages.length > 0) {
+            continue;
+        }
+
+        try {
+            result.record = await definition.create(row.data, user);
+            result.status = 'created';
+        } catch (error) {
+            result.status = 'failed';
+
+            if (error.name === 'ValidationError') {
+                result.messages = Object.values(error.errors).map(e => e.message);
+            } else if (error.name === 'ReservationConflictError') {
+                result.messages = error.conflicts.map(conflict =>
+                    `Le catway ${conflict.catwayNumber} est déjà réservé par ${conflict.clientName} du ${formatDate(conflict.checkIn)} au ${formatDate(conflict.checkOut)} (réservation ${conflict.id})`
+                );
+            } else if (error.code === 11000) {
+                result.messages = ['Cet enregistrement existe déjà'];
+            } else if (error.name === 'CatwayLockedError') {
+                result.messages = [error.message];
+            } else {
+                console.error('Import error:', error);
+                result.messages = ['Erreur inattendue : cette ligne n\'a pas été importée'];
+            }
+        }
+    }
+
+    return { batch, results };
+};
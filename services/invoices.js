@@ -0,0 +1,146 @@
+const Counter = require('../models/counter');
+const Customer = require('../models/customer');
+const Invoice = require('../models/invoice');
+const Reservation = require('../models/reservation');
+const pricingService = require('./pricing');
+const reservationService = require('./reservations');
+
+/**
+ * @module InvoicesServices
+ */
+
+/**
+ * Error thrown when a reservation cannot be priced, so no invoice can be issued for it.
+ *
+ * @class ReservationNotQuotedError
+ * @extends Error
+ *
+ * @example
+ * throw new ReservationNotQuotedError();
+ */
+class ReservationNotQuotedError extends Error {
+    constructor() {
+        super('Le prix de cette réservation ne peut pas être calculé, la facture ne peut pas être émise');
+        this.name = 'ReservationNotQuotedError';
+    }
+}
+
+exports.ReservationNotQuotedError = ReservationNotQuotedError;
+
+/**
+ * Write the address of a customer on one line.
+ *
+ * @private
+ * @param {Object|null} customer - The customer.
+ * @returns {String|undefined} The address, or undefined if there is none.
+ */
+const formatAddress = (customer) => {
+    const address = (customer && customer.address) || {};
+    const postalCodeAndCity = [address.postalCode, address.city].filter(Boolean).join(' ');
+    return [address.street, postalCodeAndCity, address.country].filter(Boolean).join(', ') || undefined;
+};
+
+/**
+ * Hand out the next invoice number of the year. Numbers start again from 1 every year.
+ *
+ * @async
+ * @function nextInvoiceNumber
+ * @param {Date} [date=new Date()] - The date of the invoice.
+ * @returns {Promise<String>} A promise that resolves to the number, e.g. `2025-00042`.
+ *
+ * @example
+ * const number = await invoiceService.nextInvoiceNumber();
+ */
+exports.nextInvoiceNumber = async (date = new Date()) => {
+    const year = date.getFullYear();
+    const counter = await Counter.findOneAndUpdate(
+        { _id: `invoice-${year}` },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+
+    return `${year}-${String(counter.seq).padStart(5, '0')}`;
+};
+
+/**
+ * Fetch the invoice of a reservation.
+ *
+ * @async
+ * @function getInvoiceOfReservation
+ * @param {String} reservationId - The ID of the reservation.
+ * @returns {Promise<Object|null>} A promise that resolves to the invoice, or null if none was issued.
+ *
+ * @example
+ * const invoice = await invoiceService.getInvoiceOfReservation('60c72b2f9f1b2c001c9a9e84');
+ */
+exports.getInvoiceOfReservation = async (reservationId) => {
+    return await Invoice.findOne({ reservation: reservationId });
+};
+
+/**
+ * Issue the invoice of a reservation, or return it if it was already issued.
+ *
+ * Reservations made before pricing existed are priced first with the current tariffs.
+ * The invoice is issued while holding the lock of the catway, so two requests issuing
+ * the same invoice never both take a number: the second one finds the invoice of the first.
+ *
+ * @async
+ * @function issueInvoice
+ * @param {String} reservationId - The ID of the reservation.
+ * @returns {Promise<Object|null>} A promise that resolves to the invoice, or null if the reservation does not exist.
+ * @throws {NoTariffError} If the reservation has no quote and no tariff covers one of its nights.
+ * @throws {ReservationNotQuotedError} If the reservation has no quote and its catway no longer exists.
+ * @throws {CatwayLockedError} If the catway stays locked by another request.
+ *
+ * @example
+ * const invoice = await invoiceService.issueInvoice('60c72b2f9f1b2c001c9a9e84');
+ */
+exports.issueInvoice = async (reservationId) => {
+    const reservation = await Reservation.findById(reservationId);
+
+    if (!reservation) {
+        return null;
+    }
+
+    return await reservationService.withCatwayLock(reservation.catwayNumber, async () => {
+        const existing = await exports.getInvoiceOfReservation(reservation._id);
+
+        if (existing) {
+            return existing;
+        }
+
+        let quote = reservation.quote;
+
+        if (!quote) {
+            quote = await pricingService.quoteReservation(reservation);
+
+            if (!quote) {
+                throw new ReservationNotQuotedError();
+            }
+
+            // The check-in date of an older reservation may be past, so skip the validators
+            await Reservation.updateOne({ _id: reservation._id }, { quote });
+        }
+
+        const customer = reservation.customer ? await Customer.findById(reservation.customer) : null;
+        const issuedAt = new Date();
+
+        const invoice = new Invoice({
+            number: await exports.nextInvoiceNumber(issuedAt),
+            reservation: reservation._id,
+            customer: reservation.customer,
+            clientName: reservation.clientName,
+            clientAddress: formatAddress(customer),
+            boatName: reservation.boatName,
+            catwayNumber: reservation.catwayNumber,
+            checkIn: reservation.checkIn,
+            checkOut: reservation.checkOut,
+            lines: quote.lines,
+            total: quote.total,
+            currency: quote.currency,
+            issuedAt
+        });
+
+        return await invoice.save();
+    });
+};
@@ -0,0 +1,177 @@
+/**
+ * @module ListQueryServices
+ */
+
+// Number of records on a page when the query does not say
+const DEFAULT_LIMIT = 20;
+// Largest page that can be asked for
+const MAX_LIMIT = 100;
+
+exports.DEFAULT_LIMIT = DEFAULT_LIMIT;
+exports.MAX_LIMIT = MAX_LIMIT;
+
+/**
+ * Build a case-insensitive "contains" condition from user input, special characters
+ * matched literally.
+ *
+ * @function contains
+ * @param {String} value - The text to look for.
+ * @returns {RegExp} The regular expression to use in a filter.
+ *
+ * @example
+ * Catway.find({ boatName: listQuery.contains(req.query.boatName) });
+ */
+exports.contains = (value) => {
+    return new RegExp(String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+};
+
+/**
+ * Parse and validate the query string of a list page: `page`, `limit`, `sort`, and
+ * the filters the list accepts.
+ *
+ * `sort` is a field name, prefixed with `-` for the descending order. Each filter is
+ * described by a function turning the value of its query parameter into a MongoDB
+ * condition, or into null when the value is not valid.
+ *
+ * @function parseListQuery
+ * @param {Object} query - The request query.
+ * @param {Object} options - What the list accepts.
+ * @param {Array<String>} options.sortFields - The fields the list can be sorted on.
+ * @param {String} options.defaultSort - The sort used when none is given, e.g. '-checkIn'.
+ * @param {Object<String, {parse: Function, message: String}>} [options.filters] - The filters, by query parameter, with the message shown for an invalid value.
+ * @returns {{page: Number, limit: Number, sort: Object, filter: Object, errors: Array<String>}} The parsed values and the list of validation errors (empty when valid).
+ *
+ * @example
+ * const listQuery = listQueryService.parseListQuery(req.query, catwayService.LIST_OPTIONS);
+ * if (listQuery.errors.length > 0) { ... }
+ */
+exports.parseListQuery = (query, options) => {
+    const errors = [];
+    const page = query.page === undefined || query.page === '' ? 1 : Number(query.page);
+    const limit = query.limit === undefined || query.limit === '' ? DEFAULT_LIMIT : Number(query.limit);
+
+    if (!Number.isInteger(page) || page < 1) {
+        errors.push('Le numéro de page (page) doit être un entier positif');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        errors.push(`Le nombre de résultats par page (limit) doit être compris entre 1 et ${MAX_LIMIT}`);
+    }
+
+    const sortParam = String(query.sort || options.defaultSort);
+    const sortField = sortParam.replace(/^-/, '');
+    const sort = {};
+
+    if (options.sortFields.includes(sortField)) {
+        sort[sortField] = sortParam.startsWith('-') ? -1 : 1;
+    } else {
+        errors.push(`Le tri doit porter sur l'un de ces champs : ${options.sortFields.join(', ')}`);
+    }
+    // Records with the same value keep the same order from one page to the next
+    sort._id = 1;
+
+    const conditions = [];
+    Object.entries(options.filters || {}).forEach(([name, filter]) => {
+        const value = query[name];
+
+        if (value === undefined || value === '') {
+            return;
+        }
+
+        const condition = filter.parse(String(value).trim());
+
+        if (condition) {
+            conditions.push(condition);
+        } else {
+            errors.push(filter.message);
+        }
+    });
+
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+
+    return { page, limit, sort, filter, errors };
+};
+
+/**
+ * Combine the filters of a list query with the condition every record must meet.
+ *
+ * @private
+ * @param {Object} listQuery - The list query, as returned by `parseListQuery`.
+ * @param {Object} baseFilter - A condition every record must meet.
+ * @returns {Object} The MongoDB filter.
+ */
+const whereOf = (listQuery, baseFilter) => {
+    const conditions = [baseFilter, listQuery.filter].filter(condition => Object.keys(condition).length > 0);
+    return conditions.length > 1 ? { $and: conditions } : (conditions[0] || {});
+};
+
+/**
+ * Fetch one page of a list, with the total number of matching records.
+ *
+ * @async
+ * @function findPage
+ * @param {Object} Model - The Mongoose model to query.
+ * @param {Object} listQuery - The list query, as returned by `parseListQuery`.
+ * @param {Object} [baseFilter={}] - A condition every record must meet, e.g. the catway of a reservation.
+ * @returns {Promise<{items: Array, total: Number, page: Number, limit: Number, pages: Number}>} A promise that resolves to the page.
+ *
+ * @example
+ * const result = await listQueryService.findPage(Catway, listQuery);
+ * console.log(`${result.items.length} catways sur ${result.total}`);
+ */
+exports.findPage = async (Model, listQuery, baseFilter = {}) => {
+    const { page, limit, sort } = listQuery;
+    const where = whereOf(listQuery, baseFilter);
+
+    const total = await Model.countDocuments(where);
+    const items = await Model.find(where).sort(sort).skip((page - 1) * limit).limit(limit);
+
+    return { items, total, page, limit, pages: Math.max(1, Math.ceil(total / limit)) };
+};
+
+/**
+ * Fetch every record of a list, with its filters and its sort but not its page: what
+ * the exports of a list hold.
+ *
+ * @async
+ * @function findAll
+ * @param {Object} Model - The Mongoose model to query.
+ * @param {Object} listQuery - The list query, as returned by `parseListQuery`.
+ * @param {Object} [baseFilter={}] - A condition every record must meet.
+ * @returns {Promise<Array>} A promise that resolves to the records.
+ *
+ * @example
+ * const catways = await listQueryService.findAll(Catway, listQuery);
+ */
+exports.findAll = async (Model, listQuery, baseFilter = {}) => {
+    return await Model.find(whereOf(listQuery, baseFilter)).sort(listQuery.sort);
+};
+
+/**
+ * Describe the page of a list for the views and the API: its position and the links
+ * to the previous and the next page, which keep the filters and the sort.
+ *
+ * @function pagination
+ * @param {String} path - The path of the list, e.g. `req.baseUrl + req.path`.
+ * @param {Object} query - The request query.
+ * @param {Object} result - The page, as returned by `findPage`.
+ * @returns {{total: Number, page: Number, pages: Number, limit: Number, prev: (String|null), next: (String|null)}} The page, with null links on the first or the last page.
+ *
+ * @example
+ * const pagination = listQueryService.pagination(req.baseUrl + req.path, req.query, result);
+ */
+exports.pagination = (path, query, result) => {
+    const link = (page) => {
+        const params = new URLSearchParams({ ...query, page: String(page) });
+        params.delete('message');
+        return `${path}?${params.toString()}`;
+    };
+
+    return {
+        total: result.total,
+        page: result.page,
+        pages: result.pages,
+        limit: result.limit,
+        prev: result.page > 1 ? link(Math.min(result.page - 1, result.pages)) : null,
+        next: result.page < result.pages ? link(result.page + 1) : null
+    };
+};
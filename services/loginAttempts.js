@@ -0,0 +1,209 @@
+const User = require('../models/user');
+const LoginThrottle = require('../models/loginThrottle');
+
+/**
+ * Brute-force protection of the login.
+ *
+ * Failed logins are counted per account (on the `User` document) and per IP address
+ * (in the `LoginThrottle` collection). Past a few free attempts, each new failure
+ * doubles the wait before the next attempt is accepted. Past `ACCOUNT_LOCK_THRESHOLD`
+ * failures, the account is locked for `ACCOUNT_LOCK_DURATION` seconds.
+ *
+ * @module LoginAttemptsServices
+ */
+
+/**
+ * Error thrown when a login is attempted before the wait imposed by previous failures is over.
+ *
+ * @class TooManyLoginAttemptsError
+ * @extends Error
+ * @property {Number} retryAfter - How many seconds to wait before the next attempt.
+ *
+ * @example
+ * throw new TooManyLoginAttemptsError(30);
+ */
+class TooManyLoginAttemptsError extends Error {
+    constructor(retryAfter) {
+        super('Trop de tentatives de connexion');
+        this.name = 'TooManyLoginAttemptsError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+exports.TooManyLoginAttemptsError = TooManyLoginAttemptsError;
+
+// Failures allowed on an account before each attempt has to wait, and the longest wait, in seconds
+const ACCOUNT_FREE_ATTEMPTS = 3;
+const ACCOUNT_MAX_DELAY = 60;
+
+// Failures after which the account is locked, and for how long, in seconds
+const ACCOUNT_LOCK_THRESHOLD = 10;
+const ACCOUNT_LOCK_DURATION = 15 * 60;
+
+// Same for an IP address, which may try many accounts: more free attempts, longer waits
+const IP_FREE_ATTEMPTS = 10;
+const IP_MAX_DELAY = 15 * 60;
+
+exports.ACCOUNT_LOCK_THRESHOLD = ACCOUNT_LOCK_THRESHOLD;
+exports.ACCOUNT_LOCK_DURATION = ACCOUNT_LOCK_DURATION;
+
+/**
+ * Compute how long to wait after a number of failures: nothing for the free attempts,
+ * then 1, 2, 4, 8... seconds, up to a maximum.
+ *
+ * @function delayFor
+ * @param {Number} failures - The number of failures so far.
+ * @param {Number} freeAttempts - How many failures are allowed without waiting.
+ * @param {Number} maxDelay - The longest wait, in seconds.
+ * @returns {Number} The wait, in seconds.
+ *
+ * @example
+ * loginAttempts.delayFor(5, 3, 60); // 4
+ */
+exports.delayFor = (failures, freeAttempts, maxDelay) => {
+    if (!failures || failures < freeAttempts) {
+        return 0;
+    }
+
+    return Math.min(2 ** (failures - freeAttempts), maxDelay);
+};
+
+/**
+ * Seconds left before a wait started at a given date is over.
+ *
+ * @private
+ * @param {Date} since - When the wait started.
+ * @param {Number} delay - The wait, in seconds.
+ * @param {Date} now - The current date.
+ * @returns {Number} The seconds left, 0 if the wait is over.
+ */
+const remaining = (since, delay, now) => {
+    if (!since || !delay) {
+        return 0;
+    }
+
+    return Math.max(0, Math.ceil((new Date(since).getTime() + delay * 1000 - now.getTime()) / 1000));
+};
+
+/**
+ * Tell how long a login attempt has to wait, given the failures of the account and of the IP address.
+ *
+ * @async
+ * @function getRetryAfter
+ * @param {Object|null} user - The user the email belongs to, or null if there is none.
+ * @param {String} ip - The IP address of the client.
+ * @returns {Promise<Number>} A promise that resolves to the seconds to wait, 0 if the attempt may go on.
+ *
+ * @example
+ * const retryAfter = await loginAttempts.getRetryAfter(user, req.ip);
+ */
+exports.getRetryAfter = async (user, ip) => {
+    const now = new Date();
+    let retryAfter = 0;
+
+    if (user) {
+        if (user.lockedUntil && user.lockedUntil > now) {
+            retryAfter = Math.ceil((user.lockedUntil - now) / 1000);
+        } else {
+            const delay = exports.delayFor(user.failedLoginAttempts, ACCOUNT_FREE_ATTEMPTS, ACCOUNT_MAX_DELAY);
+            retryAfter = remaining(user.lastFailedLoginAt, delay, now);
+        }
+    }
+
+    if (ip) {
+        const throttle = await LoginThrottle.findOne({ ip });
+
+        if (throttle) {
+            const delay = exports.delayFor(throttle.failures, IP_FREE_ATTEMPTS, IP_MAX_DELAY);
+            retryAfter = Math.max(retryAfter, remaining(throttle.lastFailureAt, delay, now));
+        }
+    }
+
+    return retryAfter;
+};
+
+/**
+ * Record a failed login. The account is locked once it reaches `ACCOUNT_LOCK_THRESHOLD` failures.
+ *
+ * @async
+ * @function recordFailure
+ * @param {Object|null} user - The user the email belongs to, or null if there is none.
+ * @param {String} ip - The IP address of the client.
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await loginAttempts.recordFailure(user, req.ip);
+ */
+exports.recordFailure = async (user, ip) => {
+    const now = new Date();
+
+    if (ip) {
+        await LoginThrottle.findOneAndUpdate(
+            { ip },
+            { $inc: { failures: 1 }, $set: { lastFailureAt: now } },
+            { upsert: true }
+        );
+    }
+
+    if (!user) {
+        return;
+    }
+
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+        { new: true }
+    );
+
+    if (updated && updated.failedLoginAttempts >= ACCOUNT_LOCK_THRESHOLD) {
+        // The counter starts over once the lock is over
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { failedLoginAttempts: 0, lockedUntil: new Date(now.getTime() + ACCOUNT_LOCK_DURATION * 1000) } }
+        );
+    }
+};
+
+/**
+ * Record a successful login: the failures of the account are forgotten.
+ *
+ * The failures of the IP address are kept, so that one valid account does not
+ * let an attacker try the others freely.
+ *
+ * @async
+ * @function recordSuccess
+ * @param {Object} user - The user who logged in.
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await loginAttempts.recordSuccess(user);
+ */
+exports.recordSuccess = async (user) => {
+    if (!user.failedLoginAttempts && !user.lastFailedLoginAt && !user.lockedUntil) {
+        return;
+    }
+
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockedUntil: 1 } }
+    );
+};
+
+/**
+ * Unlock an account before its lock is over, and forget its failures.
+ *
+ * @async
+ * @function unlockUser
+ * @param {String} id - The ID of the user.
+ * @returns {Promise<Object|null>} A promise that resolves to the unlocked user, or null if it doesn't exist.
+ *
+ * @example
+ * const user = await loginAttempts.unlockUser('60c72b2f9f1b2c001c9a9e84');
+ */
+exports.unlockUser = async (id) => {
+    return await User.findByIdAndUpdate(
+        id,
+        { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockedUntil: 1 } },
+        { new: true }
+    );
+};
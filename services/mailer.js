@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Outgoing email, through a pluggable transport.
+ *
+ * A transport is any object with an async `send(message)` method. Two are provided:
+ * - `memory`: keeps the messages in an array, for tests.
+ * - `file`: writes each message as a JSON file, for development (default).
+ *
+ * The transport is picked from the `MAIL_TRANSPORT` environment variable, or set
+ * with `setTransport`, e.g. to plug an SMTP client in production.
+ *
+ * @module MailerServices
+ */
+
+/**
+ * A message sent through a transport.
+ *
+ * @typedef {Object} MailMessage
+ * @property {string} from - The sender address.
+ * @property {string} to - The recipient address.
+ * @property {string} subject - The subject line.
+ * @property {string} text - The plain text body.
+ * @property {string} [html] - The HTML body.
+ */
+
+/**
+ * Create a transport that keeps the messages in memory.
+ *
+ * @function createMemoryTransport
+ * @returns {{messages: Array<MailMessage>, send: Function}} The transport; sent messages are pushed to `messages`.
+ *
+ * @example
+ * const transport = mailer.createMemoryTransport();
+ * mailer.setTransport(transport);
+ * // ...
+ * console.log(transport.messages[0].subject);
+ */
+exports.createMemoryTransport = () => {
+    const messages = [];
+
+    return {
+        messages,
+        send: async (message) => {
+            messages.push({ ...message, sentAt: new Date() });
+            return message;
+        }
+    };
+};
+
+/**
+ * Create a transport that writes each message as a JSON file in a directory.
+ *
+ * @function createFileTransport
+ * @param {string} directory - Where to write the messages.
+ * @returns {{directory: string, send: Function}} The transport.
+ *
+ * @example
+ * mailer.setTransport(mailer.createFileTransport('./mails'));
+ */
+exports.createFileTransport = (directory) => ({
+    directory,
+    send: async (message) => {
+        await fs.promises.mkdir(directory, { recursive: true });
+
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        const sent = { ...message, sentAt: new Date() };
+        await fs.promises.writeFile(path.join(directory, fileName), JSON.stringify(sent, null, 2));
+
+        return sent;
+    }
+});
+
+let transport = null;
+
+/**
+ * Get the current transport, creating it from `MAIL_TRANSPORT` ('memory' or 'file') on first use.
+ *
+ * @function getTransport
+ * @returns {Object} The transport.
+ *
+ * @example
+ * const transport = mailer.getTransport();
+ */
+exports.getTransport = () => {
+    if (!transport) {
+        transport = process.env.MAIL_TRANSPORT === 'memory'
+            ? exports.createMemoryTransport()
+            : exports.createFileTransport(process.env.MAIL_DIR || path.join(__dirname, '..', 'mails'));
+    }
+
+    return transport;
+};
+
+/**
+ * Replace the transport.
+ *
+ * @function setTransport
+ * @param {Object} newTransport - An object with an async `send(message)` method, or null to go back to the default.
+ * @returns {void}
+ *
+ * @example
+ * mailer.setTransport({ send: async (message) => smtpClient.sendMail(message) });
+ */
+exports.setTransport = (newTransport) => {
+    if (newTransport && typeof newTransport.send !== 'function') {
+        throw new Error('A mail transport must have a send(message) method');
+    }
+
+    transport = newTransport;
+};
+
+/**
+ * Send an email through the current transport.
+ *
+ * @async
+ * @function sendMail
+ * @param {Object} message - The message.
+ * @param {string} message.to - The recipient address.
+ * @param {string} message.subject - The subject line.
+ * @param {string} message.text - The plain text body.
+ * @param {string} [message.html] - The HTML body.
+ * @returns {Promise<MailMessage>} A promise that resolves to what the transport returns.
+ *
+ * @example
+ * await mailer.sendMail({ to: 'alice@example.com', subject: 'Bonjour', text: 'Bonjour Alice' });
+ */
+exports.sendMail = async (message) => {
+    return await exports.getTransport().send({
+        from: process.env.MAIL_FROM || 'capitainerie@port-russell.fr',
+        ...message
+    });
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Migration = require('../models/migration');
+
+/**
+ * @module MigrationsServices
+ */
+
+/**
+ * The folder of the migrations: one file per migration, named after its version and
+ * its name, e.g. `001-reservation-indexes.js`.
+ *
+ * @constant {String}
+ */
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+exports.MIGRATIONS_DIR = MIGRATIONS_DIR;
+
+// The file of a migration: its version, a dash and its name
+const FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+/**
+ * Error thrown when the migrations cannot be loaded, applied or reverted.
+ *
+ * @class MigrationError
+ * @extends Error
+ *
+ * @example
+ * throw new MigrationError('La migration 003 a été appliquée mais son fichier est introuvable');
+ */
+class MigrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MigrationError';
+    }
+}
+
+exports.MigrationError = MigrationError;
+
+/**
+ * Load the migrations of a folder, in the order of their versions.
+ *
+ * Each file exports `up` and `down`, async functions receiving the native database
+ * (`mongoose.connection.db`): `down` undoes what `up` did. It may export a
+ * `description` too. Migrations work on the collections rather than on the models,
+ * which follow the latest schema, not the one of the migration.
+ *
+ * @function loadMigrations
+ * @param {String} [dir=MIGRATIONS_DIR] - The folder of the migrations.
+ * @returns {Array<{version: String, name: String, description: String, up: Function, down: Function}>} The migrations.
+ * @throws {MigrationError} If a migration has no `up` or `down`, or two share a version.
+ *
+ * @example
+ * const migrations = migrationService.loadMigrations();
+ * console.log(migrations.map(migration => migration.version));
+ */
+exports.loadMigrations = (dir = MIGRATIONS_DIR) => {
+    const migrations = fs.readdirSync(dir)
+        .map(file => FILE_PATTERN.exec(file))
+        .filter(Boolean)
+        .map(([file, version, name]) => {
+            const migration = require(path.join(dir, file));
+
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new MigrationError(`La migration ${file} doit exporter les fonctions up et down`);
+            }
+            return { version, name, description: migration.description || '', up: migration.up, down: migration.down };
+        })
+        .sort((a, b) => Number(a.version) - Number(b.version));
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && Number(migration.version) === Number(migrations[index - 1].version)) {
+            throw new MigrationError(`Deux migrations ont la version ${migration.version}`);
+        }
+    });
+
+    return migrations;
+};
+
+/**
+ * Tell which migrations are applied.
+ *
+ * A migration recorded as applied whose file is gone is listed too, with `missing`.
+ *
+ * @async
+ * @function getStatus
+ * @param {Array<Object>} migrations - The migrations, as returned by `loadMigrations`.
+ * @returns {Promise<Array<{version: String, name: String, description: String, appliedAt: (Date|null), missing: Boolean}>>} A promise that resolves to the migrations, in the order of their versions.
+ *
+ * @example
+ * const status = await migrationService.getStatus(migrationService.loadMigrations());
+ * console.log(status.filter(migration => !migration.appliedAt));
+ */
+exports.getStatus = async (migrations) => {
+    const records = await Migration.find();
+    const status = migrations.map(migration => {
+        const record = records.find(r => Number(r.version) === Number(migration.version));
+        return { version: migration.version, name: migration.name, description: migration.description, appliedAt: record ? record.appliedAt : null, missing: false };
+    });
+
+    records
+        .filter(record => !migrations.some(migration => Number(migration.version) === Number(record.version)))
+        .forEach(record => status.push({ version: record.version, name: record.name, description: '', appliedAt: record.appliedAt, missing: true }));
+
+    return status.sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+/**
+ * Apply the migrations not applied yet, in the order of their versions, and record each.
+ *
+ * The migrations are applied one at a time: when one fails, the ones before it stay
+ * applied and the ones after it are not tried.
+ *
+ * @async
+ * @function migrateUp
+ * @param {Array<Object>} migrations - The migrations, as returned by `loadMigrations`.
+ * @param {Object} [options]
+ * @param {String} [options.to] - The last version to apply; all of them by default.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the migrations applied.
+ * @throws {MigrationError} If a migration fails.
+ *
+ * @example
+ * const applied = await migrationService.migrateUp(migrationService.loadMigrations());
+ */
+exports.migrateUp = async (migrations, { to } = {}) => {
+    const records = await Migration.find();
+    const pending = migrations.filter(migration =>
+        !records.some(record => Number(record.version) === Number(migration.version)) &&
+        (to === undefined || Number(migration.version) <= Number(to))
+    );
+    const applied = [];
+
+    for (const migration of pending) {
+        try {
+            await migration.up(mongoose.connection.db);
+        } catch (error) {
+            throw new MigrationError(`La migration ${migration.version}-${migration.name} a échoué : ${error.message}`);
+        }
+
+        await Migration.create({ version: migration.version, name: migration.name });
+        applied.push(migration);
+    }
+
+    return applied;
+};
+
+/**
+ * Revert the latest migrations applied, the most recent first, and remove their record.
+ *
+ * @async
+ * @function migrateDown
+ * @param {Array<Object>} migrations - The migrations, as returned by `loadMigrations`.
+ * @param {Object} [options]
+ * @param {Number} [options.steps=1] - How many migrations to revert.
+ * @param {String} [options.to] - Revert every migration after this version instead; '0' reverts them all.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the migrations reverted.
+ * @throws {MigrationError} If the file of a migration to revert is gone, or a migration fails.
+ *
+ * @example
+ * // Undo the last migration
+ * await migrationService.migrateDown(migrationService.loadMigrations());
+ */
+exports.migrateDown = async (migrations, { steps = 1, to } = {}) => {
+    const records = (await Migration.find()).sort((a, b) => Number(b.version) - Number(a.version));
+    const toRevert = to === undefined
+        ? records.slice(0, steps)
+        : records.filter(record => Number(record.version) > Number(to));
+    const reverted = [];
+
+    for (const record of toRevert) {
+        const migration = migrations.find(m => Number(m.version) === Number(record.version));
+
+        if (!migration) {
+            throw new MigrationError(`La migration ${record.version} a été appliquée mais son fichier est introuvable`);
+        }
+
+        try {
+            await migration.down(mongoose.connection.db);
+        } catch (error) {
+            throw new MigrationError(`L'annulation de la migration ${migration.version}-${migration.name} a échoué : ${error.message}`);
+        }
+
+        await Migration.deleteOne({ version: record.version });
+        reverted.push(migration);
+    }
+
+    return reverted;
+};
@@ -0,0 +1,246 @@
+const Payment = require('../models/payment');
+const Reservation = require('../models/reservation');
+
+/**
+ * @module PaymentsServices
+ */
+
+/**
+ * How many days before checkout a reservation with a balance due is flagged.
+ *
+ * @constant {Number}
+ */
+const BALANCE_REMINDER_DAYS = 3;
+
+exports.BALANCE_REMINDER_DAYS = BALANCE_REMINDER_DAYS;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const STATUS_LABELS = {
+    unpaid: 'Non payée',
+    partiallyPaid: 'Partiellement payée',
+    paid: 'Payée',
+    refunded: 'Remboursée'
+};
+
+/**
+ * Error thrown when a payment cannot be recorded or reversed.
+ *
+ * @class InvalidPaymentError
+ * @extends Error
+ *
+ * @example
+ * throw new InvalidPaymentError('Ce paiement a déjà été annulé');
+ */
+class InvalidPaymentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidPaymentError';
+    }
+}
+
+exports.InvalidPaymentError = InvalidPaymentError;
+
+/**
+ * Round an amount to the cent.
+ *
+ * @private
+ * @param {Number} amount - The amount, in euros.
+ * @returns {Number} The rounded amount.
+ */
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Work out where a reservation stands with its payments. Reversed payments are ignored.
+ *
+ * The status is `unpaid` when nothing is paid, `partiallyPaid` until the price is reached,
+ * `paid` after, and `refunded` when everything paid was given back. Without a price, a
+ * reservation is at best `partiallyPaid`. The reservation is flagged (`balanceAlert`) when
+ * a balance is still due less than `BALANCE_REMINDER_DAYS` days before checkout, or after,
+ * unless it was cancelled or the boat never came.
+ *
+ * @function summarizePayments
+ * @param {Object} reservation - The reservation, with its `quote` and `checkOut`.
+ * @param {Array<Object>} payments - The payments of the reservation.
+ * @param {Date} [now=new Date()] - The current date.
+ * @returns {Object} `{ price, received, refunded, paid, balanceDue, status, statusLabel, balanceAlert }`.
+ *
+ * @example
+ * const summary = paymentService.summarizePayments(reservation, payments);
+ * if (summary.balanceAlert) { ... }
+ */
+exports.summarizePayments = (reservation, payments, now = new Date()) => {
+    const price = reservation.quote ? reservation.quote.total : null;
+    let received = 0;
+    let refunded = 0;
+
+    payments.filter(payment => !payment.reversedAt).forEach((payment) => {
+        if (payment.kind === 'refund') {
+            refunded += payment.amount;
+        } else {
+            received += payment.amount;
+        }
+    });
+
+    const paid = roundPrice(received - refunded);
+    const balanceDue = price === null ? null : Math.max(0, roundPrice(price - paid));
+
+    let status;
+    if (paid <= 0) {
+        status = refunded > 0 ? 'refunded' : 'unpaid';
+    } else if (price === null || paid < price) {
+        status = 'partiallyPaid';
+    } else {
+        status = 'paid';
+    }
+
+    const daysBeforeCheckOut = (new Date(reservation.checkOut).getTime() - now.getTime()) / DAY;
+
+    return {
+        price,
+        received: roundPrice(received),
+        refunded: roundPrice(refunded),
+        paid,
+        balanceDue,
+        status,
+        statusLabel: STATUS_LABELS[status],
+        balanceAlert: balanceDue > 0
+            && daysBeforeCheckOut <= BALANCE_REMINDER_DAYS
+            && !Reservation.RELEASED_STATUSES.includes(reservation.status)
+    };
+};
+
+/**
+ * Fetch the payments of a reservation, oldest first, reversed ones included.
+ *
+ * @async
+ * @function getPaymentsOfReservation
+ * @param {String} reservationId - The ID of the reservation.
+ * @returns {Promise<Array>} A promise that resolves to the payments.
+ *
+ * @example
+ * const payments = await paymentService.getPaymentsOfReservation('60c72b2f9f1b2c001c9a9e84');
+ */
+exports.getPaymentsOfReservation = async (reservationId) => {
+    return await Payment.find({ reservation: reservationId }).sort({ paidAt: 1, createdAt: 1 });
+};
+
+/**
+ * Work out where several reservations stand with their payments, with a single query.
+ *
+ * @async
+ * @function getSummariesOfReservations
+ * @param {Array<Object>} reservations - The reservations.
+ * @returns {Promise<Object>} A promise that resolves to the summaries, keyed by reservation ID.
+ *
+ * @example
+ * const summaries = await paymentService.getSummariesOfReservations(reservations);
+ * summaries[reservation.id].balanceDue;
+ */
+exports.getSummariesOfReservations = async (reservations) => {
+    const payments = await Payment.find({ reservation: { $in: reservations.map(reservation => reservation._id) } });
+    const summaries = {};
+
+    reservations.forEach((reservation) => {
+        const own = payments.filter(payment => String(payment.reservation) === String(reservation._id));
+        summaries[reservation.id] = exports.summarizePayments(reservation, own);
+    });
+
+    return summaries;
+};
+
+/**
+ * Find a reservation by ID, even in the trash: its payments are still kept for the accounts.
+ *
+ * @async
+ * @private
+ * @param {String} id - The ID of the reservation.
+ * @returns {Promise<Object|null>} A promise that resolves to the reservation, or null if it does not exist.
+ */
+const findReservation = async (id) => {
+    return await Reservation.findById(id).setOptions({ withDeleted: true });
+};
+
+/**
+ * Record a payment on a reservation, even one in the trash.
+ *
+ * @async
+ * @function addPayment
+ * @param {String} reservationId - The ID of the reservation.
+ * @param {Object} paymentData - `kind`, `method`, `amount`, and optionally `paidAt` and `note`.
+ * @param {Object} [user] - The user recording the payment.
+ * @returns {Promise<Object|null>} A promise that resolves to the payment, or null if the reservation does not exist.
+ * @throws {InvalidPaymentError} If a refund is larger than what was paid.
+ *
+ * @example
+ * const payment = await paymentService.addPayment(reservationId, { kind: 'deposit', method: 'card', amount: 50 }, req.user);
+ */
+exports.addPayment = async (reservationId, paymentData, user) => {
+    const reservation = await findReservation(reservationId);
+
+    if (!reservation) {
+        return null;
+    }
+
+    const payment = new Payment({
+        ...paymentData,
+        reservation: reservation._id,
+        recordedBy: user ? user._id : undefined
+    });
+    await payment.validate();
+
+    if (payment.kind === 'refund') {
+        const { paid } = exports.summarizePayments(reservation, await exports.getPaymentsOfReservation(reservation._id));
+
+        if (payment.amount > paid) {
+            throw new InvalidPaymentError(`Le remboursement ne peut pas dépasser les ${paid} € payés`);
+        }
+    }
+
+    return await payment.save();
+};
+
+/**
+ * Reverse a payment recorded by mistake, even on a reservation in the trash. It stays in
+ * the history but no longer counts.
+ *
+ * @async
+ * @function reversePayment
+ * @param {String} reservationId - The ID of the reservation.
+ * @param {String} paymentId - The ID of the payment.
+ * @param {String} [reason] - Why the payment is reversed.
+ * @returns {Promise<Object|null>} A promise that resolves to the payment, or null if the reservation has no such payment or no longer exists.
+ * @throws {InvalidPaymentError} If the payment was already reversed, or if reversing it would leave more refunded than paid.
+ *
+ * @example
+ * const payment = await paymentService.reversePayment(reservationId, paymentId, 'Saisi deux fois');
+ */
+exports.reversePayment = async (reservationId, paymentId, reason) => {
+    const payment = await Payment.findOne({ _id: paymentId, reservation: reservationId });
+
+    if (!payment) {
+        return null;
+    }
+
+    if (payment.reversedAt) {
+        throw new InvalidPaymentError('Ce paiement a déjà été annulé');
+    }
+
+    if (payment.kind !== 'refund') {
+        const reservation = await findReservation(reservationId);
+
+        if (!reservation) {
+            return null;
+        }
+
+        const { paid } = exports.summarizePayments(reservation, await exports.getPaymentsOfReservation(reservationId));
+
+        if (roundPrice(paid - payment.amount) < 0) {
+            throw new InvalidPaymentError('Annulez d\'abord le remboursement, sinon il dépasserait les sommes payées');
+        }
+    }
+
+    payment.reversedAt = new Date();
+    payment.reversalReason = reason;
+    return await payment.save();
+};
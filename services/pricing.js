@@ -0,0 +1,191 @@
+const Boat = require('../models/boat');
+const Catway = require('../models/catway');
+const Tariff = require('../models/tariff');
+
+/**
+ * @module PricingServices
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const SEASON_LABELS = { high: 'haute saison', low: 'basse saison' };
+
+/**
+ * Error thrown when no tariff covers one of the nights of a stay.
+ *
+ * @class NoTariffError
+ * @extends Error
+ * @property {String} catwayType - The type of the catway being priced.
+ * @property {Number} month - The month with no tariff, from 1 to 12.
+ *
+ * @example
+ * throw new NoTariffError('long', 8);
+ */
+class NoTariffError extends Error {
+    constructor(catwayType, month) {
+        super(`Aucun tarif ne couvre le mois ${month} pour les catways de type ${catwayType}`);
+        this.name = 'NoTariffError';
+        this.catwayType = catwayType;
+        this.month = month;
+    }
+}
+
+exports.NoTariffError = NoTariffError;
+
+/**
+ * Round an amount to the cent.
+ *
+ * @private
+ * @param {Number} amount - The amount, in euros.
+ * @returns {Number} The rounded amount.
+ */
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Build a line of a quote.
+ *
+ * @private
+ * @param {String} label - What is charged.
+ * @param {Number} quantity - How many units are charged.
+ * @param {Number} unitPrice - The price of one unit, in euros.
+ * @returns {Object} The quote line.
+ */
+const quoteLine = (label, quantity, unitPrice) => ({
+    label,
+    quantity,
+    unitPrice: roundPrice(unitPrice),
+    amount: roundPrice(quantity * unitPrice)
+});
+
+/**
+ * Split the nights of a stay into runs of consecutive nights under the same tariff.
+ *
+ * @function splitBySeason
+ * @param {Date} checkIn - The check-in date.
+ * @param {Date} checkOut - The check-out date.
+ * @param {Array<Object>} tariffs - The tariffs of the catway type.
+ * @param {String} catwayType - The catway type, for the error message.
+ * @returns {Array<Object>} The runs, as `{ tariff, nights }`, in order.
+ * @throws {NoTariffError} If no tariff covers the month of one of the nights.
+ *
+ * @example
+ * const runs = pricingService.splitBySeason(checkIn, checkOut, tariffs, 'long');
+ */
+exports.splitBySeason = (checkIn, checkOut, tariffs, catwayType) => {
+    const start = new Date(checkIn).getTime();
+    const nights = Math.max(1, Math.round((new Date(checkOut).getTime() - start) / DAY));
+    const runs = [];
+
+    for (let i = 0; i < nights; i++) {
+        const month = new Date(start + i * DAY).getUTCMonth() + 1;
+        const tariff = tariffs.find(t => t.months.includes(month));
+
+        if (!tariff) {
+            throw new NoTariffError(catwayType, month);
+        }
+
+        const last = runs[runs.length - 1];
+        if (last && last.tariff === tariff) {
+            last.nights++;
+        } else {
+            runs.push({ tariff, nights: 1 });
+        }
+    }
+
+    return runs;
+};
+
+/**
+ * Compute the price of a stay.
+ *
+ * Mooring is charged per metre of boat length: by the month (30 nights) when the tariff
+ * has a monthly rate, then by the week (7 nights), then by the night. When the boat is
+ * unknown, the length the catway accepts is charged. Electricity and water are charged
+ * per night when ordered. A stay across two seasons is charged at each season's rates.
+ *
+ * @function computeQuote
+ * @param {Object} stay - What is priced.
+ * @param {Object} stay.catway - The catway reserved.
+ * @param {Object} [stay.boat] - The boat moored.
+ * @param {Date} stay.checkIn - The check-in date.
+ * @param {Date} stay.checkOut - The check-out date.
+ * @param {Object} [stay.extras] - The services ordered (`electricity`, `water`).
+ * @param {Array<Object>} tariffs - The tariffs of the catway type.
+ * @returns {Object} The quote: `{ length, lines, total, currency, computedAt }`.
+ * @throws {NoTariffError} If no tariff covers the month of one of the nights.
+ *
+ * @example
+ * const quote = pricingService.computeQuote({ catway, boat, checkIn, checkOut, extras: { electricity: true } }, tariffs);
+ */
+exports.computeQuote = ({ catway, boat, checkIn, checkOut, extras = {} }, tariffs) => {
+    const length = boat ? boat.length : (catway.maxLength || Catway.TYPE_MAX_LENGTH[catway.type]);
+    const lines = [];
+
+    exports.splitBySeason(checkIn, checkOut, tariffs, catway.type).forEach(({ tariff, nights }) => {
+        const season = SEASON_LABELS[tariff.season];
+        let rest = nights;
+
+        if (tariff.monthlyRate && rest >= 30) {
+            const months = Math.floor(rest / 30);
+            lines.push(quoteLine(`Amarrage au mois, ${length} m - ${season}`, months, tariff.monthlyRate * length));
+            rest -= months * 30;
+        }
+
+        if (tariff.weeklyRate && rest >= 7) {
+            const weeks = Math.floor(rest / 7);
+            lines.push(quoteLine(`Amarrage à la semaine, ${length} m - ${season}`, weeks, tariff.weeklyRate * length));
+            rest -= weeks * 7;
+        }
+
+        if (rest > 0) {
+            lines.push(quoteLine(`Amarrage à la nuit, ${length} m - ${season}`, rest, tariff.nightlyRate * length));
+        }
+
+        if (extras.electricity && tariff.electricityRate) {
+            lines.push(quoteLine(`Électricité, par nuit - ${season}`, nights, tariff.electricityRate));
+        }
+
+        if (extras.water && tariff.waterRate) {
+            lines.push(quoteLine(`Eau, par nuit - ${season}`, nights, tariff.waterRate));
+        }
+    });
+
+    return {
+        length,
+        lines,
+        total: roundPrice(lines.reduce((sum, line) => sum + line.amount, 0)),
+        currency: 'EUR',
+        computedAt: new Date()
+    };
+};
+
+/**
+ * Compute the price of a reservation from the tariffs of its catway type.
+ *
+ * @async
+ * @function quoteReservation
+ * @param {Object} reservation - The reservation, saved or not.
+ * @returns {Promise<Object|null>} A promise that resolves to the quote, or null if the catway no longer exists.
+ * @throws {NoTariffError} If no tariff covers the month of one of the nights.
+ *
+ * @example
+ * reservation.quote = await pricingService.quoteReservation(reservation);
+ */
+exports.quoteReservation = async (reservation) => {
+    const catway = await Catway.findOne({ catwayNumber: reservation.catwayNumber });
+
+    if (!catway) {
+        return null;
+    }
+
+    const boat = reservation.boat ? await Boat.findById(reservation.boat) : null;
+    const tariffs = await Tariff.find({ catwayType: catway.type });
+
+    return exports.computeQuote({
+        catway,
+        boat,
+        checkIn: reservation.checkIn,
+        checkOut: reservation.checkOut,
+        extras: reservation.extras
+    }, tariffs);
+};
@@ -1,25 +1,278 @@
+const mongoose = require('mongoose');
+const Catway = require('../models/catway');
 const Reservation = require('../models/reservation');
+const ReservationLock = require('../models/reservationLock');
+const customerService = require('./customers');
+const boatService = require('./boats');
+const pricingService = require('./pricing');
+const auditService = require('./audit');
+const listQueryService = require('./listQuery');
+const waitlistService = require('./waitlist');
 
 /**
  * @module ReservationsServices
  */
 
 /**
- * Fetch all reservations for a specific catway.
+ * Error thrown when a reservation overlaps one or more existing reservations
+ * on the same catway.
+ *
+ * @class ReservationConflictError
+ * @extends Error
+ * @property {Array<Object>} conflicts - The reservations the new one clashes with.
+ *
+ * @example
+ * throw new ReservationConflictError([existingReservation]);
+ */
+class ReservationConflictError extends Error {
+    constructor(conflicts) {
+        super('La réservation chevauche une réservation existante');
+        this.name = 'ReservationConflictError';
+        this.conflicts = conflicts;
+    }
+}
+
+exports.ReservationConflictError = ReservationConflictError;
+
+/**
+ * Error thrown when a reservation cannot move to the requested status.
+ *
+ * @class InvalidStatusTransitionError
+ * @extends Error
+ * @property {String} from - The current status.
+ * @property {String} to - The requested status.
+ *
+ * @example
+ * throw new InvalidStatusTransitionError('cancelled', 'checkedIn');
+ */
+class InvalidStatusTransitionError extends Error {
+    constructor(from, to, reason) {
+        const labels = Reservation.STATUS_LABELS;
+        super(reason || `Une réservation ${labels[from]} ne peut pas passer au statut « ${labels[to] || to} »`);
+        this.name = 'InvalidStatusTransitionError';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+exports.InvalidStatusTransitionError = InvalidStatusTransitionError;
+
+/**
+ * Error thrown when a reservation, or some of its fields, can no longer be edited.
+ *
+ * @class ReservationNotEditableError
+ * @extends Error
+ *
+ * @example
+ * throw new ReservationNotEditableError('Une réservation annulée ne peut plus être modifiée');
+ */
+class ReservationNotEditableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReservationNotEditableError';
+    }
+}
+
+exports.ReservationNotEditableError = ReservationNotEditableError;
+
+/**
+ * Error thrown when the reservation lock of a catway is still held by another request
+ * after every attempt to take it: the action can be tried again a moment later.
+ *
+ * @class CatwayLockedError
+ * @extends Error
+ * @property {Number} catwayNumber - The catway that stayed locked.
+ *
+ * @example
+ * throw new CatwayLockedError(3);
+ */
+class CatwayLockedError extends Error {
+    constructor(catwayNumber) {
+        super(`Le catway ${catwayNumber} est en cours de réservation par quelqu'un d'autre, réessayez dans quelques instants`);
+        this.name = 'CatwayLockedError';
+        this.catwayNumber = catwayNumber;
+    }
+}
+
+exports.CatwayLockedError = CatwayLockedError;
+
+// Shown when a reservation is saved with no price, until its invoice is issued
+const NO_QUOTE_WARNING = 'Aucun tarif ne couvre ce séjour : son prix sera calculé à l\'émission de la facture';
+
+exports.NO_QUOTE_WARNING = NO_QUOTE_WARNING;
+
+/**
+ * Compute the price of a reservation, or null when no tariff covers one of its nights:
+ * the reservation is then saved without a price, and it is priced when its invoice is
+ * issued (see `invoiceService.issueInvoice`).
+ *
+ * @async
+ * @private
+ * @param {Object} reservation - The reservation to price.
+ * @returns {Promise<Object|null>} A promise that resolves to the quote, or null.
+ */
+const quoteOrNull = async (reservation) => {
+    try {
+        return await pricingService.quoteReservation(reservation);
+    } catch (error) {
+        if (error.name !== 'NoTariffError') {
+            throw error;
+        }
+        console.warn('Reservation saved without a quote:', error.message);
+        return null;
+    }
+};
+
+// Days of past stays kept on the timeline of a catway
+const TIMELINE_PAST_DAYS = 30;
+
+// How long to wait between two attempts to take a catway lock, and how many times to try
+const LOCK_RETRY_DELAY = 50;
+const LOCK_MAX_ATTEMPTS = 100;
+
+/**
+ * Run a function while holding the reservation lock of a catway.
+ *
+ * The lock is a unique document per catway number, so only one request at a time
+ * can check for overlaps and write a reservation on a given catway.
+ *
+ * @async
+ * @function withCatwayLock
+ * @param {Number} catwayNumber - The number of the catway to lock.
+ * @param {Function} fn - The async function to run while the lock is held.
+ * @returns {Promise<*>} A promise that resolves to the value returned by `fn`.
+ * @throws {CatwayLockedError} If the lock is still held by someone else after `LOCK_MAX_ATTEMPTS` attempts.
+ *
+ * @example
+ * const invoice = await reservationService.withCatwayLock(reservation.catwayNumber, () => issue(reservation));
+ */
+const withCatwayLock = async (catwayNumber, fn) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await ReservationLock.create({ catwayNumber });
+            break;
+        } catch (error) {
+            // Mongoose uses code 11000 for duplicate key errors: someone else holds the lock
+            if (error.code !== 11000) {
+                throw error;
+            }
+            if (attempt >= LOCK_MAX_ATTEMPTS) {
+                throw new CatwayLockedError(catwayNumber);
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+        }
+    }
+
+    try {
+        return await fn();
+    } finally {
+        await ReservationLock.deleteOne({ catwayNumber });
+    }
+};
+
+exports.withCatwayLock = withCatwayLock;
+
+/**
+ * Fetch the reservations of a catway that overlap a date range.
+ *
+ * Two ranges overlap when each one starts before the other ends, so a reservation
+ * checking out on the day another one checks in is not a conflict. Cancelled and
+ * no-show reservations no longer hold the catway.
+ *
+ * @async
+ * @function findConflictingReservations
+ * @param {Number} catwayNumber - The number of the catway to check.
+ * @param {Date} checkIn - The start of the range.
+ * @param {Date} checkOut - The end of the range.
+ * @param {String} [excludeId] - The ID of a reservation to ignore (e.g. the one being edited).
+ * @returns {Promise<Array>} A promise that resolves to the overlapping reservations.
+ *
+ * @example
+ * const conflicts = await reservationService.findConflictingReservations(101, new Date('2024-10-01'), new Date('2024-10-05'));
+ * console.log(conflicts);
+ */
+exports.findConflictingReservations = async (catwayNumber, checkIn, checkOut, excludeId) => {
+    const query = {
+        catwayNumber,
+        checkIn: { $lt: checkOut },
+        checkOut: { $gt: checkIn },
+        status: { $nin: Reservation.RELEASED_STATUSES }
+    };
+
+    if (excludeId) {
+        query._id = { $ne: excludeId };
+    }
+
+    return await Reservation.find(query).sort({ checkIn: 1 });
+};
+
+/**
+ * Fetch the reservations that cross a period, in the order of their arrival. Cancelled
+ * and no-show reservations are left out, as they no longer hold their catway.
+ * 
+ * @async
+ * @function getReservationsBetween
+ * @param {Date} from - The start of the period.
+ * @param {Date} to - The end of the period, excluded.
+ * @param {Array<Number>} [catwayNumbers] - Only the reservations of these catways.
+ * @returns {Promise<Array>} A promise that resolves to the reservations.
+ * 
+ * @example
+ * const reservations = await reservationService.getReservationsBetween(new Date('2025-07-01'), new Date('2025-08-01'));
+ */
+exports.getReservationsBetween = async (from, to, catwayNumbers) => {
+    const query = {
+        checkIn: { $lt: to },
+        checkOut: { $gt: from },
+        status: { $nin: Reservation.RELEASED_STATUSES }
+    };
+
+    if (catwayNumbers) {
+        query.catwayNumber = { $in: catwayNumbers };
+    }
+
+    return await Reservation.find(query).sort({ checkIn: 1 });
+};
+
+/**
+ * Fetch all reservations for a specific catway, or only those crossing a period
+ * (see `getReservationsBetween`).
  * 
  * @async
  * @function getAllCatwayReservations
  * @param {Number} catwayNumber - The number of the catway for which to fetch reservations.
+ * @param {{from: Date, to: Date}} [period] - The period the reservations must cross.
  * @returns {Promise<Array>} A promise that resolves to an array of reservations for the specified catway.
  * 
  * @example
  * const reservations = await reservationService.getAllCatwayReservations(1);
  * console.log(reservations);
  */
-exports.getAllCatwayReservations = async (catwayNumber) => {
+exports.getAllCatwayReservations = async (catwayNumber, period) => {
+    if (period) {
+        return await exports.getReservationsBetween(period.from, period.to, [catwayNumber]);
+    }
+
     return await Reservation.find({ catwayNumber });
 };
 
+/**
+ * Fetch the timeline of a catway: its reservations not over before a date, in the order
+ * of their arrival, the cancelled ones included.
+ * 
+ * @async
+ * @function getCatwayTimeline
+ * @param {Number} catwayNumber - The number of the catway.
+ * @param {Date} [from] - The earliest departure shown, 30 days ago by default.
+ * @returns {Promise<Array>} A promise that resolves to the reservations.
+ * 
+ * @example
+ * const timeline = await reservationService.getCatwayTimeline(catway.catwayNumber);
+ */
+exports.getCatwayTimeline = async (catwayNumber, from = new Date(Date.now() - TIMELINE_PAST_DAYS * 24 * 60 * 60 * 1000)) => {
+    return await Reservation.find({ catwayNumber, checkOut: { $gte: from } }).sort({ checkIn: 1 });
+};
+
 /**
  * Fetch all reservations from the database.
  * 
@@ -35,18 +288,103 @@ exports.getAllReservation = async () => {
     return await Reservation.find();
 };
 
+/**
+ * Turn a day of the query string into a date, or null if it is not a valid date.
+ *
+ * @private
+ * @param {String} value - The day, e.g. '2025-07-01'.
+ * @returns {Date|null} The date.
+ */
+const parseDay = (value) => {
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+};
+
+/**
+ * What the reservations lists can be sorted and filtered on (see `listQuery.parseListQuery`):
+ * `catway` (its number), `client` and `boat` (part of the name), `status`, and `from` and
+ * `to` to keep the stays that cross these days (both included).
+ */
+exports.LIST_OPTIONS = {
+    sortFields: ['checkIn', 'checkOut', 'catwayNumber', 'clientName', 'boatName', 'status', 'createdAt'],
+    defaultSort: 'checkIn',
+    filters: {
+        catway: {
+            parse: value => Number.isInteger(Number(value)) ? { catwayNumber: Number(value) } : null,
+            message: 'Le numéro de catway doit être un entier'
+        },
+        client: {
+            parse: value => ({ clientName: listQueryService.contains(value) })
+        },
+        boat: {
+            parse: value => ({ boatName: listQueryService.contains(value) })
+        },
+        status: {
+            parse: value => Object.keys(Reservation.STATUS_TRANSITIONS).includes(value) ? { status: value } : null,
+            message: 'Le statut demandé n\'existe pas'
+        },
+        from: {
+            parse: value => parseDay(value) && { checkOut: { $gt: parseDay(value) } },
+            message: 'La date de début (from) doit être valide'
+        },
+        to: {
+            // The last day is included: the stays that start before the next day
+            parse: value => parseDay(value) && { checkIn: { $lt: new Date(parseDay(value).getTime() + 24 * 60 * 60 * 1000) } },
+            message: 'La date de fin (to) doit être valide'
+        }
+    }
+};
+
+/**
+ * Fetch one page of reservations, filtered and sorted, optionally those of one catway only.
+ * 
+ * @async
+ * @function listReservations
+ * @param {Object} listQuery - The list query, as returned by `listQuery.parseListQuery` with `LIST_OPTIONS`.
+ * @param {Number} [catwayNumber] - The catway whose reservations to list.
+ * @returns {Promise<{items: Array, total: Number, page: Number, limit: Number, pages: Number}>} A promise that resolves to the page of reservations.
+ * 
+ * @example
+ * const listQuery = listQueryService.parseListQuery({ client: 'doe', from: '2025-07-01' }, reservationService.LIST_OPTIONS);
+ * const { items, total } = await reservationService.listReservations(listQuery);
+ */
+exports.listReservations = async (listQuery, catwayNumber) => {
+    return await listQueryService.findPage(Reservation, listQuery, catwayNumber === undefined ? {} : { catwayNumber });
+};
+
 /**
  * Create a new reservation in the database.
  * 
+ * The reservation is validated, then saved only if it does not overlap an existing
+ * reservation on the same catway. The overlap check and the write run under a
+ * per-catway lock so two simultaneous requests cannot both book the same dates.
+ * 
+ * The reservation is linked to the given customer, whose name is copied to `clientName`.
+ * Without a customer, the owner of the boat is used, or else the customer with the
+ * same client name, who is created if needed.
+ * 
+ * When a boat is given, its name is copied to `boatName` and it must fit the catway.
+ * 
+ * The price of the stay is computed from the tariffs and stored in `quote`. When no
+ * tariff covers one of the nights, the reservation is saved with no quote, and it is
+ * priced when its invoice is issued.
+ * 
  * @async
  * @function creatReservation
  * @param {Object} reservationData - The data for the new reservation.
  * @param {Number} reservationData.catwayNumber - The number of the catway being reserved.
- * @param {String} reservationData.clientName - The name of the client making the reservation.
- * @param {String} reservationData.boatName - The name of the boat being reserved.
+ * @param {String} [reservationData.customer] - The ID of the customer making the reservation.
+ * @param {String} [reservationData.clientName] - The name of the client, when no customer is given.
+ * @param {String} [reservationData.boat] - The ID of the boat being moored.
+ * @param {String} [reservationData.boatName] - The name of the boat, when no boat is given.
  * @param {Date} reservationData.checkIn - The check-in date for the reservation.
  * @param {Date} reservationData.checkOut - The check-out date for the reservation.
+ * @param {Object} [reservationData.extras] - The services ordered (`electricity`, `water`).
+ * @param {Object} [user] - The user making the reservation, for the audit log.
  * @returns {Promise<Object>} A promise that resolves to the newly created reservation object.
+ * @throws {ReservationConflictError} If the dates overlap an existing reservation on the catway.
+ * @throws {CatwayLockedError} If the catway stays locked by another request.
+ * @throws {BoatDoesNotFitError} If the boat is too long or too deep for the catway.
  * 
  * @example
  * const newReservation = await reservationService.creatReservation({
@@ -55,12 +393,249 @@ exports.getAllReservation = async () => {
  *   boatName: 'Seahorse',
  *   checkIn: new Date('2023-10-01T10:00:00Z'),
  *   checkOut: new Date('2023-10-02T10:00:00Z'),
- * });
+ * }, req.user);
  * console.log(newReservation);
  */
-exports.creatReservation = async (reservationData) => {
-    const newReservation = new Reservation(reservationData);
-    return await newReservation.save();
+exports.creatReservation = async (reservationData, user) => {
+    const boat = reservationData.boat && mongoose.isValidObjectId(reservationData.boat)
+        ? await boatService.getBoatById(reservationData.boat)
+        : null;
+
+    // Without a customer, the reservation goes to the owner of the boat
+    const customerId = reservationData.customer || (boat && boat.owner ? boat.owner._id : undefined);
+    const customer = customerId && mongoose.isValidObjectId(customerId)
+        ? await customerService.getCustomerById(customerId)
+        : null;
+
+    const newReservation = new Reservation({
+        ...reservationData,
+        customer: customerId,
+        clientName: customer ? customer.name : reservationData.clientName,
+        boatName: boat ? boat.name : reservationData.boatName
+    });
+    await newReservation.validate();
+
+    if (boat) {
+        await boatService.assertBoatFitsCatway(boat, newReservation.catwayNumber);
+    }
+
+    newReservation.quote = await quoteOrNull(newReservation);
+
+    const savedReservation = await withCatwayLock(newReservation.catwayNumber, async () => {
+        const conflicts = await exports.findConflictingReservations(
+            newReservation.catwayNumber,
+            newReservation.checkIn,
+            newReservation.checkOut
+        );
+
+        if (conflicts.length > 0) {
+            throw new ReservationConflictError(conflicts);
+        }
+
+        if (!newReservation.customer) {
+            const matchingCustomer = await customerService.findOrCreateCustomerByName(newReservation.clientName);
+            newReservation.customer = matchingCustomer._id;
+            newReservation.clientName = matchingCustomer.name;
+        }
+
+        return await newReservation.save();
+    });
+
+    await auditService.record({ user, action: 'create', entity: 'reservation', before: null, after: savedReservation });
+    return savedReservation;
+};
+
+/**
+ * Turn a field value into something that can be compared and stored in the history.
+ *
+ * @private
+ * @param {*} value - The value of a reservation field.
+ * @returns {*} The value, with ObjectIds as strings and missing values as null.
+ */
+const historyValue = (value) => {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    return value instanceof Date || typeof value !== 'object' ? value : String(value);
+};
+
+/**
+ * The periods a reservation no longer holds on its catway after an edit: its whole
+ * stay on the catway it left, or the days it no longer covers when it got shorter
+ * or moved to other dates.
+ *
+ * @private
+ * @param {Object} before - The catway and the dates before the edit (`catwayNumber`, `checkIn`, `checkOut`).
+ * @param {Object} after - The reservation after the edit.
+ * @returns {Array<{catwayNumber: Number, from: Date, to: Date}>} The periods freed.
+ */
+const freedPeriods = (before, after) => {
+    if (before.catwayNumber !== after.catwayNumber) {
+        return [{ catwayNumber: before.catwayNumber, from: before.checkIn, to: before.checkOut }];
+    }
+
+    const periods = [];
+
+    if (after.checkIn > before.checkIn) {
+        periods.push({ catwayNumber: before.catwayNumber, from: before.checkIn, to: new Date(Math.min(after.checkIn, before.checkOut)) });
+    }
+    if (after.checkOut < before.checkOut) {
+        periods.push({ catwayNumber: before.catwayNumber, from: new Date(Math.max(after.checkOut, before.checkIn)), to: before.checkOut });
+    }
+
+    return periods;
+};
+
+/**
+ * Edit a reservation: change its dates, move it to another catway, or change its client,
+ * its boat or its extras. The original `createdAt` is kept.
+ *
+ * Only the fields given are changed. The same rules as for a new reservation apply: the
+ * fields are validated, the boat must fit the catway, and the new dates must not overlap
+ * another reservation on the catway, checked under the catway lock. The stay is priced again.
+ *
+ * A customer given is linked and their name copied; a client name given without a customer
+ * links the reservation to the customer with that name, who is created if needed. A boat given
+ * is linked and its name copied; an empty boat unlinks it and `boatName` is used.
+ *
+ * Each edit is added to the `history` of the reservation with the values it replaced.
+ * Checked out, cancelled and no-show reservations cannot be edited, and once the boat has
+ * arrived its catway and check-in date cannot change.
+ *
+ * The days the reservation no longer holds, on the catway it left or because it got
+ * shorter, are offered to the waitlist (see `waitlistService.offerFreedPeriod`).
+ *
+ * @async
+ * @function updateReservation
+ * @param {String} id - The ID of the reservation.
+ * @param {Object} changes - The fields to change (`catwayNumber`, `customer`, `clientName`, `boat`, `boatName`, `checkIn`, `checkOut`, `extras`).
+ * @param {Object} [user] - The user making the change.
+ * @returns {Promise<Object|null>} A promise that resolves to the updated reservation, or null if not found.
+ * @throws {ReservationNotEditableError} If the reservation, or one of the fields changed, can no longer be edited.
+ * @throws {ReservationConflictError} If the new dates overlap another reservation on the catway.
+ * @throws {CatwayLockedError} If the catway stays locked by another request.
+ * @throws {BoatDoesNotFitError} If the boat is too long or too deep for the catway.
+ *
+ * @example
+ * const reservation = await reservationService.updateReservation('60c72b2f9f1b2c001c9a9e84', { checkOut: '2025-07-08' }, req.user);
+ */
+exports.updateReservation = async (id, changes, user) => {
+    const reservation = await Reservation.findById(id);
+
+    if (!reservation) {
+        return null;
+    }
+
+    if (!Reservation.EDITABLE_STATUSES.includes(reservation.status)) {
+        throw new ReservationNotEditableError(`Une réservation ${Reservation.STATUS_LABELS[reservation.status]} ne peut plus être modifiée`);
+    }
+
+    const snapshot = auditService.snapshot(reservation);
+    const held = { catwayNumber: reservation.catwayNumber, checkIn: reservation.checkIn, checkOut: reservation.checkOut };
+    const fields = Object.keys(Reservation.HISTORY_FIELD_LABELS);
+    const before = {};
+    fields.forEach((field) => {
+        before[field] = historyValue(reservation.get(field));
+    });
+
+    ['catwayNumber', 'checkIn', 'checkOut'].forEach((field) => {
+        if (changes[field] !== undefined) {
+            reservation.set(field, changes[field]);
+        }
+    });
+
+    if (changes.extras) {
+        ['electricity', 'water'].forEach((extra) => {
+            if (changes.extras[extra] !== undefined) {
+                reservation.set(`extras.${extra}`, !!changes.extras[extra]);
+            }
+        });
+    }
+
+    if (reservation.status === 'checkedIn' && (reservation.isModified('catwayNumber') || reservation.isModified('checkIn'))) {
+        throw new ReservationNotEditableError('Le bateau est arrivé : le catway et la date de check-in ne peuvent plus changer');
+    }
+
+    let relinkByName = false;
+    if (changes.customer) {
+        const customer = mongoose.isValidObjectId(changes.customer)
+            ? await customerService.getCustomerById(changes.customer)
+            : null;
+        reservation.customer = changes.customer;
+        reservation.clientName = customer ? customer.name : reservation.clientName;
+    } else if (changes.clientName !== undefined) {
+        reservation.clientName = changes.clientName;
+        relinkByName = reservation.isModified('clientName');
+    }
+
+    let boat = null;
+    if (changes.boat) {
+        boat = mongoose.isValidObjectId(changes.boat) ? await boatService.getBoatById(changes.boat) : null;
+        reservation.boat = changes.boat;
+        reservation.boatName = boat ? boat.name : reservation.boatName;
+    } else if (changes.boat !== undefined) {
+        reservation.boat = undefined;
+        reservation.boatName = changes.boatName || reservation.boatName;
+    } else if (changes.boatName !== undefined && !reservation.boat) {
+        reservation.boatName = changes.boatName;
+    }
+
+    const modified = fields.filter(field => reservation.isModified(field));
+
+    if (modified.length === 0) {
+        return reservation;
+    }
+
+    // A new check-in date must still be before the check-out date, even if that one did not change
+    const toValidate = modified.includes('checkIn') ? [...new Set([...modified, 'checkOut'])] : modified;
+    await reservation.validate(toValidate);
+
+    if (reservation.boat && (reservation.isModified('boat') || reservation.isModified('catwayNumber'))) {
+        await boatService.assertBoatFitsCatway(boat || await boatService.getBoatById(reservation.boat), reservation.catwayNumber);
+    }
+
+    if (['catwayNumber', 'boat', 'checkIn', 'checkOut', 'extras.electricity', 'extras.water'].some(field => modified.includes(field))) {
+        reservation.quote = await quoteOrNull(reservation);
+    }
+
+    const updatedReservation = await withCatwayLock(reservation.catwayNumber, async () => {
+        const conflicts = await exports.findConflictingReservations(
+            reservation.catwayNumber,
+            reservation.checkIn,
+            reservation.checkOut,
+            reservation._id
+        );
+
+        if (conflicts.length > 0) {
+            throw new ReservationConflictError(conflicts);
+        }
+
+        if (relinkByName) {
+            const matchingCustomer = await customerService.findOrCreateCustomerByName(reservation.clientName);
+            reservation.customer = matchingCustomer._id;
+            reservation.clientName = matchingCustomer.name;
+        }
+
+        const changed = fields
+            .filter(field => reservation.isModified(field))
+            .map(field => ({ field, from: before[field], to: historyValue(reservation.get(field)) }));
+
+        if (changed.length > 0) {
+            reservation.history.push({ changedAt: new Date(), changedBy: user ? user._id : undefined, changes: changed });
+        }
+
+        // Already validated above; the check-in date of a boat that arrived is past
+        return await reservation.save({ validateBeforeSave: false });
+    });
+
+    await auditService.record({ user, action: 'update', entity: 'reservation', before: snapshot, after: updatedReservation });
+
+    for (const period of freedPeriods(held, updatedReservation)) {
+        await waitlistService.offerFreedPeriod({ ...period, releasedBy: updatedReservation._id });
+    }
+
+    return updatedReservation;
 };
 
 /**
@@ -80,17 +655,167 @@ exports.getReservationById = async (id) => {
 };
 
 /**
- * Delete a reservation by its ID.
+ * Move a reservation to the trash. It no longer holds its catway, which is offered
+ * to the waitlist for its dates.
  * 
  * @async
  * @function deleteReservation
  * @param {String} id - The ID of the reservation to delete.
+ * @param {Object} [user] - The user deleting the reservation.
  * @returns {Promise<Object|null>} A promise that resolves to the deleted reservation object, or null if it doesn't exist.
  * 
  * @example
- * const deletedReservation = await reservationService.deleteReservation('60c72b2f9f1b2c001c9a9e84');
+ * const deletedReservation = await reservationService.deleteReservation('60c72b2f9f1b2c001c9a9e84', req.user);
  * console.log(deletedReservation);
  */
-exports.deleteReservation = async (id) => {
-    return await Reservation.findByIdAndDelete({ _id: id });
+exports.deleteReservation = async (id, user) => {
+    const reservation = await Reservation.findById(id);
+
+    if (!reservation) {
+        return null;
+    }
+
+    const deletedReservation = await Reservation.findByIdAndUpdate(
+        reservation._id,
+        { deletedAt: new Date(), deletedBy: user ? user._id : undefined },
+        { new: true }
+    );
+
+    await auditService.record({ user, action: 'delete', entity: 'reservation', before: reservation, after: deletedReservation });
+
+    if (!Reservation.RELEASED_STATUSES.includes(reservation.status)) {
+        await waitlistService.offerFreedPeriod({ catwayNumber: reservation.catwayNumber, from: reservation.checkIn, to: reservation.checkOut, releasedBy: reservation._id });
+    }
+
+    return deletedReservation;
+};
+
+/**
+ * Take a reservation out of the trash. Its dates must still be free on its catway,
+ * which is checked under the catway lock.
+ * 
+ * @async
+ * @function restoreReservation
+ * @param {String} id - The ID of the deleted reservation.
+ * @param {Object} [user] - The user restoring the reservation, for the audit log.
+ * @returns {Promise<Object|null>} A promise that resolves to the restored reservation, or null if the trash has no such reservation.
+ * @throws {ReservationConflictError} If another reservation took its dates in the meantime.
+ * @throws {CatwayLockedError} If the catway stays locked by another request.
+ * 
+ * @example
+ * const reservation = await reservationService.restoreReservation('60c72b2f9f1b2c001c9a9e84', req.user);
+ */
+exports.restoreReservation = async (id, user) => {
+    const reservation = await Reservation.findOne({ _id: id, deletedAt: { $ne: null } });
+
+    if (!reservation) {
+        return null;
+    }
+
+    const restoredReservation = await withCatwayLock(reservation.catwayNumber, async () => {
+        if (!Reservation.RELEASED_STATUSES.includes(reservation.status)) {
+            const conflicts = await exports.findConflictingReservations(
+                reservation.catwayNumber,
+                reservation.checkIn,
+                reservation.checkOut,
+                reservation._id
+            );
+
+            if (conflicts.length > 0) {
+                throw new ReservationConflictError(conflicts);
+            }
+        }
+
+        return await Reservation.findOneAndUpdate(
+            { _id: reservation._id, deletedAt: { $ne: null } },
+            { $unset: { deletedAt: 1, deletedBy: 1 } },
+            { new: true }
+        );
+    });
+
+    await auditService.record({ user, action: 'restore', entity: 'reservation', before: reservation, after: restoredReservation });
+    return restoredReservation;
+};
+
+/**
+ * Move a reservation to another status, following `Reservation.STATUS_TRANSITIONS`.
+ *
+ * When the boat arrives (`checkedIn`), the time is recorded and the catway becomes
+ * 'occupied'; its previous state is kept on the reservation. When the boat leaves
+ * (`checkedOut`), the time is recorded and the catway gets its previous state back,
+ * unless someone changed it in the meantime. A reservation can only be marked
+ * `noShow` once its check-in date has passed.
+ *
+ * A cancelled or no-show reservation frees its catway for its dates, and a boat leaving
+ * before its check-out date frees the rest of its stay: these days are offered to the
+ * waitlist.
+ *
+ * @async
+ * @function changeReservationStatus
+ * @param {String} id - The ID of the reservation.
+ * @param {String} status - The new status.
+ * @param {Object} [user] - The user changing the status, for the audit log.
+ * @param {Date} [now=new Date()] - When the change happens.
+ * @returns {Promise<Object|null>} A promise that resolves to the updated reservation, or null if not found.
+ * @throws {InvalidStatusTransitionError} If the reservation cannot move to that status.
+ *
+ * @example
+ * const reservation = await reservationService.changeReservationStatus('60c72b2f9f1b2c001c9a9e84', 'checkedIn', req.user);
+ */
+exports.changeReservationStatus = async (id, status, user, now = new Date()) => {
+    const reservation = await Reservation.findById(id);
+
+    if (!reservation) {
+        return null;
+    }
+
+    const from = reservation.status;
+
+    if (!(Reservation.STATUS_TRANSITIONS[from] || []).includes(status)) {
+        throw new InvalidStatusTransitionError(from, status);
+    }
+
+    if (status === 'noShow' && reservation.checkIn > now) {
+        throw new InvalidStatusTransitionError(from, status, 'Le bateau peut encore arriver, la date de check-in n\'est pas passée');
+    }
+
+    const before = auditService.snapshot(reservation);
+    reservation.status = status;
+
+    // The catway changes state with the boat: that change is logged on the catway
+    const setCatwayState = async (catway, catwayState) => {
+        await Catway.updateOne({ _id: catway._id }, { catwayState });
+        await auditService.record({ user, action: 'update', entity: 'catway', before: catway, after: { ...auditService.snapshot(catway), catwayState } });
+    };
+
+    if (status === 'checkedIn') {
+        reservation.arrivedAt = now;
+        const catway = await Catway.findOne({ catwayNumber: reservation.catwayNumber });
+
+        if (catway) {
+            reservation.catwayStateBeforeArrival = catway.catwayState;
+            await setCatwayState(catway, 'occupied');
+        }
+    } else if (status === 'checkedOut') {
+        reservation.departedAt = now;
+        const catway = await Catway.findOne({ catwayNumber: reservation.catwayNumber });
+        const previousState = reservation.catwayStateBeforeArrival;
+
+        if (catway && catway.catwayState === 'occupied') {
+            await setCatwayState(catway, previousState && previousState !== 'occupied' ? previousState : 'available');
+        }
+    }
+
+    // The check-in date of a boat that already arrived is past, so only check what changed
+    const updatedReservation = await reservation.save({ validateModifiedOnly: true });
+
+    await auditService.record({ user, action: 'update', entity: 'reservation', before, after: updatedReservation });
+
+    if (Reservation.RELEASED_STATUSES.includes(status)) {
+        await waitlistService.offerFreedPeriod({ catwayNumber: reservation.catwayNumber, from: reservation.checkIn, to: reservation.checkOut, releasedBy: reservation._id }, now);
+    } else if (status === 'checkedOut' && reservation.checkOut > now) {
+        await waitlistService.offerFreedPeriod({ catwayNumber: reservation.catwayNumber, from: now, to: reservation.checkOut, releasedBy: reservation._id }, now);
+    }
+
+    return updatedReservation;
 };
@@ -0,0 +1,176 @@
+const Catway = require('../models/catway');
+const Reservation = require('../models/reservation');
+const Customer = require('../models/customer');
+const User = require('../models/user');
+
+/**
+ * @module SearchServices
+ */
+
+/**
+ * The kinds of records the search looks into, in the order of the results.
+ *
+ * @constant {Array<String>}
+ */
+const SEARCH_TYPES = ['catways', 'reservations', 'customers', 'users'];
+
+exports.SEARCH_TYPES = SEARCH_TYPES;
+
+// Shorter searches match too much to be useful
+const MIN_QUERY_LENGTH = 2;
+// Results shown for each kind of record
+const RESULTS_PER_TYPE = 10;
+
+exports.MIN_QUERY_LENGTH = MIN_QUERY_LENGTH;
+exports.RESULTS_PER_TYPE = RESULTS_PER_TYPE;
+
+// The accented forms of each letter, so that 'elodie' finds 'Élodie' and 'Elodie' finds 'élodie'
+const ACCENTS = {
+    a: 'aàáâãäåAÀÁÂÃÄÅ',
+    c: 'cçCÇ',
+    e: 'eéèêëEÉÈÊË',
+    i: 'iìíîïIÌÍÎÏ',
+    n: 'nñNÑ',
+    o: 'oòóôõöøOÒÓÔÕÖØ',
+    u: 'uùúûüUÙÚÛÜ',
+    y: 'yýÿYÝŸ'
+};
+
+/**
+ * Build a regular expression finding a text anywhere in a field, regardless of case,
+ * accents and spacing: 'francois', 'François' and 'FRANÇOIS' all find each other,
+ * as do 'oe' and 'œ'.
+ *
+ * @function accentInsensitive
+ * @param {String} text - The text to look for.
+ * @returns {RegExp} The regular expression to use in a filter.
+ *
+ * @example
+ * Reservation.find({ clientName: searchService.accentInsensitive('helene') }); // finds 'Hélène Dupont'
+ */
+exports.accentInsensitive = (text) => {
+    const plain = Customer.normalizeName(text);
+    let pattern = '';
+
+    for (let i = 0; i < plain.length; i++) {
+        const char = plain[i];
+
+        if (char === 'o' && plain[i + 1] === 'e') {
+            pattern += `(?:[${ACCENTS.o}][${ACCENTS.e}]|[œŒ])`;
+            i++;
+        } else if (char === 'a' && plain[i + 1] === 'e') {
+            pattern += `(?:[${ACCENTS.a}][${ACCENTS.e}]|[æÆ])`;
+            i++;
+        } else if (ACCENTS[char]) {
+            pattern += `[${ACCENTS[char]}]`;
+        } else if (char === ' ') {
+            pattern += '\\s+';
+        } else {
+            pattern += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(pattern, 'i');
+};
+
+const formatDay = date => new Date(date).toLocaleDateString('fr-FR');
+
+/**
+ * The searches of each kind of record. Each one returns its matches as
+ * `{ id, label, detail, url }`, `url` being the page of the record.
+ *
+ * @private
+ */
+const SEARCHES = {
+    catways: async (regexp, number) => {
+        const catways = await Catway
+            .find({ $or: [{ boatName: regexp }, ...(number === null ? [] : [{ catwayNumber: number }])] })
+            .sort({ catwayNumber: 1 })
+            .limit(RESULTS_PER_TYPE);
+
+        return catways.map(catway => ({
+            id: catway.id,
+            label: `Catway ${catway.catwayNumber}`,
+            detail: `${catway.boatName} - ${catway.catwayState}`,
+            url: `/catways/${catway.id}`
+        }));
+    },
+    reservations: async (regexp, number) => {
+        const reservations = await Reservation
+            .find({ $or: [{ clientName: regexp }, { boatName: regexp }, ...(number === null ? [] : [{ catwayNumber: number }])] })
+            .sort({ checkIn: -1 })
+            .limit(RESULTS_PER_TYPE);
+
+        // The page of a reservation sits under the one of its catway, which only matters for the links back
+        const catways = await Catway.find({ catwayNumber: { $in: [...new Set(reservations.map(reservation => reservation.catwayNumber))] } });
+        const catwayIds = new Map(catways.map(catway => [catway.catwayNumber, catway.id]));
+
+        return reservations.map(reservation => ({
+            id: reservation.id,
+            label: `${reservation.clientName} - ${reservation.boatName}`,
+            detail: `Catway ${reservation.catwayNumber}, du ${formatDay(reservation.checkIn)} au ${formatDay(reservation.checkOut)}`,
+            url: `/catways/${catwayIds.get(reservation.catwayNumber) || reservation.catwayNumber}/reservations/${reservation.id}`
+        }));
+    },
+    customers: async (regexp) => {
+        const customers = await Customer
+            .find({ $or: [{ normalizedName: regexp }, { email: regexp }] })
+            .sort({ normalizedName: 1 })
+            .limit(RESULTS_PER_TYPE);
+
+        return customers.map(customer => ({
+            id: customer.id,
+            label: customer.name,
+            detail: customer.email || '',
+            url: `/customers/${customer.id}`
+        }));
+    },
+    users: async (regexp) => {
+        const users = await User
+            .find({ $or: [{ name: regexp }, { email: regexp }] })
+            .sort({ name: 1 })
+            .limit(RESULTS_PER_TYPE);
+
+        return users.map(user => ({
+            id: user.id,
+            label: user.name,
+            detail: user.email,
+            url: `/users/list/all?email=${encodeURIComponent(user.email)}`
+        }));
+    }
+};
+
+/**
+ * Look for a text in the catways (boat name, number), the reservations (client name,
+ * boat name, catway number), the customers (name, email) and the users (name, email).
+ *
+ * Case, accents and spacing are ignored. Each kind of record returns its first
+ * `RESULTS_PER_TYPE` matches, as `{ id, label, detail, url }`.
+ *
+ * @async
+ * @function search
+ * @param {String} text - The text to look for, at least `MIN_QUERY_LENGTH` characters.
+ * @param {Array<String>} [types=SEARCH_TYPES] - The kinds of records to look into.
+ * @returns {Promise<Object>} A promise that resolves to the matches, by kind of record (only the kinds asked for).
+ *
+ * @example
+ * const { catways, reservations } = await searchService.search('helene', ['catways', 'reservations']);
+ * console.log(reservations[0].label, reservations[0].url);
+ */
+exports.search = async (text, types = SEARCH_TYPES) => {
+    const query = String(text || '').trim();
+    const results = {};
+
+    if (query.length < MIN_QUERY_LENGTH) {
+        return results;
+    }
+
+    const regexp = exports.accentInsensitive(query);
+    const number = /^\d+$/.test(query) ? Number(query) : null;
+
+    for (const type of SEARCH_TYPES.filter(type => types.includes(type))) {
+        results[type] = await SEARCHES[type](regexp, number);
+    }
+
+    return results;
+};
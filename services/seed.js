@@ -0,0 +1,159 @@
+const fs = require('fs/promises');
+const path = require('path');
+const Catway = require('../models/catway');
+const Reservation = require('../models/reservation');
+
+/**
+ * @module SeedServices
+ */
+
+/**
+ * The seed files shipped at the root of the project, by kind of record, in the order
+ * they are loaded: the reservations need their catways.
+ *
+ * @constant {Object<String, String>}
+ */
+const SEED_FILES = {
+    catways: path.join(__dirname, '..', 'catways.json'),
+    reservations: path.join(__dirname, '..', 'reservations.json')
+};
+
+exports.SEED_FILES = SEED_FILES;
+
+/**
+ * Read a seed file: a JSON list of records.
+ *
+ * @async
+ * @function readSeedFile
+ * @param {String} file - The path of the file.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the records.
+ * @throws {Error} If the file cannot be read or does not hold a list.
+ *
+ * @example
+ * const catways = await seedService.readSeedFile(seedService.SEED_FILES.catways);
+ */
+exports.readSeedFile = async (file) => {
+    const list = JSON.parse(await fs.readFile(file, 'utf8'));
+
+    if (!Array.isArray(list)) {
+        throw new Error(`${file} doit contenir une liste`);
+    }
+    return list;
+};
+
+/**
+ * The messages of a validation error.
+ *
+ * @private
+ * @param {Error} error - The error of a write.
+ * @returns {Array<String>} The messages.
+ * @throws {Error} The error itself when it is not a validation error.
+ */
+const validationMessages = (error) => {
+    if (error.name === 'ValidationError') {
+        return Object.values(error.errors).map(e => e.message);
+    }
+    if (error.name === 'CastError') {
+        return [error.message];
+    }
+    throw error;
+};
+
+/**
+ * Load catways, upserting them by `catwayNumber`: a catway already there takes the
+ * values of the seed, so seeding again changes nothing. A catway in the trash is
+ * updated but stays in the trash.
+ *
+ * A catway the schema refuses is reported and the others are still loaded.
+ *
+ * @async
+ * @function seedCatways
+ * @param {Array<Object>} catways - The catways, as in `catways.json`.
+ * @returns {Promise<{created: Number, updated: Number, unchanged: Number, errors: Array<{record: Object, messages: Array<String>}>}>} A promise that resolves to what was done.
+ *
+ * @example
+ * const result = await seedService.seedCatways(await seedService.readSeedFile(seedService.SEED_FILES.catways));
+ * console.log(`${result.created} créé(s), ${result.updated} mis à jour`);
+ */
+exports.seedCatways = async (catways) => {
+    const result = { created: 0, updated: 0, unchanged: 0, errors: [] };
+
+    for (const catway of catways) {
+        try {
+            const write = await Catway.updateOne(
+                { catwayNumber: catway.catwayNumber },
+                { $set: catway },
+                { upsert: true, runValidators: true, withDeleted: true }
+            );
+
+            if (write.upsertedCount > 0) {
+                result.created++;
+            } else if (write.modifiedCount > 0) {
+                result.updated++;
+            } else {
+                result.unchanged++;
+            }
+        } catch (error) {
+            result.errors.push({ record: catway, messages: validationMessages(error) });
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Load reservations that are not there yet, a reservation being the same when it has
+ * the same catway, client and check-in day. Existing reservations are left as they are,
+ * whatever happened to them since.
+ *
+ * The seed holds past stays, so the dates are not checked against today; the catways
+ * must be loaded first.
+ *
+ * @async
+ * @function seedReservations
+ * @param {Array<Object>} reservations - The reservations, as in `reservations.json`.
+ * @returns {Promise<{created: Number, unchanged: Number, errors: Array<{record: Object, messages: Array<String>}>}>} A promise that resolves to what was done.
+ *
+ * @example
+ * const result = await seedService.seedReservations(await seedService.readSeedFile(seedService.SEED_FILES.reservations));
+ */
+exports.seedReservations = async (reservations) => {
+    const result = { created: 0, unchanged: 0, errors: [] };
+
+    for (const reservation of reservations) {
+        const messages = [];
+
+        if (!(await Catway.exists({ catwayNumber: reservation.catwayNumber }).setOptions({ withDeleted: true }))) {
+            messages.push(`Le catway ${reservation.catwayNumber} n'existe pas`);
+        } else {
+            // Every validator but the one refusing past check-in days
+            const error = new Reservation(reservation).validateSync();
+            Object.entries(error ? error.errors : {})
+                .filter(([field, e]) => !(field === 'checkIn' && e.kind === 'user defined'))
+                .forEach(([, e]) => messages.push(e.message));
+        }
+
+        if (messages.length > 0) {
+            result.errors.push({ record: reservation, messages });
+            continue;
+        }
+
+        try {
+            const write = await Reservation.updateOne(
+                { catwayNumber: reservation.catwayNumber, clientName: reservation.clientName, checkIn: reservation.checkIn },
+                { $setOnInsert: reservation },
+                { upsert: true, withDeleted: true }
+            );
+
+            if (write.upsertedCount > 0) {
+                result.created++;
+            } else {
+                result.unchanged++;
+            }
+        } catch (error) {
+            result.errors.push({ record: reservation, messages: validationMessages(error) });
+        }
+    }
+
+    return result;
+};
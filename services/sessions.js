@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/session');
+const User = require('../models/user');
+
+/**
+ * @module SessionsServices
+ */
+
+// Lifetime of an access token, in seconds. Kept short since it is only checked against revocation through its session.
+const ACCESS_TOKEN_EXPIRES_IN = 15 * 60;
+
+// Lifetime of a refresh token, in seconds
+const REFRESH_TOKEN_EXPIRES_IN = 7 * 24 * 60 * 60;
+
+exports.ACCESS_TOKEN_EXPIRES_IN = ACCESS_TOKEN_EXPIRES_IN;
+exports.REFRESH_TOKEN_EXPIRES_IN = REFRESH_TOKEN_EXPIRES_IN;
+
+/**
+ * Hash a refresh token secret. Only the hash is stored in the database.
+ *
+ * @private
+ * @param {String} secret - The random part of the refresh token.
+ * @returns {String} The hex encoded SHA-256 hash.
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Sign the access token and build the refresh token of a session.
+ *
+ * @private
+ * @param {Object} session - The session.
+ * @param {Object} user - The user of the session.
+ * @param {String} secret - The random part of the refresh token.
+ * @returns {{accessToken: String, refreshToken: String, expiresIn: Number, refreshExpiresIn: Number}} The tokens and their lifetimes in seconds.
+ */
+const issueTokens = (session, user, secret) => ({
+    accessToken: jwt.sign({ user: user, sid: session.id }, process.env.SECRET_KEY, { expiresIn: ACCESS_TOKEN_EXPIRES_IN }),
+    refreshToken: `${session.id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    refreshExpiresIn: REFRESH_TOKEN_EXPIRES_IN
+});
+
+/**
+ * Open a session for a user who just logged in.
+ *
+ * @async
+ * @function openSession
+ * @param {Object} user - The authenticated user.
+ * @param {Object} [meta] - Where the login comes from.
+ * @param {String} [meta.ip] - The IP address of the client.
+ * @param {String} [meta.userAgent] - The user agent of the client.
+ * @returns {Promise<Object>} A promise that resolves to the access token, the refresh token and their lifetimes.
+ *
+ * @example
+ * const { accessToken, refreshToken } = await sessionService.openSession(user, { ip: req.ip });
+ */
+exports.openSession = async (user, meta = {}) => {
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashSecret(secret),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_IN * 1000),
+        ip: meta.ip,
+        userAgent: meta.userAgent
+    });
+
+    return issueTokens(session, user, secret);
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ *
+ * The refresh token is rotated: the one given is no longer valid afterwards.
+ * Presenting a refresh token that was already rotated revokes the whole session.
+ * The user is reloaded, so a role change is picked up at the next refresh.
+ *
+ * @async
+ * @function refreshSession
+ * @param {String} refreshToken - The refresh token, as returned by `openSession` or a previous refresh.
+ * @returns {Promise<Object|null>} A promise that resolves to the new tokens, or null if the refresh token is not valid.
+ *
+ * @example
+ * const tokens = await sessionService.refreshSession(req.cookies.refreshToken);
+ */
+exports.refreshSession = async (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+
+    if (!secret || !mongoose.isValidObjectId(sessionId)) {
+        return null;
+    }
+
+    const session = await Session.findById(sessionId);
+
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        return null;
+    }
+
+    const given = Buffer.from(hashSecret(secret), 'hex');
+    const expected = Buffer.from(session.refreshTokenHash, 'hex');
+
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        // An old refresh token is being replayed: someone else may hold the current one
+        await exports.revokeSession(session.id, 'reuse');
+        return null;
+    }
+
+    const user = await User.findById(session.user, '-__v -createdAt -updatedAt');
+
+    if (!user) {
+        await exports.revokeSession(session.id, 'admin');
+        return null;
+    }
+
+    const newSecret = crypto.randomBytes(32).toString('hex');
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+        { refreshTokenHash: hashSecret(newSecret) },
+        { new: true }
+    );
+
+    if (!rotated) {
+        return null;
+    }
+
+    return issueTokens(rotated, user, newSecret);
+};
+
+/**
+ * Tell whether a session is still active (neither revoked nor expired).
+ *
+ * @async
+ * @function isSessionActive
+ * @param {String} sessionId - The session ID carried by an access token.
+ * @returns {Promise<Boolean>} A promise that resolves to true if the session is active.
+ *
+ * @example
+ * const active = await sessionService.isSessionActive(decoded.sid);
+ */
+exports.isSessionActive = async (sessionId) => {
+    if (!mongoose.isValidObjectId(sessionId)) {
+        return false;
+    }
+
+    return !!(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+/**
+ * Revoke one session.
+ *
+ * @async
+ * @function revokeSession
+ * @param {String} sessionId - The ID of the session to revoke.
+ * @param {String} [reason='logout'] - Why the session is revoked ('logout', 'admin' or 'reuse').
+ * @returns {Promise<Object|null>} A promise that resolves to the revoked session, or null if it was not active.
+ *
+ * @example
+ * await sessionService.revokeSession(req.sessionId);
+ */
+exports.revokeSession = async (sessionId, reason = 'logout') => {
+    if (!mongoose.isValidObjectId(sessionId)) {
+        return null;
+    }
+
+    return await Session.findOneAndUpdate(
+        { _id: sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason },
+        { new: true }
+    );
+};
+
+/**
+ * Revoke every active session of a user, e.g. when an employee leaves or loses a device.
+ *
+ * @async
+ * @function revokeUserSessions
+ * @param {String} userId - The ID of the user.
+ * @param {String} [reason='admin'] - Why the sessions are revoked.
+ * @returns {Promise<Number>} A promise that resolves to the number of sessions revoked.
+ *
+ * @example
+ * const count = await sessionService.revokeUserSessions('60c72b2f9f1b2c001c9a9e84');
+ */
+exports.revokeUserSessions = async (userId, reason = 'admin') => {
+    const result = await Session.updateMany(
+        { user: userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    return result.modifiedCount;
+};
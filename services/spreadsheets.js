@@ -0,0 +1,337 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * @module SpreadsheetsServices
+ */
+
+/**
+ * The file formats the imports read and the exports write, with their content type.
+ *
+ * @constant {Object<String, {extension: String, contentType: String}>}
+ */
+const FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+exports.FORMATS = FORMATS;
+
+// The separator of the CSV files written: the one French Excel expects
+const CSV_SEPARATOR = ';';
+
+/**
+ * Error thrown when a file cannot be read as a table of rows.
+ *
+ * @class InvalidFileError
+ * @extends Error
+ *
+ * @example
+ * throw new InvalidFileError('Le fichier JSON doit contenir une liste d\'objets');
+ */
+class InvalidFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidFileError';
+    }
+}
+
+exports.InvalidFileError = InvalidFileError;
+
+/**
+ * Tell the format of an uploaded file from its name.
+ *
+ * @function formatOf
+ * @param {String} fileName - The name of the file, e.g. 'catways.xlsx'.
+ * @returns {String|null} 'csv', 'xlsx' or 'json', or null for any other file.
+ *
+ * @example
+ * spreadsheetService.formatOf('Réservations juin.CSV'); // 'csv'
+ */
+exports.formatOf = (fileName) => {
+    const extension = String(fileName || '').split('.').pop().toLowerCase();
+
+    return FORMATS[extension] ? extension : null;
+};
+
+/**
+ * Read a CSV text into lines of cells. Cells may be quoted, with doubled quotes and
+ * line breaks inside; the separator is ';', ',' or a tab, whichever the first line
+ * uses most.
+ *
+ * @private
+ * @param {String} text - The CSV text.
+ * @returns {Array<{number: Number, cells: Array<String>}>} The lines, with the line of the file they start on, blank ones left out.
+ */
+const parseCsv = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const separator = [';', ',', '\t'].reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+    );
+    const lines = [];
+    let line = { number: 1, cells: [] };
+    let number = 1;
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (char === '\n') {
+            number++;
+        }
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            line.cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+                number++;
+            }
+            line.cells.push(cell);
+            lines.push(line);
+            line = { number, cells: [] };
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    line.cells.push(cell);
+    lines.push(line);
+
+    return lines.filter(({ cells }) => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * The value of a spreadsheet cell: the result of a formula, the text of a link or of
+ * formatted text, or the value itself.
+ *
+ * @private
+ * @param {*} value - The value of an ExcelJS cell.
+ * @returns {*} A string, a number, a boolean, a date or null.
+ */
+const cellValue = (value) => {
+    if (value === null || value === undefined || value instanceof Date || typeof value !== 'object') {
+        return value === undefined ? null : value;
+    }
+    if (value.richText) {
+        return value.richText.map(part => part.text).join('');
+    }
+    if ('result' in value) {
+        return cellValue(value.result);
+    }
+    if ('text' in value) {
+        return value.text;
+    }
+    return null;
+};
+
+/**
+ * The characters that make a spreadsheet read a cell as a formula.
+ *
+ * @private
+ * @type {RegExp}
+ */
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Take back the quote that `writeRows` puts before a text that looks like a formula.
+ *
+ * @private
+ * @param {*} cell - The value of a cell.
+ * @returns {*} The value, without that quote.
+ */
+const unquoteFormula = (cell) => (typeof cell === 'string' && cell.startsWith('\'') && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell);
+
+/**
+ * Turn lines of cells into objects keyed by the cells of the header line.
+ *
+ * @private
+ * @param {Array<{number: Number, cells: Array<*>}>} lines - The lines, the header first.
+ * @returns {Array<{line: Number, values: Object}>} The rows, with their line in the file.
+ */
+const toRows = (lines) => {
+    const [header = { cells: [] }, ...body] = lines;
+    const keys = header.cells.map(key => String(key === null || key === undefined ? '' : key).trim());
+
+    return body.map(({ number, cells }) => ({
+        line: number,
+        values: Object.fromEntries(keys.map((key, column) => [key, cells[column] === undefined ? null : unquoteFormula(cells[column])]).filter(([key]) => key))
+    }));
+};
+
+/**
+ * Read the rows of a CSV, XLSX or JSON file.
+ *
+ * The first line of a CSV file or of the first sheet of an XLSX file names the fields;
+ * a JSON file holds a list of objects, like `catways.json`. Each row is returned with
+ * its line in the file (for a JSON file, its position in the list), to point at it in
+ * the reports.
+ *
+ * @async
+ * @function readRows
+ * @param {Buffer} buffer - The content of the file.
+ * @param {String} format - 'csv', 'xlsx' or 'json'.
+ * @returns {Promise<Array<{line: Number, values: Object}>>} A promise that resolves to the rows, the values being strings (CSV), cell values (XLSX) or what the JSON holds.
+ * @throws {InvalidFileError} If the file cannot be read in that format.
+ *
+ * @example
+ * const rows = await spreadsheetService.readRows(req.file.buffer, 'csv');
+ * rows.forEach(row => console.log(row.line, row.values.catwayNumber));
+ */
+exports.readRows = async (buffer, format) => {
+    if (format === 'json') {
+        let list;
+
+        try {
+            list = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new InvalidFileError(`Le fichier JSON n'est pas valide : ${error.message}`);
+        }
+        if (!Array.isArray(list) || list.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+            throw new InvalidFileError('Le fichier JSON doit contenir une liste d\'objets');
+        }
+
+        return list.map((values, index) => ({ line: index + 1, values }));
+    }
+
+    if (format === 'csv') {
+        return toRows(parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, '')));
+    }
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+
+        try {
+            await workbook.xlsx.load(buffer);
+        } catch (error) {
+            throw new InvalidFileError('Le fichier n\'est pas un classeur Excel (.xlsx) valide');
+        }
+
+        const sheet = workbook.worksheets[0];
+        const lines = [];
+
+        if (sheet) {
+            // Empty rows are skipped; row.values starts at index 1, like the columns of the sheet
+            sheet.eachRow((row, number) => {
+                lines.push({ number, cells: Array.from(row.values.slice(1), cellValue) });
+            });
+        }
+
+        return toRows(lines);
+    }
+
+    throw new InvalidFileError('Le fichier doit être au format CSV, XLSX ou JSON');
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Format the day of a date (in UTC, as the days of the forms are stored) as YYYY-MM-DD.
+ *
+ * @private
+ * @param {Date} date - The date.
+ * @returns {String} The day.
+ */
+const formatDay = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+/**
+ * Quote a CSV cell when it holds the separator, a quote or a line break.
+ *
+ * @private
+ * @param {String} value - The value of the cell.
+ * @returns {String} The cell.
+ */
+const csvCell = (value) => (/[";\r\n,]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * Put a quote before a text that a spreadsheet would run as a formula (=, +, -, @),
+ * so that a client or boat name cannot run anything when the export is opened.
+ *
+ * @private
+ * @param {*} value - The value of the cell.
+ * @returns {*} The value, quoted when it is such a text.
+ */
+const quoteFormula = (value) => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+/**
+ * Write rows as a CSV, XLSX or JSON file.
+ *
+ * The header names the fields, so that an exported file can be imported again. Dates
+ * are days: YYYY-MM-DD in CSV and JSON files, date cells in XLSX files. CSV files start
+ * with a byte order mark and use ';', for Excel to open them right. In CSV and XLSX
+ * files, a text starting like a formula gets a leading quote, which `readRows` takes back.
+ *
+ * @async
+ * @function writeRows
+ * @param {Array<{key: String, type: (String|undefined)}>} columns - The fields to write, in order, `type` being 'date' for the dates.
+ * @param {Array<Object>} rows - The rows, as objects keyed by field.
+ * @param {String} format - 'csv', 'xlsx' or 'json'.
+ * @returns {Promise<Buffer>} A promise that resolves to the content of the file.
+ *
+ * @example
+ * const file = await spreadsheetService.writeRows([{ key: 'catwayNumber' }, { key: 'boatName' }], catways, 'csv');
+ * res.type(spreadsheetService.FORMATS.csv.contentType).send(file);
+ */
+exports.writeRows = async (columns, rows, format) => {
+    const valueOf = (row, column) => {
+        const value = row[column.key];
+
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (column.type === 'date') {
+            return format === 'xlsx' ? new Date(value) : formatDay(new Date(value));
+        }
+        return format === 'json' ? value : quoteFormula(value);
+    };
+
+    if (format === 'json') {
+        const list = rows.map(row => Object.fromEntries(columns.map(column => [column.key, valueOf(row, column)])));
+        return Buffer.from(JSON.stringify(list, null, 4), 'utf8');
+    }
+
+    if (format === 'csv') {
+        const lines = [columns.map(column => csvCell(column.key)).join(CSV_SEPARATOR)];
+
+        rows.forEach(row => {
+            lines.push(columns.map(column => {
+                const value = valueOf(row, column);
+                return csvCell(value === null ? '' : String(value));
+            }).join(CSV_SEPARATOR));
+        });
+
+        return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+    }
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Export');
+
+        sheet.columns = columns.map(column => ({
+            header: column.key,
+            key: column.key,
+            width: Math.max(12, column.key.length + 2),
+            style: column.type === 'date' ? { numFmt: 'dd/mm/yyyy' } : {}
+        }));
+        rows.forEach(row => {
+            sheet.addRow(Object.fromEntries(columns.map(column => [column.key, valueOf(row, column)])));
+        });
+
+        return Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+
+    throw new InvalidFileError('Le fichier doit être au format CSV, XLSX ou JSON');
+};
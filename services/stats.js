@@ -0,0 +1,201 @@
+const Catway = require('../models/catway');
+const Reservation = require('../models/reservation');
+
+/**
+ * @module StatsServices
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The catway types, in the order of the statistics.
+ *
+ * @constant {Array<String>}
+ */
+const CATWAY_TYPES = ['long', 'short'];
+
+exports.CATWAY_TYPES = CATWAY_TYPES;
+
+/**
+ * Round an amount to the cent.
+ *
+ * @private
+ * @param {Number} amount - The amount, in euros.
+ * @returns {Number} The rounded amount.
+ */
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * The midnight starting the day of a date.
+ *
+ * @private
+ * @param {Date} date - A date.
+ * @returns {Date} The start of its day.
+ */
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * Count the nights of a stay that fall between two dates.
+ *
+ * @private
+ * @param {Object} reservation - The reservation, with its `checkIn` and `checkOut`.
+ * @param {Date} from - The start of the period.
+ * @param {Date} to - The end of the period, excluded.
+ * @returns {Number} The number of nights, 0 when the stay is outside the period.
+ */
+const nightsWithin = (reservation, from, to) => {
+    const start = Math.max(startOfDay(reservation.checkIn).getTime(), from.getTime());
+    const end = Math.min(startOfDay(reservation.checkOut).getTime(), to.getTime());
+
+    return Math.max(0, Math.round((end - start) / DAY));
+};
+
+/**
+ * Turn an occupied count into `{ occupied, total, rate }`, the rate in percent.
+ *
+ * @private
+ * @param {Number} occupied - What is occupied.
+ * @param {Number} total - What could be.
+ * @returns {{occupied: Number, total: Number, rate: Number}} The occupancy.
+ */
+const occupancy = (occupied, total) => ({
+    occupied,
+    total,
+    rate: total > 0 ? Math.round(occupied / total * 100) : 0
+});
+
+/**
+ * Describe a reservation for the dashboard, with the link to its page.
+ *
+ * @private
+ * @param {Object} reservation - The reservation.
+ * @param {Map<Number, String>} catwayIds - The IDs of the catways, by number.
+ * @returns {Object} `{ id, catwayNumber, clientName, boatName, checkIn, checkOut, status, url }`.
+ */
+const describeReservation = (reservation, catwayIds) => ({
+    id: reservation.id,
+    catwayNumber: reservation.catwayNumber,
+    clientName: reservation.clientName,
+    boatName: reservation.boatName,
+    checkIn: reservation.checkIn,
+    checkOut: reservation.checkOut,
+    status: reservation.status,
+    url: `/catways/${catwayIds.get(reservation.catwayNumber) || reservation.catwayNumber}/reservations/${reservation.id}`
+});
+
+/**
+ * Build the operational overview of the harbour for a day: arrivals and departures,
+ * occupancy of the night by catway type, catways in maintenance, arrivals of the next
+ * seven days and revenue of the month so far.
+ *
+ * Cancelled and no-show reservations are left out. A boat occupies its catway from the
+ * night of its check-in to the night before its check-out. The revenue counts the price
+ * of each stay in proportion to its nights spent in the month up to tonight.
+ *
+ * @async
+ * @function getOverview
+ * @param {Date} [now=new Date()] - The current date.
+ * @returns {Promise<Object>} A promise that resolves to `{ date, arrivals, departures, occupancy, maintenance, upcoming, revenue }`.
+ *
+ * @example
+ * const { occupancy, revenue } = await statsService.getOverview();
+ * console.log(`${occupancy.all.rate} % occupé, ${revenue.amount} € ce mois-ci`);
+ */
+exports.getOverview = async (now = new Date()) => {
+    const today = startOfDay(now);
+    const tomorrow = new Date(today.getTime() + DAY);
+    const weekEnd = new Date(today.getTime() + 8 * DAY);
+    const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+    const holding = { $nin: Reservation.RELEASED_STATUSES };
+
+    const catways = await Catway.find().sort({ catwayNumber: 1 });
+    const catwayIds = new Map(catways.map(catway => [catway.catwayNumber, catway.id]));
+    const catwayTypes = new Map(catways.map(catway => [catway.catwayNumber, catway.type]));
+
+    const arrivals = await Reservation.find({ checkIn: { $gte: today, $lt: tomorrow }, status: holding }).sort({ checkIn: 1 });
+    const departures = await Reservation.find({ checkOut: { $gte: today, $lt: tomorrow }, status: holding }).sort({ checkOut: 1 });
+    const staying = await Reservation.find({ checkIn: { $lt: tomorrow }, checkOut: { $gte: tomorrow }, status: holding });
+    const upcoming = await Reservation.find({ checkIn: { $gte: tomorrow, $lt: weekEnd }, status: holding }).sort({ checkIn: 1 });
+    const ofTheMonth = await Reservation.find({ checkIn: { $lt: tomorrow }, checkOut: { $gt: monthStart }, status: holding });
+
+    const occupied = new Set(staying.map(reservation => reservation.catwayNumber).filter(number => catwayTypes.has(number)));
+    const occupancyByType = {};
+    CATWAY_TYPES.forEach(type => {
+        occupancyByType[type] = occupancy(
+            [...occupied].filter(number => catwayTypes.get(number) === type).length,
+            catways.filter(catway => catway.type === type).length
+        );
+    });
+    occupancyByType.all = occupancy(occupied.size, catways.length);
+
+    const revenue = ofTheMonth.reduce((sum, reservation) => {
+        const nights = nightsWithin(reservation, startOfDay(reservation.checkIn), startOfDay(reservation.checkOut));
+
+        if (!reservation.quote || !reservation.quote.total || nights === 0) {
+            return sum;
+        }
+        return sum + reservation.quote.total * nightsWithin(reservation, monthStart, tomorrow) / nights;
+    }, 0);
+
+    return {
+        date: today,
+        arrivals: arrivals.map(reservation => describeReservation(reservation, catwayIds)),
+        departures: departures.map(reservation => describeReservation(reservation, catwayIds)),
+        occupancy: occupancyByType,
+        maintenance: catways
+            .filter(catway => /^maintenance$/i.test(catway.catwayState))
+            .map(catway => ({ id: catway.id, catwayNumber: catway.catwayNumber, type: catway.type, url: `/catways/${catway.id}` })),
+        upcoming: upcoming.map(reservation => describeReservation(reservation, catwayIds)),
+        revenue: { from: monthStart, to: today, amount: roundPrice(revenue), currency: 'EUR' }
+    };
+};
+
+/**
+ * Work out the occupancy of each month of a year: the nights booked on the catways of
+ * each type, out of the nights they could be booked.
+ *
+ * The capacity is the number of catways today times the days of the month. Cancelled
+ * and no-show reservations are left out.
+ *
+ * @async
+ * @function getMonthlyOccupancy
+ * @param {Number} year - The year, e.g. 2025.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the 12 months, as `{ month, label, long, short, all }`, each with `{ occupied, total, rate }` in nights.
+ *
+ * @example
+ * const months = await statsService.getMonthlyOccupancy(2025);
+ * console.log(months[6].label, months[6].all.rate); // juillet 82
+ */
+exports.getMonthlyOccupancy = async (year) => {
+    const yearStart = new Date(year, 0, 1);
+    const yearEnd = new Date(year + 1, 0, 1);
+
+    const catways = await Catway.find();
+    const catwayTypes = new Map(catways.map(catway => [catway.catwayNumber, catway.type]));
+    const reservations = await Reservation.find({
+        checkIn: { $lt: yearEnd },
+        checkOut: { $gt: yearStart },
+        status: { $nin: Reservation.RELEASED_STATUSES }
+    });
+
+    return Array.from({ length: 12 }, (_, index) => {
+        const from = new Date(year, index, 1);
+        const to = new Date(year, index + 1, 1);
+        const days = Math.round((to - from) / DAY);
+        const month = { month: index + 1, label: from.toLocaleDateString('fr-FR', { month: 'long' }) };
+
+        CATWAY_TYPES.forEach(type => {
+            const nights = reservations
+                .filter(reservation => catwayTypes.get(reservation.catwayNumber) === type)
+                .reduce((sum, reservation) => sum + nightsWithin(reservation, from, to), 0);
+
+            month[type] = occupancy(nights, catways.filter(catway => catway.type === type).length * days);
+        });
+        month.all = occupancy(
+            CATWAY_TYPES.reduce((sum, type) => sum + month[type].occupied, 0),
+            catways.length * days
+        );
+
+        return month;
+    });
+};
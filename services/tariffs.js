@@ -0,0 +1,91 @@
+const Tariff = require('../models/tariff');
+
+/**
+ * @module TariffsServices
+ */
+
+/**
+ * Add a new tariff.
+ *
+ * @async
+ * @function addTariff
+ * @param {Object} tariffData - The data for the new tariff.
+ * @returns {Promise<Object>} A promise that resolves to the newly created tariff.
+ *
+ * @example
+ * const tariff = await tariffService.addTariff({ name: 'Haute saison - catways longs', catwayType: 'long', season: 'high', months: [6, 7, 8, 9], nightlyRate: 4.5 });
+ */
+exports.addTariff = async (tariffData) => {
+    const tariff = new Tariff(tariffData);
+    return await tariff.save();
+};
+
+/**
+ * Fetch all tariffs, grouped by catway type and season.
+ *
+ * @async
+ * @function getAllTariffs
+ * @returns {Promise<Array>} A promise that resolves to an array of all tariffs.
+ *
+ * @example
+ * const tariffs = await tariffService.getAllTariffs();
+ */
+exports.getAllTariffs = async () => {
+    return await Tariff.find().sort({ catwayType: 1, season: 1, name: 1 });
+};
+
+/**
+ * Fetch a tariff by its ID.
+ *
+ * @async
+ * @function getTariffById
+ * @param {String} id - The ID of the tariff.
+ * @returns {Promise<Object|null>} A promise that resolves to the tariff, or null if not found.
+ *
+ * @example
+ * const tariff = await tariffService.getTariffById('60c72b2f9f1b2c001c9a9e84');
+ */
+exports.getTariffById = async (id) => {
+    return await Tariff.findById(id);
+};
+
+/**
+ * Update a tariff by its ID.
+ *
+ * The tariff is saved rather than updated in place, so that the check on months
+ * already covered by another tariff runs. Reservations already made keep their quote.
+ *
+ * @async
+ * @function updateTariff
+ * @param {String} id - The ID of the tariff.
+ * @param {Object} updateData - The fields to change.
+ * @returns {Promise<Object|null>} A promise that resolves to the updated tariff, or null if not found.
+ *
+ * @example
+ * const tariff = await tariffService.updateTariff('60c72b2f9f1b2c001c9a9e84', { nightlyRate: 5 });
+ */
+exports.updateTariff = async (id, updateData) => {
+    const tariff = await Tariff.findById(id);
+
+    if (!tariff) {
+        return null;
+    }
+
+    tariff.set(updateData);
+    return await tariff.save();
+};
+
+/**
+ * Delete a tariff by its ID.
+ *
+ * @async
+ * @function deleteTariff
+ * @param {String} id - The ID of the tariff.
+ * @returns {Promise<Object|null>} A promise that resolves to the deleted tariff, or null if not found.
+ *
+ * @example
+ * const tariff = await tariffService.deleteTariff('60c72b2f9f1b2c001c9a9e84');
+ */
+exports.deleteTariff = async (id) => {
+    return await Tariff.findByIdAndDelete(id);
+};
@@ -0,0 +1,166 @@
+const Catway = require('../models/catway');
+const Reservation = require('../models/reservation');
+const User = require('../models/user');
+const Invoice = require('../models/invoice');
+const Payment = require('../models/payment');
+const catwayService = require('./catways');
+const reservationService = require('./reservations');
+const userService = require('./users');
+const auditService = require('./audit');
+
+/**
+ * @module TrashServices
+ */
+
+/**
+ * The kinds of records that go to the trash when deleted.
+ *
+ * @constant {Array<String>}
+ */
+const TRASH_TYPES = ['catways', 'reservations', 'users'];
+
+exports.TRASH_TYPES = TRASH_TYPES;
+
+const MODELS = {
+    catways: Catway,
+    reservations: Reservation,
+    users: User
+};
+
+// The name of each kind of record in the audit log
+const ENTITIES = {
+    catways: 'catway',
+    reservations: 'reservation',
+    users: 'user'
+};
+
+/**
+ * Error thrown when a record of the trash cannot be restored or purged.
+ *
+ * @class TrashError
+ * @extends Error
+ *
+ * @example
+ * throw new TrashError('Le catway 3 est dans la corbeille : restaurez-le d\'abord');
+ */
+class TrashError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TrashError';
+    }
+}
+
+exports.TrashError = TrashError;
+
+/**
+ * Fetch the records in the trash, most recently deleted first.
+ *
+ * @async
+ * @function getTrash
+ * @param {Array<String>} [types=TRASH_TYPES] - The kinds of records to fetch.
+ * @returns {Promise<Object>} A promise that resolves to the deleted records, keyed by kind (`catways`, `reservations`, `users`).
+ *
+ * @example
+ * const { catways, reservations } = await trashService.getTrash(['catways', 'reservations']);
+ */
+exports.getTrash = async (types = TRASH_TYPES) => {
+    const trash = {};
+
+    for (const type of types) {
+        trash[type] = await MODELS[type].find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+    }
+
+    return trash;
+};
+
+/**
+ * Take a record out of the trash.
+ *
+ * A catway comes back with the reservations deleted along with it. A reservation only
+ * comes back if its catway is not in the trash and its dates are still free.
+ *
+ * @async
+ * @function restoreFromTrash
+ * @param {String} type - The kind of record: 'catways', 'reservations' or 'users'.
+ * @param {String} id - The ID of the record.
+ * @param {Object} [user] - The user restoring it, for the audit log.
+ * @returns {Promise<Object|null>} A promise that resolves to the restored record, or null if the trash has no such record.
+ * @throws {TrashError} If the catway of a reservation is in the trash.
+ * @throws {ReservationConflictError} If another reservation took the dates of a reservation.
+ * @throws {CatwayLockedError} If the catway stays locked by another request.
+ *
+ * @example
+ * const catway = await trashService.restoreFromTrash('catways', '60c72b2f9f1b2c001c9a9e84', req.user);
+ */
+exports.restoreFromTrash = async (type, id, user) => {
+    if (type === 'catways') {
+        return await catwayService.restoreCatway(id, user);
+    } else if (type === 'users') {
+        return await userService.restoreUser(id, user);
+    } else if (type !== 'reservations') {
+        return null;
+    }
+
+    const reservation = await Reservation.findOne({ _id: id, deletedAt: { $ne: null } });
+
+    if (!reservation) {
+        return null;
+    }
+
+    if (!(await Catway.exists({ catwayNumber: reservation.catwayNumber }))) {
+        throw new TrashError(`Le catway ${reservation.catwayNumber} est dans la corbeille : restaurez-le d'abord`);
+    }
+
+    return await reservationService.restoreReservation(id, user);
+};
+
+/**
+ * Delete a record of the trash for good.
+ *
+ * A catway is only purged once none of its reservations are left, in the trash or not,
+ * so that no reservation points to a missing catway. A reservation that was invoiced or
+ * paid is kept for the accounts.
+ *
+ * @async
+ * @function purgeFromTrash
+ * @param {String} type - The kind of record: 'catways', 'reservations' or 'users'.
+ * @param {String} id - The ID of the record.
+ * @param {Object} [user] - The user purging it, for the audit log.
+ * @returns {Promise<Object|null>} A promise that resolves to the purged record, or null if the trash has no such record.
+ * @throws {TrashError} If the record must be kept.
+ *
+ * @example
+ * const user = await trashService.purgeFromTrash('users', '60c72b2f9f1b2c001c9a9e84', req.user);
+ */
+exports.purgeFromTrash = async (type, id, user) => {
+    const Model = MODELS[type];
+
+    if (!Model) {
+        return null;
+    }
+
+    const record = await Model.findOne({ _id: id, deletedAt: { $ne: null } });
+
+    if (!record) {
+        return null;
+    }
+
+    if (type === 'catways') {
+        const count = await Reservation.countDocuments({ catwayNumber: record.catwayNumber }).setOptions({ withDeleted: true });
+
+        if (count > 0) {
+            throw new TrashError(`Le catway ${record.catwayNumber} a encore ${count} réservation(s), corbeille comprise : supprimez-les définitivement d'abord`);
+        }
+    } else if (type === 'reservations') {
+        const invoiced = await Invoice.exists({ reservation: record._id });
+        const paid = await Payment.exists({ reservation: record._id });
+
+        if (invoiced || paid) {
+            throw new TrashError('Une réservation facturée ou avec des paiements est conservée pour la comptabilité');
+        }
+    }
+
+    await Model.deleteOne({ _id: record._id });
+    await auditService.record({ user, action: 'purge', entity: ENTITIES[type], before: record, after: null });
+    return record;
+};
@@ -1,4 +1,27 @@
+const crypto = require('crypto');
 const User = require('../models/user');
+const bcrypt = require('bcryptjs');
+const sessionService = require('./sessions');
+const loginAttempts = require('./loginAttempts');
+const auditService = require('./audit');
+const listQueryService = require('./listQuery');
+
+// Lifetime of a password reset token, in milliseconds
+const PASSWORD_RESET_EXPIRES_IN = 60 * 60 * 1000;
+
+// Compared against when the email is unknown, so that the check takes as long as for a real account
+const DUMMY_PASSWORD_HASH = '$2a$10$fxTrb3YRt3Iul/z.vOsPL.s56X8z/6aOVbI32VBcNPrxQpFNr0tYe';
+
+exports.PASSWORD_RESET_EXPIRES_IN = PASSWORD_RESET_EXPIRES_IN;
+
+/**
+ * Hash a password reset token. Only the hash is stored in the database.
+ * 
+ * @private
+ * @param {String} token - The reset token.
+ * @returns {String} The hex encoded SHA-256 hash.
+ */
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
 
 /**
  * @module UsersServices
@@ -20,12 +43,53 @@ const User = require('../models/user');
  *   name: 'Alice Smith',
  *   email: 'alice@example.com',
  *   password: 'securepassword',
- * });
+ * }, req.user);
  * console.log(newUser);
  */
-exports.addUser = async (userData) => {
-    const newUser = new User(userData);
-    return await newUser.save();
+exports.addUser = async (userData, user) => {
+    const newUser = await new User(userData).save();
+    await auditService.record({ user, action: 'create', entity: 'user', before: null, after: newUser });
+    return newUser;
+};
+
+/**
+ * Error thrown when creating the first administrator while there is one already.
+ *
+ * @class AdminExistsError
+ * @extends Error
+ *
+ * @example
+ * throw new AdminExistsError();
+ */
+class AdminExistsError extends Error {
+    constructor() {
+        super('Un administrateur existe déjà : connectez-vous avec son compte pour créer les autres utilisateurs');
+        this.name = 'AdminExistsError';
+    }
+}
+
+exports.AdminExistsError = AdminExistsError;
+
+/**
+ * Create the first administrator of a new installation, who then creates the other
+ * users from the application. Refused as soon as there is an administrator, even in
+ * the trash.
+ *
+ * @async
+ * @function createFirstAdmin
+ * @param {Object} userData - The data for the administrator: `name`, `email` and `password`.
+ * @returns {Promise<Object>} A promise that resolves to the new administrator.
+ * @throws {AdminExistsError} If there is an administrator already.
+ *
+ * @example
+ * const admin = await userService.createFirstAdmin({ name: 'Capitainerie', email: 'capitainerie@port-russell.fr', password: 'secret123' });
+ */
+exports.createFirstAdmin = async (userData) => {
+    if (await User.exists({ role: 'admin' }).setOptions({ withDeleted: true })) {
+        throw new AdminExistsError();
+    }
+
+    return await exports.addUser({ name: userData.name, email: userData.email, password: userData.password, role: 'admin' });
 };
 
 /**
@@ -45,44 +109,103 @@ exports.findUserById = async (id) => {
 };
 
 /**
- * Update an existing user by their ID.
+ * Update an existing user by their ID. Empty fields are left unchanged, and a new
+ * password is hashed on save.
  * 
  * @async
  * @function updateUser
  * @param {String} id - The ID of the user to update.
- * @param {Object} updateData - The data to update in the user.
+ * @param {Object} updateData - The data to update in the user (`name`, `email`, `password`, `role`).
+ * @param {Object} [user] - The user making the change, for the audit log.
  * @returns {Promise<Object|null>} A promise that resolves to the updated user object, or null if the user doesn't exist.
  * 
  * @example
- * const updatedUser = await userService.updateUser('60c72b2f9f1b2c001c9a9e84', { name: 'Alice Johnson' });
+ * const updatedUser = await userService.updateUser('60c72b2f9f1b2c001c9a9e84', { name: 'Alice Johnson' }, req.user);
  * console.log(updatedUser);
  */
-exports.updateUser = async (id, updateData) => {
-    return await User.findByIdAndUpdate(
-        { _id: id }, 
-        updateData, 
-        { 
-            new: true,            // Return the updated document
-            runValidators: true,  // Ensure schema validators are run
-            context: 'query'      // Ensure proper context for custom validators
+exports.updateUser = async (id, updateData, user) => {
+    const updatedUser = await User.findById(id);
+
+    if (!updatedUser) {
+        return null;
+    }
+
+    const before = auditService.snapshot(updatedUser);
+
+    Object.keys(updateData).forEach((key) => {
+        if (!!updateData[key]) {
+            updatedUser[key] = updateData[key];
         }
-    );
+    });
+    await updatedUser.save();
+
+    await auditService.record({ user, action: 'update', entity: 'user', before, after: updatedUser });
+    return updatedUser;
 };
 
 /**
- * Delete a user by their ID.
+ * Move a user to the trash. A deleted user can no longer log in.
+ * 
+ * Every session of the user is revoked, so their tokens stop working immediately.
  * 
  * @async
  * @function deleteUser
  * @param {String} id - The ID of the user to delete.
+ * @param {Object} [deletedBy] - The user deleting them.
  * @returns {Promise<Object|null>} A promise that resolves to the deleted user object, or null if it doesn't exist.
  * 
  * @example
- * const deletedUser = await userService.deleteUser('60c72b2f9f1b2c001c9a9e84');
+ * const deletedUser = await userService.deleteUser('60c72b2f9f1b2c001c9a9e84', req.user);
  * console.log(deletedUser);
  */
-exports.deleteUser = async (id) => {
-    return await User.findByIdAndDelete({ _id: id });
+exports.deleteUser = async (id, deletedBy) => {
+    const before = await User.findById(id);
+
+    if (!before) {
+        return null;
+    }
+
+    const user = await User.findByIdAndUpdate(
+        before._id,
+        { deletedAt: new Date(), deletedBy: deletedBy ? deletedBy._id : undefined },
+        { new: true }
+    );
+
+    if (user) {
+        await sessionService.revokeUserSessions(user._id, 'admin');
+        await auditService.record({ user: deletedBy, action: 'delete', entity: 'user', before, after: user });
+    }
+
+    return user;
+};
+
+/**
+ * Take a user out of the trash. They can log in again with their password.
+ * 
+ * @async
+ * @function restoreUser
+ * @param {String} id - The ID of the deleted user.
+ * @param {Object} [restoredBy] - The user restoring them, for the audit log.
+ * @returns {Promise<Object|null>} A promise that resolves to the restored user, or null if the trash has no such user.
+ * 
+ * @example
+ * const user = await userService.restoreUser('60c72b2f9f1b2c001c9a9e84', req.user);
+ */
+exports.restoreUser = async (id, restoredBy) => {
+    const before = await User.findOne({ _id: id, deletedAt: { $ne: null } });
+
+    if (!before) {
+        return null;
+    }
+
+    const user = await User.findOneAndUpdate(
+        { _id: before._id, deletedAt: { $ne: null } },
+        { $unset: { deletedAt: 1, deletedBy: 1 } },
+        { new: true }
+    );
+
+    await auditService.record({ user: restoredBy, action: 'restore', entity: 'user', before, after: user });
+    return user;
 };
 
 /**
@@ -98,4 +221,190 @@ exports.deleteUser = async (id) => {
  */
 exports.getAllUsers = async () => {
     return await User.find();
-}; 
+};
+
+/**
+ * What the users list can be sorted and filtered on (see `listQuery.parseListQuery`):
+ * `name` and `email` (part of the text), `role`.
+ */
+exports.LIST_OPTIONS = {
+    sortFields: ['name', 'email', 'role'],
+    defaultSort: 'name',
+    filters: {
+        name: {
+            parse: value => ({ name: listQueryService.contains(value) })
+        },
+        email: {
+            parse: value => ({ email: listQueryService.contains(value) })
+        },
+        role: {
+            parse: value => Object.keys(User.ROLES).includes(value) ? { role: value } : null,
+            message: 'Le rôle demandé n\'existe pas'
+        }
+    }
+};
+
+/**
+ * Fetch one page of users, filtered and sorted.
+ * 
+ * @async
+ * @function listUsers
+ * @param {Object} listQuery - The list query, as returned by `listQuery.parseListQuery` with `LIST_OPTIONS`.
+ * @returns {Promise<{items: Array, total: Number, page: Number, limit: Number, pages: Number}>} A promise that resolves to the page of users.
+ * 
+ * @example
+ * const listQuery = listQueryService.parseListQuery({ email: '@port-russell.fr' }, userService.LIST_OPTIONS);
+ * const { items, total } = await userService.listUsers(listQuery);
+ */
+exports.listUsers = async (listQuery) => {
+    return await listQueryService.findPage(User, listQuery);
+};
+
+/**
+ * Find the user matching an email and a password.
+ *
+ * Failures are recorded for the account and the IP address, and an attempt made
+ * before the wait they impose is over is refused without checking the password.
+ * An unknown email takes as long to check as a wrong password, so the answer time
+ * does not tell whether the account exists.
+ *
+ * @async
+ * @function checkCredentials
+ * @param {String} email - The email of the user.
+ * @param {String} password - The plain text password to check.
+ * @param {String} [ip] - The IP address of the client.
+ * @returns {Promise<Object|null>} A promise that resolves to the user if the credentials are right, or null if not.
+ * @throws {TooManyLoginAttemptsError} If the account is locked or the client has to wait before trying again.
+ *
+ * @example
+ * const user = await userService.checkCredentials('alice@example.com', 'securepassword', req.ip);
+ */
+exports.checkCredentials = async (email, password, ip) => {
+    const user = await User.findOne({ email: String(email || '').trim() }, '-__v -createdAt -updatedAt');
+
+    const retryAfter = await loginAttempts.getRetryAfter(user, ip);
+
+    if (retryAfter > 0) {
+        throw new loginAttempts.TooManyLoginAttemptsError(retryAfter);
+    }
+
+    const match = await bcrypt.compare(String(password || ''), user ? user.password : DUMMY_PASSWORD_HASH);
+
+    if (!user || !password || !match) {
+        await loginAttempts.recordFailure(user, ip);
+        return null;
+    }
+
+    await loginAttempts.recordSuccess(user);
+
+    return user;
+};
+
+/**
+ * Create a password reset token for the user with this email.
+ * 
+ * Any previous token of the user is replaced. Only the hash of the token is stored;
+ * the token itself is returned so it can be emailed.
+ * 
+ * @async
+ * @function createPasswordResetToken
+ * @param {String} email - The email of the user who forgot their password.
+ * @returns {Promise<{user: Object, token: String}|null>} A promise that resolves to the user and the token, or null if no user has this email.
+ * 
+ * @example
+ * const reset = await userService.createPasswordResetToken('alice@example.com');
+ */
+exports.createPasswordResetToken = async (email) => {
+    const user = await User.findOne({ email: String(email || '').trim() });
+
+    if (!user) {
+        return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    user.passwordResetTokenHash = hashResetToken(token);
+    user.passwordResetExpiresAt = new Date(Date.now() + PASSWORD_RESET_EXPIRES_IN);
+    await user.save();
+
+    return { user, token };
+};
+
+/**
+ * Find the user a password reset token was issued to, if the token is still valid.
+ * 
+ * @async
+ * @function findUserByResetToken
+ * @param {String} token - The reset token from the email.
+ * @returns {Promise<Object|null>} A promise that resolves to the user, or null if the token is unknown, used or expired.
+ * 
+ * @example
+ * const user = await userService.findUserByResetToken(req.query.token);
+ */
+exports.findUserByResetToken = async (token) => {
+    if (!token) {
+        return null;
+    }
+
+    return await User.findOne({
+        passwordResetTokenHash: hashResetToken(token),
+        passwordResetExpiresAt: { $gt: new Date() }
+    });
+};
+
+/**
+ * Set a new password with a reset token.
+ * 
+ * The token is consumed, and every session of the user is revoked since whoever
+ * knew the old password may still be logged in.
+ * 
+ * @async
+ * @function resetPassword
+ * @param {String} token - The reset token from the email.
+ * @param {String} password - The new password.
+ * @returns {Promise<Object|null>} A promise that resolves to the user, or null if the token is not valid.
+ * @throws {ValidationError} If the new password does not satisfy the `User` schema.
+ * 
+ * @example
+ * const user = await userService.resetPassword(req.body.token, req.body.password);
+ */
+exports.resetPassword = async (token, password) => {
+    if (!token) {
+        return null;
+    }
+
+    const user = await User.findOne({
+        passwordResetTokenHash: hashResetToken(token),
+        passwordResetExpiresAt: { $gt: new Date() }
+    });
+
+    if (!user) {
+        return null;
+    }
+
+    const before = auditService.snapshot(user);
+
+    // Check the new password before burning the token, so a typo does not force a new email
+    user.password = password;
+    await user.validate();
+
+    // Consume the token atomically: of two simultaneous requests, only one gets it
+    const consumed = await User.findOneAndUpdate(
+        { _id: user._id, passwordResetTokenHash: user.passwordResetTokenHash },
+        { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } }
+    );
+
+    if (!consumed) {
+        return null;
+    }
+
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpiresAt = undefined;
+    await user.save();
+
+    await sessionService.revokeUserSessions(user._id, 'passwordReset');
+
+    // The user was not logged in: the reset is logged as made by themselves
+    await auditService.record({ user, action: 'update', entity: 'user', before, after: user });
+
+    return user;
+};
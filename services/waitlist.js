@@ -0,0 +1,351 @@
+const mongoose = require('mongoose');
+const Catway = require('../models/catway');
+const WaitlistEntry = require('../models/waitlistEntry');
+const customerService = require('./customers');
+const boatService = require('./boats');
+const reservationService = require('./reservations');
+
+/**
+ * @module WaitlistServices
+ */
+
+/**
+ * Error thrown when a waitlist entry is not in a status that allows the action,
+ * e.g. booking an entry that has no catway offered.
+ *
+ * @class WaitlistStatusError
+ * @extends Error
+ *
+ * @example
+ * throw new WaitlistStatusError('Aucun catway n\'est proposé pour cette demande');
+ */
+class WaitlistStatusError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WaitlistStatusError';
+    }
+}
+
+exports.WaitlistStatusError = WaitlistStatusError;
+
+// The entries still waiting for a catway, or with one offered
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+exports.OPEN_STATUSES = OPEN_STATUSES;
+
+/**
+ * Put a client on the waitlist for dates that are fully booked.
+ *
+ * The name of the customer given is copied to `clientName`, and the name of the boat
+ * given to `boatName`, as for a reservation.
+ *
+ * @async
+ * @function addEntry
+ * @param {Object} data - The customer, the boat, the dates, the catway types and the extras wanted.
+ * @param {Object} [user] - The user putting the client on the waitlist.
+ * @returns {Promise<Object>} A promise that resolves to the new entry.
+ * @throws {ValidationError} If a field is missing or invalid.
+ *
+ * @example
+ * const entry = await waitlistService.addEntry({
+ *   clientName: 'Jean Dupont',
+ *   boatName: 'Seahorse',
+ *   checkIn: '2025-07-01',
+ *   checkOut: '2025-07-15',
+ *   catwayTypes: ['long']
+ * }, req.user);
+ */
+exports.addEntry = async (data, user) => {
+    const customer = data.customer && mongoose.isValidObjectId(data.customer)
+        ? await customerService.getCustomerById(data.customer)
+        : null;
+    const boat = data.boat && mongoose.isValidObjectId(data.boat)
+        ? await boatService.getBoatById(data.boat)
+        : null;
+
+    return await WaitlistEntry.create({
+        ...data,
+        customer: customer ? customer._id : undefined,
+        clientName: customer ? customer.name : data.clientName,
+        boat: boat ? boat._id : undefined,
+        boatName: boat ? boat.name : data.boatName,
+        status: 'waiting',
+        createdBy: user ? user._id : undefined
+    });
+};
+
+/**
+ * Fetch the waitlist, the oldest entries first: the entries waiting or with a catway
+ * offered, or only those of one status.
+ *
+ * @async
+ * @function listEntries
+ * @param {String} [status] - The status of the entries to fetch.
+ * @returns {Promise<Array>} A promise that resolves to the entries.
+ *
+ * @example
+ * const entries = await waitlistService.listEntries();
+ */
+exports.listEntries = async (status) => {
+    return await WaitlistEntry.find({ status: status || { $in: OPEN_STATUSES } }).sort({ createdAt: 1 });
+};
+
+/**
+ * Offer a catway that has just been freed to the waitlist.
+ *
+ * The entries still waiting are taken in the order they were made. An entry is offered
+ * the catway when it accepts the type of the catway, did not turn it down before, wants
+ * dates that cross the freed period and have not started yet, and when its whole stay is
+ * free on the catway, its boat fits, and no other offer already holds these dates.
+ * Catways in maintenance are not offered.
+ *
+ * A failure is logged rather than thrown, so that the reservation which freed the
+ * catway is not undone by it.
+ *
+ * @async
+ * @function offerFreedPeriod
+ * @param {Object} freed - The period freed.
+ * @param {Number} freed.catwayNumber - The catway.
+ * @param {Date} freed.from - The start of the period.
+ * @param {Date} freed.to - The end of the period.
+ * @param {ObjectId} [freed.releasedBy] - The reservation that freed it.
+ * @param {Date} [now=new Date()] - When the catway is freed.
+ * @returns {Promise<Array>} A promise that resolves to the entries offered the catway.
+ *
+ * @example
+ * await waitlistService.offerFreedPeriod({ catwayNumber: 3, from: reservation.checkIn, to: reservation.checkOut, releasedBy: reservation._id });
+ */
+exports.offerFreedPeriod = async ({ catwayNumber, from, to, releasedBy }, now = new Date()) => {
+    try {
+        if (!(to > from) || to <= now) {
+            return [];
+        }
+
+        const catway = await Catway.findOne({ catwayNumber });
+
+        if (!catway || /^maintenance$/i.test(catway.catwayState)) {
+            return [];
+        }
+
+        const candidates = await WaitlistEntry.find({
+            status: 'waiting',
+            catwayTypes: catway.type,
+            declinedCatways: { $ne: catwayNumber },
+            checkIn: { $lt: to, $gte: now },
+            checkOut: { $gt: from }
+        }).sort({ createdAt: 1 });
+
+        if (candidates.length === 0) {
+            return [];
+        }
+
+        // The offers already made on the catway hold their dates until they are booked or declined
+        const held = await WaitlistEntry.find({ status: { $in: ['offered', 'booking'] }, 'offer.catwayNumber': catwayNumber, checkOut: { $gt: from } });
+        const offered = [];
+
+        for (const entry of candidates) {
+            if (held.some(other => other.checkIn < entry.checkOut && other.checkOut > entry.checkIn)) {
+                continue;
+            }
+
+            const conflicts = await reservationService.findConflictingReservations(catwayNumber, entry.checkIn, entry.checkOut);
+
+            if (conflicts.length > 0) {
+                continue;
+            }
+
+            if (entry.boat) {
+                const boat = await boatService.getBoatById(entry.boat);
+
+                if (boat && boatService.getFitProblems(boat, catway).length > 0) {
+                    continue;
+                }
+            }
+
+            // Only an entry still waiting is offered, in case it was handled in the meantime
+            const offeredEntry = await WaitlistEntry.findOneAndUpdate(
+                { _id: entry._id, status: 'waiting' },
+                { status: 'offered', offer: { catwayNumber, offeredAt: now, releasedBy } },
+                { new: true }
+            );
+
+            if (offeredEntry) {
+                held.push(offeredEntry);
+                offered.push(offeredEntry);
+            }
+        }
+
+        return offered;
+    } catch (error) {
+        console.error('Waitlist error:', error);
+        return [];
+    }
+};
+
+/**
+ * Fetch the catways offered to the waitlist and not booked yet, the oldest offers first,
+ * as short summaries for the dashboard.
+ *
+ * @async
+ * @function getOpenOffers
+ * @returns {Promise<Array<Object>>} A promise that resolves to `{ id, clientName, boatName, catwayNumber, checkIn, checkOut, offeredAt }` for each offer.
+ *
+ * @example
+ * const offers = await waitlistService.getOpenOffers();
+ */
+exports.getOpenOffers = async () => {
+    const entries = await WaitlistEntry.find({ status: 'offered' }).sort({ 'offer.offeredAt': 1 });
+
+    return entries.map(entry => ({
+        id: entry.id,
+        clientName: entry.clientName,
+        boatName: entry.boatName,
+        catwayNumber: entry.offer.catwayNumber,
+        checkIn: entry.checkIn,
+        checkOut: entry.checkOut,
+        offeredAt: entry.offer.offeredAt
+    }));
+};
+
+/**
+ * Drop the catway offered to an entry and offer it to the next entry: the catway is
+ * still free for these dates.
+ *
+ * @async
+ * @private
+ * @param {Object} entry - The entry with a catway offered.
+ * @param {Object} changes - What else changes on the entry, e.g. its status.
+ * @returns {Promise<Object>} A promise that resolves to the saved entry.
+ */
+const releaseOffer = async (entry, changes) => {
+    const { catwayNumber, releasedBy } = entry.offer;
+
+    entry.set({ ...changes, offer: undefined });
+    const savedEntry = await entry.save();
+
+    await exports.offerFreedPeriod({ catwayNumber, from: entry.checkIn, to: entry.checkOut, releasedBy });
+    return savedEntry;
+};
+
+/**
+ * Book the catway offered to an entry: the reservation is made with the customer, the
+ * boat, the dates and the extras of the entry, and the entry is marked booked.
+ *
+ * The entry is first claimed by moving it from 'offered' to 'booking' in one update, so
+ * that a second click cannot book the catway twice. If the catway was booked by someone
+ * else in the meantime, the entry goes back on the waitlist and the conflict is thrown;
+ * on any other error the offer is given back.
+ *
+ * @async
+ * @function acceptOffer
+ * @param {String} id - The ID of the entry.
+ * @param {Object} [user] - The user booking the catway.
+ * @returns {Promise<{entry: Object, reservation: Object}|null>} A promise that resolves to the entry and the new reservation, or null if the entry is not found.
+ * @throws {WaitlistStatusError} If no catway is offered to the entry.
+ * @throws {ReservationConflictError} If the catway is no longer free for the dates.
+ * @throws {CatwayLockedError} If the catway stays locked by another request.
+ * @throws {BoatDoesNotFitError} If the boat is too long or too deep for the catway.
+ *
+ * @example
+ * const { reservation } = await waitlistService.acceptOffer('60c72b2f9f1b2c001c9a9e84', req.user);
+ */
+exports.acceptOffer = async (id, user) => {
+    const entry = await WaitlistEntry.findOneAndUpdate({ _id: id, status: 'offered' }, { status: 'booking' }, { new: true });
+
+    if (!entry) {
+        if (!(await WaitlistEntry.exists({ _id: id }))) {
+            return null;
+        }
+        throw new WaitlistStatusError('Aucun catway n\'est proposé pour cette demande');
+    }
+
+    let reservation;
+    try {
+        reservation = await reservationService.creatReservation({
+            catwayNumber: entry.offer.catwayNumber,
+            customer: entry.customer,
+            clientName: entry.clientName,
+            boat: entry.boat,
+            boatName: entry.boatName,
+            checkIn: entry.checkIn,
+            checkOut: entry.checkOut,
+            extras: { electricity: entry.extras.electricity, water: entry.extras.water }
+        }, user);
+    } catch (error) {
+        if (error.name === 'ReservationConflictError') {
+            entry.set({ status: 'waiting', offer: undefined });
+        } else {
+            entry.status = 'offered';
+        }
+        await entry.save();
+        throw error;
+    }
+
+    entry.status = 'booked';
+    entry.reservation = reservation._id;
+    await entry.save();
+
+    return { entry, reservation };
+};
+
+/**
+ * Turn down the catway offered to an entry: the entry goes back on the waitlist, is not
+ * offered that catway again, and the catway is offered to the next entry.
+ *
+ * @async
+ * @function declineOffer
+ * @param {String} id - The ID of the entry.
+ * @returns {Promise<Object|null>} A promise that resolves to the entry, or null if not found.
+ * @throws {WaitlistStatusError} If no catway is offered to the entry.
+ *
+ * @example
+ * await waitlistService.declineOffer('60c72b2f9f1b2c001c9a9e84');
+ */
+exports.declineOffer = async (id) => {
+    const entry = await WaitlistEntry.findById(id);
+
+    if (!entry) {
+        return null;
+    }
+
+    if (entry.status !== 'offered') {
+        throw new WaitlistStatusError('Aucun catway n\'est proposé pour cette demande');
+    }
+
+    return await releaseOffer(entry, {
+        status: 'waiting',
+        declinedCatways: [...entry.declinedCatways, entry.offer.catwayNumber]
+    });
+};
+
+/**
+ * Take an entry off the waitlist, e.g. when the client no longer wants to come. A catway
+ * offered to it is offered to the next entry.
+ *
+ * @async
+ * @function withdrawEntry
+ * @param {String} id - The ID of the entry.
+ * @returns {Promise<Object|null>} A promise that resolves to the entry, or null if not found.
+ * @throws {WaitlistStatusError} If the entry is already booked or withdrawn.
+ *
+ * @example
+ * await waitlistService.withdrawEntry('60c72b2f9f1b2c001c9a9e84');
+ */
+exports.withdrawEntry = async (id) => {
+    const entry = await WaitlistEntry.findById(id);
+
+    if (!entry) {
+        return null;
+    }
+
+    if (!OPEN_STATUSES.includes(entry.status)) {
+        throw new WaitlistStatusError('Cette demande n\'est plus sur la liste d\'attente');
+    }
+
+    if (entry.status === 'offered') {
+        return await releaseOffer(entry, { status: 'withdrawn' });
+    }
+
+    entry.status = 'withdrawn';
+    return await entry.save();
+};
@@ -0,0 +1,86 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import authController from '../controllers/api/v1/authController.js';
+import userService from '../services/users.js';
+import sessionService from '../services/sessions.js';
+import loginAttempts from '../services/loginAttempts.js';
+
+describe('API Auth Controller Tests', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = { body: {}, ip: '127.0.0.1', get: sinon.stub().returns('test-agent') };
+        res = {
+            status: sinon.stub().returnsThis(),
+            json: sinon.stub(),
+            set: sinon.stub().returnsThis(),
+        };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('issueToken', () => {
+        it('should return 400 when the credentials are missing', async () => {
+            await authController.issueToken(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+        });
+
+        it('should return 401 on wrong credentials', async () => {
+            req.body = { email: 'john@example.com', password: 'wrong' };
+            sinon.stub(userService, 'checkCredentials').resolves(null);
+
+            await authController.issueToken(req, res);
+
+            expect(res.status.calledWith(401)).to.be.true;
+            expect(res.json.calledWith({ error: { status: 401, message: 'Identifiants erronés' } })).to.be.true;
+        });
+
+        it('should return 429 with Retry-After while the client has to wait', async () => {
+            req.body = { email: 'john@example.com', password: 'test123' };
+            sinon.stub(userService, 'checkCredentials').rejects(new loginAttempts.TooManyLoginAttemptsError(8));
+
+            await authController.issueToken(req, res);
+
+            expect(res.set.calledWith('Retry-After', '8')).to.be.true;
+            expect(res.status.calledWith(429)).to.be.true;
+            expect(res.json.calledWith({ error: { status: 429, message: 'Trop de tentatives de connexion', details: { retryAfter: 8 } } })).to.be.true;
+        });
+
+        it('should return a bearer token as JSON', async () => {
+            req.body = { email: 'john@example.com', password: 'test123' };
+            const user = { email: 'john@example.com' };
+            sinon.stub(userService, 'checkCredentials').resolves(user);
+            const openSession = sinon.stub(sessionService, 'openSession').resolves({ accessToken: 'abc', refreshToken: 'id.secret', expiresIn: 900, refreshExpiresIn: 604800 });
+
+            await authController.issueToken(req, res);
+
+            expect(openSession.calledWith(user, { ip: '127.0.0.1', userAgent: 'test-agent' })).to.be.true;
+            expect(res.status.calledWith(200)).to.be.true;
+            expect(res.json.calledWith({ token: 'abc', tokenType: 'Bearer', expiresIn: 900, refreshToken: 'id.secret', refreshExpiresIn: 604800, user })).to.be.true;
+        });
+    });
+
+    describe('refreshToken', () => {
+        it('should return 401 when the refresh token is not valid', async () => {
+            req.body = { refreshToken: 'id.old_secret' };
+            sinon.stub(sessionService, 'refreshSession').resolves(null);
+
+            await authController.refreshToken(req, res);
+
+            expect(res.status.calledWith(401)).to.be.true;
+        });
+
+        it('should return the rotated tokens', async () => {
+            req.body = { refreshToken: 'id.secret' };
+            sinon.stub(sessionService, 'refreshSession').resolves({ accessToken: 'def', refreshToken: 'id.new_secret', expiresIn: 900, refreshExpiresIn: 604800 });
+
+            await authController.refreshToken(req, res);
+
+            expect(res.status.calledWith(200)).to.be.true;
+            expect(res.json.calledWith({ token: 'def', tokenType: 'Bearer', expiresIn: 900, refreshToken: 'id.new_secret', refreshExpiresIn: 604800 })).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,163 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import catwayController from '../controllers/api/v1/catwaysController.js';
+import catwayService from '../services/catways.js';
+
+describe('API Catway Controller Tests', () => {
+
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            params: {},
+            query: {},
+            body: {},
+            baseUrl: '/api/v1/catways',
+        };
+        res = {
+            status: sinon.stub().returnsThis(),
+            location: sinon.stub().returnsThis(),
+            set: sinon.stub().returnsThis(),
+            json: sinon.stub(),
+            end: sinon.stub(),
+        };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('getAll', () => {
+        it('should return an empty array with 200 when no catways exist', async () => {
+            sinon.stub(catwayService, 'listCatways').resolves({ items: [], total: 0, page: 1, limit: 20, pages: 1 });
+
+            await catwayController.getAll(req, res);
+
+            expect(res.status.calledWith(200)).to.be.true;
+            expect(res.json.calledWith([])).to.be.true;
+            expect(res.set.calledWith('X-Total-Count', '0')).to.be.true;
+        });
+
+        it('should send one page with the total and the links to the other pages', async () => {
+            req.path = '/';
+            req.query = { type: 'long', page: '2', limit: '10' };
+            const catways = [{ catwayNumber: 11 }];
+            const list = sinon.stub(catwayService, 'listCatways').resolves({ items: catways, total: 25, page: 2, limit: 10, pages: 3 });
+
+            await catwayController.getAll(req, res);
+
+            expect(list.firstCall.args[0]).to.deep.include({ page: 2, limit: 10, filter: { $and: [{ type: 'long' }] } });
+            expect(res.json.calledWith(catways)).to.be.true;
+            expect(res.set.calledWith('X-Total-Count', '25')).to.be.true;
+            expect(res.set.calledWith('Link',
+                '</api/v1/catways/?type=long&page=1&limit=10>; rel="prev", </api/v1/catways/?type=long&page=3&limit=10>; rel="next"'
+            )).to.be.true;
+        });
+
+        it('should return 400 on invalid list parameters', async () => {
+            req.query = { sort: 'password' };
+            const list = sinon.stub(catwayService, 'listCatways');
+
+            await catwayController.getAll(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.json.firstCall.args[0].error.message).to.equal('Paramètres de liste invalides');
+            expect(list.called).to.be.false;
+        });
+
+        it('should return a 500 error envelope on failure', async () => {
+            sinon.stub(console, 'error');
+            sinon.stub(catwayService, 'listCatways').throws(new Error('Error'));
+
+            await catwayController.getAll(req, res);
+
+            expect(res.status.calledWith(500)).to.be.true;
+            expect(res.json.calledWith({ error: { status: 500, message: 'Internal Server Error' } })).to.be.true;
+        });
+    });
+
+    describe('getById', () => {
+        it('should return a JSON 404 when the catway is not found', async () => {
+            req.params.id = 'someId';
+            sinon.stub(catwayService, 'getCatwayById').resolves(null);
+
+            await catwayController.getById(req, res);
+
+            expect(res.status.calledWith(404)).to.be.true;
+            expect(res.json.calledWith({ error: { status: 404, message: 'Catway non trouvé' } })).to.be.true;
+        });
+
+        it('should return a JSON 400 on a malformed ID', async () => {
+            req.params.id = 'invalidId';
+            const error = new Error('Invalid Id');
+            error.kind = 'ObjectId';
+            sinon.stub(catwayService, 'getCatwayById').throws(error);
+
+            await catwayController.getById(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.json.calledWith({ error: { status: 400, message: 'Entrez un identifiant valide' } })).to.be.true;
+        });
+    });
+
+    describe('add', () => {
+        it('should return 201 with the created catway', async () => {
+            req.body = { catwayNumber: 1, type: 'long', catwayState: 'good', boatName: 'Boat1', extra: 'ignored' };
+            const catway = { id: 'newId', boatName: 'Boat1' };
+            const stub = sinon.stub(catwayService, 'addCatway').resolves(catway);
+
+            await catwayController.add(req, res);
+
+            expect(stub.calledWith({ catwayNumber: 1, type: 'long', catwayState: 'good', boatName: 'Boat1' })).to.be.true;
+            expect(res.status.calledWith(201)).to.be.true;
+            expect(res.location.calledWith('/api/v1/catways/newId')).to.be.true;
+            expect(res.json.calledWith(catway)).to.be.true;
+        });
+
+        it('should return 422 with the invalid fields', async () => {
+            const error = new Error('Validation Error');
+            error.name = 'ValidationError';
+            error.errors = { boatName: { path: 'boatName', message: 'Boat name is required' } };
+            sinon.stub(catwayService, 'addCatway').throws(error);
+
+            await catwayController.add(req, res);
+
+            expect(res.status.calledWith(422)).to.be.true;
+            expect(res.json.calledWith({
+                error: { status: 422, message: 'Données invalides', details: [{ field: 'boatName', message: 'Boat name is required' }] }
+            })).to.be.true;
+        });
+
+        it('should return 409 on a duplicate catway number', async () => {
+            const error = new Error('Duplicate');
+            error.code = 11000;
+            error.keyValue = { catwayNumber: 1 };
+            sinon.stub(catwayService, 'addCatway').throws(error);
+
+            await catwayController.add(req, res);
+
+            expect(res.status.calledWith(409)).to.be.true;
+        });
+    });
+
+    describe('delete', () => {
+        it('should return 204 when the catway is deleted', async () => {
+            req.params.id = 'someId';
+            sinon.stub(catwayService, 'deleteCatway').resolves({ boatName: 'Boat1' });
+
+            await catwayController.delete(req, res);
+
+            expect(res.status.calledWith(204)).to.be.true;
+            expect(res.end.called).to.be.true;
+        });
+
+        it('should return 404 when the catway does not exist', async () => {
+            req.params.id = 'someId';
+            sinon.stub(catwayService, 'deleteCatway').resolves(null);
+
+            await catwayController.delete(req, res);
+
+            expect(res.status.calledWith(404)).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,169 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import reservationsController from '../controllers/api/v1/reservationsController.js';
+import reservationService from '../services/reservations.js';
+import catwayService from '../services/catways.js';
+
+describe('API Reservations Controller Tests', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            params: {},
+            query: {},
+            body: {},
+            baseUrl: '/api/v1',
+        };
+        res = {
+            status: sinon.stub().returnsThis(),
+            location: sinon.stub().returnsThis(),
+            set: sinon.stub().returnsThis(),
+            json: sinon.stub(),
+            end: sinon.stub(),
+        };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('getAllOfCatway', () => {
+        it('should return 200 with an empty array when the catway has no reservations', async () => {
+            req.params.id = 'valid_id';
+            sinon.stub(catwayService, 'getCatwayById').resolves({ catwayNumber: 123 });
+            const list = sinon.stub(reservationService, 'listReservations').resolves({ items: [], total: 0, page: 1, limit: 20, pages: 1 });
+
+            await reservationsController.getAllOfCatway(req, res);
+
+            expect(list.firstCall.args[1]).to.equal(123);
+            expect(res.status.calledWith(200)).to.be.true;
+            expect(res.json.calledWith([])).to.be.true;
+        });
+
+        it('should return a JSON 404 when the catway is not found', async () => {
+            req.params.id = 'invalid_id';
+            sinon.stub(catwayService, 'getCatwayById').resolves(null);
+
+            await reservationsController.getAllOfCatway(req, res);
+
+            expect(res.status.calledWith(404)).to.be.true;
+            expect(res.json.calledWith({ error: { status: 404, message: 'Catway non trouvé' } })).to.be.true;
+        });
+    });
+
+    describe('getById', () => {
+        it('should return 404 when the reservation belongs to another catway', async () => {
+            req.params = { id: 'catway_id', idReservation: 'reservation_id' };
+            sinon.stub(catwayService, 'getCatwayById').resolves({ catwayNumber: 123 });
+            sinon.stub(reservationService, 'getReservationById').resolves({ catwayNumber: 456 });
+
+            await reservationsController.getById(req, res);
+
+            expect(res.status.calledWith(404)).to.be.true;
+            expect(res.json.calledWith({ error: { status: 404, message: 'Réservation non trouvée' } })).to.be.true;
+        });
+
+        it('should return the reservation', async () => {
+            req.params = { id: 'catway_id', idReservation: 'reservation_id' };
+            const reservation = { catwayNumber: 123, clientName: 'John Doe' };
+            sinon.stub(catwayService, 'getCatwayById').resolves({ catwayNumber: 123 });
+            sinon.stub(reservationService, 'getReservationById').resolves(reservation);
+
+            await reservationsController.getById(req, res);
+
+            expect(res.status.calledWith(200)).to.be.true;
+            expect(res.json.calledWith(reservation)).to.be.true;
+        });
+    });
+
+    describe('add', () => {
+        it('should return 201 with the created reservation', async () => {
+            req.params.id = 'catway_id';
+            req.body = { clientName: 'John Doe', checkIn: '2030-01-01', checkOut: '2030-01-02' };
+            const reservation = { id: 'reservation_id', boatName: 'Boat 1' };
+            sinon.stub(catwayService, 'getCatwayById').resolves({ id: 'catway_id', catwayNumber: 123, boatName: 'Boat 1' });
+            const stub = sinon.stub(reservationService, 'creatReservation').resolves(reservation);
+
+            await reservationsController.add(req, res);
+
+            expect(stub.calledWith(sinon.match({ catwayNumber: 123, boatName: 'Boat 1', clientName: 'John Doe' }))).to.be.true;
+            expect(res.status.calledWith(201)).to.be.true;
+            expect(res.location.calledWith('/api/v1/catways/catway_id/reservations/reservation_id')).to.be.true;
+            expect(res.json.calledWith(reservation)).to.be.true;
+        });
+
+        it('should return 409 with the conflicting reservations', async () => {
+            req.params.id = 'catway_id';
+            const conflict = { id: 'other_id', catwayNumber: 123 };
+            sinon.stub(catwayService, 'getCatwayById').resolves({ id: 'catway_id', catwayNumber: 123, boatName: 'Boat 1' });
+            sinon.stub(reservationService, 'creatReservation').throws(new reservationService.ReservationConflictError([conflict]));
+
+            await reservationsController.add(req, res);
+
+            expect(res.status.calledWith(409)).to.be.true;
+            expect(res.json.calledWith({
+                error: { status: 409, message: 'La réservation chevauche une réservation existante', details: [conflict] }
+            })).to.be.true;
+        });
+
+        it('should return 503 asking to try again when the catway stays locked', async () => {
+            req.params.id = 'catway_id';
+            sinon.stub(catwayService, 'getCatwayById').resolves({ id: 'catway_id', catwayNumber: 123, boatName: 'Boat 1' });
+            sinon.stub(reservationService, 'creatReservation').rejects(new reservationService.CatwayLockedError(123));
+
+            await reservationsController.add(req, res);
+
+            expect(res.status.calledWith(503)).to.be.true;
+            expect(res.set.calledWith('Retry-After', '5')).to.be.true;
+            expect(res.json.firstCall.args[0].error.message).to.equal('Le catway 123 est en cours de réservation par quelqu\'un d\'autre, réessayez dans quelques instants');
+        });
+    });
+
+    describe('update', () => {
+        it('should move the reservation to the catway sent and return it', async () => {
+            req.params = { id: 'catway_id', idReservation: 'reservation_id' };
+            req.body = { catway: 'other_catway_id', checkOut: '2030-01-05' };
+            req.user = { _id: 'user_id' };
+            const updated = { id: 'reservation_id', catwayNumber: 124 };
+            const getCatway = sinon.stub(catwayService, 'getCatwayById');
+            getCatway.withArgs('catway_id').resolves({ catwayNumber: 123 });
+            getCatway.withArgs('other_catway_id').resolves({ catwayNumber: 124 });
+            sinon.stub(reservationService, 'getReservationById').resolves({ id: 'reservation_id', catwayNumber: 123 });
+            const stub = sinon.stub(reservationService, 'updateReservation').resolves(updated);
+
+            await reservationsController.update(req, res);
+
+            expect(stub.calledWith('reservation_id', sinon.match({ catwayNumber: 124, checkOut: '2030-01-05', checkIn: undefined }), req.user)).to.be.true;
+            expect(res.status.calledWith(200)).to.be.true;
+            expect(res.json.calledWith(updated)).to.be.true;
+        });
+
+        it('should return 409 when the reservation can no longer be edited', async () => {
+            req.params = { id: 'catway_id', idReservation: 'reservation_id' };
+            sinon.stub(catwayService, 'getCatwayById').resolves({ catwayNumber: 123 });
+            sinon.stub(reservationService, 'getReservationById').resolves({ id: 'reservation_id', catwayNumber: 123 });
+            sinon.stub(reservationService, 'updateReservation').rejects(new reservationService.ReservationNotEditableError('Une réservation annulée ne peut plus être modifiée'));
+
+            await reservationsController.update(req, res);
+
+            expect(res.status.calledWith(409)).to.be.true;
+            expect(res.json.calledWith({
+                error: { status: 409, message: 'Une réservation annulée ne peut plus être modifiée' }
+            })).to.be.true;
+        });
+    });
+
+    describe('delete', () => {
+        it('should return 204 when the reservation is deleted', async () => {
+            req.params = { id: 'catway_id', idReservation: 'reservation_id' };
+            sinon.stub(catwayService, 'getCatwayById').resolves({ catwayNumber: 123 });
+            sinon.stub(reservationService, 'getReservationById').resolves({ id: 'reservation_id', catwayNumber: 123 });
+            const stub = sinon.stub(reservationService, 'deleteReservation').resolves({});
+
+            await reservationsController.delete(req, res);
+
+            expect(stub.calledWith('reservation_id')).to.be.true;
+            expect(res.status.calledWith(204)).to.be.true;
+        });
+    });
+});
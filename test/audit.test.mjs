@@ -0,0 +1,116 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import auditService from '../services/audit.js';
+import AuditEntry from '../models/auditEntry.js';
+import Catway from '../models/catway.js';
+import User from '../models/user.js';
+
+describe('Audit Services Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('diff', () => {
+        it('should list the fields changed with their values before and after', () => {
+            const before = Catway.hydrate({ _id: '60c72b2f9f1b2c001c9a9e84', catwayNumber: 3, type: 'long', catwayState: 'available', boatName: 'Poseidon' });
+            const after = Catway.hydrate({ _id: '60c72b2f9f1b2c001c9a9e84', catwayNumber: 3, type: 'long', catwayState: 'maintenance', boatName: 'Poseidon' });
+
+            expect(auditService.diff(before, after)).to.deep.equal([
+                { field: 'catwayState', from: 'available', to: 'maintenance' }
+            ]);
+        });
+
+        it('should compare nested fields and dates by value', () => {
+            const before = { checkOut: new Date('2030-07-05'), extras: { electricity: false, water: false } };
+            const after = { checkOut: new Date('2030-07-05'), extras: { electricity: true, water: false } };
+
+            expect(auditService.diff(before, after)).to.deep.equal([
+                { field: 'extras.electricity', from: false, to: true }
+            ]);
+        });
+
+        it('should list every field of a new record, leaving out the bookkeeping ones', () => {
+            const changes = auditService.diff(null, { _id: 'k3', catwayNumber: 3, createdAt: new Date(), __v: 0 });
+
+            expect(changes).to.deep.equal([{ field: 'catwayNumber', from: null, to: 3 }]);
+        });
+
+        it('should never write a password in the log', () => {
+            const before = User.hydrate({ name: 'Alice', email: 'alice@example.com', password: 'old-hash', passwordResetTokenHash: 'abc' });
+            const after = User.hydrate({ name: 'Alice', email: 'alice@example.com', password: 'new-hash' });
+
+            expect(auditService.diff(before, after)).to.deep.equal([
+                { field: 'password', from: '••••••', to: '••••••' }
+            ]);
+        });
+    });
+
+    describe('record', () => {
+        it('should log the user, the record and the changes', async () => {
+            const create = sinon.stub(AuditEntry, 'create').resolves({});
+
+            await auditService.record({
+                user: { _id: 'u1', name: 'Alice' },
+                action: 'update',
+                entity: 'catway',
+                before: { _id: 'k3', catwayNumber: 3, catwayState: 'available' },
+                after: { _id: 'k3', catwayNumber: 3, catwayState: 'occupied' }
+            });
+
+            expect(create.firstCall.args[0]).to.deep.equal({
+                user: 'u1',
+                userName: 'Alice',
+                action: 'update',
+                entity: 'catway',
+                entityId: 'k3',
+                label: 'Catway 3',
+                changes: [{ field: 'catwayState', from: 'available', to: 'occupied' }]
+            });
+        });
+
+        it('should not log an update that changes nothing', async () => {
+            const create = sinon.stub(AuditEntry, 'create');
+            const catway = { _id: 'k3', catwayNumber: 3 };
+
+            expect(await auditService.record({ action: 'update', entity: 'catway', before: catway, after: { ...catway } })).to.be.null;
+            expect(create.called).to.be.false;
+        });
+
+        it('should log a purge from the record before it was deleted', async () => {
+            const create = sinon.stub(AuditEntry, 'create').resolves({});
+
+            await auditService.record({ action: 'purge', entity: 'user', before: { _id: 'u2', name: 'Bob', email: 'bob@example.com' }, after: null });
+
+            expect(create.firstCall.args[0]).to.include({ entityId: 'u2', label: 'Bob <bob@example.com>' });
+        });
+
+        it('should not undo the write when the entry cannot be saved', async () => {
+            sinon.stub(AuditEntry, 'create').rejects(new Error('Database down'));
+            sinon.stub(console, 'error');
+
+            const entry = await auditService.record({ action: 'create', entity: 'catway', before: null, after: { _id: 'k3', catwayNumber: 3 } });
+
+            expect(entry).to.be.null;
+            expect(console.error.calledOnce).to.be.true;
+        });
+    });
+
+    describe('parseAuditQuery', () => {
+        it('should turn the filters into a query, the last day included', () => {
+            const { filters, errors } = auditService.parseAuditQuery({ entity: 'reservation', action: 'delete', from: '2025-06-01', to: '2025-06-30' });
+
+            expect(errors).to.be.empty;
+            expect(filters).to.deep.equal({
+                entity: 'reservation',
+                action: 'delete',
+                createdAt: { $gte: new Date('2025-06-01'), $lt: new Date('2025-07-01') }
+            });
+        });
+
+        it('should reject unknown values', () => {
+            const { errors } = auditService.parseAuditQuery({ entity: 'tariff', user: 'nope', from: 'yesterday' });
+
+            expect(errors).to.have.lengthOf(3);
+        });
+    });
+});
@@ -0,0 +1,64 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import auditController from '../controllers/auditController.js';
+import auditService from '../services/audit.js';
+
+describe('Audit Controller Tests', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            params: {},
+            query: {},
+            body: {},
+            user: { role: 'admin' }
+        };
+        res = {
+            status: sinon.stub().returnsThis(),
+            render: sinon.stub(),
+            json: sinon.stub(),
+            attachment: sinon.stub()
+        };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('getAll', () => {
+        it('should render the entries matching the filters', async () => {
+            req.query = { entity: 'catway' };
+            const entries = [{ action: 'update', entity: 'catway', changes: [] }];
+            const getEntries = sinon.stub(auditService, 'getEntries').resolves(entries);
+
+            await auditController.getAll(req, res);
+
+            expect(getEntries.calledWith({ entity: 'catway' })).to.be.true;
+            expect(res.render.firstCall.args[0]).to.equal('audit/list');
+            expect(res.render.firstCall.args[1]).to.include({ entries, query: req.query });
+        });
+
+        it('should return 400 on invalid filters', async () => {
+            req.query = { action: 'explode' };
+            const getEntries = sinon.stub(auditService, 'getEntries');
+
+            await auditController.getAll(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['explode n\'est pas une action valide'] })).to.be.true;
+            expect(getEntries.called).to.be.false;
+        });
+    });
+
+    describe('export', () => {
+        it('should send the entries as a JSON file', async () => {
+            const entries = [{ action: 'create' }];
+            sinon.stub(auditService, 'getEntries').resolves(entries);
+
+            await auditController.export(req, res);
+
+            expect(res.attachment.calledWith('journal-audit.json')).to.be.true;
+            expect(res.json.calledWith(entries)).to.be.true;
+        });
+    });
+});
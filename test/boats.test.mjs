@@ -0,0 +1,50 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import boatService from '../services/boats.js';
+import Catway from '../models/catway.js';
+
+describe('Boats Services Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('getFitProblems', () => {
+        const boat = { name: 'The Odyssey', length: 14, draft: 2.1 };
+
+        it('should use the length limit of the catway type', () => {
+            expect(boatService.getFitProblems(boat, { catwayNumber: 3, type: 'short' })).to.deep.equal([
+                'Le bateau The Odyssey mesure 14 m, le catway 3 accepte 12 m au plus'
+            ]);
+            expect(boatService.getFitProblems(boat, { catwayNumber: 4, type: 'long' })).to.deep.equal([]);
+        });
+
+        it('should prefer the limits set on the catway', () => {
+            const catway = { catwayNumber: 4, type: 'long', maxLength: 13, maxDraft: 1.8 };
+
+            expect(boatService.getFitProblems(boat, catway)).to.deep.equal([
+                'Le bateau The Odyssey mesure 14 m, le catway 4 accepte 13 m au plus',
+                "Le bateau The Odyssey a un tirant d'eau de 2.1 m, le catway 4 accepte 1.8 m au plus"
+            ]);
+        });
+    });
+
+    describe('assertBoatFitsCatway', () => {
+        it('should throw a BoatDoesNotFitError when the boat is too long', async () => {
+            sinon.stub(Catway, 'findOne').resolves({ catwayNumber: 3, type: 'short' });
+
+            try {
+                await boatService.assertBoatFitsCatway({ name: 'The Odyssey', length: 14 }, 3);
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(boatService.BoatDoesNotFitError);
+                expect(error.problems).to.have.lengthOf(1);
+            }
+        });
+
+        it('should accept a boat that fits', async () => {
+            sinon.stub(Catway, 'findOne').resolves({ catwayNumber: 3, type: 'short' });
+
+            await boatService.assertBoatFitsCatway({ name: 'Sea Breeze', length: 9 }, 3);
+        });
+    });
+});
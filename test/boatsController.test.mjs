@@ -0,0 +1,78 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import boatsController from '../controllers/boatsController.js';
+import boatService from '../services/boats.js';
+import customerService from '../services/customers.js';
+
+describe('Boats Controller Tests', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            params: {},
+            query: {},
+            body: {},
+        };
+        res = {
+            status: sinon.stub().returnsThis(),
+            render: sinon.stub(),
+            json: sinon.stub(),
+            redirect: sinon.stub(),
+        };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('renderAddForm', () => {
+        it('should render the form with the owner to preselect', async () => {
+            req.query.owner = 'c1';
+            const customers = [{ id: 'c1', name: 'John Doe' }];
+            sinon.stub(customerService, 'getAllCustomers').resolves(customers);
+
+            await boatsController.renderAddForm(req, res);
+
+            expect(res.render.calledWith('boats/add', { customers, owner: 'c1' })).to.be.true;
+        });
+    });
+
+    describe('add', () => {
+        it('should register the boat without the empty fields and redirect to its page', async () => {
+            req.body = { name: 'The Odyssey', registrationNumber: '', length: '11.5', draft: '1.9', owner: '' };
+            const addBoat = sinon.stub(boatService, 'addBoat').resolves({ id: 'b1', name: 'The Odyssey' });
+
+            await boatsController.add(req, res);
+
+            const data = addBoat.firstCall.args[0];
+            expect(data).to.include({ name: 'The Odyssey', length: '11.5', draft: '1.9' });
+            expect(data.registrationNumber).to.be.undefined;
+            expect(data.owner).to.be.undefined;
+            expect(res.redirect.calledWith('/boats/b1?message=Le bateau The Odyssey a été enregistré avec succès')).to.be.true;
+        });
+
+        it('should refuse a registration number already used', async () => {
+            req.body = { name: 'The Odyssey', registrationNumber: 'MA123456', length: '11.5' };
+            const error = new Error('Duplicate key');
+            error.code = 11000;
+            sinon.stub(boatService, 'addBoat').rejects(error);
+
+            await boatsController.add(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ["Ce numéro d'immatriculation existe déjà"] })).to.be.true;
+        });
+    });
+
+    describe('delete', () => {
+        it('should refuse to delete a boat that still has reservations', async () => {
+            req.params.id = 'b1';
+            sinon.stub(boatService, 'deleteBoat').rejects(new boatService.BoatHasReservationsError(1));
+
+            await boatsController.delete(req, res);
+
+            expect(res.status.calledWith(409)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ["Ce bateau a encore 1 réservation(s), corbeille comprise : supprimez-les définitivement d'abord"] })).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,77 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import calendarService from '../services/calendar.js';
+import reservationService from '../services/reservations.js';
+import Catway from '../models/catway.js';
+
+describe('Calendar Services Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('parseCalendarQuery', () => {
+        it('should show 8 weeks from the Monday of the day asked for by default', () => {
+            const period = calendarService.parseCalendarQuery({ from: '2030-07-10' });
+
+            expect(period).to.deep.equal({
+                from: new Date('2030-07-08'),
+                to: new Date('2030-09-02'),
+                scale: 'week',
+                catwayNumber: undefined,
+                errors: []
+            });
+        });
+
+        it('should show 14 days or 6 months from the day or the month asked for', () => {
+            const days = calendarService.parseCalendarQuery({ scale: 'day', from: '2030-07-10' });
+            const months = calendarService.parseCalendarQuery({ scale: 'month', from: '2030-11-20' });
+
+            expect([days.from, days.to]).to.deep.equal([new Date('2030-07-10'), new Date('2030-07-24')]);
+            expect([months.from, months.to]).to.deep.equal([new Date('2030-11-01'), new Date('2031-05-01')]);
+        });
+
+        it('should list what is wrong with the query', () => {
+            const period = calendarService.parseCalendarQuery({ scale: 'year', from: 'soon', catway: 'A' });
+
+            expect(period.errors).to.deep.equal([
+                'L\'échelle (scale) doit être \'day\', \'week\' ou \'month\'',
+                'La date de début (from) doit être valide',
+                'Le numéro de catway doit être un entier'
+            ]);
+        });
+    });
+
+    describe('getCalendar', () => {
+        it('should place the reservations of each catway as bars cut at the edges of the period', async () => {
+            const catways = [{ id: 'k1', catwayNumber: 1 }, { id: 'k2', catwayNumber: 2 }];
+            const find = sinon.stub(Catway, 'find').returns({ sort: sinon.stub().resolves(catways) });
+            const early = { catwayNumber: 1, checkIn: new Date('2030-07-05'), checkOut: new Date('2030-07-12') };
+            const late = { catwayNumber: 1, checkIn: new Date('2030-07-20T14:00:00Z'), checkOut: new Date('2030-07-30') };
+            const between = sinon.stub(reservationService, 'getReservationsBetween').resolves([early, late]);
+
+            const calendar = await calendarService.getCalendar(calendarService.parseCalendarQuery({ scale: 'day', from: '2030-07-10' }));
+
+            expect(find.calledWith({})).to.be.true;
+            expect(between.calledWith(new Date('2030-07-10'), new Date('2030-07-24'), [1, 2])).to.be.true;
+            expect(calendar.days).to.equal(14);
+            expect(calendar.columns).to.have.lengthOf(14);
+            expect(calendar.columns[0]).to.deep.equal({ label: 'mer. 10/07', days: 1 });
+            expect(calendar.rows[0].bars).to.deep.equal([
+                { reservation: early, start: 0, end: 2, continuesBefore: true, continuesAfter: false },
+                { reservation: late, start: 10, end: 14, continuesBefore: false, continuesAfter: true }
+            ]);
+            expect(calendar.rows[1].bars).to.be.empty;
+            expect([calendar.previous, calendar.next]).to.deep.equal([new Date('2030-06-26'), new Date('2030-07-24')]);
+        });
+
+        it('should have one column per month, as long as the month', async () => {
+            sinon.stub(Catway, 'find').returns({ sort: sinon.stub().resolves([]) });
+            sinon.stub(reservationService, 'getReservationsBetween').resolves([]);
+
+            const calendar = await calendarService.getCalendar(calendarService.parseCalendarQuery({ scale: 'month', from: '2030-01-15' }));
+
+            expect(calendar.columns.map(column => column.days)).to.deep.equal([31, 28, 31, 30, 31, 30]);
+            expect(calendar.columns[0].label).to.equal('janvier 2030');
+        });
+    });
+});
@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mongoose from 'mongoose';
+import calendarFeedService from '../services/calendarFeeds.js';
+import reservationService from '../services/reservations.js';
+import CalendarFeed from '../models/calendarFeed.js';
+import Catway from '../models/catway.js';
+import Reservation from '../models/reservation.js';
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+// An .ics file holding the events given as lists of content lines
+const calendar = (...events) => ['BEGIN:VCALENDAR', ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']), 'END:VCALENDAR'].join('\r\n');
+
+describe('Calendar Feeds Services Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('createFeed', () => {
+        it('should store the hash of the token only, and name the feed after its catway', async () => {
+            sinon.stub(CalendarFeed.prototype, 'save').callsFake(function() { return Promise.resolve(this); });
+            const user = { _id: new mongoose.Types.ObjectId() };
+
+            const { feed, token } = await calendarFeedService.createFeed({ kind: 'catway', catwayNumber: '12', customer: 'ignored' }, user);
+
+            expect(token).to.match(/^[0-9a-f]{64}$/);
+            expect(feed.tokenHash).to.equal(sha256(token));
+            expect(feed.label).to.equal('Catway 12');
+            expect(feed.catwayNumber).to.equal(12);
+            expect(feed.customer).to.be.undefined;
+            expect(feed.createdBy.equals(user._id)).to.be.true;
+        });
+
+        it('should give each feed its own token', async () => {
+            sinon.stub(CalendarFeed.prototype, 'save').callsFake(function() { return Promise.resolve(this); });
+
+            const first = await calendarFeedService.createFeed({ kind: 'movements', label: ' Capitainerie ' });
+            const second = await calendarFeedService.createFeed({ kind: 'movements' });
+
+            expect(first.token).to.not.equal(second.token);
+            expect(first.feed.label).to.equal('Capitainerie');
+            expect(second.feed.label).to.equal('Arrivées et départs du port');
+        });
+    });
+
+    describe('getFeedByToken', () => {
+        it('should look the feed up by the hash of its token, among the ones not revoked', async () => {
+            const feed = { kind: 'movements' };
+            const findOne = sinon.stub(CalendarFeed, 'findOne').resolves(feed);
+
+            expect(await calendarFeedService.getFeedByToken('abc')).to.equal(feed);
+            expect(findOne.firstCall.args[0]).to.deep.equal({ tokenHash: sha256('abc'), revokedAt: null });
+        });
+
+        it('should not look up a missing token', async () => {
+            const findOne = sinon.stub(CalendarFeed, 'findOne');
+
+            expect(await calendarFeedService.getFeedByToken(undefined)).to.be.null;
+            expect(findOne.called).to.be.false;
+        });
+    });
+
+    describe('revokeFeed', () => {
+        it('should only revoke a feed not revoked yet', async () => {
+            const update = sinon.stub(CalendarFeed, 'findOneAndUpdate').resolves(null);
+
+            expect(await calendarFeedService.revokeFeed('f1')).to.be.null;
+            expect(update.firstCall.args[0]).to.deep.equal({ _id: 'f1', revokedAt: null });
+            expect(update.firstCall.args[1].revokedAt).to.be.an.instanceOf(Date);
+        });
+    });
+
+    describe('buildFeed', () => {
+        const now = new Date('2025-06-15T10:00:00Z');
+        const reservation = {
+            id: 'r1',
+            catwayNumber: 12,
+            clientName: 'Hélène Dupont',
+            boatName: 'Sea Bird',
+            checkIn: new Date('2025-06-20'),
+            checkOut: new Date('2025-06-27'),
+            status: 'pending'
+        };
+
+        it('should hold the stays on the catway of a catway feed and note the reading', async () => {
+            const find = sinon.stub(Reservation, 'find').returns({ sort: sinon.stub().resolves([reservation]) });
+            const updateOne = sinon.stub(CalendarFeed, 'updateOne').resolves();
+
+            const text = await calendarFeedService.buildFeed({ _id: 'f1', kind: 'catway', catwayNumber: 12, label: 'Catway 12' }, now);
+
+            expect(find.firstCall.args[0]).to.deep.include({ catwayNumber: 12, status: { $nin: Reservation.RELEASED_STATUSES } });
+            expect(find.firstCall.args[0].checkOut.$gte.toISOString()).to.equal('2025-03-17T10:00:00.000Z');
+            expect(text).to.include('UID:r1@port-de-plaisance\r\n');
+            expect(text).to.include('DTSTART;VALUE=DATE:20250620\r\n');
+            expect(text).to.include('DTEND;VALUE=DATE:20250627\r\n');
+            expect(text).to.include('SUMMARY:Hélène Dupont - Sea Bird\r\n');
+            expect(text).to.include('STATUS:TENTATIVE\r\n');
+            expect(updateOne.calledWith({ _id: 'f1' }, { lastReadAt: now })).to.be.true;
+        });
+
+        it('should hold an event for each arrival and departure in the movements feed', async () => {
+            const find = sinon.stub(Reservation, 'find').returns({ sort: sinon.stub().resolves([{ ...reservation, status: 'confirmed' }]) });
+            sinon.stub(CalendarFeed, 'updateOne').resolves();
+
+            const text = await calendarFeedService.buildFeed({ _id: 'f1', kind: 'movements', label: 'Port' }, now);
+
+            expect(find.firstCall.args[0]).to.not.have.any.keys('catwayNumber', 'customer');
+            expect(text).to.include('UID:r1-arrival@port-de-plaisance\r\nDTSTAMP:20250615T100000Z\r\nDTSTART;VALUE=DATE:20250620\r\nDTEND;VALUE=DATE:20250621\r\n');
+            expect(text).to.include('UID:r1-departure@port-de-plaisance\r\nDTSTAMP:20250615T100000Z\r\nDTSTART;VALUE=DATE:20250627\r\nDTEND;VALUE=DATE:20250628\r\n');
+            expect(text).to.include('SUMMARY:Arrivée : Hélène Dupont - Sea Bird (catway 12)');
+        });
+
+        it('should hold the stays of the customer of a customer feed', async () => {
+            const customer = new mongoose.Types.ObjectId();
+            const find = sinon.stub(Reservation, 'find').returns({ sort: sinon.stub().resolves([]) });
+            sinon.stub(CalendarFeed, 'updateOne').resolves();
+
+            await calendarFeedService.buildFeed({ _id: 'f1', kind: 'customer', customer, label: 'Client' }, now);
+
+            expect(find.firstCall.args[0].customer).to.equal(customer);
+        });
+    });
+
+    describe('importCalendar', () => {
+        // Catway 40 is in the trash; catways above 40 do not exist
+        beforeEach(() => {
+            sinon.stub(Catway, 'exists').callsFake(filter => Promise.resolve(
+                filter.deletedAt ? (filter.catwayNumber === 40 ? { _id: 'c40' } : null) : (filter.catwayNumber < 40 ? { _id: 'c' } : null)
+            ));
+        });
+
+        it('should not import the events on a catway that does not exist or is in the trash', async () => {
+            const create = sinon.stub(reservationService, 'creatReservation');
+
+            const report = await calendarFeedService.importCalendar(calendar(
+                ['UID:a', 'DTSTART;VALUE=DATE:20300601', 'SUMMARY:Jean Dupont - Sea Bird', 'LOCATION:Catway 99'],
+                ['UID:b', 'DTSTART;VALUE=DATE:20300701', 'SUMMARY:Jean Dupont - Sea Bird', 'LOCATION:Catway 40']
+            ));
+
+            expect(report.map(line => line.status)).to.deep.equal(['invalid', 'invalid']);
+            expect(report[0].messages).to.deep.equal(['Le catway 99 n\'existe pas']);
+            expect(report[1].messages).to.deep.equal(['Le catway 40 est dans la corbeille']);
+            expect(create.called).to.be.false;
+        });
+
+        it('should check the default catway too', async () => {
+            const create = sinon.stub(reservationService, 'creatReservation');
+
+            const report = await calendarFeedService.importCalendar(calendar(['DTSTART;VALUE=DATE:20300601', 'SUMMARY:Jean Dupont - Sea Bird']), 77);
+
+            expect(report[0].messages).to.deep.equal(['Le catway 77 n\'existe pas']);
+            expect(create.called).to.be.false;
+        });
+
+        it('should create a reservation from each event', async () => {
+            const created = { _id: 'r1', catwayNumber: 12 };
+            const create = sinon.stub(reservationService, 'creatReservation').resolves(created);
+            const user = { _id: 'u1' };
+
+            const report = await calendarFeedService.importCalendar(calendar([
+                'UID:ext-1',
+                'DTSTART;VALUE=DATE:20300601',
+                'DTEND;VALUE=DATE:20300608',
+                'SUMMARY:Jean Dupont - Sea Bird',
+                'LOCATION:Ponton A\\, catway 12'
+            ]), undefined, user);
+
+            expect(create.firstCall.args[0]).to.deep.equal({
+                catwayNumber: 12,
+                clientName: 'Jean Dupont',
+                boatName: 'Sea Bird',
+                checkIn: new Date('2030-06-01'),
+                checkOut: new Date('2030-06-08')
+            });
+            expect(create.firstCall.args[1]).to.equal(user);
+            expect(report).to.have.length(1);
+            expect(report[0]).to.include({ uid: 'ext-1', status: 'created', reservation: created });
+        });
+
+        it('should prefer the client and boat properties, the default catway and a one-night stay', async () => {
+            const create = sinon.stub(reservationService, 'creatReservation').resolves({});
+
+            await calendarFeedService.importCalendar(calendar([
+                'DTSTART:20300601T140000Z',
+                'SUMMARY:Séjour',
+                'X-CLIENT-NAME:Jean Dupont',
+                'X-BOAT-NAME:Sea - Bird'
+            ]), 7);
+
+            expect(create.firstCall.args[0]).to.deep.equal({
+                catwayNumber: 7,
+                clientName: 'Jean Dupont',
+                boatName: 'Sea - Bird',
+                checkIn: new Date('2030-06-01'),
+                checkOut: new Date('2030-06-02')
+            });
+        });
+
+        it('should report the conflicts, the invalid and the cancelled events and go on', async () => {
+            const conflict = new reservationService.ReservationConflictError([
+                { id: 'r9', catwayNumber: 12, clientName: 'Marie Curie', checkIn: new Date('2030-06-01'), checkOut: new Date('2030-06-10') }
+            ]);
+            const invalid = new mongoose.Error.ValidationError();
+            invalid.addError('boatName', new mongoose.Error.ValidatorError({ message: 'Le nom du bateau est obligatoire' }));
+            const create = sinon.stub(reservationService, 'creatReservation');
+            create.onFirstCall().rejects(conflict);
+            create.onSecondCall().rejects(invalid);
+            create.onThirdCall().resolves({});
+
+            const report = await calendarFeedService.importCalendar(calendar(
+                ['UID:a', 'DTSTART;VALUE=DATE:20300601', 'SUMMARY:Jean Dupont - Sea Bird', 'LOCATION:Catway 12'],
+                ['UID:b', 'DTSTART;VALUE=DATE:20300701', 'SUMMARY:Jean Dupont', 'LOCATION:Catway 12'],
+                ['UID:c', 'DTSTART;VALUE=DATE:20300801', 'SUMMARY:Jean Dupont - Sea Bird', 'STATUS:CANCELLED', 'LOCATION:Catway 12'],
+                ['UID:d', 'SUMMARY:Jean Dupont - Sea Bird', 'LOCATION:Catway 12'],
+                ['UID:e', 'DTSTART;VALUE=DATE:20300901', 'SUMMARY:Jean Dupont - Sea Bird'],
+                ['UID:f', 'DTSTART;VALUE=DATE:20301001', 'SUMMARY:Jean Dupont - Sea Bird', 'LOCATION:Catway 12']
+            ));
+
+            expect(report.map(line => line.status)).to.deep.equal(['conflict', 'invalid', 'skipped', 'invalid', 'invalid', 'created']);
+            expect(report[0].messages[0]).to.include('déjà réservé par Marie Curie').and.include('réservation r9');
+            expect(report[1].messages).to.deep.equal(['Le nom du bateau est obligatoire']);
+            expect(report[4].messages[0]).to.include('catway');
+            expect(create.callCount).to.equal(3);
+        });
+
+        it('should let unexpected errors through', async () => {
+            sinon.stub(reservationService, 'creatReservation').rejects(new Error('db down'));
+
+            let caught;
+            try {
+                await calendarFeedService.importCalendar(calendar(['DTSTART;VALUE=DATE:20300601', 'SUMMARY:A - B', 'LOCATION:Catway 1']));
+            } catch (error) {
+                caught = error;
+            }
+
+            expect(caught.message).to.equal('db down');
+        });
+    });
+});
@@ -0,0 +1,170 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mongoose from 'mongoose';
+import calendarsController from '../controllers/calendarsController.js';
+import calendarFeedService from '../services/calendarFeeds.js';
+import catwayService from '../services/catways.js';
+import customerService from '../services/customers.js';
+import icalService from '../services/ical.js';
+
+describe('Calendars Controller Tests', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            params: {},
+            query: {},
+            body: {},
+            headers: {},
+            originalUrl: '/calendars',
+            protocol: 'https',
+            get: sinon.stub().withArgs('host').returns('port.example'),
+            user: { _id: 'u1', role: 'admin' }
+        };
+        res = {
+            status: sinon.stub().returnsThis(),
+            type: sinon.stub().returnsThis(),
+            set: sinon.stub().returnsThis(),
+            render: sinon.stub(),
+            json: sinon.stub(),
+            send: sinon.stub(),
+            redirect: sinon.stub()
+        };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('getFeed', () => {
+        it('should send the .ics file of the feed', async () => {
+            req.params.token = 'abc';
+            const feed = { kind: 'movements' };
+            sinon.stub(calendarFeedService, 'getFeedByToken').withArgs('abc').resolves(feed);
+            sinon.stub(calendarFeedService, 'buildFeed').withArgs(feed).resolves('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+
+            await calendarsController.getFeed(req, res);
+
+            expect(res.status.calledWith(200)).to.be.true;
+            expect(res.type.calledWith('text/calendar; charset=utf-8')).to.be.true;
+            expect(res.send.calledWith('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n')).to.be.true;
+        });
+
+        it('should answer 404 for an unknown or revoked token', async () => {
+            req.params.token = 'nope';
+            sinon.stub(calendarFeedService, 'getFeedByToken').resolves(null);
+            const build = sinon.stub(calendarFeedService, 'buildFeed');
+
+            await calendarsController.getFeed(req, res);
+
+            expect(res.status.calledWith(404)).to.be.true;
+            expect(build.called).to.be.false;
+        });
+    });
+
+    describe('create', () => {
+        it('should show the URL of the new feed once', async () => {
+            req.body = { kind: 'catway', catwayNumber: '12' };
+            const feed = { label: 'Catway 12' };
+            const create = sinon.stub(calendarFeedService, 'createFeed').resolves({ feed, token: 'abc' });
+            sinon.stub(calendarFeedService, 'listFeeds').resolves([feed]);
+            sinon.stub(catwayService, 'getAllCatways').resolves([]);
+            sinon.stub(customerService, 'getAllCustomers').resolves([]);
+
+            await calendarsController.create(req, res);
+
+            expect(create.calledWith(req.body, req.user)).to.be.true;
+            expect(res.status.calledWith(201)).to.be.true;
+            expect(res.render.firstCall.args[0]).to.equal('calendars/list');
+            expect(res.render.firstCall.args[1].created).to.deep.equal({ feed, url: 'https://port.example/calendars/abc.ics' });
+        });
+
+        it('should answer the feed and its URL as JSON to API clients', async () => {
+            req.headers.authorization = 'Bearer token';
+            const feed = { label: 'Arrivées et départs du port' };
+            sinon.stub(calendarFeedService, 'createFeed').resolves({ feed, token: 'abc' });
+
+            await calendarsController.create(req, res);
+
+            expect(res.status.calledWith(201)).to.be.true;
+            expect(res.json.calledWith({ feed, url: 'https://port.example/calendars/abc.ics' })).to.be.true;
+        });
+
+        it('should render the validation errors', async () => {
+            const error = new mongoose.Error.ValidationError();
+            error.addError('catwayNumber', new mongoose.Error.ValidatorError({ message: 'Catway non trouvé' }));
+            sinon.stub(calendarFeedService, 'createFeed').rejects(error);
+
+            await calendarsController.create(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Catway non trouvé'] })).to.be.true;
+        });
+    });
+
+    describe('revoke', () => {
+        it('should revoke the feed and go back to the list', async () => {
+            req.params.id = 'f1';
+            sinon.stub(calendarFeedService, 'revokeFeed').withArgs('f1').resolves({ label: 'Catway 12' });
+
+            await calendarsController.revoke(req, res);
+
+            expect(res.redirect.firstCall.args[0]).to.equal('/calendars?message=Le calendrier « Catway 12 » est révoqué');
+        });
+
+        it('should answer 404 when the feed is unknown or already revoked', async () => {
+            req.params.id = 'f1';
+            sinon.stub(calendarFeedService, 'revokeFeed').resolves(null);
+
+            await calendarsController.revoke(req, res);
+
+            expect(res.status.calledWith(404)).to.be.true;
+        });
+    });
+
+    describe('import', () => {
+        it('should import the text of the form and render the report', async () => {
+            req.body = { calendar: 'BEGIN:VCALENDAR', catwayNumber: '7' };
+            const report = [{ status: 'created', messages: [] }, { status: 'conflict', messages: ['Le catway 7 est déjà réservé'] }];
+            const importCalendar = sinon.stub(calendarFeedService, 'importCalendar').resolves(report);
+
+            await calendarsController.import(req, res);
+
+            expect(importCalendar.calledWith('BEGIN:VCALENDAR', 7, req.user)).to.be.true;
+            expect(res.render.firstCall.args[0]).to.equal('calendars/importReport');
+            expect(res.render.firstCall.args[1]).to.include({ report, created: 1 });
+        });
+
+        it('should import the file uploaded with the form', async () => {
+            req.file = { originalname: 'port.ics', buffer: Buffer.from('BEGIN:VCALENDAR') };
+            req.body = { catwayNumber: '' };
+            const importCalendar = sinon.stub(calendarFeedService, 'importCalendar').resolves([]);
+
+            await calendarsController.import(req, res);
+
+            expect(importCalendar.calledWith('BEGIN:VCALENDAR', undefined, req.user)).to.be.true;
+            expect(res.render.firstCall.args[0]).to.equal('calendars/importReport');
+        });
+
+        it('should import a text/calendar body and answer the report as JSON to API clients', async () => {
+            req.headers.authorization = 'Bearer token';
+            req.body = 'BEGIN:VCALENDAR';
+            const importCalendar = sinon.stub(calendarFeedService, 'importCalendar').resolves([]);
+
+            await calendarsController.import(req, res);
+
+            expect(importCalendar.calledWith('BEGIN:VCALENDAR', undefined)).to.be.true;
+            expect(res.json.calledWith({ created: 0, report: [] })).to.be.true;
+        });
+
+        it('should answer 400 when the text is not a calendar', async () => {
+            req.body = { calendar: 'hello' };
+            sinon.stub(calendarFeedService, 'importCalendar').rejects(new icalService.InvalidCalendarError('Le fichier n\'est pas un calendrier iCalendar (.ics)'));
+
+            await calendarsController.import(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.firstCall.args[1].errors).to.deep.equal(['Le fichier n\'est pas un calendrier iCalendar (.ics)']);
+        });
+    });
+});
@@ -1,7 +1,12 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ejs from 'ejs';
 import { expect } from 'chai';
 import sinon from 'sinon';
 import catwayController from '../controllers/catwaysController.js';
 import catwayService from '../services/catways.js';
+import reservationService from '../services/reservations.js';
+import exportService from '../services/exports.js';
 
 
 describe('Catway Controller Tests', () => {
@@ -30,25 +35,39 @@ describe('Catway Controller Tests', () => {
 
     describe('getAll', () => {
         it('should return 404 when no catways are found', async () => {
-            sinon.stub(catwayService, 'getAllCatways').resolves([]);
+            sinon.stub(catwayService, 'listCatways').resolves({ items: [], total: 0, page: 1, limit: 20, pages: 1 });
             
             await catwayController.getAll(req, res);
 
             expect(res.status.calledWith(404)).to.be.true;
-            expect(res.render.calledWith('catways/list', { catways: [], message: req.query.message + "<br>Aucun catway trouvée" })).to.be.true;
+            expect(res.render.firstCall.args[0]).to.equal('catways/list');
+            expect(res.render.firstCall.args[1]).to.include({ message: req.query.message + "<br>Aucun catway trouvée" });
+            expect(res.render.firstCall.args[1].catways).to.be.empty;
         });
 
         it('should return catways when they are found', async () => {
             const catways = [{ id: 1, catwayNumber: 123 }];
-            sinon.stub(catwayService, 'getAllCatways').resolves(catways);
+            sinon.stub(catwayService, 'listCatways').resolves({ items: catways, total: 1, page: 1, limit: 20, pages: 1 });
 
             await catwayController.getAll(req, res);
 
-            expect(res.render.calledWith('catways/list', { catways, message: undefined })).to.be.true;
+            expect(res.render.firstCall.args[1]).to.include({ catways, message: undefined });
+            expect(res.render.firstCall.args[1].pagination).to.deep.equal({ total: 1, page: 1, pages: 1, limit: 20, prev: null, next: null });
+        });
+
+        it('should return 400 on an unknown catway type', async () => {
+            req.query = { type: 'medium' };
+            const list = sinon.stub(catwayService, 'listCatways');
+
+            await catwayController.getAll(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Le type de catway doit être \'long\' ou \'short\''] })).to.be.true;
+            expect(list.called).to.be.false;
         });
 
         it('should handle internal server error', async () => {
-            sinon.stub(catwayService, 'getAllCatways').throws(new Error('Error'));
+            sinon.stub(catwayService, 'listCatways').throws(new Error('Error'));
 
             await catwayController.getAll(req, res);
 
@@ -68,14 +87,18 @@ describe('Catway Controller Tests', () => {
             expect(res.render.calledWith('error/error', { errors: ['Catway non trouvé'] })).to.be.true;
         });
 
-        it('should return catway when found', async () => {
+        it('should return catway when found, with its reservation timeline', async () => {
             req.params.id = 'someId';
-            const catway = { id: 'someId', boatName: 'Boat1' };
+            const catway = { id: 'someId', catwayNumber: 7, boatName: 'Boat1' };
+            const timeline = [{ id: 'r1', catwayNumber: 7 }];
             sinon.stub(catwayService, 'getCatwayById').resolves(catway);
+            const getCatwayTimeline = sinon.stub(reservationService, 'getCatwayTimeline').resolves(timeline);
 
             await catwayController.getById(req, res);
 
-            expect(res.render.calledWith('catways/details', { catway })).to.be.true;
+            expect(getCatwayTimeline.calledWith(7)).to.be.true;
+            expect(res.render.firstCall.args[0]).to.equal('catways/details');
+            expect(res.render.firstCall.args[1]).to.include({ catway, timeline });
         });
 
         it('should handle invalid ObjectId error', async () => {
@@ -91,6 +114,77 @@ describe('Catway Controller Tests', () => {
         });
     });
 
+    describe('getAvailable', () => {
+        it('should return 400 when the dates are missing', async () => {
+            const stub = sinon.stub(catwayService, 'getAvailableCatways');
+
+            await catwayController.getAvailable(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.json.calledWith({ errors: sinon.match.array })).to.be.true;
+            expect(stub.called).to.be.false;
+        });
+
+        it('should return 400 when the window ends before it starts', async () => {
+            req.query = { from: '2024-10-05', to: '2024-10-01' };
+
+            await catwayController.getAvailable(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.json.calledWith({ errors: ['La date de fin doit être postérieure à la date de début'] })).to.be.true;
+        });
+
+        it('should return the available catways', async () => {
+            req.query = { from: '2024-10-01', to: '2024-10-05', type: 'long' };
+            const available = [{ catway: { catwayNumber: 101 }, freeSlots: [{ from: new Date('2024-10-01'), to: null }] }];
+            const stub = sinon.stub(catwayService, 'getAvailableCatways').resolves(available);
+
+            await catwayController.getAvailable(req, res);
+
+            expect(stub.calledWith(new Date('2024-10-01'), new Date('2024-10-05'), 'long')).to.be.true;
+            expect(res.status.calledWith(200)).to.be.true;
+            expect(res.json.calledWith(sinon.match({ type: 'long', catways: available }))).to.be.true;
+        });
+    });
+
+    describe('export', () => {
+        beforeEach(() => {
+            res.attachment = sinon.stub().returnsThis();
+            res.type = sinon.stub().returnsThis();
+            res.send = sinon.stub();
+        });
+
+        it('should send the catways of the list as a file', async () => {
+            req.query = { type: 'long', sort: '-catwayNumber', page: '3', format: 'xlsx' };
+            const file = { fileName: 'catways-2030-01-01.xlsx', contentType: 'application/xlsx', content: Buffer.from('x') };
+            const stub = sinon.stub(exportService, 'exportList').resolves(file);
+
+            await catwayController.export(req, res);
+
+            expect(stub.firstCall.args[0]).to.equal('catways');
+            expect(stub.firstCall.args[1].sort).to.deep.equal({ catwayNumber: -1, _id: 1 });
+            expect(stub.firstCall.args[1].filter).to.deep.equal({ $and: [{ type: 'long' }] });
+            expect(stub.firstCall.args[2]).to.equal('xlsx');
+            expect(res.attachment.calledWith('catways-2030-01-01.xlsx')).to.be.true;
+            expect(res.type.calledWith('application/xlsx')).to.be.true;
+            expect(res.send.calledWith(file.content)).to.be.true;
+        });
+
+        it('should export as CSV by default and refuse another format', async () => {
+            const stub = sinon.stub(exportService, 'exportList').resolves({ fileName: 'catways.csv', contentType: 'text/csv', content: '' });
+
+            await catwayController.export(req, res);
+            expect(stub.firstCall.args[2]).to.equal('csv');
+
+            req.query = { format: 'pdf' };
+            await catwayController.export(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Le format (format) doit être \'csv\', \'xlsx\' ou \'json\''] })).to.be.true;
+            expect(stub.calledOnce).to.be.true;
+        });
+    });
+
     describe('add', () => {
         it('should redirect after successful creation', async () => {
             req.body = { catwayNumber: 1, type: 'long', catwayState: 'good', boatName: 'Boat1' };
@@ -128,6 +222,17 @@ describe('Catway Controller Tests', () => {
             expect(res.render.calledWith('catways/edit', { catway: updatedCatway, message: 'Catway mis à jour avec succès' })).to.be.true;
         });
 
+        it('should only update the fields of the form and pass the user on for the audit log', async () => {
+            req.params.id = 'someId';
+            req.user = { _id: 'u1', name: 'Alice' };
+            req.body = { _method: 'PUT', catwayState: 'maintenance', deletedAt: '2025-01-01' };
+            const updateCatway = sinon.stub(catwayService, 'updateCatway').resolves({ id: 'someId' });
+
+            await catwayController.update(req, res);
+
+            expect(updateCatway.calledWith('someId', { catwayState: 'maintenance' }, req.user)).to.be.true;
+        });
+
         it('should handle validation error on update', async () => {
             req.params.id = 'someId';
             req.body = { catwayNumber: 1 };
@@ -157,6 +262,22 @@ describe('Catway Controller Tests', () => {
             expect(res.redirect.calledWith(`/catways?message=${req.session.message}`)).to.be.true;
         });
 
+        it('should return 409 listing the reservations to come of the catway', async () => {
+            req.params.id = 'someId';
+            req.body = {};
+            const reservations = [{ clientName: 'John Doe', boatName: 'Boat1', checkIn: '2030-01-01', checkOut: '2030-01-03' }];
+            const stub = sinon.stub(catwayService, 'deleteCatway').rejects(new catwayService.CatwayHasReservationsError(reservations));
+
+            await catwayController.delete(req, res);
+
+            expect(stub.firstCall.args[2]).to.deep.equal({ cascade: false });
+            expect(res.status.calledWith(409)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: [
+                'Ce catway a encore 1 réservation(s) à venir : annulez-les, ou supprimez-les avec le catway',
+                'John Doe (Boat1) du 01/01/2030 au 03/01/2030'
+            ] })).to.be.true;
+        });
+
         it('should handle invalid ObjectId on delete', async () => {
             req.params.id = 'invalidId';
             const error = new Error('Invalid Id');
@@ -202,4 +323,73 @@ describe('Catway Controller Tests', () => {
             expect(res.render.calledWith('error/error', { errors: ['Entrez un identifiant valide'] })).to.be.true;
         });
     });
+
+    describe('getPlan', () => {
+        it('should render the plan, with the link to edit it for admins only', async () => {
+            const plan = { pontoons: [], unplaced: [] };
+            sinon.stub(catwayService, 'getPlan').resolves(plan);
+            req.user = { role: 'harbourMaster' };
+
+            await catwayController.getPlan(req, res);
+
+            expect(res.render.firstCall.args[0]).to.equal('catways/plan');
+            expect(res.render.firstCall.args[1]).to.include({ pontoons: plan.pontoons, canEdit: false });
+        });
+    });
+
+    describe('updatePlan', () => {
+        it('should save the places sent and go back to the plan', async () => {
+            req.user = { _id: 'u1', role: 'admin' };
+            req.body = { _method: 'PUT', layout: { k1: { pontoon: 'A', position: '3' }, k2: { pontoon: '', position: '' } } };
+            const updateLayout = sinon.stub(catwayService, 'updateLayout').resolves(1);
+
+            await catwayController.updatePlan(req, res);
+
+            expect(updateLayout.calledWith([
+                { id: 'k1', pontoon: 'A', position: '3' },
+                { id: 'k2', pontoon: '', position: '' }
+            ], req.user)).to.be.true;
+            expect(res.redirect.calledWith('/catways/plan?message=1 catway(s) déplacé(s)')).to.be.true;
+        });
+
+        it('should return 400 listing what is wrong with the layout', async () => {
+            req.body = { layout: { k1: { pontoon: 'A', position: '2' } } };
+            sinon.stub(catwayService, 'updateLayout').rejects(new catwayService.InvalidLayoutError(['Les catways 2 et 3 sont tous les deux à la place 2 du ponton A']));
+
+            await catwayController.updatePlan(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Les catways 2 et 3 sont tous les deux à la place 2 du ponton A'] })).to.be.true;
+        });
+
+        it('should return 400 when the database refuses a place', async () => {
+            req.body = { layout: { k1: { pontoon: 'A', position: '2' } } };
+            const error = new Error('Validation failed');
+            error.name = 'ValidationError';
+            error.errors = { position: { message: 'La position sur le ponton doit être un nombre entier' } };
+            sinon.stub(catwayService, 'updateLayout').rejects(error);
+
+            await catwayController.updatePlan(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['La position sur le ponton doit être un nombre entier'] })).to.be.true;
+        });
+    });
+
+    describe('catways list view', () => {
+        const view = path.join(path.dirname(fileURLToPath(import.meta.url)), '../views/catways/list.ejs');
+
+        it('should render without a query and leave no global behind', async () => {
+            const html = await ejs.renderFile(view, { catways: [], message: 'Aucun catway trouvé' });
+
+            expect(html).to.include('Aucun catway trouvé');
+            expect(globalThis).to.not.have.property('query');
+        });
+
+        it('should fill the filters from the query', async () => {
+            const html = await ejs.renderFile(view, { catways: [], query: { boatName: 'Seahorse' } });
+
+            expect(html).to.include('value="Seahorse"');
+        });
+    });
 });
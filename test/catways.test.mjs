@@ -0,0 +1,186 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import catwayService from '../services/catways.js';
+import Catway from '../models/catway.js';
+import Reservation from '../models/reservation.js';
+import AuditEntry from '../models/auditEntry.js';
+
+describe('Catways Services Tests', () => {
+    beforeEach(() => {
+        sinon.stub(AuditEntry, 'create').resolves();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('deleteCatway', () => {
+        const catway = { _id: 'k3', catwayNumber: 3 };
+        const upcoming = [{ _id: 'r1', clientName: 'John Doe' }];
+
+        it('should keep a catway that has reservations to come', async () => {
+            sinon.stub(Catway, 'findById').resolves(catway);
+            sinon.stub(Reservation, 'find').returns({ sort: sinon.stub().resolves(upcoming) });
+            const update = sinon.stub(Catway, 'findByIdAndUpdate');
+
+            try {
+                await catwayService.deleteCatway('k3');
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(catwayService.CatwayHasReservationsError);
+                expect(error.reservations).to.equal(upcoming);
+                expect(update.called).to.be.false;
+            }
+        });
+
+        it('should move the reservations to come to the trash with the catway on cascade', async () => {
+            sinon.stub(Catway, 'findById').resolves(catway);
+            sinon.stub(Reservation, 'find').returns({ sort: sinon.stub().resolves(upcoming) });
+            const updateMany = sinon.stub(Reservation, 'updateMany').resolves();
+            const update = sinon.stub(Catway, 'findByIdAndUpdate').resolves({ ...catway, deletedAt: new Date() });
+
+            await catwayService.deleteCatway('k3', { _id: 'u1' }, { cascade: true });
+
+            const deletion = update.firstCall.args[1];
+            expect(deletion.deletedBy).to.equal('u1');
+            expect(updateMany.calledWith({ _id: { $in: ['r1'] } }, deletion)).to.be.true;
+        });
+
+        it('should return null when the catway does not exist', async () => {
+            sinon.stub(Catway, 'findById').resolves(null);
+
+            expect(await catwayService.deleteCatway('k3')).to.be.null;
+        });
+    });
+
+    describe('restoreCatway', () => {
+        it('should bring back the reservations deleted along with the catway', async () => {
+            const deletedAt = new Date('2025-06-01');
+            sinon.stub(Catway, 'findOne').resolves({ _id: 'k3', catwayNumber: 3, deletedAt });
+            sinon.stub(Reservation, 'find').resolves([{ _id: 'r1', catwayNumber: 3, clientName: 'John Doe', deletedAt }]);
+            const updateMany = sinon.stub(Reservation, 'updateMany').resolves();
+            sinon.stub(Catway, 'findOneAndUpdate').resolves({ _id: 'k3', catwayNumber: 3 });
+
+            await catwayService.restoreCatway('k3', { _id: 'u1', name: 'Alice' });
+
+            expect(updateMany.calledWith({ catwayNumber: 3, deletedAt }, { $unset: { deletedAt: 1, deletedBy: 1 } })).to.be.true;
+            expect(AuditEntry.create.firstCall.args[0]).to.include({ action: 'restore', entity: 'reservation', entityId: 'r1', userName: 'Alice' });
+            expect(AuditEntry.create.secondCall.args[0]).to.include({ action: 'restore', entity: 'catway', label: 'Catway 3' });
+        });
+    });
+
+    describe('getPlan', () => {
+        const now = new Date(2030, 6, 10, 9);
+        const catway = (fields) => Catway.hydrate({ type: 'long', catwayState: 'available', boatName: 'Boat', ...fields });
+        const reservation = (fields) => Reservation.hydrate({ clientName: 'John Doe', boatName: 'Sea Bird', status: 'confirmed', ...fields });
+
+        it('should group the berths by pontoon and colour them by state and by the reservations of the day', async () => {
+            sinon.stub(Catway, 'find').returns({ sort: sinon.stub().resolves([
+                catway({ _id: '60c72b2f9f1b2c001c9a9e81', catwayNumber: 1, pontoon: 'A', position: 1 }),
+                catway({ _id: '60c72b2f9f1b2c001c9a9e82', catwayNumber: 2, pontoon: 'A', position: 4, catwayState: 'maintenance' }),
+                catway({ _id: '60c72b2f9f1b2c001c9a9e83', catwayNumber: 3, pontoon: 'B', position: 1 }),
+                catway({ _id: '60c72b2f9f1b2c001c9a9e84', catwayNumber: 4, pontoon: 'B', position: 2 }),
+                catway({ _id: '60c72b2f9f1b2c001c9a9e85', catwayNumber: 5 })
+            ]) });
+            const find = sinon.stub(Reservation, 'find').returns({ sort: sinon.stub().resolves([
+                reservation({ catwayNumber: 1, checkIn: new Date(2030, 6, 8), checkOut: new Date(2030, 6, 12), status: 'checkedIn' }),
+                reservation({ catwayNumber: 3, checkIn: new Date(2030, 6, 10), checkOut: new Date(2030, 6, 12) }),
+                reservation({ catwayNumber: 4, checkIn: new Date(2030, 6, 7), checkOut: new Date(2030, 6, 10), status: 'checkedIn' })
+            ]) });
+
+            const plan = await catwayService.getPlan(now);
+
+            expect(find.firstCall.args[0]).to.deep.equal({
+                checkIn: { $lt: new Date(2030, 6, 11) },
+                checkOut: { $gte: new Date(2030, 6, 10) },
+                status: { $nin: ['cancelled', 'noShow'] }
+            });
+            expect(plan.pontoons.map(pontoon => [pontoon.name, pontoon.length])).to.deep.equal([['A', 4], ['B', 2]]);
+            expect(plan.pontoons[0].berths.map(berth => berth.status)).to.deep.equal(['occupied', 'maintenance']);
+            expect(plan.pontoons[1].berths.map(berth => berth.status)).to.deep.equal(['arriving', 'departing']);
+            expect(plan.pontoons[1].berths[0].reservation.catwayNumber).to.equal(3);
+            expect(plan.unplaced.map(berth => [berth.catway.catwayNumber, berth.status])).to.deep.equal([[5, 'free']]);
+        });
+    });
+
+    describe('updateLayout', () => {
+        const catways = [
+            Catway.hydrate({ _id: '60c72b2f9f1b2c001c9a9e81', catwayNumber: 1, pontoon: 'A', position: 1 }),
+            Catway.hydrate({ _id: '60c72b2f9f1b2c001c9a9e82', catwayNumber: 2, pontoon: 'A', position: 2 }),
+            Catway.hydrate({ _id: '60c72b2f9f1b2c001c9a9e83', catwayNumber: 3 })
+        ];
+
+        it('should only save the catways moved', async () => {
+            sinon.stub(Catway, 'find').resolves(catways);
+            const updateCatway = sinon.stub(catwayService, 'updateCatway').resolves({});
+            const user = { _id: 'u1', name: 'Alice' };
+
+            const moved = await catwayService.updateLayout([
+                { id: '60c72b2f9f1b2c001c9a9e81', pontoon: 'a', position: '1' },
+                { id: '60c72b2f9f1b2c001c9a9e82', pontoon: '', position: '2' },
+                { id: '60c72b2f9f1b2c001c9a9e83', pontoon: ' b ', position: '1' }
+            ], user);
+
+            expect(moved).to.equal(2);
+            expect(updateCatway.calledTwice).to.be.true;
+            expect(updateCatway.calledWith('60c72b2f9f1b2c001c9a9e82', { $unset: { pontoon: 1, position: 1 } }, user)).to.be.true;
+            expect(updateCatway.calledWith('60c72b2f9f1b2c001c9a9e83', { pontoon: 'B', position: 1 }, user)).to.be.true;
+        });
+
+        it('should refuse two catways at the same place, counting the ones not moved', async () => {
+            sinon.stub(Catway, 'find').resolves(catways);
+            const updateCatway = sinon.stub(catwayService, 'updateCatway');
+
+            try {
+                await catwayService.updateLayout([{ id: '60c72b2f9f1b2c001c9a9e83', pontoon: 'A', position: '2' }]);
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(catwayService.InvalidLayoutError);
+                expect(error.errors).to.deep.equal(['Les catways 2 et 3 sont tous les deux à la place 2 du ponton A']);
+            }
+            expect(updateCatway.called).to.be.false;
+        });
+
+        it('should take a catway off the plan through the validators of the model', async () => {
+            sinon.stub(Catway, 'find').resolves(catways);
+            sinon.stub(Catway, 'findById').resolves(catways[1]);
+            // Only the database is left out: the update goes through the query validators
+            const write = sinon.stub(Catway.collection, 'findOneAndUpdate').resolves({ _id: catways[1]._id, catwayNumber: 2 });
+
+            const moved = await catwayService.updateLayout([{ id: '60c72b2f9f1b2c001c9a9e82', pontoon: '', position: '' }]);
+
+            expect(moved).to.equal(1);
+            expect(write.firstCall.args[1]).to.deep.equal({ $unset: { pontoon: 1, position: 1 } });
+        });
+
+        it('should put back the catways already moved when saving one fails', async () => {
+            sinon.stub(Catway, 'find').resolves(catways);
+            const error = new Error('Validation failed');
+            error.name = 'ValidationError';
+            const updateCatway = sinon.stub(catwayService, 'updateCatway').resolves({});
+            updateCatway.onSecondCall().rejects(error);
+
+            try {
+                await catwayService.updateLayout([
+                    { id: '60c72b2f9f1b2c001c9a9e82', pontoon: 'B', position: '1' },
+                    { id: '60c72b2f9f1b2c001c9a9e83', pontoon: 'B', position: '2' }
+                ]);
+                expect.fail('should have thrown');
+            } catch (thrown) {
+                expect(thrown).to.equal(error);
+            }
+            expect(updateCatway.thirdCall.args.slice(0, 2)).to.deep.equal(['60c72b2f9f1b2c001c9a9e82', { pontoon: 'A', position: 2 }]);
+        });
+
+        it('should refuse a position that is not a whole number', async () => {
+            sinon.stub(Catway, 'find').resolves(catways);
+
+            try {
+                await catwayService.updateLayout([{ id: '60c72b2f9f1b2c001c9a9e83', pontoon: 'C', position: '1.5' }]);
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.errors).to.deep.equal(['Catway 3 : la position sur le ponton doit être un entier à partir de 1']);
+            }
+        });
+    });
+});
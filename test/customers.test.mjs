@@ -0,0 +1,37 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import customerService from '../services/customers.js';
+import Customer from '../models/customer.js';
+import Reservation from '../models/reservation.js';
+
+describe('Customers Services Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('normalizeName', () => {
+        it('should ignore case, accents and spacing', () => {
+            expect(Customer.normalizeName('  John   DOE ')).to.equal('john doe');
+            expect(Customer.normalizeName('Jöhn Doé')).to.equal('john doe');
+        });
+    });
+
+    describe('linkReservationsByClientName', () => {
+        it('should link each client name to an existing or a new customer', async () => {
+            const existing = { _id: 'c1', name: 'John Doe' };
+            sinon.stub(Reservation, 'distinct').resolves(['john  doe', 'Jane Roe']);
+            const findOne = sinon.stub(Customer, 'findOne');
+            findOne.withArgs({ normalizedName: 'john doe' }).returns({ sort: sinon.stub().resolves(existing) });
+            findOne.withArgs({ normalizedName: 'jane roe' }).returns({ sort: sinon.stub().resolves(null) });
+            sinon.stub(Customer.prototype, 'save').callsFake(function () { return Promise.resolve(this); });
+            const updateMany = sinon.stub(Reservation, 'updateMany').resolves({ modifiedCount: 2 });
+
+            const result = await customerService.linkReservationsByClientName();
+
+            expect(result).to.deep.equal({ customersCreated: 1, reservationsLinked: 4 });
+            expect(updateMany.firstCall.args[0]).to.deep.equal({ customer: null, clientName: 'john  doe' });
+            expect(updateMany.firstCall.args[1]).to.deep.equal({ customer: 'c1', clientName: 'John Doe' });
+            expect(updateMany.secondCall.args[1].clientName).to.equal('Jane Roe');
+        });
+    });
+});
@@ -0,0 +1,117 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import customersController from '../controllers/customersController.js';
+import customerService from '../services/customers.js';
+import boatService from '../services/boats.js';
+
+describe('Customers Controller Tests', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            params: {},
+            query: {},
+            body: {},
+        };
+        res = {
+            status: sinon.stub().returnsThis(),
+            render: sinon.stub(),
+            json: sinon.stub(),
+            redirect: sinon.stub(),
+        };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('getAll', () => {
+        it('should render the list of customers', async () => {
+            const customers = [{ name: 'John Doe' }];
+            sinon.stub(customerService, 'getAllCustomers').resolves(customers);
+
+            await customersController.getAll(req, res);
+
+            expect(res.render.calledWith('customers/list', { customers, message: undefined })).to.be.true;
+        });
+    });
+
+    describe('getById', () => {
+        it('should render the customer with their boats and their past and upcoming reservations', async () => {
+            req.params.id = 'c1';
+            const customer = { _id: 'c1', name: 'John Doe' };
+            const boats = [{ name: 'The Odyssey', length: 11.5 }];
+            const past = [{ catwayNumber: 1 }];
+            const upcoming = [{ catwayNumber: 2 }];
+            sinon.stub(customerService, 'getCustomerById').resolves(customer);
+            const getBoats = sinon.stub(boatService, 'getBoatsOfOwner').resolves(boats);
+            const getReservations = sinon.stub(customerService, 'getCustomerReservations').resolves({ past, upcoming });
+
+            await customersController.getById(req, res);
+
+            expect(getBoats.calledWith('c1')).to.be.true;
+            expect(getReservations.calledWith('c1')).to.be.true;
+            expect(res.render.calledWith('customers/details', { customer, boats, past, upcoming, message: undefined })).to.be.true;
+        });
+
+        it('should return 404 if the customer is not found', async () => {
+            req.params.id = 'c1';
+            sinon.stub(customerService, 'getCustomerById').resolves(null);
+
+            await customersController.getById(req, res);
+
+            expect(res.status.calledWith(404)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Client non trouvé'] })).to.be.true;
+        });
+    });
+
+    describe('add', () => {
+        it('should create the customer from the form and redirect to their page', async () => {
+            req.body = {
+                name: 'John Doe',
+                email: 'john@example.com',
+                address: { city: 'Marseille' },
+            };
+            const addCustomer = sinon.stub(customerService, 'addCustomer').resolves({ id: 'c1', name: 'John Doe' });
+
+            await customersController.add(req, res);
+
+            const data = addCustomer.firstCall.args[0];
+            expect(data.address.city).to.equal('Marseille');
+            expect(res.redirect.calledWith('/customers/c1?message=Le client John Doe a été créé avec succès')).to.be.true;
+        });
+
+        it('should handle validation error', async () => {
+            const error = new Error('Validation Error');
+            error.name = 'ValidationError';
+            error.errors = { name: { message: 'Le nom du client est obligatoire' } };
+            sinon.stub(customerService, 'addCustomer').rejects(error);
+
+            await customersController.add(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Le nom du client est obligatoire'] })).to.be.true;
+        });
+    });
+
+    describe('delete', () => {
+        it('should refuse to delete a customer who still has reservations', async () => {
+            req.params.id = 'c1';
+            sinon.stub(customerService, 'deleteCustomer').rejects(new customerService.CustomerHasReservationsError(2));
+
+            await customersController.delete(req, res);
+
+            expect(res.status.calledWith(409)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ["Ce client a encore 2 réservation(s), corbeille comprise : supprimez-les définitivement d'abord"] })).to.be.true;
+        });
+
+        it('should delete the customer and redirect to the list', async () => {
+            req.params.id = 'c1';
+            sinon.stub(customerService, 'deleteCustomer').resolves({ name: 'John Doe' });
+
+            await customersController.delete(req, res);
+
+            expect(res.redirect.calledWith('/customers?message=Le client John Doe a été supprimé avec succès')).to.be.true;
+        });
+    });
+});
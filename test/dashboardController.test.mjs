@@ -0,0 +1,107 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ejs from 'ejs';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import dashboardController from '../controllers/dashboardController.js';
+import statsService from '../services/stats.js';
+import waitlistService from '../services/waitlist.js';
+
+describe('Dashboard Controller Tests', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            params: {},
+            query: {},
+            body: {},
+            session: {}
+        };
+        res = {
+            status: sinon.stub().returnsThis(),
+            render: sinon.stub(),
+            json: sinon.stub()
+        };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('getStats', () => {
+        it('should send the overview, the occupancy of each month of the year and the waitlist offers', async () => {
+            req.query = { year: '2029' };
+            req.user = { role: 'agent' };
+            const overview = { occupancy: { all: { occupied: 1, total: 2, rate: 50 } } };
+            const months = [{ month: 1, label: 'janvier' }];
+            const offers = [{ id: 'w1', catwayNumber: 3, clientName: 'Jean Dupont' }];
+            sinon.stub(statsService, 'getOverview').resolves(overview);
+            const getMonthlyOccupancy = sinon.stub(statsService, 'getMonthlyOccupancy').resolves(months);
+            sinon.stub(waitlistService, 'getOpenOffers').resolves(offers);
+
+            await dashboardController.getStats(req, res);
+
+            expect(getMonthlyOccupancy.calledWith(2029)).to.be.true;
+            expect(res.status.calledWith(200)).to.be.true;
+            expect(res.json.calledWith({ ...overview, season: { year: 2029, months }, waitlist: { offers, canBook: true } })).to.be.true;
+        });
+
+        it('should not offer to book to a user who may only read reservations', async () => {
+            req.user = { role: 'accountant' };
+            sinon.stub(statsService, 'getOverview').resolves({});
+            sinon.stub(statsService, 'getMonthlyOccupancy').resolves([]);
+            sinon.stub(waitlistService, 'getOpenOffers').resolves([]);
+
+            await dashboardController.getStats(req, res);
+
+            expect(res.json.firstCall.args[0].waitlist).to.deep.equal({ offers: [], canBook: false });
+        });
+
+        it('should default to the current year', async () => {
+            sinon.stub(statsService, 'getOverview').resolves({});
+            sinon.stub(waitlistService, 'getOpenOffers').resolves([]);
+            const getMonthlyOccupancy = sinon.stub(statsService, 'getMonthlyOccupancy').resolves([]);
+
+            await dashboardController.getStats(req, res);
+
+            expect(getMonthlyOccupancy.calledWith(new Date().getFullYear())).to.be.true;
+        });
+
+        it('should return 400 on an invalid year', async () => {
+            req.query = { year: 'next' };
+            const getOverview = sinon.stub(statsService, 'getOverview');
+
+            await dashboardController.getStats(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.json.calledWith({ errors: sinon.match.array })).to.be.true;
+            expect(getOverview.called).to.be.false;
+        });
+
+        it('should handle internal server error', async () => {
+            sinon.stub(statsService, 'getOverview').rejects(new Error('Error'));
+
+            await dashboardController.getStats(req, res);
+
+            expect(res.status.calledWith(500)).to.be.true;
+            expect(res.json.calledWith({ message: 'Internal Server Error', error: sinon.match.any })).to.be.true;
+        });
+    });
+
+    describe('dashboard view', () => {
+        const view = path.join(path.dirname(fileURLToPath(import.meta.url)), '../views/dashboard/dashboard.ejs');
+
+        it('should render with only a message, as after a login or a new reservation', async () => {
+            const html = await ejs.renderFile(view, { message: 'La réservation a été créée avec succès' });
+
+            expect(html).to.include('La réservation a été créée avec succès');
+            expect(html).to.include(`<option value="${new Date().getFullYear()}" selected>`);
+        });
+
+        it('should select the year given', async () => {
+            const html = await ejs.renderFile(view, { year: 2029 });
+
+            expect(html).to.include('<option value="2029" selected>');
+        });
+    });
+});
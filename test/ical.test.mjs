@@ -0,0 +1,101 @@
+import { expect } from 'chai';
+import icalService from '../services/ical.js';
+
+const event = {
+    uid: 'r1@port-de-plaisance',
+    start: new Date('2025-06-01'),
+    end: new Date('2025-06-08'),
+    summary: 'Hélène Dupont - Sea Bird',
+    location: 'Catway 12',
+    status: 'CONFIRMED'
+};
+
+describe('iCalendar Services Tests', () => {
+    describe('formatCalendar', () => {
+        it('should write all-day events with CRLF line breaks', () => {
+            const text = icalService.formatCalendar({ name: 'Catway 12', events: [event] }, new Date('2025-05-20T08:30:00Z'));
+            const lines = text.split('\r\n');
+
+            expect(lines[0]).to.equal('BEGIN:VCALENDAR');
+            expect(lines).to.include.members([
+                'X-WR-CALNAME:Catway 12',
+                'UID:r1@port-de-plaisance',
+                'DTSTAMP:20250520T083000Z',
+                'DTSTART;VALUE=DATE:20250601',
+                'DTEND;VALUE=DATE:20250608',
+                'SUMMARY:Hélène Dupont - Sea Bird',
+                'LOCATION:Catway 12',
+                'STATUS:CONFIRMED'
+            ]);
+            expect(text.endsWith('END:VCALENDAR\r\n')).to.be.true;
+            expect(text.replace(/\r\n/g, '')).to.not.include('\n');
+        });
+
+        it('should escape the texts', () => {
+            const text = icalService.formatCalendar({ name: 'Port', events: [{ ...event, summary: 'Dupont, Jean; fils', description: 'Ligne 1\nLigne 2' }] });
+
+            expect(text).to.include('SUMMARY:Dupont\\, Jean\\; fils\r\n');
+            expect(text).to.include('DESCRIPTION:Ligne 1\\nLigne 2\r\n');
+        });
+
+        it('should fold the lines longer than 75 octets without cutting a character', () => {
+            const summary = 'é'.repeat(100);
+            const text = icalService.formatCalendar({ name: 'Port', events: [{ ...event, summary }] });
+
+            text.split('\r\n').forEach(line => {
+                expect(Buffer.byteLength(line)).to.be.at.most(75);
+                expect(line).to.not.include('�');
+            });
+            expect(icalService.parseCalendar(text)[0].summary).to.equal(summary);
+        });
+    });
+
+    describe('parseCalendar', () => {
+        it('should read back the events it writes', () => {
+            const text = icalService.formatCalendar({
+                name: 'Port',
+                events: [{ ...event, summary: 'Dupont, Jean - Sea Bird', properties: { 'X-BOAT-NAME': 'Sea Bird' } }]
+            });
+
+            const [parsed] = icalService.parseCalendar(text);
+
+            expect(parsed).to.deep.include({
+                uid: 'r1@port-de-plaisance',
+                summary: 'Dupont, Jean - Sea Bird',
+                location: 'Catway 12',
+                status: 'CONFIRMED'
+            });
+            expect(parsed.properties['X-BOAT-NAME']).to.equal('Sea Bird');
+            expect(parsed.start.toISOString()).to.equal('2025-06-01T00:00:00.000Z');
+            expect(parsed.end.toISOString()).to.equal('2025-06-08T00:00:00.000Z');
+        });
+
+        it('should read date-times, durations and LF line breaks', () => {
+            const text = [
+                'BEGIN:VCALENDAR',
+                'BEGIN:VEVENT',
+                'DTSTART;TZID="Europe/Paris":20250701T140000',
+                'DURATION:P1W',
+                'SUMMARY:Jean',
+                '  Martin - Albatros',
+                'END:VEVENT',
+                'BEGIN:VEVENT',
+                'DTSTART:20250710T090000Z',
+                'END:VEVENT',
+                'END:VCALENDAR'
+            ].join('\n');
+
+            const [first, second] = icalService.parseCalendar(text);
+
+            expect(first.summary).to.equal('Jean Martin - Albatros');
+            expect(first.start.toISOString()).to.equal('2025-07-01T14:00:00.000Z');
+            expect(first.end.toISOString()).to.equal('2025-07-08T14:00:00.000Z');
+            expect(second.end).to.be.null;
+        });
+
+        it('should refuse a text that is not a calendar', () => {
+            expect(() => icalService.parseCalendar('catwayNumber,clientName')).to.throw(icalService.InvalidCalendarError);
+            expect(() => icalService.parseCalendar(undefined)).to.throw(icalService.InvalidCalendarError);
+        });
+    });
+});
@@ -0,0 +1,186 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mongoose from 'mongoose';
+import importService from '../services/imports.js';
+import catwayService from '../services/catways.js';
+import reservationService from '../services/reservations.js';
+import userService from '../services/users.js';
+import ImportBatch from '../models/importBatch.js';
+import Catway from '../models/catway.js';
+import User from '../models/user.js';
+
+const now = new Date('2030-01-01T10:00:00Z');
+const user = { _id: new mongoose.Types.ObjectId() };
+
+// The batch previewImport would save, given back as is
+const stubCreate = () => sinon.stub(ImportBatch, 'create').callsFake(batch => Promise.resolve(batch));
+
+describe('Imports Services Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('previewImport', () => {
+        it('should check each catway against the schema and the existing catways', async () => {
+            stubCreate();
+            sinon.stub(Catway, 'exists').callsFake(filter => Promise.resolve(filter.catwayNumber === 2 ? { _id: 'c2' } : null));
+
+            const batch = await importService.previewImport('catways', [
+                { line: 2, values: { catwayNumber: '1', type: 'long', catwayState: 'bon état', boatName: 'Seahorse', pontoon: 'a', position: '3' } },
+                { line: 3, values: { catwayNumber: '2', type: 'short', catwayState: 'bon état', boatName: 'Calypso' } },
+                { line: 4, values: { catwayNumber: 'un', type: 'medium', catwayState: 'bon état', boatName: 'Calypso' } },
+                { line: 5, values: { catwayNumber: 1, type: 'long', catwayState: 'bon état', boatName: 'Nautilus' } }
+            ], { fileName: 'catways.csv', user, now });
+
+            expect(batch.type).to.equal('catways');
+            expect(batch.fileName).to.equal('catways.csv');
+            expect(batch.createdBy).to.equal(user._id);
+            expect(batch.expiresAt).to.deep.equal(new Date(now.getTime() + importService.BATCH_TTL));
+            expect(batch.rows[0]).to.deep.equal({
+                line: 2,
+                data: { catwayNumber: 1, type: 'long', catwayState: 'bon état', boatName: 'Seahorse', pontoon: 'a', position: 3 },
+                messages: []
+            });
+            expect(batch.rows[1].messages).to.deep.equal(['Le catway 2 existe déjà']);
+            expect(batch.rows[2].messages).to.include('catwayNumber doit être un nombre (« un »)');
+            expect(batch.rows[2].messages.length).to.be.greaterThan(1);
+            expect(batch.rows[3].messages).to.deep.equal(['Le catway 1 est déjà plus haut dans le fichier']);
+        });
+
+        it('should read the days of the reservations and report the conflicts, in the harbour and in the file', async () => {
+            stubCreate();
+            sinon.stub(Catway, 'exists').callsFake(filter => Promise.resolve(filter.catwayNumber === 99 ? null : { _id: 'c' }));
+            sinon.stub(reservationService, 'findConflictingReservations').callsFake(catwayNumber => Promise.resolve(catwayNumber === 5 ? [{
+                id: 'r1', catwayNumber: 5, clientName: 'Martin', checkIn: new Date('2030-06-01T00:00:00Z'), checkOut: new Date('2030-06-05T00:00:00Z')
+            }] : []));
+
+            const batch = await importService.previewImport('reservations', [
+                { line: 2, values: { catwayNumber: 1, clientName: 'Dupont', boatName: 'Seahorse', checkIn: '2030-06-01', checkOut: '10/06/2030' } },
+                { line: 3, values: { catwayNumber: 1, clientName: 'Durand', boatName: 'Calypso', checkIn: '2030-06-08', checkOut: '2030-06-12' } },
+                { line: 4, values: { catwayNumber: 5, clientName: 'Petit', boatName: 'Nautilus', checkIn: '2030-06-02', checkOut: '2030-06-04' } },
+                { line: 5, values: { catwayNumber: 99, clientName: 'Leroy', boatName: 'Ondine', checkIn: '2030-06-02', checkOut: '2030-06-04' } },
+                { line: 6, values: { catwayNumber: 2, clientName: 'Moreau', boatName: 'Zéphyr', checkIn: '31/02/2030', checkOut: '2030-06-04' } }
+            ], { user, now });
+
+            expect(batch.rows[0].data.checkIn).to.deep.equal(new Date('2030-06-01T00:00:00Z'));
+            expect(batch.rows[0].data.checkOut).to.deep.equal(new Date('2030-06-10T00:00:00Z'));
+            expect(batch.rows[0].messages).to.deep.equal([]);
+            expect(batch.rows[1].messages).to.deep.equal(['Le catway 1 est déjà réservé plus haut dans le fichier par Dupont du 01/06/2030 au 10/06/2030']);
+            expect(batch.rows[2].messages).to.deep.equal(['Le catway 5 est déjà réservé par Martin du 01/06/2030 au 05/06/2030 (réservation r1)']);
+            expect(batch.rows[3].messages).to.deep.equal(['Le catway 99 n\'existe pas']);
+            expect(batch.rows[4].messages).to.include('checkIn doit être une date AAAA-MM-JJ ou JJ/MM/AAAA (« 31/02/2030 »)');
+        });
+
+        it('should check the users without asking for a password, and the emails once', async () => {
+            stubCreate();
+            sinon.stub(User, 'exists').callsFake(filter => Promise.resolve(filter.email === 'pris@port.fr' ? { _id: 'u' } : null));
+
+            const batch = await importService.previewImport('users', [
+                { line: 2, values: { name: 'Jean', email: 'jean@port.fr' } },
+                { line: 3, values: { name: 'Paul', email: 'JEAN@port.fr', role: 'admin' } },
+                { line: 4, values: { name: 'Anne', email: 'pris@port.fr', role: 'agent' } }
+            ], { user, now });
+
+            expect(batch.rows[0]).to.deep.equal({ line: 2, data: { name: 'Jean', email: 'jean@port.fr', role: 'agent' }, messages: [] });
+            expect(batch.rows[1].messages).to.deep.equal(['L\'email JEAN@port.fr est déjà plus haut dans le fichier']);
+            expect(batch.rows[2].messages).to.deep.equal(['Un utilisateur a déjà l\'email pris@port.fr']);
+        });
+    });
+
+    describe('getPendingBatch', () => {
+        it('should only find the batches of the user not imported nor expired', async () => {
+            const findOne = sinon.stub(ImportBatch, 'findOne').resolves(null);
+
+            await importService.getPendingBatch('b1', user, now);
+
+            expect(findOne.firstCall.args[0]).to.deep.equal({ _id: 'b1', createdBy: user._id, committedAt: null, expiresAt: { $gt: now } });
+        });
+    });
+
+    describe('commitImport', () => {
+        it('should mark the batch as imported before creating its valid rows', async () => {
+            const batch = {
+                type: 'catways',
+                rows: [
+                    { line: 2, data: { catwayNumber: 1 }, messages: [] },
+                    { line: 3, data: { catwayNumber: 2 }, messages: ['Le catway 2 existe déjà'] },
+                    { line: 4, data: { catwayNumber: 3 }, messages: [] }
+                ]
+            };
+            const update = sinon.stub(ImportBatch, 'findOneAndUpdate').resolves(batch);
+            const duplicate = new Error('E11000');
+            duplicate.code = 11000;
+            const addCatway = sinon.stub(catwayService, 'addCatway');
+            addCatway.onFirstCall().resolves({ _id: 'c1', catwayNumber: 1 });
+            addCatway.onSecondCall().rejects(duplicate);
+
+            const { results } = await importService.commitImport('b1', user, now);
+
+            expect(update.firstCall.args[0]).to.deep.equal({ _id: 'b1', createdBy: user._id, committedAt: null, expiresAt: { $gt: now } });
+            expect(update.firstCall.args[1]).to.deep.equal({ committedAt: now });
+            expect(addCatway.callCount).to.equal(2);
+            expect(addCatway.firstCall.args).to.deep.equal([{ catwayNumber: 1 }, user]);
+            expect(results.map(result => result.status)).to.deep.equal(['created', 'skipped', 'failed']);
+            expect(results[0].record).to.deep.equal({ _id: 'c1', catwayNumber: 1 });
+            expect(results[1].messages).to.deep.equal(['Le catway 2 existe déjà']);
+            expect(results[2].messages).to.deep.equal(['Cet enregistrement existe déjà']);
+        });
+
+        it('should report a reservation taken since the preview', async () => {
+            sinon.stub(ImportBatch, 'findOneAndUpdate').resolves({
+                type: 'reservations',
+                rows: [{ line: 2, data: { catwayNumber: 5 }, messages: [] }]
+            });
+            const conflict = new Error('Conflit');
+            conflict.name = 'ReservationConflictError';
+            conflict.conflicts = [{ id: 'r1', catwayNumber: 5, clientName: 'Martin', checkIn: new Date('2030-06-01T00:00:00Z'), checkOut: new Date('2030-06-05T00:00:00Z') }];
+            sinon.stub(reservationService, 'creatReservation').rejects(conflict);
+
+            const { results } = await importService.commitImport('b1', user, now);
+
+            expect(results[0].status).to.equal('failed');
+            expect(results[0].messages).to.deep.equal(['Le catway 5 est déjà réservé par Martin du 01/06/2030 au 05/06/2030 (réservation r1)']);
+        });
+
+        it('should report a row failing for an unexpected reason and import the next ones', async () => {
+            sinon.stub(ImportBatch, 'findOneAndUpdate').resolves({
+                type: 'catways',
+                rows: [
+                    { line: 2, data: { catwayNumber: 1 }, messages: [] },
+                    { line: 3, data: { catwayNumber: 2 }, messages: [] }
+                ]
+            });
+            const addCatway = sinon.stub(catwayService, 'addCatway');
+            addCatway.onFirstCall().rejects(new Error('connexion perdue'));
+            addCatway.onSecondCall().resolves({ _id: 'c2', catwayNumber: 2 });
+            sinon.stub(console, 'error');
+
+            const { results } = await importService.commitImport('b1', user, now);
+
+            expect(results.map(result => result.status)).to.deep.equal(['failed', 'created']);
+            expect(results[0].messages).to.deep.equal(['Erreur inattendue : cette ligne n\'a pas été importée']);
+        });
+
+        it('should give the imported users a random password', async () => {
+            sinon.stub(ImportBatch, 'findOneAndUpdate').resolves({
+                type: 'users',
+                rows: [{ line: 2, data: { name: 'Jean', email: 'jean@port.fr', role: 'agent' }, messages: [] }]
+            });
+            const addUser = sinon.stub(userService, 'addUser').resolves({ _id: 'u1' });
+
+            await importService.commitImport('b1', user, now);
+
+            expect(addUser.firstCall.args[0]).to.include({ name: 'Jean', email: 'jean@port.fr', role: 'agent' });
+            expect(addUser.firstCall.args[0].password).to.match(/^[0-9a-f]{48}$/);
+            expect(addUser.firstCall.args[1]).to.equal(user);
+        });
+
+        it('should import nothing from a batch already imported, expired or unknown', async () => {
+            sinon.stub(ImportBatch, 'findOneAndUpdate').resolves(null);
+            const addCatway = sinon.stub(catwayService, 'addCatway');
+
+            expect(await importService.commitImport('b1', user, now)).to.be.null;
+            expect(addCatway.called).to.be.false;
+        });
+    });
+});
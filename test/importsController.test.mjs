@@ -0,0 +1,161 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import importsController from '../controllers/importsController.js';
+import importService from '../services/imports.js';
+import spreadsheetService from '../services/spreadsheets.js';
+
+describe('Imports Controller Tests', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            params: {},
+            query: {},
+            body: {},
+            headers: {},
+            user: { _id: 'u1', role: 'harbourMaster' }
+        };
+        res = {
+            status: sinon.stub().returnsThis(),
+            render: sinon.stub(),
+            json: sinon.stub()
+        };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('renderForm', () => {
+        it('should only offer the records the user may create', () => {
+            req.query.type = 'users';
+
+            importsController.renderForm(req, res);
+
+            expect(res.status.calledWith(200)).to.be.true;
+            expect(res.render.firstCall.args[0]).to.equal('imports/form');
+            expect(res.render.firstCall.args[1].types).to.deep.equal(['catways', 'reservations']);
+            expect(res.render.firstCall.args[1].type).to.equal('catways');
+            expect(res.render.firstCall.args[1].columns.reservations).to.deep.equal(['catwayNumber', 'clientName', 'boatName', 'checkIn', 'checkOut']);
+        });
+
+        it('should answer 403 to a user who may create nothing', () => {
+            req.user.role = 'accountant';
+
+            importsController.renderForm(req, res);
+
+            expect(res.status.calledWith(403)).to.be.true;
+        });
+    });
+
+    describe('preview', () => {
+        it('should check the rows of the file and show them', async () => {
+            req.body.type = 'catways';
+            req.file = { originalname: 'catways.csv', buffer: Buffer.from('catwayNumber\n1') };
+            const rows = [{ line: 2, values: { catwayNumber: '1' } }, { line: 3, values: { catwayNumber: 'x' } }];
+            const batch = { id: 'b1', type: 'catways', rows: [{ line: 2, data: {}, messages: [] }, { line: 3, data: {}, messages: ['Erreur'] }] };
+            sinon.stub(spreadsheetService, 'readRows').withArgs(req.file.buffer, 'csv').resolves(rows);
+            const preview = sinon.stub(importService, 'previewImport').resolves(batch);
+
+            await importsController.preview(req, res);
+
+            expect(preview.calledWith('catways', rows, { fileName: 'catways.csv', user: req.user })).to.be.true;
+            expect(res.status.calledWith(200)).to.be.true;
+            expect(res.render.firstCall.args[0]).to.equal('imports/preview');
+            expect(res.render.firstCall.args[1]).to.include({ batch, valid: 1 });
+        });
+
+        it('should give API clients the ID of the batch to confirm', async () => {
+            req.headers.authorization = 'Bearer token';
+            req.body.type = 'catways';
+            req.file = { originalname: 'catways.json', buffer: Buffer.from('[]') };
+            const batch = { id: 'b1', rows: [{ line: 1, data: {}, messages: [] }] };
+            sinon.stub(spreadsheetService, 'readRows').resolves([{ line: 1, values: {} }]);
+            sinon.stub(importService, 'previewImport').resolves(batch);
+
+            await importsController.preview(req, res);
+
+            expect(res.json.calledWith({ batch: 'b1', valid: 1, rows: batch.rows })).to.be.true;
+        });
+
+        it('should answer 403 when the user may not create these records', async () => {
+            req.body.type = 'users';
+            req.file = { originalname: 'users.csv', buffer: Buffer.from('') };
+            const preview = sinon.stub(importService, 'previewImport');
+
+            await importsController.preview(req, res);
+
+            expect(res.status.calledWith(403)).to.be.true;
+            expect(preview.called).to.be.false;
+        });
+
+        it('should refuse a missing file, another format or an unreadable file', async () => {
+            req.body.type = 'catways';
+
+            await importsController.preview(req, res);
+            expect(res.render.lastCall.args[1]).to.deep.equal({ errors: ['Choisissez un fichier à importer'] });
+
+            req.file = { originalname: 'catways.pdf', buffer: Buffer.from('') };
+            await importsController.preview(req, res);
+            expect(res.render.lastCall.args[1]).to.deep.equal({ errors: ['Le fichier doit être au format CSV, XLSX ou JSON (.csv, .xlsx ou .json)'] });
+
+            req.file = { originalname: 'catways.xlsx', buffer: Buffer.from('') };
+            sinon.stub(spreadsheetService, 'readRows').rejects(new spreadsheetService.InvalidFileError('Le fichier n\'est pas un classeur Excel (.xlsx) valide'));
+            await importsController.preview(req, res);
+            expect(res.render.lastCall.args[1]).to.deep.equal({ errors: ['Le fichier n\'est pas un classeur Excel (.xlsx) valide'] });
+
+            expect(res.status.alwaysCalledWith(400)).to.be.true;
+        });
+
+        it('should refuse a file with too many rows', async () => {
+            req.body.type = 'catways';
+            req.file = { originalname: 'catways.csv', buffer: Buffer.from('') };
+            sinon.stub(spreadsheetService, 'readRows').resolves(Array.from({ length: 1001 }, (value, index) => ({ line: index + 2, values: {} })));
+            const preview = sinon.stub(importService, 'previewImport');
+
+            await importsController.preview(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.firstCall.args[1]).to.deep.equal({ errors: ['Importez au plus 1000 lignes à la fois (le fichier en contient 1001)'] });
+            expect(preview.called).to.be.false;
+        });
+    });
+
+    describe('commit', () => {
+        it('should import the batch and report each row', async () => {
+            req.params.id = 'b1';
+            const batch = { type: 'reservations' };
+            const results = [{ line: 2, status: 'created' }, { line: 3, status: 'skipped' }];
+            sinon.stub(importService, 'getPendingBatch').withArgs('b1', req.user).resolves(batch);
+            sinon.stub(importService, 'commitImport').withArgs('b1', req.user).resolves({ batch, results });
+
+            await importsController.commit(req, res);
+
+            expect(res.status.calledWith(200)).to.be.true;
+            expect(res.render.firstCall.args[0]).to.equal('imports/result');
+            expect(res.render.firstCall.args[1]).to.include({ batch, results, created: 1 });
+        });
+
+        it('should answer 404 for a batch expired, imported already or of another user', async () => {
+            req.params.id = 'b1';
+            sinon.stub(importService, 'getPendingBatch').resolves(null);
+            const commit = sinon.stub(importService, 'commitImport');
+
+            await importsController.commit(req, res);
+
+            expect(res.status.calledWith(404)).to.be.true;
+            expect(commit.called).to.be.false;
+        });
+
+        it('should answer 403 when the user may no longer create these records', async () => {
+            req.params.id = 'b1';
+            sinon.stub(importService, 'getPendingBatch').resolves({ type: 'users' });
+            const commit = sinon.stub(importService, 'commitImport');
+
+            await importsController.commit(req, res);
+
+            expect(res.status.calledWith(403)).to.be.true;
+            expect(commit.called).to.be.false;
+        });
+    });
+});
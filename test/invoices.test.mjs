@@ -0,0 +1,106 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import invoiceService from '../services/invoices.js';
+import Counter from '../models/counter.js';
+import Customer from '../models/customer.js';
+import Invoice from '../models/invoice.js';
+import Reservation from '../models/reservation.js';
+import ReservationLock from '../models/reservationLock.js';
+
+describe('Invoices Services Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('nextInvoiceNumber', () => {
+        it('should number the invoices within the year', async () => {
+            const findOneAndUpdate = sinon.stub(Counter, 'findOneAndUpdate').resolves({ seq: 42 });
+
+            const number = await invoiceService.nextInvoiceNumber(new Date('2025-03-15'));
+
+            expect(number).to.equal('2025-00042');
+            expect(findOneAndUpdate.firstCall.args[0]).to.deep.equal({ _id: 'invoice-2025' });
+            expect(findOneAndUpdate.firstCall.args[1]).to.deep.equal({ $inc: { seq: 1 } });
+        });
+    });
+
+    describe('issueInvoice', () => {
+        let locks;
+
+        // A lock that behaves like the unique index: a second create fails while it is held
+        beforeEach(() => {
+            locks = new Set();
+            sinon.stub(ReservationLock, 'create').callsFake(async ({ catwayNumber }) => {
+                if (locks.has(catwayNumber)) {
+                    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+                }
+                locks.add(catwayNumber);
+            });
+            sinon.stub(ReservationLock, 'deleteOne').callsFake(async ({ catwayNumber }) => {
+                locks.delete(catwayNumber);
+            });
+        });
+
+        const reservation = {
+            _id: 'r1',
+            customer: 'c1',
+            clientName: 'John Doe',
+            boatName: 'The Odyssey',
+            catwayNumber: 3,
+            checkIn: new Date('2025-07-01'),
+            checkOut: new Date('2025-07-04'),
+            quote: { lines: [{ label: 'Amarrage', quantity: 3, unitPrice: 40, amount: 120 }], total: 120, currency: 'EUR' }
+        };
+
+        it('should return the invoice already issued without taking a new number', async () => {
+            const existing = { number: '2025-00001' };
+            sinon.stub(Reservation, 'findById').resolves(reservation);
+            sinon.stub(Invoice, 'findOne').resolves(existing);
+            const findOneAndUpdate = sinon.stub(Counter, 'findOneAndUpdate');
+
+            const invoice = await invoiceService.issueInvoice('r1');
+
+            expect(invoice).to.equal(existing);
+            expect(findOneAndUpdate.called).to.be.false;
+        });
+
+        it('should copy the reservation, its customer address and its quote on the invoice', async () => {
+            sinon.stub(Reservation, 'findById').resolves(reservation);
+            sinon.stub(Invoice, 'findOne').resolves(null);
+            sinon.stub(Customer, 'findById').resolves({ address: { street: '1 quai du Port', postalCode: '13000', city: 'Marseille' } });
+            sinon.stub(Counter, 'findOneAndUpdate').resolves({ seq: 7 });
+            sinon.stub(Invoice.prototype, 'save').callsFake(function () { return Promise.resolve(this); });
+
+            const invoice = await invoiceService.issueInvoice('r1');
+
+            expect(invoice.number).to.match(/^\d{4}-00007$/);
+            expect(invoice.clientAddress).to.equal('1 quai du Port, 13000 Marseille');
+            expect(invoice.total).to.equal(120);
+            expect(invoice.lines[0].label).to.equal('Amarrage');
+        });
+
+        it('should take a single number when the same invoice is issued twice at once', async () => {
+            let saved = null;
+            sinon.stub(Reservation, 'findById').resolves(reservation);
+            sinon.stub(Invoice, 'findOne').callsFake(async () => saved);
+            sinon.stub(Customer, 'findById').resolves(null);
+            const findOneAndUpdate = sinon.stub(Counter, 'findOneAndUpdate').resolves({ seq: 7 });
+            sinon.stub(Invoice.prototype, 'save').callsFake(async function () {
+                saved = this;
+                return this;
+            });
+
+            const [first, second] = await Promise.all([invoiceService.issueInvoice('r1'), invoiceService.issueInvoice('r1')]);
+
+            expect(findOneAndUpdate.calledOnce).to.be.true;
+            expect(second).to.equal(first);
+            expect(locks.size).to.equal(0);
+        });
+
+        it('should return null when the reservation does not exist', async () => {
+            sinon.stub(Reservation, 'findById').resolves(null);
+
+            expect(await invoiceService.issueInvoice('r1')).to.be.null;
+        });
+    });
+});
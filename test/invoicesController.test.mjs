@@ -0,0 +1,83 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import invoicesController from '../controllers/invoicesController.js';
+import invoiceService from '../services/invoices.js';
+import reservationService from '../services/reservations.js';
+
+describe('Invoices Controller Tests', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            params: { id: 'catway_id', idReservation: 'r1' },
+            query: {},
+            body: {},
+        };
+        res = {
+            status: sinon.stub().returnsThis(),
+            render: sinon.stub(),
+            json: sinon.stub(),
+            redirect: sinon.stub(),
+            attachment: sinon.stub(),
+            send: sinon.stub(),
+        };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('issue', () => {
+        it('should issue the invoice and redirect to it', async () => {
+            sinon.stub(invoiceService, 'issueInvoice').withArgs('r1').resolves({ number: '2025-00001' });
+
+            await invoicesController.issue(req, res);
+
+            expect(res.redirect.calledWith('/catways/catway_id/reservations/r1/invoice')).to.be.true;
+        });
+
+        it('should return 404 if the reservation is not found', async () => {
+            sinon.stub(invoiceService, 'issueInvoice').resolves(null);
+
+            await invoicesController.issue(req, res);
+
+            expect(res.status.calledWith(404)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Réservation non trouvée'] })).to.be.true;
+        });
+
+        it('should return 503 when the catway stays locked', async () => {
+            const error = new reservationService.CatwayLockedError(3);
+            sinon.stub(invoiceService, 'issueInvoice').rejects(error);
+
+            await invoicesController.issue(req, res);
+
+            expect(res.status.calledWith(503)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: [error.message] })).to.be.true;
+        });
+    });
+
+    describe('getInvoice', () => {
+        it('should return 404 when no invoice was issued', async () => {
+            sinon.stub(invoiceService, 'getInvoiceOfReservation').resolves(null);
+
+            await invoicesController.getInvoice(req, res);
+
+            expect(res.status.calledWith(404)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Aucune facture n\'a été émise pour cette réservation'] })).to.be.true;
+        });
+    });
+
+    describe('download', () => {
+        it('should send the invoice as an attachment named after its number', async () => {
+            const invoice = { number: '2025-00001' };
+            sinon.stub(invoiceService, 'getInvoiceOfReservation').resolves(invoice);
+            res.render.callsArgWith(2, null, '<html></html>');
+
+            await invoicesController.download(req, res);
+
+            expect(res.render.firstCall.args[1]).to.deep.equal({ invoice, catwayId: 'catway_id', download: true });
+            expect(res.attachment.calledWith('facture-2025-00001.html')).to.be.true;
+            expect(res.send.calledWith('<html></html>')).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,108 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import listQueryService from '../services/listQuery.js';
+import reservationService from '../services/reservations.js';
+import Catway from '../models/catway.js';
+
+describe('List Query Services Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('parseListQuery', () => {
+        const options = {
+            sortFields: ['catwayNumber', 'boatName'],
+            defaultSort: 'catwayNumber',
+            filters: {
+                boatName: { parse: value => ({ boatName: listQueryService.contains(value) }) }
+            }
+        };
+
+        it('should use the first page, the default size and the default sort', () => {
+            expect(listQueryService.parseListQuery({}, options)).to.deep.equal({
+                page: 1,
+                limit: listQueryService.DEFAULT_LIMIT,
+                sort: { catwayNumber: 1, _id: 1 },
+                filter: {},
+                errors: []
+            });
+        });
+
+        it('should sort in descending order with a leading minus', () => {
+            const { sort, page, limit } = listQueryService.parseListQuery({ sort: '-boatName', page: '3', limit: '50' }, options);
+
+            expect(sort).to.deep.equal({ boatName: -1, _id: 1 });
+            expect(page).to.equal(3);
+            expect(limit).to.equal(50);
+        });
+
+        it('should match the text of a filter literally and regardless of case', () => {
+            const { filter } = listQueryService.parseListQuery({ boatName: 'Sea (2)' }, options);
+            const regexp = filter.$and[0].boatName;
+
+            expect(regexp.test('THE SEA (2)')).to.be.true;
+            expect(regexp.test('Sea 2')).to.be.false;
+        });
+
+        it('should reject a sort, a page or a size out of bounds', () => {
+            const { errors } = listQueryService.parseListQuery({ sort: 'password', page: '0', limit: '1000' }, options);
+
+            expect(errors).to.have.lengthOf(3);
+        });
+
+        it('should keep the stays that cross the days asked for', () => {
+            const { filter, errors } = listQueryService.parseListQuery({ from: '2025-07-01', to: '2025-07-10', status: 'confirmed' }, reservationService.LIST_OPTIONS);
+
+            expect(errors).to.be.empty;
+            expect(filter.$and).to.deep.include({ checkOut: { $gt: new Date('2025-07-01') } });
+            expect(filter.$and).to.deep.include({ checkIn: { $lt: new Date('2025-07-11') } });
+            expect(filter.$and).to.deep.include({ status: 'confirmed' });
+        });
+
+        it('should report an invalid filter value', () => {
+            const { errors } = listQueryService.parseListQuery({ from: 'tomorrow' }, reservationService.LIST_OPTIONS);
+
+            expect(errors).to.deep.equal(['La date de début (from) doit être valide']);
+        });
+    });
+
+    describe('findPage', () => {
+        it('should skip the previous pages and count every matching record', async () => {
+            const limit = sinon.stub().resolves([{ catwayNumber: 21 }]);
+            const skip = sinon.stub().returns({ limit });
+            const sort = sinon.stub().returns({ skip });
+            const find = sinon.stub(Catway, 'find').returns({ sort });
+            sinon.stub(Catway, 'countDocuments').resolves(41);
+
+            const listQuery = { page: 3, limit: 10, sort: { catwayNumber: 1, _id: 1 }, filter: { $and: [{ type: 'long' }] } };
+            const result = await listQueryService.findPage(Catway, listQuery, { catwayState: 'available' });
+
+            expect(find.calledWith({ $and: [{ catwayState: 'available' }, { $and: [{ type: 'long' }] }] })).to.be.true;
+            expect(skip.calledWith(20)).to.be.true;
+            expect(limit.calledWith(10)).to.be.true;
+            expect(result).to.deep.include({ total: 41, page: 3, limit: 10, pages: 5 });
+        });
+    });
+
+    describe('pagination', () => {
+        it('should link to the pages around, keeping the filters but not the message', () => {
+            const pagination = listQueryService.pagination('/catways', { type: 'long', page: '2', message: 'ok' }, { total: 45, page: 2, limit: 20, pages: 3 });
+
+            expect(pagination).to.deep.equal({
+                total: 45,
+                page: 2,
+                pages: 3,
+                limit: 20,
+                prev: '/catways?type=long&page=1',
+                next: '/catways?type=long&page=3'
+            });
+        });
+
+        it('should have no links on a single page', () => {
+            const pagination = listQueryService.pagination('/catways', {}, { total: 4, page: 1, limit: 20, pages: 1 });
+
+            expect(pagination.prev).to.be.null;
+            expect(pagination.next).to.be.null;
+        });
+    });
+});
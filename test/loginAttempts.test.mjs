@@ -0,0 +1,90 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import loginAttempts from '../services/loginAttempts.js';
+import User from '../models/user.js';
+import LoginThrottle from '../models/loginThrottle.js';
+
+describe('Login Attempts Services Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('delayFor', () => {
+        it('should not make the first attempts wait', () => {
+            expect(loginAttempts.delayFor(0, 3, 60)).to.equal(0);
+            expect(loginAttempts.delayFor(2, 3, 60)).to.equal(0);
+        });
+
+        it('should double the wait with each failure, up to the maximum', () => {
+            expect(loginAttempts.delayFor(3, 3, 60)).to.equal(1);
+            expect(loginAttempts.delayFor(5, 3, 60)).to.equal(4);
+            expect(loginAttempts.delayFor(20, 3, 60)).to.equal(60);
+        });
+    });
+
+    describe('getRetryAfter', () => {
+        it('should let a first attempt through', async () => {
+            sinon.stub(LoginThrottle, 'findOne').resolves(null);
+
+            expect(await loginAttempts.getRetryAfter(null, '127.0.0.1')).to.equal(0);
+        });
+
+        it('should refuse an attempt on a locked account until the lock is over', async () => {
+            sinon.stub(LoginThrottle, 'findOne').resolves(null);
+            const user = { failedLoginAttempts: 0, lockedUntil: new Date(Date.now() + 120 * 1000) };
+
+            const retryAfter = await loginAttempts.getRetryAfter(user, '127.0.0.1');
+
+            expect(retryAfter).to.be.within(119, 120);
+        });
+
+        it('should make an attempt wait after recent failures on the account', async () => {
+            sinon.stub(LoginThrottle, 'findOne').resolves(null);
+            const user = { failedLoginAttempts: 6, lastFailedLoginAt: new Date() };
+
+            expect(await loginAttempts.getRetryAfter(user, '127.0.0.1')).to.equal(8);
+        });
+
+        it('should make an attempt wait after many failures from the same IP address', async () => {
+            sinon.stub(LoginThrottle, 'findOne').resolves({ failures: 12, lastFailureAt: new Date() });
+
+            expect(await loginAttempts.getRetryAfter(null, '127.0.0.1')).to.equal(4);
+        });
+    });
+
+    describe('recordFailure', () => {
+        it('should count the failure for the IP address and the account', async () => {
+            const throttle = sinon.stub(LoginThrottle, 'findOneAndUpdate').resolves();
+            sinon.stub(User, 'findOneAndUpdate').resolves({ failedLoginAttempts: 2 });
+            const updateOne = sinon.stub(User, 'updateOne').resolves();
+
+            await loginAttempts.recordFailure({ _id: 'u1' }, '127.0.0.1');
+
+            expect(throttle.calledOnce).to.be.true;
+            expect(throttle.firstCall.args[0]).to.deep.equal({ ip: '127.0.0.1' });
+            expect(updateOne.called).to.be.false;
+        });
+
+        it('should lock the account once the threshold is reached', async () => {
+            sinon.stub(LoginThrottle, 'findOneAndUpdate').resolves();
+            sinon.stub(User, 'findOneAndUpdate').resolves({ failedLoginAttempts: loginAttempts.ACCOUNT_LOCK_THRESHOLD });
+            const updateOne = sinon.stub(User, 'updateOne').resolves();
+
+            await loginAttempts.recordFailure({ _id: 'u1' }, '127.0.0.1');
+
+            const update = updateOne.firstCall.args[1].$set;
+            expect(update.failedLoginAttempts).to.equal(0);
+            expect(update.lockedUntil.getTime()).to.be.closeTo(Date.now() + loginAttempts.ACCOUNT_LOCK_DURATION * 1000, 1000);
+        });
+
+        it('should only count the IP address for an unknown email', async () => {
+            const throttle = sinon.stub(LoginThrottle, 'findOneAndUpdate').resolves();
+            const findOneAndUpdate = sinon.stub(User, 'findOneAndUpdate');
+
+            await loginAttempts.recordFailure(null, '127.0.0.1');
+
+            expect(throttle.calledOnce).to.be.true;
+            expect(findOneAndUpdate.called).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,37 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mailer from '../services/mailer.js';
+
+describe('Mailer Tests', () => {
+    afterEach(() => {
+        mailer.setTransport(null);
+    });
+
+    it('should keep messages in memory with the default sender', async () => {
+        const transport = mailer.createMemoryTransport();
+        mailer.setTransport(transport);
+
+        await mailer.sendMail({ to: 'john@example.com', subject: 'Bonjour', text: 'Bonjour John' });
+
+        expect(transport.messages).to.have.length(1);
+        expect(transport.messages[0]).to.include({ to: 'john@example.com', subject: 'Bonjour', from: 'capitainerie@port-russell.fr' });
+    });
+
+    it('should write messages to disk', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mails-'));
+        mailer.setTransport(mailer.createFileTransport(directory));
+
+        await mailer.sendMail({ to: 'john@example.com', subject: 'Bonjour', text: 'Bonjour John' });
+
+        const files = fs.readdirSync(directory);
+        expect(files).to.have.length(1);
+        expect(JSON.parse(fs.readFileSync(path.join(directory, files[0]), 'utf8')).subject).to.equal('Bonjour');
+        fs.rmSync(directory, { recursive: true });
+    });
+
+    it('should refuse a transport without send method', () => {
+        expect(() => mailer.setTransport({})).to.throw('A mail transport must have a send(message) method');
+    });
+});
@@ -0,0 +1,194 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import migrationService from '../services/migrations.js';
+import Migration from '../models/migration.js';
+import Reservation from '../models/reservation.js';
+
+// A migration whose up and down are spies
+const migration = (version, name) => ({ version, name, description: '', up: sinon.stub().resolves(), down: sinon.stub().resolves() });
+
+describe('Migrations Services Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('loadMigrations', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should load the migrations in the order of their versions', () => {
+            fs.writeFileSync(path.join(dir, '010-later.js'), 'exports.up = async () => {}; exports.down = async () => {};');
+            fs.writeFileSync(path.join(dir, '002-first.js'), 'exports.description = "Premier"; exports.up = async () => {}; exports.down = async () => {};');
+            fs.writeFileSync(path.join(dir, 'README.md'), 'Not a migration');
+
+            const migrations = migrationService.loadMigrations(dir);
+
+            expect(migrations.map(m => [m.version, m.name, m.description])).to.deep.equal([['002', 'first', 'Premier'], ['010', 'later', '']]);
+        });
+
+        it('should refuse a migration that cannot be reverted', () => {
+            fs.writeFileSync(path.join(dir, '001-oneway.js'), 'exports.up = async () => {};');
+
+            expect(() => migrationService.loadMigrations(dir)).to.throw(migrationService.MigrationError, '001-oneway.js');
+        });
+
+        it('should refuse two migrations with the same version', () => {
+            fs.writeFileSync(path.join(dir, '001-a.js'), 'exports.up = async () => {}; exports.down = async () => {};');
+            fs.writeFileSync(path.join(dir, '1-b.js'), 'exports.up = async () => {}; exports.down = async () => {};');
+
+            expect(() => migrationService.loadMigrations(dir)).to.throw(migrationService.MigrationError, 'Deux migrations ont la version');
+        });
+
+        it('should load the migrations of the project', () => {
+            const migrations = migrationService.loadMigrations();
+
+            expect(migrations[0]).to.include({ version: '001', name: 'reservation-indexes' });
+        });
+
+        it('should drop the very indexes the first migration creates', async () => {
+            const reservations = { createIndexes: sinon.stub().resolves(), dropIndex: sinon.stub().resolves() };
+            const db = { collection: sinon.stub().withArgs('reservations').returns(reservations) };
+            const [first] = migrationService.loadMigrations();
+
+            await first.up(db);
+            await first.down(db);
+
+            const created = reservations.createIndexes.firstCall.args[0].map(index => index.name);
+            expect(reservations.dropIndex.args.map(args => args[0])).to.deep.equal(created);
+        });
+    });
+
+    describe('001-reservation-indexes', () => {
+        it('should apply on a database where the app already built the indexes of the model', async () => {
+            // The indexes Mongoose builds from the schema, named the way it names them
+            const existing = Reservation.schema.indexes().map(([key]) => ({
+                key,
+                name: Object.entries(key).map(([field, order]) => `${field}_${order}`).join('_')
+            }));
+            // Like MongoDB, refuse an index whose key or name is already taken by another one
+            const createIndexes = sinon.stub().callsFake(async (indexes) => {
+                for (const index of indexes) {
+                    const clash = existing.find(other => (JSON.stringify(other.key) === JSON.stringify(index.key)) !== (other.name === index.name));
+                    if (clash) {
+                        const error = new Error(`Index already exists with a different name: ${clash.name}`);
+                        error.codeName = 'IndexOptionsConflict';
+                        throw error;
+                    }
+                }
+            });
+            const db = { collection: sinon.stub().withArgs('reservations').returns({ createIndexes }) };
+            const [first] = migrationService.loadMigrations();
+
+            expect(existing.map(index => index.name)).to.include('customer_1');
+            await first.up(db);
+            expect(createIndexes.calledOnce).to.be.true;
+        });
+    });
+
+    describe('getStatus', () => {
+        it('should tell the migrations applied, pending and with no file', async () => {
+            const appliedAt = new Date('2030-01-01T10:00:00Z');
+            sinon.stub(Migration, 'find').resolves([{ version: '001', name: 'a', appliedAt }, { version: '003', name: 'gone', appliedAt }]);
+
+            const status = await migrationService.getStatus([migration('001', 'a'), migration('002', 'b')]);
+
+            expect(status).to.deep.equal([
+                { version: '001', name: 'a', description: '', appliedAt, missing: false },
+                { version: '002', name: 'b', description: '', appliedAt: null, missing: false },
+                { version: '003', name: 'gone', description: '', appliedAt, missing: true }
+            ]);
+        });
+    });
+
+    describe('migrateUp', () => {
+        it('should apply the pending migrations in order and record each', async () => {
+            const migrations = [migration('001', 'a'), migration('002', 'b'), migration('003', 'c')];
+            sinon.stub(Migration, 'find').resolves([{ version: '001' }]);
+            const create = sinon.stub(Migration, 'create').resolves();
+
+            const applied = await migrationService.migrateUp(migrations);
+
+            expect(applied.map(m => m.version)).to.deep.equal(['002', '003']);
+            expect(migrations[0].up.called).to.be.false;
+            expect(migrations[1].up.calledBefore(migrations[2].up)).to.be.true;
+            expect(create.firstCall.args[0]).to.deep.equal({ version: '002', name: 'b' });
+            expect(create.secondCall.args[0]).to.deep.equal({ version: '003', name: 'c' });
+        });
+
+        it('should stop at the version asked for', async () => {
+            const migrations = [migration('001', 'a'), migration('002', 'b')];
+            sinon.stub(Migration, 'find').resolves([]);
+            sinon.stub(Migration, 'create').resolves();
+
+            const applied = await migrationService.migrateUp(migrations, { to: '1' });
+
+            expect(applied.map(m => m.version)).to.deep.equal(['001']);
+            expect(migrations[1].up.called).to.be.false;
+        });
+
+        it('should stop at the first migration that fails, without recording it', async () => {
+            const migrations = [migration('001', 'a'), migration('002', 'b')];
+            migrations[0].up.rejects(new Error('index en double'));
+            sinon.stub(Migration, 'find').resolves([]);
+            const create = sinon.stub(Migration, 'create');
+
+            try {
+                await migrationService.migrateUp(migrations);
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('MigrationError');
+                expect(error.message).to.equal('La migration 001-a a échoué : index en double');
+            }
+            expect(create.called).to.be.false;
+            expect(migrations[1].up.called).to.be.false;
+        });
+    });
+
+    describe('migrateDown', () => {
+        it('should revert the last migration applied', async () => {
+            const migrations = [migration('001', 'a'), migration('002', 'b')];
+            sinon.stub(Migration, 'find').resolves([{ version: '001' }, { version: '002' }]);
+            const deleteOne = sinon.stub(Migration, 'deleteOne').resolves();
+
+            const reverted = await migrationService.migrateDown(migrations);
+
+            expect(reverted.map(m => m.version)).to.deep.equal(['002']);
+            expect(migrations[0].down.called).to.be.false;
+            expect(deleteOne.calledOnceWith({ version: '002' })).to.be.true;
+        });
+
+        it('should revert every migration after a version, the most recent first', async () => {
+            const migrations = [migration('001', 'a'), migration('002', 'b'), migration('003', 'c')];
+            sinon.stub(Migration, 'find').resolves([{ version: '001' }, { version: '002' }, { version: '003' }]);
+            sinon.stub(Migration, 'deleteOne').resolves();
+
+            const reverted = await migrationService.migrateDown(migrations, { to: '0' });
+
+            expect(reverted.map(m => m.version)).to.deep.equal(['003', '002', '001']);
+            expect(migrations[2].down.calledBefore(migrations[1].down)).to.be.true;
+        });
+
+        it('should refuse to revert a migration whose file is gone', async () => {
+            sinon.stub(Migration, 'find').resolves([{ version: '004' }]);
+            const deleteOne = sinon.stub(Migration, 'deleteOne');
+
+            try {
+                await migrationService.migrateDown([migration('001', 'a')]);
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('MigrationError');
+            }
+            expect(deleteOne.called).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,115 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import paymentService from '../services/payments.js';
+import Payment from '../models/payment.js';
+import Reservation from '../models/reservation.js';
+
+describe('Payments Services Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('summarizePayments', () => {
+        const now = new Date('2025-07-01');
+        const reservation = { quote: { total: 300 }, checkOut: new Date('2025-07-20') };
+
+        it('should derive the status from the payments that were not reversed', () => {
+            expect(paymentService.summarizePayments(reservation, [], now).status).to.equal('unpaid');
+
+            const partial = paymentService.summarizePayments(reservation, [
+                { kind: 'deposit', amount: 100 },
+                { kind: 'balance', amount: 200, reversedAt: new Date() }
+            ], now);
+            expect(partial).to.include({ status: 'partiallyPaid', paid: 100, balanceDue: 200, statusLabel: 'Partiellement payée' });
+
+            const paid = paymentService.summarizePayments(reservation, [
+                { kind: 'deposit', amount: 100 },
+                { kind: 'balance', amount: 200 }
+            ], now);
+            expect(paid).to.include({ status: 'paid', balanceDue: 0 });
+
+            const refunded = paymentService.summarizePayments(reservation, [
+                { kind: 'deposit', amount: 100 },
+                { kind: 'refund', amount: 100 }
+            ], now);
+            expect(refunded).to.include({ status: 'refunded', paid: 0 });
+        });
+
+        it('should flag a balance still due when checkout approaches', () => {
+            const deposit = [{ kind: 'deposit', amount: 100 }];
+
+            expect(paymentService.summarizePayments(reservation, deposit, now).balanceAlert).to.be.false;
+            expect(paymentService.summarizePayments(reservation, deposit, new Date('2025-07-18')).balanceAlert).to.be.true;
+            expect(paymentService.summarizePayments(reservation, [{ kind: 'deposit', amount: 300 }], new Date('2025-07-18')).balanceAlert).to.be.false;
+        });
+
+        it('should leave the balance unknown without a price', () => {
+            const summary = paymentService.summarizePayments({ checkOut: new Date('2025-07-02') }, [{ kind: 'deposit', amount: 50 }], now);
+
+            expect(summary).to.include({ price: null, balanceDue: null, status: 'partiallyPaid', balanceAlert: false });
+        });
+    });
+
+    describe('addPayment', () => {
+        it('should refuse a refund larger than what was paid', async () => {
+            sinon.stub(Reservation, 'findById').returns({ setOptions: sinon.stub().resolves({ _id: '60c72b2f9f1b2c001c9a9e84', quote: { total: 300 }, checkOut: new Date() }) });
+            sinon.stub(Payment, 'find').returns({ sort: sinon.stub().resolves([{ kind: 'deposit', amount: 100 }]) });
+            const save = sinon.stub(Payment.prototype, 'save');
+
+            try {
+                await paymentService.addPayment('60c72b2f9f1b2c001c9a9e84', { kind: 'refund', method: 'card', amount: 150 });
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(paymentService.InvalidPaymentError);
+                expect(error.message).to.equal('Le remboursement ne peut pas dépasser les 100 € payés');
+            }
+            expect(save.called).to.be.false;
+        });
+    });
+
+    describe('reversePayment', () => {
+        it('should refuse to reverse a payment twice', async () => {
+            sinon.stub(Payment, 'findOne').resolves({ kind: 'deposit', amount: 100, reversedAt: new Date() });
+
+            try {
+                await paymentService.reversePayment('r1', 'p1');
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Ce paiement a déjà été annulé');
+            }
+        });
+
+        it('should reverse a payment of a reservation in the trash', async () => {
+            const payment = { kind: 'deposit', amount: 100, save: sinon.stub().resolvesThis() };
+            sinon.stub(Payment, 'findOne').resolves(payment);
+            const setOptions = sinon.stub().resolves({ _id: 'r1', quote: { total: 300 }, deletedAt: new Date() });
+            sinon.stub(Reservation, 'findById').returns({ setOptions });
+            sinon.stub(Payment, 'find').returns({ sort: sinon.stub().resolves([payment]) });
+
+            await paymentService.reversePayment('r1', 'p1');
+
+            expect(setOptions.calledWith({ withDeleted: true })).to.be.true;
+            expect(payment.reversedAt).to.be.instanceOf(Date);
+        });
+
+        it('should return null when the reservation no longer exists', async () => {
+            const payment = { kind: 'deposit', amount: 100, save: sinon.stub().resolvesThis() };
+            sinon.stub(Payment, 'findOne').resolves(payment);
+            sinon.stub(Reservation, 'findById').returns({ setOptions: sinon.stub().resolves(null) });
+
+            expect(await paymentService.reversePayment('r1', 'p1')).to.be.null;
+            expect(payment.save.called).to.be.false;
+        });
+
+        it('should keep the payment and mark it reversed', async () => {
+            const payment = { kind: 'refund', amount: 50, save: sinon.stub().resolvesThis() };
+            sinon.stub(Payment, 'findOne').resolves(payment);
+
+            await paymentService.reversePayment('r1', 'p1', 'Saisi deux fois');
+
+            expect(payment.reversedAt).to.be.instanceOf(Date);
+            expect(payment.reversalReason).to.equal('Saisi deux fois');
+            expect(payment.save.calledOnce).to.be.true;
+        });
+    });
+});
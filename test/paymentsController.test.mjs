@@ -0,0 +1,74 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import paymentsController from '../controllers/paymentsController.js';
+import paymentService from '../services/payments.js';
+
+describe('Payments Controller Tests', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            params: { id: 'catway_id', idReservation: 'r1' },
+            query: {},
+            body: {},
+            user: { _id: 'u1' },
+        };
+        res = {
+            status: sinon.stub().returnsThis(),
+            render: sinon.stub(),
+            json: sinon.stub(),
+            redirect: sinon.stub(),
+        };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('add', () => {
+        it('should record the payment for the logged in user and go back to the reservation', async () => {
+            req.body = { kind: 'deposit', method: 'card', amount: '50', paidAt: '' };
+            const addPayment = sinon.stub(paymentService, 'addPayment').resolves({ amount: 50 });
+
+            await paymentsController.add(req, res);
+
+            expect(addPayment.firstCall.args[0]).to.equal('r1');
+            expect(addPayment.firstCall.args[1]).to.include({ kind: 'deposit', method: 'card', amount: '50', paidAt: undefined });
+            expect(addPayment.firstCall.args[2]).to.equal(req.user);
+            expect(res.redirect.calledWith('/catways/catway_id/reservations/r1?message=Le paiement de 50 € a été enregistré')).to.be.true;
+        });
+
+        it('should refuse a refund larger than what was paid', async () => {
+            req.body = { kind: 'refund', method: 'cash', amount: '500' };
+            sinon.stub(paymentService, 'addPayment').rejects(new paymentService.InvalidPaymentError('Le remboursement ne peut pas dépasser les 100 € payés'));
+
+            await paymentsController.add(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Le remboursement ne peut pas dépasser les 100 € payés'] })).to.be.true;
+        });
+    });
+
+    describe('reverse', () => {
+        it('should reverse the payment with its reason', async () => {
+            req.params.idPayment = 'p1';
+            req.body = { reason: 'Saisi deux fois' };
+            const reversePayment = sinon.stub(paymentService, 'reversePayment').resolves({ amount: 50 });
+
+            await paymentsController.reverse(req, res);
+
+            expect(reversePayment.calledWith('r1', 'p1', 'Saisi deux fois')).to.be.true;
+            expect(res.redirect.calledWith('/catways/catway_id/reservations/r1?message=Le paiement de 50 € a été annulé')).to.be.true;
+        });
+
+        it('should return 404 if the payment is not found', async () => {
+            req.params.idPayment = 'p1';
+            sinon.stub(paymentService, 'reversePayment').resolves(null);
+
+            await paymentsController.reverse(req, res);
+
+            expect(res.status.calledWith(404)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Paiement non trouvé'] })).to.be.true;
+        });
+    });
+});
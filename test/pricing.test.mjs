@@ -0,0 +1,69 @@
+import { expect } from 'chai';
+import pricingService from '../services/pricing.js';
+
+describe('Pricing Services Tests', () => {
+    const high = { season: 'high', months: [6, 7, 8, 9], nightlyRate: 4, weeklyRate: 24, monthlyRate: 90, electricityRate: 3, waterRate: 2 };
+    const low = { season: 'low', months: [1, 2, 3, 4, 5, 10, 11, 12], nightlyRate: 2 };
+    const tariffs = [high, low];
+    const catway = { catwayNumber: 1, type: 'short' };
+
+    describe('computeQuote', () => {
+        it('should charge the nights per metre of the boat', () => {
+            const quote = pricingService.computeQuote({
+                catway,
+                boat: { length: 10 },
+                checkIn: new Date('2025-07-01'),
+                checkOut: new Date('2025-07-04')
+            }, tariffs);
+
+            expect(quote.length).to.equal(10);
+            expect(quote.lines).to.deep.equal([
+                { label: 'Amarrage à la nuit, 10 m - haute saison', quantity: 3, unitPrice: 40, amount: 120 }
+            ]);
+            expect(quote.total).to.equal(120);
+            expect(quote.currency).to.equal('EUR');
+        });
+
+        it('should charge by the month and the week first, and the extras per night', () => {
+            const quote = pricingService.computeQuote({
+                catway,
+                boat: { length: 10 },
+                checkIn: new Date('2025-06-01'),
+                checkOut: new Date('2025-07-10'),
+                extras: { electricity: true }
+            }, tariffs);
+
+            expect(quote.lines.map(line => [line.quantity, line.amount])).to.deep.equal([
+                [1, 900],
+                [1, 240],
+                [2, 80],
+                [39, 117]
+            ]);
+            expect(quote.total).to.equal(1337);
+        });
+
+        it('should charge each season at its own rates and the catway length when the boat is unknown', () => {
+            const quote = pricingService.computeQuote({
+                catway,
+                checkIn: new Date('2025-09-29'),
+                checkOut: new Date('2025-10-02')
+            }, tariffs);
+
+            expect(quote.length).to.equal(12);
+            expect(quote.lines).to.deep.equal([
+                { label: 'Amarrage à la nuit, 12 m - haute saison', quantity: 2, unitPrice: 48, amount: 96 },
+                { label: 'Amarrage à la nuit, 12 m - basse saison', quantity: 1, unitPrice: 24, amount: 24 }
+            ]);
+            expect(quote.total).to.equal(120);
+        });
+
+        it('should throw a NoTariffError when a month has no tariff', () => {
+            expect(() => pricingService.computeQuote({
+                catway,
+                boat: { length: 10 },
+                checkIn: new Date('2025-05-30'),
+                checkOut: new Date('2025-06-02')
+            }, [high])).to.throw(pricingService.NoTariffError, 'Aucun tarif ne couvre le mois 5 pour les catways de type short');
+        });
+    });
+});
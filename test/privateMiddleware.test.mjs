@@ -0,0 +1,160 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import jwt from 'jsonwebtoken';
+import sessionService from '../services/sessions.js';
+
+describe('JWT Middleware Tests', () => {
+    let privateMiddleware, req, res, next;
+
+    before(async () => {
+        process.env.SECRET_KEY = process.env.SECRET_KEY || 'test_secret';
+        privateMiddleware = (await import('../middlewares/private.js')).default;
+    });
+
+    beforeEach(() => {
+        req = {
+            originalUrl: '/catways',
+            headers: {},
+            cookies: {},
+            accepts: sinon.stub().returns('html'),
+        };
+        res = {
+            status: sinon.stub().returnsThis(),
+            render: sinon.stub(),
+            json: sinon.stub(),
+        };
+        next = sinon.stub();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const sign = () => jwt.sign({ user: { email: 'john@example.com' }, sid: 'session_id' }, process.env.SECRET_KEY);
+
+    describe('checkJWT', () => {
+        it('should accept a token from the Authorization header', async () => {
+            req.headers.authorization = `Bearer ${sign()}`;
+            sinon.stub(sessionService, 'isSessionActive').resolves(true);
+
+            await privateMiddleware.checkJWT(req, res, next);
+
+            expect(next.calledOnce).to.be.true;
+            expect(req.user).to.deep.equal({ email: 'john@example.com' });
+            expect(req.sessionId).to.equal('session_id');
+        });
+
+        it('should accept a token from the authToken cookie', async () => {
+            req.cookies.authToken = sign();
+            sinon.stub(sessionService, 'isSessionActive').resolves(true);
+
+            await privateMiddleware.checkJWT(req, res, next);
+
+            expect(next.calledOnce).to.be.true;
+        });
+
+        it('should render the error page for a browser without token', async () => {
+            await privateMiddleware.checkJWT(req, res, next);
+
+            expect(next.called).to.be.false;
+            expect(res.status.calledWith(401)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Connectez vous pour accéder a cette page'] })).to.be.true;
+        });
+
+        it('should answer JSON on the API without token', async () => {
+            req.originalUrl = '/api/v1/catways';
+
+            await privateMiddleware.checkJWT(req, res, next);
+
+            expect(res.status.calledWith(401)).to.be.true;
+            expect(res.json.calledWith({ error: { status: 401, message: 'Connectez vous pour accéder a cette page' } })).to.be.true;
+        });
+
+        it('should reject a token whose session was revoked', async () => {
+            req.headers.authorization = `Bearer ${sign()}`;
+            sinon.stub(sessionService, 'isSessionActive').resolves(false);
+
+            await privateMiddleware.checkJWT(req, res, next);
+
+            expect(next.called).to.be.false;
+            expect(res.status.calledWith(401)).to.be.true;
+            expect(res.json.calledWith({ error: { status: 401, message: 'Session révoquée, reconnectez vous' } })).to.be.true;
+        });
+
+        it('should rotate the cookies of a browser with an expired access token', async () => {
+            sinon.stub(console, 'error');
+            res.cookie = sinon.stub();
+            req.cookies = { authToken: 'expired', refreshToken: 'session_id.secret' };
+            const tokens = { accessToken: sign(), refreshToken: 'session_id.new_secret', expiresIn: 900, refreshExpiresIn: 604800 };
+            sinon.stub(sessionService, 'refreshSession').resolves(tokens);
+            sinon.stub(sessionService, 'isSessionActive').resolves(true);
+
+            await privateMiddleware.checkJWT(req, res, next);
+
+            expect(next.calledOnce).to.be.true;
+            expect(res.cookie.calledWith('authToken', tokens.accessToken)).to.be.true;
+            expect(res.cookie.calledWith('refreshToken', 'session_id.new_secret')).to.be.true;
+        });
+
+        it('should answer JSON for an invalid bearer token', async () => {
+            sinon.stub(console, 'error');
+            req.headers.authorization = 'Bearer not_a_token';
+
+            await privateMiddleware.checkJWT(req, res, next);
+
+            expect(next.called).to.be.false;
+            expect(res.status.calledWith(401)).to.be.true;
+            expect(res.json.calledWith({ error: { status: 401, message: 'Session invalide ou expirée, reconnectez vous' } })).to.be.true;
+        });
+    });
+
+    describe('checkPermission', () => {
+        it('should forbid a read-only accountant from deleting a catway', () => {
+            req.user = { role: 'accountant' };
+
+            privateMiddleware.checkPermission('catways:delete')(req, res, next);
+
+            expect(next.called).to.be.false;
+            expect(res.status.calledWith(403)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ["Vous n'avez pas les droits nécessaires pour cette action"] })).to.be.true;
+        });
+
+        it('should answer JSON to API clients', () => {
+            req.originalUrl = '/api/v1/catways/someId';
+            req.user = { role: 'accountant' };
+
+            privateMiddleware.checkPermission('catways:delete')(req, res, next);
+
+            expect(res.status.calledWith(403)).to.be.true;
+            expect(res.json.calledWith({ error: { status: 403, message: "Vous n'avez pas les droits nécessaires pour cette action" } })).to.be.true;
+        });
+
+        it('should let a harbour master delete a catway', () => {
+            req.user = { role: 'harbourMaster' };
+
+            privateMiddleware.checkPermission('catways:delete')(req, res, next);
+
+            expect(next.calledOnce).to.be.true;
+        });
+
+        it('should let an accountant read reservations', () => {
+            req.user = { role: 'accountant' };
+
+            privateMiddleware.checkPermission('reservations:read')(req, res, next);
+
+            expect(next.calledOnce).to.be.true;
+        });
+
+        it('should keep a read-only accountant from issuing invoices or recording and reversing payments', () => {
+            const user = { role: 'accountant' };
+
+            expect(privateMiddleware.hasPermission(user, 'invoices:read')).to.be.true;
+            expect(privateMiddleware.hasPermission(user, 'payments:read')).to.be.true;
+            expect(['invoices:write', 'payments:write', 'payments:reverse'].filter(permission => privateMiddleware.hasPermission(user, permission))).to.deep.equal([]);
+        });
+
+        it('should refuse an unknown permission when the route is declared', () => {
+            expect(() => privateMiddleware.checkPermission('boats:fly')).to.throw('Unknown permission: boats:fly');
+        });
+    });
+});
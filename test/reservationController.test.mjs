@@ -3,6 +3,11 @@ import sinon from 'sinon';
 import reservationsController from '../controllers/reservationsController.js';
 import reservationService from '../services/reservations.js';
 import catwayService from '../services/catways.js';
+import customerService from '../services/customers.js';
+import boatService from '../services/boats.js';
+import invoiceService from '../services/invoices.js';
+import paymentService from '../services/payments.js';
+import calendarService from '../services/calendar.js';
 
 describe('Reservations Controller Tests', () => {
     let req, res, next;
@@ -10,6 +15,7 @@ describe('Reservations Controller Tests', () => {
     beforeEach(() => {
         req = {
             params: {},
+            query: {},
             body: {},
             session: {},
         };
@@ -26,6 +32,33 @@ describe('Reservations Controller Tests', () => {
         sinon.restore();
     });
 
+    describe('getCalendar', () => {
+        it('should render the calendar of the period asked for', async () => {
+            req.query = { scale: 'month', from: '2030-07-15', catway: '4' };
+            req.user = { role: 'agent' };
+            const calendar = { rows: [] };
+            const getCalendar = sinon.stub(calendarService, 'getCalendar').resolves(calendar);
+
+            await reservationsController.getCalendar(req, res);
+
+            expect(getCalendar.firstCall.args[0]).to.deep.include({ from: new Date('2030-07-01'), to: new Date('2031-01-01'), scale: 'month', catwayNumber: 4 });
+            expect(res.render.firstCall.args[0]).to.equal('reservations/calendar');
+            expect(res.render.firstCall.args[1]).to.include({ calendar, catwayNumber: 4, canEdit: true });
+            expect(res.render.firstCall.args[1].movableStatuses).to.deep.equal(['pending', 'confirmed']);
+        });
+
+        it('should return 400 on an unknown scale', async () => {
+            req.query = { scale: 'year' };
+            const getCalendar = sinon.stub(calendarService, 'getCalendar');
+
+            await reservationsController.getCalendar(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['L\'échelle (scale) doit être \'day\', \'week\' ou \'month\''] })).to.be.true;
+            expect(getCalendar.called).to.be.false;
+        });
+    });
+
     describe('getAllOfCatway', () => {
         it('should return 404 if catway is not found', async () => {
             req.params.id = 'invalid_id';
@@ -37,7 +70,7 @@ describe('Reservations Controller Tests', () => {
             expect(res.json.calledWith({ message: 'Catway non trouvé' })).to.be.true;
         });
 
-        it('should return 404 if no reservations are found', async () => {
+        it('should return an empty array if no reservations are found', async () => {
             req.params.id = 'valid_id';
             const catway = { catwayNumber: '123' };
             sinon.stub(catwayService, 'getCatwayById').resolves(catway);
@@ -45,8 +78,8 @@ describe('Reservations Controller Tests', () => {
 
             await reservationsController.getAllOfCatway(req, res);
 
-            expect(res.status.calledWith(404)).to.be.true;
-            expect(res.json.calledWith({ message: 'Aucune réservation trouvée' })).to.be.true;
+            expect(res.status.calledWith(200)).to.be.true;
+            expect(res.json.calledWith([])).to.be.true;
         });
 
         it('should return reservations if found', async () => {
@@ -62,6 +95,40 @@ describe('Reservations Controller Tests', () => {
             expect(res.json.calledWith(reservations)).to.be.true;
         });
 
+        it('should only return the reservations crossing the period asked for', async () => {
+            req.params.id = 'valid_id';
+            req.query = { from: '2025-07-01', to: '2025-08-01' };
+            sinon.stub(catwayService, 'getCatwayById').resolves({ catwayNumber: 123 });
+            const getAll = sinon.stub(reservationService, 'getAllCatwayReservations').resolves([]);
+
+            await reservationsController.getAllOfCatway(req, res);
+
+            expect(getAll.calledWith(123, { from: new Date('2025-07-01'), to: new Date('2025-08-01') })).to.be.true;
+        });
+
+        it('should answer with JSON whatever the client accepts', async () => {
+            req.params.id = 'valid_id';
+            req.accepts = () => 'html';
+            sinon.stub(catwayService, 'getCatwayById').resolves({ catwayNumber: 12 });
+            sinon.stub(reservationService, 'getAllCatwayReservations').resolves([]);
+
+            await reservationsController.getAllOfCatway(req, res);
+
+            expect(res.json.calledWith([])).to.be.true;
+            expect(res.redirect.called).to.be.false;
+        });
+
+        it('should return 400 on a period that ends before it starts', async () => {
+            req.params.id = 'valid_id';
+            req.query = { from: '2025-08-01', to: '2025-07-01' };
+            const getCatway = sinon.stub(catwayService, 'getCatwayById');
+
+            await reservationsController.getAllOfCatway(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(getCatway.called).to.be.false;
+        });
+
         it('should handle internal server error', async () => {
             req.params.id = 'valid_id';
             sinon.stub(catwayService, 'getCatwayById').throws(new Error('Error'));
@@ -74,17 +141,20 @@ describe('Reservations Controller Tests', () => {
     });
 
     describe('getAll', () => {
-        it('should render reservations list', async () => {
+        it('should render reservations list with their balance due', async () => {
             const reservations = [{ id: 1, boatName: 'Boat 1' }];
-            sinon.stub(reservationService, 'getAllReservation').resolves(reservations);
+            const summaries = { 1: { balanceDue: 120 } };
+            sinon.stub(reservationService, 'listReservations').resolves({ items: reservations, total: 1, page: 1, limit: 20, pages: 1 });
+            sinon.stub(paymentService, 'getSummariesOfReservations').withArgs(reservations).resolves(summaries);
 
             await reservationsController.getAll(req, res);
 
-            expect(res.render.calledWith('reservations/list', { reservations })).to.be.true;
+            expect(res.render.firstCall.args[0]).to.equal('reservations/list');
+            expect(res.render.firstCall.args[1]).to.include({ reservations, summaries });
         });
 
         it('should handle internal server error', async () => {
-            sinon.stub(reservationService, 'getAllReservation').throws(new Error('Error'));
+            sinon.stub(reservationService, 'listReservations').throws(new Error('Error'));
 
             await reservationsController.getAll(req, res);
 
@@ -104,15 +174,24 @@ describe('Reservations Controller Tests', () => {
             expect(res.render.calledWith('error/error', { errors: ['Réservation non trouvée'] })).to.be.true;
         });
 
-        it('should render reservation details if found', async () => {
+        it('should render reservation details with its payments and invoice if found', async () => {
+            req.params.id = 'catway_id';
             req.params.idReservation = 'valid_id';
-            const reservation = { id: 'valid_id', boatName: 'Boat 1' };
+            const reservation = { _id: 'valid_id', id: 'valid_id', boatName: 'Boat 1', status: 'confirmed' };
+            const invoice = { number: '2025-00001' };
+            const payments = [{ kind: 'deposit', amount: 50 }];
+            const summary = { paid: 50 };
             sinon.stub(reservationService, 'getReservationById').resolves(reservation);
+            sinon.stub(invoiceService, 'getInvoiceOfReservation').withArgs('valid_id').resolves(invoice);
+            sinon.stub(paymentService, 'getPaymentsOfReservation').withArgs('valid_id').resolves(payments);
+            sinon.stub(paymentService, 'summarizePayments').withArgs(reservation, payments).returns(summary);
 
             await reservationsController.getbyId(req, res);
 
             expect(res.status.calledWith(200)).to.be.true;
-            expect(res.render.calledWith('reservations/details', { reservation })).to.be.true;
+            expect(res.render.firstCall.args[0]).to.equal('reservations/details');
+            expect(res.render.firstCall.args[1]).to.include({ reservation, invoice, payments, summary, catwayId: 'catway_id', message: undefined });
+            expect(res.render.firstCall.args[1].nextStatuses).to.deep.equal(['checkedIn', 'cancelled', 'noShow']);
         });
 
         it('should handle invalid ObjectId error', async () => {
@@ -154,7 +233,7 @@ describe('Reservations Controller Tests', () => {
             req.params.id = 'valid_id';
             req.body = { clientName: 'John Doe', checkIn: '2023-01-01', checkOut: '2023-01-02' };
             const catway = { catwayNumber: '123', boatName: 'Boat 1' };
-            const reservation = { boatName: 'Boat 1' };
+            const reservation = { boatName: 'Boat 1', quote: { total: 100 } };
 
             sinon.stub(catwayService, 'getCatwayById').resolves(catway);
             sinon.stub(reservationService, 'creatReservation').resolves(reservation);
@@ -164,6 +243,17 @@ describe('Reservations Controller Tests', () => {
             expect(res.render.calledWith('dashboard/dashboard', {message : `La réservation du bateau ${reservation.boatName} a été créée avec succès`})).to.be.true;
         });
 
+        it('should make the reservation for the customer picked', async () => {
+            req.params.id = 'valid_id';
+            req.body = { customer: 'c1', clientName: '', checkIn: '2023-01-01', checkOut: '2023-01-02' };
+            sinon.stub(catwayService, 'getCatwayById').resolves({ catwayNumber: '123', boatName: 'Boat 1' });
+            const creatReservation = sinon.stub(reservationService, 'creatReservation').resolves({ boatName: 'Boat 1' });
+
+            await reservationsController.add(req, res);
+
+            expect(creatReservation.firstCall.args[0]).to.include({ customer: 'c1', catwayNumber: '123' });
+        });
+
         it('should handle validation error', async () => {
             req.params.id = 'valid_id';
             req.body = { clientName: 'John Doe' }; // Missing required fields
@@ -180,6 +270,75 @@ describe('Reservations Controller Tests', () => {
             expect(res.render.calledWith('error/error', { errors: ['Check-in date is required'] })).to.be.true;
         });
 
+        it('should return 409 listing the conflicting reservations, with the client to put on the waitlist', async () => {
+            req.params.id = 'valid_id';
+            req.body = { clientName: 'John Doe', checkIn: '2023-01-01', checkOut: '2023-01-05', water: 'on' };
+            const catway = { catwayNumber: '123', type: 'long', boatName: 'Boat 1' };
+            const conflict = { id: 'other_id', catwayNumber: '123', clientName: 'Jane Doe', checkIn: '2023-01-03', checkOut: '2023-01-08' };
+            sinon.stub(catwayService, 'getCatwayById').resolves(catway);
+            sinon.stub(reservationService, 'creatReservation').throws(new reservationService.ReservationConflictError([conflict]));
+
+            await reservationsController.add(req, res);
+
+            expect(res.status.calledWith(409)).to.be.true;
+            expect(res.render.calledWith('error/error', {
+                errors: ['Le catway 123 est déjà réservé par Jane Doe du 03/01/2023 au 08/01/2023 (réservation other_id)'],
+                waitlist: {
+                    catwayNumber: '123',
+                    catwayType: 'long',
+                    customer: undefined,
+                    clientName: 'John Doe',
+                    boat: undefined,
+                    boatName: 'Boat 1',
+                    extras: { electricity: false, water: true },
+                    checkIn: '2023-01-01',
+                    checkOut: '2023-01-05'
+                }
+            })).to.be.true;
+        });
+
+        it('should return 400 listing why the boat does not fit the catway', async () => {
+            req.params.id = 'valid_id';
+            req.body = { boat: 'b1', clientName: 'John Doe', checkIn: '2023-01-01', checkOut: '2023-01-05' };
+            const problem = 'Le bateau The Odyssey mesure 14 m, le catway 123 accepte 12 m au plus';
+            sinon.stub(catwayService, 'getCatwayById').resolves({ catwayNumber: '123', boatName: 'Boat 1' });
+            const creatReservation = sinon.stub(reservationService, 'creatReservation').throws(new boatService.BoatDoesNotFitError([problem]));
+
+            await reservationsController.add(req, res);
+
+            expect(creatReservation.firstCall.args[0]).to.include({ boat: 'b1' });
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: [problem] })).to.be.true;
+        });
+
+        it('should pass the services ordered and warn when no tariff prices the stay', async () => {
+            req.params.id = 'valid_id';
+            req.body = { clientName: 'John Doe', electricity: 'on', checkIn: '2023-01-01', checkOut: '2023-01-02' };
+            sinon.stub(catwayService, 'getCatwayById').resolves({ catwayNumber: '123', boatName: 'Boat 1' });
+            const creatReservation = sinon.stub(reservationService, 'creatReservation').resolves({ boatName: 'Boat 1', quote: null });
+
+            await reservationsController.add(req, res);
+
+            expect(creatReservation.firstCall.args[0].extras).to.deep.equal({ electricity: true, water: false });
+            expect(res.render.calledWith('dashboard/dashboard', {
+                message: 'La réservation du bateau Boat 1 a été créée avec succès. Aucun tarif ne couvre ce séjour : son prix sera calculé à l\'émission de la facture'
+            })).to.be.true;
+        });
+
+        it('should return 503 asking to try again when the catway stays locked', async () => {
+            req.params.id = 'valid_id';
+            req.body = { clientName: 'John Doe', checkIn: '2023-01-01', checkOut: '2023-01-02' };
+            sinon.stub(catwayService, 'getCatwayById').resolves({ catwayNumber: 123, boatName: 'Boat 1' });
+            sinon.stub(reservationService, 'creatReservation').rejects(new reservationService.CatwayLockedError(123));
+
+            await reservationsController.add(req, res);
+
+            expect(res.status.calledWith(503)).to.be.true;
+            expect(res.render.calledWith('error/error', {
+                errors: ['Le catway 123 est en cours de réservation par quelqu\'un d\'autre, réessayez dans quelques instants']
+            })).to.be.true;
+        });
+
         it('should handle internal server error', async () => {
             req.params.id = 'valid_id';
             req.body = { clientName: 'John Doe', checkIn: '2023-01-01', checkOut: '2023-01-02' };
@@ -193,14 +352,136 @@ describe('Reservations Controller Tests', () => {
         });
     });
 
+    describe('changeStatus', () => {
+        it('should record that the boat arrived and go back to the reservation', async () => {
+            req.params = { id: 'catway_id', idReservation: 'r1' };
+            req.body = { status: 'checkedIn' };
+            const changeStatus = sinon.stub(reservationService, 'changeReservationStatus').resolves({ status: 'checkedIn' });
+
+            await reservationsController.changeStatus(req, res);
+
+            expect(changeStatus.calledWith('r1', 'checkedIn')).to.be.true;
+            expect(res.redirect.calledWith('/catways/catway_id/reservations/r1?message=La réservation est maintenant bateau arrivé')).to.be.true;
+        });
+
+        it('should return 409 when the lifecycle does not allow the change', async () => {
+            req.params = { id: 'catway_id', idReservation: 'r1' };
+            req.body = { status: 'checkedIn' };
+            sinon.stub(reservationService, 'changeReservationStatus').rejects(new reservationService.InvalidStatusTransitionError('cancelled', 'checkedIn'));
+
+            await reservationsController.changeStatus(req, res);
+
+            expect(res.status.calledWith(409)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Une réservation annulée ne peut pas passer au statut « bateau arrivé »'] })).to.be.true;
+        });
+    });
+
+    describe('update', () => {
+        it('should move the reservation to the catway picked and go back to it', async () => {
+            req.params = { id: 'catway_id', idReservation: 'r1' };
+            req.body = { catway: 'other_catway_id', customer: 'c1', boat: '', water: 'on', checkIn: '2030-01-01', checkOut: '2030-01-05' };
+            req.user = { _id: 'user_id' };
+            sinon.stub(catwayService, 'getCatwayById').resolves({ id: 'other_catway_id', catwayNumber: 124, boatName: 'Boat 2' });
+            sinon.stub(reservationService, 'getReservationById').resolves({ id: 'r1', boat: 'b1', boatName: 'The Odyssey' });
+            const update = sinon.stub(reservationService, 'updateReservation').resolves({ id: 'r1', quote: { total: 100 } });
+
+            await reservationsController.update(req, res);
+
+            expect(update.firstCall.args[0]).to.equal('r1');
+            expect(update.firstCall.args[1]).to.deep.include({
+                catwayNumber: 124,
+                customer: 'c1',
+                clientName: undefined,
+                boat: '',
+                boatName: 'Boat 2',
+                extras: { electricity: false, water: true }
+            });
+            expect(update.firstCall.args[2]).to.equal(req.user);
+            expect(res.redirect.calledWith('/catways/other_catway_id/reservations/r1?message=La réservation a été modifiée')).to.be.true;
+        });
+
+        it('should leave the boat and its name alone when the pick did not change', async () => {
+            req.params = { id: 'catway_id', idReservation: 'r1' };
+            sinon.stub(catwayService, 'getCatwayById').resolves({ id: 'catway_id', catwayNumber: 123, boatName: 'Boat 1' });
+            const getReservation = sinon.stub(reservationService, 'getReservationById');
+            getReservation.onFirstCall().resolves({ id: 'r1', boatName: 'Own boat' });
+            getReservation.onSecondCall().resolves({ id: 'r1', boat: 'b1', boatName: 'The Odyssey' });
+            const update = sinon.stub(reservationService, 'updateReservation').resolves({ id: 'r1', quote: { total: 100 } });
+
+            req.body = { boat: '', checkIn: '2030-01-01', checkOut: '2030-01-05' };
+            await reservationsController.update(req, res);
+            req.body = { boat: 'b1', checkIn: '2030-01-01', checkOut: '2030-01-05' };
+            await reservationsController.update(req, res);
+
+            expect(update.firstCall.args[1]).to.deep.include({ boat: undefined, boatName: undefined });
+            expect(update.secondCall.args[1]).to.deep.include({ boat: undefined, boatName: undefined });
+        });
+
+        it('should return 409 listing the reservations the new dates overlap', async () => {
+            req.params = { id: 'catway_id', idReservation: 'r1' };
+            req.body = { checkIn: '2030-01-01', checkOut: '2030-01-05' };
+            const conflict = { id: 'r2', catwayNumber: 123, clientName: 'Jane', checkIn: '2030-01-03', checkOut: '2030-01-08' };
+            sinon.stub(catwayService, 'getCatwayById').resolves({ id: 'catway_id', catwayNumber: 123 });
+            sinon.stub(reservationService, 'getReservationById').resolves({ id: 'r1' });
+            sinon.stub(reservationService, 'updateReservation').rejects(new reservationService.ReservationConflictError([conflict]));
+
+            await reservationsController.update(req, res);
+
+            expect(res.status.calledWith(409)).to.be.true;
+            expect(res.render.firstCall.args[1].errors[0]).to.include('déjà réservé par Jane');
+        });
+
+        it('should return 404 when the reservation is not found', async () => {
+            req.params = { id: 'catway_id', idReservation: 'r1' };
+            sinon.stub(catwayService, 'getCatwayById').resolves({ id: 'catway_id', catwayNumber: 123 });
+            const getReservation = sinon.stub(reservationService, 'getReservationById').resolves(null);
+
+            await reservationsController.update(req, res);
+
+            expect(getReservation.calledWith('r1')).to.be.true;
+
+            expect(res.status.calledWith(404)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Réservation non trouvée'] })).to.be.true;
+        });
+    });
+
+    describe('renderEditForm', () => {
+        it('should render the edit form with the catways, customers and boats to pick from', async () => {
+            req.params = { id: 'catway_id', idReservation: 'r1' };
+            const reservation = { id: 'r1', status: 'confirmed' };
+            sinon.stub(reservationService, 'getReservationById').resolves(reservation);
+            sinon.stub(catwayService, 'getAllCatways').resolves([]);
+            sinon.stub(customerService, 'getAllCustomers').resolves([]);
+            sinon.stub(boatService, 'getAllBoats').resolves([]);
+
+            await reservationsController.renderEditForm(req, res);
+
+            expect(res.render.calledWith('reservations/edit', { reservation, catways: [], customers: [], boats: [], catwayId: 'catway_id' })).to.be.true;
+        });
+
+        it('should return 409 when the reservation is over', async () => {
+            req.params = { id: 'catway_id', idReservation: 'r1' };
+            sinon.stub(reservationService, 'getReservationById').resolves({ id: 'r1', status: 'checkedOut' });
+
+            await reservationsController.renderEditForm(req, res);
+
+            expect(res.status.calledWith(409)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Une réservation bateau parti ne peut plus être modifiée'] })).to.be.true;
+        });
+    });
+
     describe('renderAddForm', () => {
-        it('should render the add form page', async () => {
+        it('should render the add form page with the customers and boats to pick from', async () => {
             const catways = [{ id: '1', catwayNumber: '123' }];
+            const customers = [{ id: 'c1', name: 'John Doe' }];
+            const boats = [{ id: 'b1', name: 'The Odyssey', length: 11.5 }];
             sinon.stub(catwayService, 'getAllCatways').resolves(catways);
+            sinon.stub(customerService, 'getAllCustomers').resolves(customers);
+            sinon.stub(boatService, 'getAllBoats').resolves(boats);
 
             await reservationsController.renderAddForm(req, res);
 
-            expect(res.render.calledWith('reservations/add', { catways })).to.be.true;
+            expect(res.render.calledWith('reservations/add', { catways, customers, boats })).to.be.true;
         });
 
         it('should return 404 if no catways are found', async () => {
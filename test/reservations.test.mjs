@@ -0,0 +1,271 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import reservationService from '../services/reservations.js';
+import Catway from '../models/catway.js';
+import Reservation from '../models/reservation.js';
+import AuditEntry from '../models/auditEntry.js';
+import ReservationLock from '../models/reservationLock.js';
+import pricingService from '../services/pricing.js';
+import waitlistService from '../services/waitlist.js';
+
+describe('Reservations Services Tests', () => {
+    beforeEach(() => {
+        sinon.stub(AuditEntry, 'create').resolves();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('getAllCatwayReservations', () => {
+        it('should only keep the reservations holding the catway during the period', async () => {
+            const sort = sinon.stub().resolves([]);
+            const find = sinon.stub(Reservation, 'find').returns({ sort });
+            const period = { from: new Date('2025-07-01'), to: new Date('2025-08-01') };
+
+            await reservationService.getAllCatwayReservations(3, period);
+
+            expect(find.calledWith({
+                checkIn: { $lt: period.to },
+                checkOut: { $gt: period.from },
+                status: { $nin: ['cancelled', 'noShow'] },
+                catwayNumber: { $in: [3] }
+            })).to.be.true;
+            expect(sort.calledWith({ checkIn: 1 })).to.be.true;
+        });
+    });
+
+    describe('changeReservationStatus', () => {
+        const fakeReservation = (fields) => ({
+            catwayNumber: 3,
+            checkIn: new Date('2025-07-01'),
+            save: sinon.stub().resolvesThis(),
+            ...fields
+        });
+
+        it('should record the arrival and mark the catway occupied', async () => {
+            const reservation = fakeReservation({ status: 'confirmed' });
+            const now = new Date('2025-07-01T10:00:00Z');
+            sinon.stub(Reservation, 'findById').resolves(reservation);
+            sinon.stub(Catway, 'findOne').resolves({ _id: 'k3', catwayState: 'available' });
+            const updateOne = sinon.stub(Catway, 'updateOne').resolves();
+
+            await reservationService.changeReservationStatus('r1', 'checkedIn', undefined, now);
+
+            expect(reservation).to.include({ status: 'checkedIn', arrivedAt: now, catwayStateBeforeArrival: 'available' });
+            expect(updateOne.calledWith({ _id: 'k3' }, { catwayState: 'occupied' })).to.be.true;
+            expect(reservation.save.calledWith({ validateModifiedOnly: true })).to.be.true;
+        });
+
+        it('should record the departure and give the catway its previous state back', async () => {
+            const reservation = fakeReservation({ status: 'checkedIn', catwayStateBeforeArrival: 'bon état' });
+            sinon.stub(Reservation, 'findById').resolves(reservation);
+            sinon.stub(Catway, 'findOne').resolves({ _id: 'k3', catwayState: 'occupied' });
+            const updateOne = sinon.stub(Catway, 'updateOne').resolves();
+
+            await reservationService.changeReservationStatus('r1', 'checkedOut');
+
+            expect(reservation.status).to.equal('checkedOut');
+            expect(reservation.departedAt).to.be.instanceOf(Date);
+            expect(updateOne.calledWith({ _id: 'k3' }, { catwayState: 'bon état' })).to.be.true;
+        });
+
+        it('should leave the catway alone if its state changed during the stay', async () => {
+            sinon.stub(Reservation, 'findById').resolves(fakeReservation({ status: 'checkedIn', catwayStateBeforeArrival: 'available' }));
+            sinon.stub(Catway, 'findOne').resolves({ _id: 'k3', catwayState: 'maintenance' });
+            const updateOne = sinon.stub(Catway, 'updateOne').resolves();
+
+            await reservationService.changeReservationStatus('r1', 'checkedOut');
+
+            expect(updateOne.called).to.be.false;
+        });
+
+        it('should refuse a change the lifecycle does not allow', async () => {
+            sinon.stub(Reservation, 'findById').resolves(fakeReservation({ status: 'cancelled' }));
+
+            try {
+                await reservationService.changeReservationStatus('r1', 'checkedIn');
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(reservationService.InvalidStatusTransitionError);
+                expect(error).to.include({ from: 'cancelled', to: 'checkedIn' });
+            }
+        });
+
+        it('should offer the dates of a cancelled reservation to the waitlist', async () => {
+            const reservation = fakeReservation({ _id: 'r1', status: 'confirmed', checkOut: new Date('2025-07-05') });
+            const now = new Date('2025-06-20T10:00:00Z');
+            sinon.stub(Reservation, 'findById').resolves(reservation);
+            const offer = sinon.stub(waitlistService, 'offerFreedPeriod').resolves([]);
+
+            await reservationService.changeReservationStatus('r1', 'cancelled', undefined, now);
+
+            expect(offer.calledOnceWith({ catwayNumber: 3, from: reservation.checkIn, to: reservation.checkOut, releasedBy: 'r1' }, now)).to.be.true;
+        });
+
+        it('should offer the rest of the stay to the waitlist when the boat leaves early', async () => {
+            const reservation = fakeReservation({ _id: 'r1', status: 'checkedIn', checkOut: new Date('2025-07-10') });
+            const now = new Date('2025-07-04T10:00:00Z');
+            sinon.stub(Reservation, 'findById').resolves(reservation);
+            sinon.stub(Catway, 'findOne').resolves(null);
+            const offer = sinon.stub(waitlistService, 'offerFreedPeriod').resolves([]);
+
+            await reservationService.changeReservationStatus('r1', 'checkedOut', undefined, now);
+
+            expect(offer.calledOnceWith({ catwayNumber: 3, from: now, to: reservation.checkOut, releasedBy: 'r1' }, now)).to.be.true;
+        });
+
+        it('should refuse a no-show before the check-in date', async () => {
+            sinon.stub(Reservation, 'findById').resolves(fakeReservation({ status: 'confirmed' }));
+
+            try {
+                await reservationService.changeReservationStatus('r1', 'noShow', undefined, new Date('2025-06-30'));
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Le bateau peut encore arriver, la date de check-in n\'est pas passée');
+            }
+        });
+    });
+
+    describe('updateReservation', () => {
+        const quote = { total: 200, lines: [] };
+        let reservation;
+
+        beforeEach(() => {
+            reservation = Reservation.hydrate({
+                _id: '60c72b2f9f1b2c001c9a9e84',
+                catwayNumber: 3,
+                clientName: 'John Doe',
+                boatName: 'The Odyssey',
+                checkIn: new Date('2030-07-01'),
+                checkOut: new Date('2030-07-05'),
+                extras: { electricity: false, water: false },
+                status: 'confirmed'
+            });
+            sinon.stub(reservation, 'save').resolvesThis();
+            sinon.stub(Reservation, 'findById').resolves(reservation);
+            sinon.stub(ReservationLock, 'create').resolves();
+            sinon.stub(ReservationLock, 'deleteOne').resolves();
+            sinon.stub(pricingService, 'quoteReservation').resolves(quote);
+        });
+
+        it('should change the dates, price the stay again and keep the old dates in the history', async () => {
+            const conflicts = sinon.stub(reservationService, 'findConflictingReservations').resolves([]);
+
+            await reservationService.updateReservation(reservation.id, { checkOut: '2030-07-08' }, { _id: '60c72b2f9f1b2c001c9a9e99' });
+
+            expect(reservation.checkOut).to.deep.equal(new Date('2030-07-08'));
+            expect(reservation.quote.total).to.equal(200);
+            expect(conflicts.calledWith(3, reservation.checkIn, reservation.checkOut, reservation._id)).to.be.true;
+            expect(reservation.history).to.have.lengthOf(1);
+            expect(String(reservation.history[0].changedBy)).to.equal('60c72b2f9f1b2c001c9a9e99');
+            expect(reservation.history[0].changes.toObject()).to.deep.equal([
+                { field: 'checkOut', from: new Date('2030-07-05'), to: new Date('2030-07-08') }
+            ]);
+            expect(reservation.save.calledOnce).to.be.true;
+        });
+
+        it('should save new dates no tariff covers with no price, for the invoice to price them', async () => {
+            sinon.stub(reservationService, 'findConflictingReservations').resolves([]);
+            pricingService.quoteReservation.rejects(new pricingService.NoTariffError('long', 7));
+            sinon.stub(console, 'warn');
+
+            const updated = await reservationService.updateReservation(reservation.id, { checkOut: '2030-07-08' });
+
+            expect(updated.checkOut).to.deep.equal(new Date('2030-07-08'));
+            expect(updated.quote).to.be.null;
+            expect(reservation.save.calledOnce).to.be.true;
+        });
+
+        it('should offer the days a shorter stay no longer holds to the waitlist', async () => {
+            sinon.stub(reservationService, 'findConflictingReservations').resolves([]);
+            const offer = sinon.stub(waitlistService, 'offerFreedPeriod').resolves([]);
+
+            await reservationService.updateReservation(reservation.id, { checkIn: '2030-07-02', checkOut: '2030-07-04' });
+
+            expect(offer.args.map(args => args[0])).to.deep.equal([
+                { catwayNumber: 3, from: new Date('2030-07-01'), to: new Date('2030-07-02'), releasedBy: reservation._id },
+                { catwayNumber: 3, from: new Date('2030-07-04'), to: new Date('2030-07-05'), releasedBy: reservation._id }
+            ]);
+        });
+
+        it('should offer the whole stay on the catway left to the waitlist', async () => {
+            sinon.stub(reservationService, 'findConflictingReservations').resolves([]);
+            const offer = sinon.stub(waitlistService, 'offerFreedPeriod').resolves([]);
+
+            await reservationService.updateReservation(reservation.id, { catwayNumber: 4 });
+
+            expect(offer.calledOnceWith({ catwayNumber: 3, from: new Date('2030-07-01'), to: new Date('2030-07-05'), releasedBy: reservation._id })).to.be.true;
+        });
+
+        it('should give up with a CatwayLockedError when the catway stays locked', async () => {
+            const clock = sinon.useFakeTimers();
+            sinon.stub(reservationService, 'findConflictingReservations').resolves([]);
+            const duplicate = new Error('E11000');
+            duplicate.code = 11000;
+            ReservationLock.create.rejects(duplicate);
+
+            const update = reservationService.updateReservation(reservation.id, { checkOut: '2030-07-08' });
+            const settled = update.catch(error => error);
+            await clock.tickAsync(60000);
+            const error = await settled;
+
+            expect(error).to.be.instanceOf(reservationService.CatwayLockedError);
+            expect(error.catwayNumber).to.equal(3);
+            expect(reservation.save.called).to.be.false;
+        });
+
+        it('should refuse new dates that overlap another reservation on the catway', async () => {
+            sinon.stub(reservationService, 'findConflictingReservations').resolves([{ id: 'other' }]);
+
+            try {
+                await reservationService.updateReservation(reservation.id, { catwayNumber: 4 });
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(reservationService.ReservationConflictError);
+                expect(reservation.save.called).to.be.false;
+                expect(ReservationLock.create.calledWith({ catwayNumber: 4 })).to.be.true;
+            }
+        });
+
+        it('should refuse a check-out before the check-in', async () => {
+            try {
+                await reservationService.updateReservation(reservation.id, { checkIn: '2030-07-10' });
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('ValidationError');
+                expect(error.errors.checkOut.message).to.equal('La date de check-out doit être postérieure à la date de check-in.');
+            }
+        });
+
+        it('should refuse to edit a cancelled reservation', async () => {
+            reservation.status = 'cancelled';
+
+            try {
+                await reservationService.updateReservation(reservation.id, { checkOut: '2030-07-08' });
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(reservationService.ReservationNotEditableError);
+                expect(error.message).to.equal('Une réservation annulée ne peut plus être modifiée');
+            }
+        });
+
+        it('should refuse to move a reservation whose boat has arrived', async () => {
+            reservation.status = 'checkedIn';
+
+            try {
+                await reservationService.updateReservation(reservation.id, { catwayNumber: 4 });
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(reservationService.ReservationNotEditableError);
+            }
+        });
+
+        it('should leave the reservation alone when nothing changes', async () => {
+            await reservationService.updateReservation(reservation.id, { checkOut: '2030-07-05', extras: { water: false } });
+
+            expect(reservation.history).to.have.lengthOf(0);
+            expect(reservation.save.called).to.be.false;
+        });
+    });
+});
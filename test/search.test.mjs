@@ -0,0 +1,110 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import searchService from '../services/search.js';
+import Catway from '../models/catway.js';
+import Reservation from '../models/reservation.js';
+import Customer from '../models/customer.js';
+import User from '../models/user.js';
+
+// A chain of `find().sort().limit()` resolving to the records given
+const chain = (records) => ({ sort: () => ({ limit: sinon.stub().resolves(records) }) });
+
+describe('Search Services Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('accentInsensitive', () => {
+        it('should ignore the case and the accents', () => {
+            const regexp = searchService.accentInsensitive('helene');
+
+            expect(regexp.test('Mme Hélène Dupont')).to.be.true;
+            expect(regexp.test('HÉLÈNE')).to.be.true;
+            expect(regexp.test('Hélina')).to.be.false;
+            expect(searchService.accentInsensitive('Élodie').test('elodie martin')).to.be.true;
+            expect(searchService.accentInsensitive('francois').test('François')).to.be.true;
+        });
+
+        it('should find the joined letters and ignore the spacing', () => {
+            expect(searchService.accentInsensitive('coeur').test('Cœur de Lion')).to.be.true;
+            expect(searchService.accentInsensitive('sea  bird').test('Sea Bird')).to.be.true;
+        });
+
+        it('should match special characters literally', () => {
+            const regexp = searchService.accentInsensitive('a.b (2)');
+
+            expect(regexp.test('A.B (2)')).to.be.true;
+            expect(regexp.test('axb (2)')).to.be.false;
+        });
+    });
+
+    describe('search', () => {
+        it('should not search for a text too short', async () => {
+            const find = sinon.stub(Catway, 'find');
+
+            expect(await searchService.search(' h ')).to.deep.equal({});
+            expect(find.called).to.be.false;
+        });
+
+        it('should only search the kinds of records asked for', async () => {
+            const catwayFind = sinon.stub(Catway, 'find').returns(chain([]));
+            const userFind = sinon.stub(User, 'find');
+
+            const results = await searchService.search('bird', ['catways']);
+
+            expect(results).to.deep.equal({ catways: [] });
+            expect(catwayFind.calledOnce).to.be.true;
+            expect(userFind.called).to.be.false;
+        });
+
+        it('should look for the catway number when the text is a number', async () => {
+            const find = sinon.stub(Catway, 'find').returns(chain([
+                Catway.hydrate({ _id: '60c72b2f9f1b2c001c9a9e84', catwayNumber: 12, boatName: 'Poseidon', catwayState: 'available' })
+            ]));
+
+            const { catways } = await searchService.search('12', ['catways']);
+
+            expect(find.firstCall.args[0].$or[1]).to.deep.equal({ catwayNumber: 12 });
+            expect(catways).to.deep.equal([{
+                id: '60c72b2f9f1b2c001c9a9e84',
+                label: 'Catway 12',
+                detail: 'Poseidon - available',
+                url: '/catways/60c72b2f9f1b2c001c9a9e84'
+            }]);
+        });
+
+        it('should link the reservations to the page under their catway', async () => {
+            const reservation = Reservation.hydrate({
+                _id: '60c72b2f9f1b2c001c9a9e90', catwayNumber: 3, clientName: 'Hélène Dupont', boatName: 'Sea Bird',
+                checkIn: new Date('2030-07-01'), checkOut: new Date('2030-07-05')
+            });
+            const reservationFind = sinon.stub(Reservation, 'find').returns(chain([reservation]));
+            const catwayFind = sinon.stub(Catway, 'find').resolves([Catway.hydrate({ _id: '60c72b2f9f1b2c001c9a9e84', catwayNumber: 3 })]);
+
+            const { reservations } = await searchService.search('helene', ['reservations']);
+
+            expect(reservationFind.firstCall.args[0].$or).to.have.lengthOf(2);
+            expect(reservationFind.firstCall.args[0].$or[0].clientName.test('Hélène Dupont')).to.be.true;
+            expect(catwayFind.calledWith({ catwayNumber: { $in: [3] } })).to.be.true;
+            expect(reservations[0]).to.include({
+                label: 'Hélène Dupont - Sea Bird',
+                url: '/catways/60c72b2f9f1b2c001c9a9e84/reservations/60c72b2f9f1b2c001c9a9e90'
+            });
+        });
+
+        it('should find the customers by name without accents and the users by email', async () => {
+            const customerFind = sinon.stub(Customer, 'find').returns(chain([
+                Customer.hydrate({ _id: '60c72b2f9f1b2c001c9a9e91', name: 'Zoé Lefèvre', email: 'zoe@example.com' })
+            ]));
+            sinon.stub(User, 'find').returns(chain([
+                User.hydrate({ _id: '60c72b2f9f1b2c001c9a9e92', name: 'Zoé', email: 'zoe@example.com' })
+            ]));
+
+            const results = await searchService.search('zoe', ['customers', 'users']);
+
+            expect(customerFind.firstCall.args[0].$or[0].normalizedName.test('zoe lefevre')).to.be.true;
+            expect(results.customers[0]).to.include({ label: 'Zoé Lefèvre', url: '/customers/60c72b2f9f1b2c001c9a9e91' });
+            expect(results.users[0]).to.include({ label: 'Zoé', url: '/users/list/all?email=zoe%40example.com' });
+        });
+    });
+});
@@ -0,0 +1,74 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import searchController from '../controllers/searchController.js';
+import searchService from '../services/search.js';
+
+describe('Search Controller Tests', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            params: {},
+            query: {},
+            body: {},
+            headers: {},
+            originalUrl: '/search',
+            user: { role: 'admin' }
+        };
+        res = {
+            status: sinon.stub().returnsThis(),
+            render: sinon.stub(),
+            json: sinon.stub()
+        };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('search', () => {
+        it('should render the results grouped by kind of record', async () => {
+            req.query = { q: ' helene ' };
+            const results = { catways: [], reservations: [{ label: 'Hélène Dupont - Sea Bird', url: '/catways/k/reservations/r' }] };
+            const search = sinon.stub(searchService, 'search').resolves(results);
+
+            await searchController.search(req, res);
+
+            expect(search.calledWith('helene', ['catways', 'reservations', 'customers', 'users'])).to.be.true;
+            expect(res.render.firstCall.args[0]).to.equal('search/results');
+            expect(res.render.firstCall.args[1]).to.include({ q: 'helene', results, minLength: 2 });
+        });
+
+        it('should only search the records the user may read', async () => {
+            req.query = { q: 'bird' };
+            req.user = { role: 'agent' };
+            const search = sinon.stub(searchService, 'search').resolves({});
+
+            await searchController.search(req, res);
+
+            expect(search.firstCall.args[1]).to.deep.equal(['catways', 'reservations', 'customers']);
+        });
+
+        it('should answer JSON to API clients', async () => {
+            req.query = { q: 'bird' };
+            req.headers.authorization = 'Bearer token';
+            sinon.stub(searchService, 'search').resolves({ catways: [] });
+
+            await searchController.search(req, res);
+
+            expect(res.status.calledWith(200)).to.be.true;
+            expect(res.json.calledWith({ q: 'bird', results: { catways: [] } })).to.be.true;
+            expect(res.render.called).to.be.false;
+        });
+
+        it('should handle internal server error', async () => {
+            req.query = { q: 'bird' };
+            sinon.stub(searchService, 'search').rejects(new Error('Error'));
+
+            await searchController.search(req, res);
+
+            expect(res.status.calledWith(500)).to.be.true;
+            expect(res.json.calledWith({ message: 'Internal Server Error', error: sinon.match.any })).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,92 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import seedService from '../services/seed.js';
+import Catway from '../models/catway.js';
+import Reservation from '../models/reservation.js';
+
+describe('Seed Services Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('readSeedFile', () => {
+        it('should read the seed files of the project', async () => {
+            const catways = await seedService.readSeedFile(seedService.SEED_FILES.catways);
+            const reservations = await seedService.readSeedFile(seedService.SEED_FILES.reservations);
+
+            expect(catways).to.be.an('array').that.is.not.empty;
+            expect(catways[0]).to.have.property('catwayNumber');
+            expect(reservations).to.be.an('array').that.is.not.empty;
+        });
+    });
+
+    describe('seedCatways', () => {
+        it('should upsert each catway by its number, trash included', async () => {
+            const updateOne = sinon.stub(Catway, 'updateOne');
+            updateOne.onCall(0).resolves({ upsertedCount: 1, modifiedCount: 0 });
+            updateOne.onCall(1).resolves({ upsertedCount: 0, modifiedCount: 1 });
+            updateOne.onCall(2).resolves({ upsertedCount: 0, modifiedCount: 0 });
+            const catway = { catwayNumber: 1, type: 'long', catwayState: 'disponible', boatName: 'Serenity' };
+
+            const result = await seedService.seedCatways([catway, { ...catway, catwayNumber: 2 }, { ...catway, catwayNumber: 3 }]);
+
+            expect(result).to.deep.equal({ created: 1, updated: 1, unchanged: 1, errors: [] });
+            expect(updateOne.firstCall.args).to.deep.equal([
+                { catwayNumber: 1 },
+                { $set: catway },
+                { upsert: true, runValidators: true, withDeleted: true }
+            ]);
+        });
+
+        it('should report the catways the schema refuses and load the others', async () => {
+            const error = new Error('Validation failed');
+            error.name = 'ValidationError';
+            error.errors = { type: { message: '`medium` is not a valid enum value' } };
+            const updateOne = sinon.stub(Catway, 'updateOne');
+            updateOne.onCall(0).rejects(error);
+            updateOne.onCall(1).resolves({ upsertedCount: 1 });
+
+            const result = await seedService.seedCatways([{ catwayNumber: 1, type: 'medium' }, { catwayNumber: 2, type: 'long' }]);
+
+            expect(result.created).to.equal(1);
+            expect(result.errors).to.deep.equal([{ record: { catwayNumber: 1, type: 'medium' }, messages: ['`medium` is not a valid enum value'] }]);
+        });
+    });
+
+    describe('seedReservations', () => {
+        const reservation = { catwayNumber: 101, clientName: 'John Doe', boatName: 'The Odyssey', checkIn: '2024-09-25', checkOut: '2024-09-30' };
+
+        it('should insert the reservations not there yet, past ones included', async () => {
+            sinon.stub(Catway, 'exists').returns({ setOptions: sinon.stub().resolves({ _id: 'c1' }) });
+            const updateOne = sinon.stub(Reservation, 'updateOne');
+            updateOne.onCall(0).resolves({ upsertedCount: 1 });
+            updateOne.onCall(1).resolves({ upsertedCount: 0 });
+
+            const result = await seedService.seedReservations([reservation, reservation]);
+
+            expect(result).to.deep.equal({ created: 1, unchanged: 1, errors: [] });
+            expect(updateOne.firstCall.args).to.deep.equal([
+                { catwayNumber: 101, clientName: 'John Doe', checkIn: '2024-09-25' },
+                { $setOnInsert: reservation },
+                { upsert: true, withDeleted: true }
+            ]);
+        });
+
+        it('should refuse a reservation on a missing catway or with wrong dates', async () => {
+            sinon.stub(Catway, 'exists').callsFake(filter => ({ setOptions: sinon.stub().resolves(filter.catwayNumber === 999 ? null : { _id: 'c1' }) }));
+            const updateOne = sinon.stub(Reservation, 'updateOne');
+
+            const result = await seedService.seedReservations([
+                { ...reservation, catwayNumber: 999 },
+                { ...reservation, checkOut: '2024-09-20' }
+            ]);
+
+            expect(result.created).to.equal(0);
+            expect(result.errors.map(error => error.messages)).to.deep.equal([
+                ['Le catway 999 n\'existe pas'],
+                ['La date de check-out doit être postérieure à la date de check-in.']
+            ]);
+            expect(updateOne.called).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,143 @@
+import { expect } from 'chai';
+import ExcelJS from 'exceljs';
+import spreadsheetService from '../services/spreadsheets.js';
+
+const columns = [{ key: 'catwayNumber' }, { key: 'clientName' }, { key: 'checkIn', type: 'date' }];
+const rows = [
+    { catwayNumber: 3, clientName: 'Dupont; Jean', checkIn: new Date('2030-06-01T00:00:00Z') },
+    { catwayNumber: 4, clientName: 'Le "Marin"', checkIn: null }
+];
+
+describe('Spreadsheets Services Tests', () => {
+    describe('formatOf', () => {
+        it('should tell the format from the extension, whatever its case', () => {
+            expect(spreadsheetService.formatOf('Réservations juin.CSV')).to.equal('csv');
+            expect(spreadsheetService.formatOf('catways.xlsx')).to.equal('xlsx');
+            expect(spreadsheetService.formatOf('catways.json')).to.equal('json');
+            expect(spreadsheetService.formatOf('catways.xls')).to.be.null;
+            expect(spreadsheetService.formatOf(undefined)).to.be.null;
+        });
+    });
+
+    describe('readRows', () => {
+        it('should read a CSV file with quoted cells, keeping the line of each row', async () => {
+            const csv = '\uFEFFcatwayNumber;clientName\r\n1;"Dupont; Jean"\r\n\r\n2;"Le ""Marin""\nbis"\r\n3;Martin\r\n';
+
+            const result = await spreadsheetService.readRows(Buffer.from(csv), 'csv');
+
+            expect(result).to.deep.equal([
+                { line: 2, values: { catwayNumber: '1', clientName: 'Dupont; Jean' } },
+                { line: 4, values: { catwayNumber: '2', clientName: 'Le "Marin"\nbis' } },
+                { line: 6, values: { catwayNumber: '3', clientName: 'Martin' } }
+            ]);
+        });
+
+        it('should find the separator of a CSV file', async () => {
+            const comma = await spreadsheetService.readRows(Buffer.from('catwayNumber,boatName\n1,Seahorse'), 'csv');
+            const tab = await spreadsheetService.readRows(Buffer.from('catwayNumber\tboatName\n1\tSeahorse'), 'csv');
+
+            expect(comma[0].values).to.deep.equal({ catwayNumber: '1', boatName: 'Seahorse' });
+            expect(tab[0].values).to.deep.equal({ catwayNumber: '1', boatName: 'Seahorse' });
+        });
+
+        it('should read a JSON list of objects, numbering the rows from 1', async () => {
+            const result = await spreadsheetService.readRows(Buffer.from('[{"catwayNumber":1},{"catwayNumber":2}]'), 'json');
+
+            expect(result).to.deep.equal([
+                { line: 1, values: { catwayNumber: 1 } },
+                { line: 2, values: { catwayNumber: 2 } }
+            ]);
+        });
+
+        it('should refuse a JSON file that is not a list of objects', async () => {
+            for (const content of ['{"catwayNumber":1}', '[1, 2]', '[{"catwayNumber":']) {
+                try {
+                    await spreadsheetService.readRows(Buffer.from(content), 'json');
+                    expect.fail('should have thrown');
+                } catch (error) {
+                    expect(error.name).to.equal('InvalidFileError');
+                }
+            }
+        });
+
+        it('should read the first sheet of an XLSX file, skipping empty rows', async () => {
+            const workbook = new ExcelJS.Workbook();
+            const sheet = workbook.addWorksheet('Catways');
+            sheet.addRow(['catwayNumber', 'boatName', 'checkIn']);
+            sheet.addRow([1, { richText: [{ text: 'Sea' }, { text: 'horse' }] }, new Date('2030-06-01T00:00:00Z')]);
+            sheet.addRow([]);
+            sheet.addRow([2, 'Calypso']);
+            const buffer = await workbook.xlsx.writeBuffer();
+
+            const result = await spreadsheetService.readRows(Buffer.from(buffer), 'xlsx');
+
+            expect(result).to.have.lengthOf(2);
+            expect(result[0]).to.deep.equal({ line: 2, values: { catwayNumber: 1, boatName: 'Seahorse', checkIn: new Date('2030-06-01T00:00:00Z') } });
+            expect(result[1]).to.deep.equal({ line: 4, values: { catwayNumber: 2, boatName: 'Calypso', checkIn: null } });
+        });
+
+        it('should refuse a file that is not a workbook', async () => {
+            try {
+                await spreadsheetService.readRows(Buffer.from('catwayNumber;boatName'), 'xlsx');
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('InvalidFileError');
+            }
+        });
+    });
+
+    describe('writeRows', () => {
+        it('should write a CSV file for Excel, the dates as days', async () => {
+            const content = await spreadsheetService.writeRows(columns, rows, 'csv');
+
+            expect(content.toString('utf8')).to.equal(
+                '\uFEFFcatwayNumber;clientName;checkIn\r\n3;"Dupont; Jean";2030-06-01\r\n4;"Le ""Marin""";\r\n'
+            );
+        });
+
+        it('should write a JSON list holding the columns only', async () => {
+            const content = await spreadsheetService.writeRows(columns, [{ ...rows[0], _id: 'x' }], 'json');
+
+            expect(JSON.parse(content.toString('utf8'))).to.deep.equal([
+                { catwayNumber: 3, clientName: 'Dupont; Jean', checkIn: '2030-06-01' }
+            ]);
+        });
+
+        it('should quote the texts that a spreadsheet would run as formulas', async () => {
+            const formulas = [
+                { catwayNumber: 3, clientName: '=HYPERLINK("http://evil")', checkIn: null },
+                { catwayNumber: -4, clientName: '@SUM(A1)', checkIn: null }
+            ];
+
+            const csv = await spreadsheetService.writeRows(columns, formulas, 'csv');
+            expect(csv.toString('utf8')).to.equal(
+                '\uFEFFcatwayNumber;clientName;checkIn\r\n3;"\'=HYPERLINK(""http://evil"")";\r\n-4;\'@SUM(A1);\r\n'
+            );
+
+            const workbook = new ExcelJS.Workbook();
+            await workbook.xlsx.load(await spreadsheetService.writeRows(columns, formulas, 'xlsx'));
+            const sheet = workbook.worksheets[0];
+            expect(sheet.getCell('B2').value).to.equal('\'=HYPERLINK("http://evil")');
+            expect(sheet.getCell('B3').value).to.equal('\'@SUM(A1)');
+            expect(sheet.getCell('A3').value).to.equal(-4);
+
+            const json = await spreadsheetService.writeRows(columns, formulas, 'json');
+            expect(JSON.parse(json.toString('utf8'))[1].clientName).to.equal('@SUM(A1)');
+
+            for (const format of ['csv', 'xlsx']) {
+                const result = await spreadsheetService.readRows(await spreadsheetService.writeRows(columns, formulas, format), format);
+                expect(result.map(row => row.values.clientName), format).to.deep.equal(['=HYPERLINK("http://evil")', '@SUM(A1)']);
+            }
+        });
+
+        it('should write files that read back to the same rows', async () => {
+            for (const format of ['csv', 'xlsx', 'json']) {
+                const content = await spreadsheetService.writeRows(columns, rows, format);
+                const result = await spreadsheetService.readRows(content, format);
+
+                expect(result.map(row => String(row.values.catwayNumber)), format).to.deep.equal(['3', '4']);
+                expect(result.map(row => row.values.clientName), format).to.deep.equal(['Dupont; Jean', 'Le "Marin"']);
+            }
+        });
+    });
+});
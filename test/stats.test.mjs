@@ -0,0 +1,105 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import statsService from '../services/stats.js';
+import Catway from '../models/catway.js';
+import Reservation from '../models/reservation.js';
+
+// A query resolving to the records given, whether it is sorted or not
+const query = (records) => ({
+    sort: () => Promise.resolve(records),
+    then: (resolve, reject) => Promise.resolve(records).then(resolve, reject)
+});
+
+const catways = [
+    Catway.hydrate({ _id: '60c72b2f9f1b2c001c9a9e81', catwayNumber: 1, type: 'long', catwayState: 'available', boatName: 'A' }),
+    Catway.hydrate({ _id: '60c72b2f9f1b2c001c9a9e82', catwayNumber: 2, type: 'long', catwayState: 'Maintenance', boatName: 'B' }),
+    Catway.hydrate({ _id: '60c72b2f9f1b2c001c9a9e83', catwayNumber: 3, type: 'short', catwayState: 'available', boatName: 'C' }),
+    Catway.hydrate({ _id: '60c72b2f9f1b2c001c9a9e84', catwayNumber: 4, type: 'short', catwayState: 'available', boatName: 'D' })
+];
+
+const reservation = (fields) => Reservation.hydrate({ _id: '60c72b2f9f1b2c001c9a9e90', clientName: 'Jean', boatName: 'Sea Bird', status: 'confirmed', ...fields });
+
+describe('Stats Services Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('getOverview', () => {
+        const now = new Date(2030, 6, 10, 15, 30);
+
+        it('should count the occupancy of the night by catway type and list the catways in maintenance', async () => {
+            sinon.stub(Catway, 'find').returns(query(catways));
+            const find = sinon.stub(Reservation, 'find').returns(query([]));
+            find.onCall(2).returns(query([
+                reservation({ catwayNumber: 1, checkIn: new Date(2030, 6, 8), checkOut: new Date(2030, 6, 12) }),
+                reservation({ catwayNumber: 3, checkIn: new Date(2030, 6, 10), checkOut: new Date(2030, 6, 11) })
+            ]));
+
+            const overview = await statsService.getOverview(now);
+
+            expect(find.getCall(2).args[0]).to.deep.equal({
+                checkIn: { $lt: new Date(2030, 6, 11) },
+                checkOut: { $gte: new Date(2030, 6, 11) },
+                status: { $nin: ['cancelled', 'noShow'] }
+            });
+            expect(overview.occupancy).to.deep.equal({
+                long: { occupied: 1, total: 2, rate: 50 },
+                short: { occupied: 1, total: 2, rate: 50 },
+                all: { occupied: 2, total: 4, rate: 50 }
+            });
+            expect(overview.maintenance).to.deep.equal([
+                { id: '60c72b2f9f1b2c001c9a9e82', catwayNumber: 2, type: 'long', url: '/catways/60c72b2f9f1b2c001c9a9e82' }
+            ]);
+        });
+
+        it('should list the arrivals of the day with the link to their page', async () => {
+            sinon.stub(Catway, 'find').returns(query(catways));
+            const find = sinon.stub(Reservation, 'find').returns(query([]));
+            find.onCall(0).returns(query([reservation({ catwayNumber: 3, checkIn: new Date(2030, 6, 10), checkOut: new Date(2030, 6, 14) })]));
+
+            const overview = await statsService.getOverview(now);
+
+            expect(find.getCall(0).args[0].checkIn).to.deep.equal({ $gte: new Date(2030, 6, 10), $lt: new Date(2030, 6, 11) });
+            expect(overview.arrivals).to.have.lengthOf(1);
+            expect(overview.arrivals[0]).to.include({ clientName: 'Jean', url: '/catways/60c72b2f9f1b2c001c9a9e83/reservations/60c72b2f9f1b2c001c9a9e90' });
+            expect(overview.departures).to.be.empty;
+        });
+
+        it('should count the revenue of the nights spent in the month so far', async () => {
+            sinon.stub(Catway, 'find').returns(query(catways));
+            const find = sinon.stub(Reservation, 'find').returns(query([]));
+            find.onCall(4).returns(query([
+                // 4 nights out of 10 in July up to tonight (the 10th)
+                reservation({ catwayNumber: 1, checkIn: new Date(2030, 5, 25), checkOut: new Date(2030, 6, 5), quote: { total: 500 } }),
+                // 2 nights out of 4 so far
+                reservation({ catwayNumber: 3, checkIn: new Date(2030, 6, 9), checkOut: new Date(2030, 6, 13), quote: { total: 100 } }),
+                // Not priced
+                reservation({ catwayNumber: 4, checkIn: new Date(2030, 6, 1), checkOut: new Date(2030, 6, 20) })
+            ]));
+
+            const overview = await statsService.getOverview(now);
+
+            expect(overview.revenue).to.deep.equal({ from: new Date(2030, 6, 1), to: new Date(2030, 6, 10), amount: 250, currency: 'EUR' });
+        });
+    });
+
+    describe('getMonthlyOccupancy', () => {
+        it('should count the nights booked in each month out of the nights available', async () => {
+            sinon.stub(Catway, 'find').returns(query(catways));
+            sinon.stub(Reservation, 'find').returns(query([
+                reservation({ catwayNumber: 1, checkIn: new Date(2030, 5, 29), checkOut: new Date(2030, 6, 3) }),
+                reservation({ catwayNumber: 3, checkIn: new Date(2030, 6, 10), checkOut: new Date(2030, 6, 20) })
+            ]));
+
+            const months = await statsService.getMonthlyOccupancy(2030);
+
+            expect(months).to.have.lengthOf(12);
+            expect(months[5]).to.include({ month: 6, label: 'juin' });
+            expect(months[5].long).to.deep.equal({ occupied: 2, total: 60, rate: 3 });
+            expect(months[6].long).to.deep.equal({ occupied: 2, total: 62, rate: 3 });
+            expect(months[6].short).to.deep.equal({ occupied: 10, total: 62, rate: 16 });
+            expect(months[6].all).to.deep.equal({ occupied: 12, total: 124, rate: 10 });
+            expect(months[0].all.occupied).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,95 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import trashService from '../services/trash.js';
+import reservationService from '../services/reservations.js';
+import Catway from '../models/catway.js';
+import Reservation from '../models/reservation.js';
+import AuditEntry from '../models/auditEntry.js';
+import Invoice from '../models/invoice.js';
+import Payment from '../models/payment.js';
+
+describe('Trash Services Tests', () => {
+    beforeEach(() => {
+        sinon.stub(AuditEntry, 'create').resolves();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('restoreFromTrash', () => {
+        it('should not restore a reservation whose catway is in the trash', async () => {
+            sinon.stub(Reservation, 'findOne').resolves({ _id: 'r1', catwayNumber: 3 });
+            sinon.stub(Catway, 'exists').resolves(null);
+            const restore = sinon.stub(reservationService, 'restoreReservation');
+
+            try {
+                await trashService.restoreFromTrash('reservations', 'r1');
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(trashService.TrashError);
+                expect(error.message).to.equal('Le catway 3 est dans la corbeille : restaurez-le d\'abord');
+                expect(restore.called).to.be.false;
+            }
+        });
+
+        it('should restore a reservation whose catway is still there', async () => {
+            sinon.stub(Reservation, 'findOne').resolves({ _id: 'r1', catwayNumber: 3 });
+            sinon.stub(Catway, 'exists').resolves({ _id: 'k3' });
+            const restore = sinon.stub(reservationService, 'restoreReservation').resolves({ _id: 'r1' });
+
+            await trashService.restoreFromTrash('reservations', 'r1');
+
+            expect(restore.calledWith('r1')).to.be.true;
+        });
+    });
+
+    describe('purgeFromTrash', () => {
+        it('should keep a catway that still has reservations, deleted ones included', async () => {
+            sinon.stub(Catway, 'findOne').resolves({ _id: 'k3', catwayNumber: 3 });
+            const setOptions = sinon.stub().resolves(2);
+            sinon.stub(Reservation, 'countDocuments').returns({ setOptions });
+            const deleteOne = sinon.stub(Catway, 'deleteOne');
+
+            try {
+                await trashService.purgeFromTrash('catways', 'k3');
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(trashService.TrashError);
+                expect(setOptions.calledWith({ withDeleted: true })).to.be.true;
+                expect(deleteOne.called).to.be.false;
+            }
+        });
+
+        it('should keep a reservation that was paid', async () => {
+            sinon.stub(Reservation, 'findOne').resolves({ _id: 'r1' });
+            sinon.stub(Invoice, 'exists').resolves(null);
+            sinon.stub(Payment, 'exists').resolves({ _id: 'p1' });
+
+            try {
+                await trashService.purgeFromTrash('reservations', 'r1');
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Une réservation facturée ou avec des paiements est conservée pour la comptabilité');
+            }
+        });
+
+        it('should delete a reservation of the trash for good', async () => {
+            const reservation = { _id: 'r1' };
+            const findOne = sinon.stub(Reservation, 'findOne').resolves(reservation);
+            sinon.stub(Invoice, 'exists').resolves(null);
+            sinon.stub(Payment, 'exists').resolves(null);
+            const deleteOne = sinon.stub(Reservation, 'deleteOne').resolves();
+
+            const purged = await trashService.purgeFromTrash('reservations', 'r1');
+
+            expect(findOne.calledWith({ _id: 'r1', deletedAt: { $ne: null } })).to.be.true;
+            expect(deleteOne.calledWith({ _id: 'r1' })).to.be.true;
+            expect(purged).to.equal(reservation);
+        });
+
+        it('should return null for an unknown kind of record', async () => {
+            expect(await trashService.purgeFromTrash('tariffs', 't1')).to.be.null;
+        });
+    });
+});
@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import trashController from '../controllers/trashController.js';
+import trashService from '../services/trash.js';
+
+describe('Trash Controller Tests', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            params: {},
+            query: {},
+            body: {},
+            user: { role: 'agent' }
+        };
+        res = {
+            status: sinon.stub().returnsThis(),
+            render: sinon.stub(),
+            json: sinon.stub(),
+            redirect: sinon.stub()
+        };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('getAll', () => {
+        it('should only show the records the user may restore', async () => {
+            const trash = { reservations: [] };
+            const getTrash = sinon.stub(trashService, 'getTrash').resolves(trash);
+
+            await trashController.getAll(req, res);
+
+            expect(getTrash.calledWith(['reservations'])).to.be.true;
+            expect(res.render.calledWith('trash/list', { trash, canPurge: false, message: undefined })).to.be.true;
+        });
+    });
+
+    describe('restore', () => {
+        it('should restore the record and go back to the trash', async () => {
+            req.params = { type: 'reservations', id: 'r1' };
+            sinon.stub(trashService, 'restoreFromTrash').resolves({ _id: 'r1' });
+
+            await trashController.restore(req, res);
+
+            expect(res.redirect.calledWith('/trash?message=La réservation a été restauré(e)')).to.be.true;
+        });
+
+        it('should return 403 when the user may not delete records of that kind', async () => {
+            req.params = { type: 'catways', id: 'k1' };
+            const restore = sinon.stub(trashService, 'restoreFromTrash');
+
+            await trashController.restore(req, res);
+
+            expect(res.status.calledWith(403)).to.be.true;
+            expect(restore.called).to.be.false;
+        });
+
+        it('should return 409 when the record cannot be restored', async () => {
+            req.params = { type: 'reservations', id: 'r1' };
+            sinon.stub(trashService, 'restoreFromTrash').rejects(new trashService.TrashError('Le catway 3 est dans la corbeille : restaurez-le d\'abord'));
+
+            await trashController.restore(req, res);
+
+            expect(res.status.calledWith(409)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Le catway 3 est dans la corbeille : restaurez-le d\'abord'] })).to.be.true;
+        });
+    });
+
+    describe('purge', () => {
+        it('should return 404 when the record is not in the trash', async () => {
+            req.params = { type: 'users', id: 'u1' };
+            sinon.stub(trashService, 'purgeFromTrash').resolves(null);
+
+            await trashController.purge(req, res);
+
+            expect(res.status.calledWith(404)).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,203 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import usersController from '../controllers/usersController.js';
+import userService from '../services/users.js';
+import mailer from '../services/mailer.js';
+import sessionService from '../services/sessions.js';
+import loginAttempts from '../services/loginAttempts.js';
+
+describe('Users Controller Tests', () => {
+    let req, res, transport;
+
+    beforeEach(() => {
+        req = {
+            params: {},
+            query: {},
+            body: {},
+            session: {},
+            protocol: 'http',
+            get: sinon.stub().withArgs('host').returns('localhost:3000'),
+        };
+        res = {
+            status: sinon.stub().returnsThis(),
+            render: sinon.stub(),
+            json: sinon.stub(),
+            redirect: sinon.stub(),
+            set: sinon.stub().returnsThis(),
+            cookie: sinon.stub().returnsThis(),
+        };
+        transport = mailer.createMemoryTransport();
+        mailer.setTransport(transport);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        mailer.setTransport(null);
+    });
+
+    describe('forgotPassword', () => {
+        const confirmation = 'Si un compte existe pour cet email, un lien de réinitialisation vient de lui être envoyé.';
+        let appUrl;
+
+        beforeEach(() => {
+            appUrl = process.env.APP_URL;
+            process.env.APP_URL = 'http://localhost:3000';
+        });
+
+        afterEach(() => {
+            if (appUrl === undefined) {
+                delete process.env.APP_URL;
+            } else {
+                process.env.APP_URL = appUrl;
+            }
+        });
+
+        it('should email a reset link when the account exists', async () => {
+            req.body.email = 'john@example.com';
+            sinon.stub(userService, 'createPasswordResetToken').resolves({ user: { name: 'John', email: 'john@example.com' }, token: 'abc123' });
+
+            await usersController.forgotPassword(req, res);
+
+            expect(transport.messages).to.have.length(1);
+            expect(transport.messages[0].to).to.equal('john@example.com');
+            expect(transport.messages[0].text).to.contain('http://localhost:3000/users/password/reset?token=abc123');
+            expect(res.render.calledWith('users/forgot_password', { message: confirmation })).to.be.true;
+        });
+
+        it('should answer the same without sending anything when the account does not exist', async () => {
+            req.body.email = 'nobody@example.com';
+            sinon.stub(userService, 'createPasswordResetToken').resolves(null);
+
+            await usersController.forgotPassword(req, res);
+
+            expect(transport.messages).to.have.length(0);
+            expect(res.render.calledWith('users/forgot_password', { message: confirmation })).to.be.true;
+        });
+
+        it('should not build the link on the Host header when APP_URL is not set', async () => {
+            delete process.env.APP_URL;
+            req.body.email = 'john@example.com';
+            req.get = sinon.stub().withArgs('host').returns('attacker.example');
+            const createToken = sinon.stub(userService, 'createPasswordResetToken');
+            sinon.stub(console, 'error');
+
+            await usersController.forgotPassword(req, res);
+
+            expect(createToken.called).to.be.false;
+            expect(transport.messages).to.have.length(0);
+            expect(res.status.calledWith(503)).to.be.true;
+        });
+    });
+
+    describe('renderResetPassword', () => {
+        it('should refuse an invalid or expired token', async () => {
+            req.query.token = 'expired';
+            sinon.stub(userService, 'findUserByResetToken').resolves(null);
+
+            await usersController.renderResetPassword(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Ce lien de réinitialisation est invalide ou a expiré'] })).to.be.true;
+        });
+
+        it('should render the form for a valid token', async () => {
+            req.query.token = 'abc123';
+            sinon.stub(userService, 'findUserByResetToken').resolves({ email: 'john@example.com' });
+
+            await usersController.renderResetPassword(req, res);
+
+            expect(res.render.calledWith('users/reset_password', { token: 'abc123', message: null })).to.be.true;
+        });
+    });
+
+    describe('resetPassword', () => {
+        it('should refuse two different passwords without using the token', async () => {
+            req.body = { token: 'abc123', password: 'secret1', passwordConfirm: 'secret2' };
+            const stub = sinon.stub(userService, 'resetPassword');
+
+            await usersController.resetPassword(req, res);
+
+            expect(stub.called).to.be.false;
+            expect(res.status.calledWith(400)).to.be.true;
+        });
+
+        it('should set the new password and go back to the login page', async () => {
+            req.body = { token: 'abc123', password: 'secret1', passwordConfirm: 'secret1' };
+            const stub = sinon.stub(userService, 'resetPassword').resolves({ email: 'john@example.com' });
+
+            await usersController.resetPassword(req, res);
+
+            expect(stub.calledWith('abc123', 'secret1')).to.be.true;
+            expect(res.render.calledWith('home/home', { message: 'Votre mot de passe a été modifié, vous pouvez vous connecter.' })).to.be.true;
+        });
+
+        it('should refuse a token that was already used', async () => {
+            req.body = { token: 'abc123', password: 'secret1', passwordConfirm: 'secret1' };
+            sinon.stub(userService, 'resetPassword').resolves(null);
+
+            await usersController.resetPassword(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Ce lien de réinitialisation est invalide ou a expiré'] })).to.be.true;
+        });
+    });
+
+    describe('authenticate', () => {
+        it('should give the same answer whatever was wrong', async () => {
+            req.ip = '127.0.0.1';
+            req.body = { email: 'john@example.com', password: 'wrong' };
+            const checkCredentials = sinon.stub(userService, 'checkCredentials').resolves(null);
+
+            await usersController.authenticate(req, res);
+
+            expect(checkCredentials.calledWith('john@example.com', 'wrong', '127.0.0.1')).to.be.true;
+            expect(res.status.calledWith(401)).to.be.true;
+            expect(res.render.calledWith('home/home', { message: 'Identifiants erronés, veuillez réessayer.' })).to.be.true;
+        });
+
+        it('should refuse the login while the client has to wait', async () => {
+            req.body = { email: 'john@example.com', password: 'test123' };
+            sinon.stub(userService, 'checkCredentials').rejects(new loginAttempts.TooManyLoginAttemptsError(900));
+            const openSession = sinon.stub(sessionService, 'openSession');
+
+            await usersController.authenticate(req, res);
+
+            expect(openSession.called).to.be.false;
+            expect(res.status.calledWith(429)).to.be.true;
+            expect(res.set.calledWith('Retry-After', '900')).to.be.true;
+            expect(res.render.calledWith('home/home', { message: 'Trop de tentatives de connexion, veuillez réessayer dans 15 minutes.' })).to.be.true;
+        });
+
+        it('should open a session on the right credentials', async () => {
+            req.body = { email: 'john@example.com', password: 'test123' };
+            sinon.stub(userService, 'checkCredentials').resolves({ email: 'john@example.com' });
+            sinon.stub(sessionService, 'openSession').resolves({ accessToken: 'abc', refreshToken: 'id.secret' });
+
+            await usersController.authenticate(req, res);
+
+            expect(res.cookie.calledWith('authToken', 'abc')).to.be.true;
+            expect(res.render.calledWith('dashboard/dashboard')).to.be.true;
+        });
+    });
+
+    describe('unlock', () => {
+        it('should unlock the account', async () => {
+            req.params.id = '60c72b2f9f1b2c001c9a9e84';
+            const unlockUser = sinon.stub(loginAttempts, 'unlockUser').resolves({ name: 'John' });
+
+            await usersController.unlock(req, res);
+
+            expect(unlockUser.calledWith('60c72b2f9f1b2c001c9a9e84')).to.be.true;
+            expect(res.render.calledWith('dashboard/dashboard', { message: "Le compte de l'utilisateur John a été déverrouillé" })).to.be.true;
+        });
+
+        it('should return 404 when the user does not exist', async () => {
+            req.params.id = '60c72b2f9f1b2c001c9a9e84';
+            sinon.stub(loginAttempts, 'unlockUser').resolves(null);
+
+            await usersController.unlock(req, res);
+
+            expect(res.status.calledWith(404)).to.be.true;
+        });
+    });
+});
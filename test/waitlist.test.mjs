@@ -0,0 +1,233 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import waitlistService from '../services/waitlist.js';
+import reservationService from '../services/reservations.js';
+import customerService from '../services/customers.js';
+import boatService from '../services/boats.js';
+import Catway from '../models/catway.js';
+import WaitlistEntry from '../models/waitlistEntry.js';
+
+// A waitlist entry whose save is a spy
+const fakeEntry = (fields) => {
+    const entry = WaitlistEntry.hydrate({
+        clientName: 'Jean Dupont',
+        boatName: 'Seahorse',
+        checkIn: new Date('2030-07-01'),
+        checkOut: new Date('2030-07-10'),
+        catwayTypes: ['long'],
+        extras: { electricity: true, water: false },
+        status: 'waiting',
+        declinedCatways: [],
+        ...fields
+    });
+    sinon.stub(entry, 'save').resolvesThis();
+    return entry;
+};
+
+describe('Waitlist Services Tests', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('addEntry', () => {
+        it('should copy the names of the customer and of the boat', async () => {
+            sinon.stub(customerService, 'getCustomerById').resolves({ _id: '60c72b2f9f1b2c001c9a9e01', name: 'Jean Dupont' });
+            sinon.stub(boatService, 'getBoatById').resolves({ _id: '60c72b2f9f1b2c001c9a9e02', name: 'Seahorse' });
+            const create = sinon.stub(WaitlistEntry, 'create').resolvesArg(0);
+
+            await waitlistService.addEntry({
+                customer: '60c72b2f9f1b2c001c9a9e01',
+                clientName: 'J. Dupont',
+                boat: '60c72b2f9f1b2c001c9a9e02',
+                checkIn: '2030-07-01',
+                checkOut: '2030-07-10',
+                catwayTypes: ['long']
+            }, { _id: 'u1' });
+
+            expect(create.firstCall.args[0]).to.include({ clientName: 'Jean Dupont', boatName: 'Seahorse', status: 'waiting', createdBy: 'u1' });
+        });
+
+        it('should refuse an entry with no catway type or starting in the past', () => {
+            const entry = new WaitlistEntry({ clientName: 'Jean Dupont', boatName: 'Seahorse', checkIn: new Date('2020-07-01'), checkOut: new Date('2020-07-10'), catwayTypes: [] });
+
+            const error = entry.validateSync();
+
+            expect(error.errors.catwayTypes.message).to.equal('Choisissez au moins un type de catway');
+            expect(error.errors.checkIn.message).to.equal('La date de check-in ne peut pas être dans le passé.');
+        });
+    });
+
+    describe('offerFreedPeriod', () => {
+        const now = new Date('2030-06-01T10:00:00Z');
+        const freed = { catwayNumber: 3, from: new Date('2030-07-01'), to: new Date('2030-07-15'), releasedBy: 'r1' };
+
+        it('should offer the catway to the oldest entries whose stay is free and whose boat fits', async () => {
+            const booked = fakeEntry({ _id: '60c72b2f9f1b2c001c9a9e11' });
+            const tooLong = fakeEntry({ _id: '60c72b2f9f1b2c001c9a9e12', boat: '60c72b2f9f1b2c001c9a9e02' });
+            const first = fakeEntry({ _id: '60c72b2f9f1b2c001c9a9e13' });
+            const overlapping = fakeEntry({ _id: '60c72b2f9f1b2c001c9a9e14', checkIn: new Date('2030-07-05'), checkOut: new Date('2030-07-12') });
+            const catway = { catwayNumber: 3, type: 'long', catwayState: 'available', maxLength: 12 };
+            sinon.stub(Catway, 'findOne').resolves(catway);
+            const find = sinon.stub(WaitlistEntry, 'find');
+            find.onFirstCall().returns({ sort: sinon.stub().resolves([booked, tooLong, first, overlapping]) });
+            find.onSecondCall().resolves([]);
+            const conflicts = sinon.stub(reservationService, 'findConflictingReservations').resolves([]);
+            conflicts.onFirstCall().resolves([{ id: 'other' }]);
+            sinon.stub(boatService, 'getBoatById').resolves({ name: 'Big', length: 15 });
+            const findOneAndUpdate = sinon.stub(WaitlistEntry, 'findOneAndUpdate').resolves(first);
+
+            const offered = await waitlistService.offerFreedPeriod(freed, now);
+
+            expect(offered).to.deep.equal([first]);
+            expect(find.firstCall.args[0]).to.deep.equal({
+                status: 'waiting',
+                catwayTypes: 'long',
+                declinedCatways: { $ne: 3 },
+                checkIn: { $lt: freed.to, $gte: now },
+                checkOut: { $gt: freed.from }
+            });
+            expect(findOneAndUpdate.calledOnceWith(
+                { _id: first._id, status: 'waiting' },
+                { status: 'offered', offer: { catwayNumber: 3, offeredAt: now, releasedBy: 'r1' } }
+            )).to.be.true;
+        });
+
+        it('should not offer a catway in maintenance', async () => {
+            sinon.stub(Catway, 'findOne').resolves({ catwayNumber: 3, type: 'long', catwayState: 'Maintenance' });
+            const find = sinon.stub(WaitlistEntry, 'find');
+
+            const offered = await waitlistService.offerFreedPeriod(freed, now);
+
+            expect(offered).to.deep.equal([]);
+            expect(find.called).to.be.false;
+        });
+
+        it('should log a failure rather than throw it', async () => {
+            sinon.stub(Catway, 'findOne').rejects(new Error('connexion perdue'));
+            const log = sinon.stub(console, 'error');
+
+            const offered = await waitlistService.offerFreedPeriod(freed, now);
+
+            expect(offered).to.deep.equal([]);
+            expect(log.calledWith('Waitlist error:')).to.be.true;
+        });
+    });
+
+    describe('acceptOffer', () => {
+        it('should book the catway offered with the client, boat, dates and extras of the entry', async () => {
+            const entry = fakeEntry({ status: 'booking', offer: { catwayNumber: 3 } });
+            const claim = sinon.stub(WaitlistEntry, 'findOneAndUpdate').resolves(entry);
+            const reservation = { _id: '60c72b2f9f1b2c001c9a9e21', catwayNumber: 3 };
+            const create = sinon.stub(reservationService, 'creatReservation').resolves(reservation);
+
+            const result = await waitlistService.acceptOffer('w1', { _id: 'u1' });
+
+            expect(claim.calledOnceWith({ _id: 'w1', status: 'offered' }, { status: 'booking' })).to.be.true;
+            expect(create.firstCall.args[0]).to.deep.include({
+                catwayNumber: 3,
+                clientName: 'Jean Dupont',
+                boatName: 'Seahorse',
+                checkIn: entry.checkIn,
+                checkOut: entry.checkOut,
+                extras: { electricity: true, water: false }
+            });
+            expect(create.firstCall.args[1]).to.deep.equal({ _id: 'u1' });
+            expect(result.reservation).to.equal(reservation);
+            expect(entry.status).to.equal('booked');
+            expect(String(entry.reservation)).to.equal(reservation._id);
+        });
+
+        it('should put the entry back on the waitlist when the catway was booked in the meantime', async () => {
+            const entry = fakeEntry({ status: 'booking', offer: { catwayNumber: 3 } });
+            sinon.stub(WaitlistEntry, 'findOneAndUpdate').resolves(entry);
+            sinon.stub(reservationService, 'creatReservation').rejects(new reservationService.ReservationConflictError([{ id: 'other' }]));
+
+            try {
+                await waitlistService.acceptOffer('w1');
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('ReservationConflictError');
+            }
+            expect(entry.status).to.equal('waiting');
+            expect(entry.offer.catwayNumber).to.be.undefined;
+            expect(entry.save.calledOnce).to.be.true;
+        });
+
+        it('should give the offer back when the reservation fails for another reason', async () => {
+            const entry = fakeEntry({ status: 'booking', offer: { catwayNumber: 3 } });
+            sinon.stub(WaitlistEntry, 'findOneAndUpdate').resolves(entry);
+            const error = new Error('Validation failed');
+            error.name = 'ValidationError';
+            sinon.stub(reservationService, 'creatReservation').rejects(error);
+
+            try {
+                await waitlistService.acceptOffer('w1');
+                expect.fail('should have thrown');
+            } catch (thrown) {
+                expect(thrown).to.equal(error);
+            }
+            expect(entry.status).to.equal('offered');
+            expect(entry.offer.catwayNumber).to.equal(3);
+        });
+
+        it('should refuse an entry already claimed, so a second click books nothing', async () => {
+            sinon.stub(WaitlistEntry, 'findOneAndUpdate').resolves(null);
+            sinon.stub(WaitlistEntry, 'exists').resolves({ _id: 'w1' });
+            const create = sinon.stub(reservationService, 'creatReservation');
+
+            try {
+                await waitlistService.acceptOffer('w1');
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(waitlistService.WaitlistStatusError);
+            }
+            expect(create.called).to.be.false;
+        });
+
+        it('should return null when the entry does not exist', async () => {
+            sinon.stub(WaitlistEntry, 'findOneAndUpdate').resolves(null);
+            sinon.stub(WaitlistEntry, 'exists').resolves(null);
+
+            expect(await waitlistService.acceptOffer('w1')).to.be.null;
+        });
+    });
+
+    describe('declineOffer', () => {
+        it('should put the entry back on the waitlist and offer the catway to the next entry', async () => {
+            const entry = fakeEntry({ status: 'offered', offer: { catwayNumber: 3, releasedBy: '60c72b2f9f1b2c001c9a9e21' } });
+            sinon.stub(WaitlistEntry, 'findById').resolves(entry);
+            const offer = sinon.stub(waitlistService, 'offerFreedPeriod').resolves([]);
+
+            await waitlistService.declineOffer('w1');
+
+            expect(entry.status).to.equal('waiting');
+            expect(entry.declinedCatways.toObject()).to.deep.equal([3]);
+            expect(entry.save.calledBefore(offer)).to.be.true;
+            expect(offer.firstCall.args[0]).to.deep.include({ catwayNumber: 3, from: entry.checkIn, to: entry.checkOut });
+        });
+    });
+
+    describe('withdrawEntry', () => {
+        it('should take a waiting entry off the waitlist', async () => {
+            const entry = fakeEntry({ status: 'waiting' });
+            sinon.stub(WaitlistEntry, 'findById').resolves(entry);
+            const offer = sinon.stub(waitlistService, 'offerFreedPeriod');
+
+            await waitlistService.withdrawEntry('w1');
+
+            expect(entry.status).to.equal('withdrawn');
+            expect(offer.called).to.be.false;
+        });
+
+        it('should refuse an entry already booked', async () => {
+            sinon.stub(WaitlistEntry, 'findById').resolves(fakeEntry({ status: 'booked' }));
+
+            try {
+                await waitlistService.withdrawEntry('w1');
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Cette demande n\'est plus sur la liste d\'attente');
+            }
+        });
+    });
+});
@@ -0,0 +1,147 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import waitlistController from '../controllers/waitlistController.js';
+import waitlistService from '../services/waitlist.js';
+import reservationService from '../services/reservations.js';
+
+describe('Waitlist Controller Tests', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            params: {},
+            query: {},
+            body: {},
+            headers: {},
+            session: {}
+        };
+        res = {
+            status: sinon.stub().returnsThis(),
+            render: sinon.stub(),
+            json: sinon.stub(),
+            redirect: sinon.stub()
+        };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('getAll', () => {
+        it('should render the entries of the status asked for', async () => {
+            req.query = { status: 'booked' };
+            req.user = { role: 'accountant' };
+            const entries = [{ clientName: 'Jean Dupont' }];
+            const listEntries = sinon.stub(waitlistService, 'listEntries').resolves(entries);
+
+            await waitlistController.getAll(req, res);
+
+            expect(listEntries.calledWith('booked')).to.be.true;
+            expect(res.render.calledWith('waitlist/list', sinon.match({ entries, status: 'booked', canEdit: false }))).to.be.true;
+        });
+
+        it('should return 400 on an unknown status', async () => {
+            req.query = { status: 'lost' };
+            const listEntries = sinon.stub(waitlistService, 'listEntries');
+
+            await waitlistController.getAll(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(listEntries.called).to.be.false;
+        });
+    });
+
+    describe('add', () => {
+        it('should put the client on the waitlist with the catway types ticked', async () => {
+            req.body = { clientName: 'Jean Dupont', boatName: 'Seahorse', checkIn: '2030-07-01', checkOut: '2030-07-10', catwayTypes: 'short', water: 'on' };
+            req.user = { _id: 'u1' };
+            const addEntry = sinon.stub(waitlistService, 'addEntry').resolves({
+                clientName: 'Jean Dupont',
+                checkIn: new Date('2030-07-01'),
+                checkOut: new Date('2030-07-10')
+            });
+
+            await waitlistController.add(req, res);
+
+            expect(addEntry.firstCall.args[0]).to.deep.include({ catwayTypes: ['short'], extras: { electricity: false, water: true } });
+            expect(addEntry.firstCall.args[1]).to.equal(req.user);
+            expect(res.redirect.calledWith('/waitlist?message=Jean Dupont est sur liste d\'attente du 01/07/2030 au 10/07/2030')).to.be.true;
+        });
+
+        it('should return 400 listing the validation errors', async () => {
+            const error = new Error('Validation failed');
+            error.name = 'ValidationError';
+            error.errors = { catwayTypes: { message: 'Choisissez au moins un type de catway' } };
+            sinon.stub(waitlistService, 'addEntry').rejects(error);
+
+            await waitlistController.add(req, res);
+
+            expect(res.status.calledWith(400)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Choisissez au moins un type de catway'] })).to.be.true;
+        });
+    });
+
+    describe('accept', () => {
+        it('should book the catway and go back to the dashboard it was booked from', async () => {
+            req.params.id = 'w1';
+            req.headers.referer = 'http://localhost:3000/dashboard';
+            sinon.stub(waitlistService, 'acceptOffer').resolves({ entry: {}, reservation: { catwayNumber: 3, boatName: 'Seahorse' } });
+
+            await waitlistController.accept(req, res);
+
+            expect(req.session.message).to.equal('Le catway 3 est réservé pour le bateau Seahorse');
+            expect(res.redirect.calledWith('/dashboard')).to.be.true;
+        });
+
+        it('should return 409 when the catway was booked in the meantime', async () => {
+            req.params.id = 'w1';
+            sinon.stub(waitlistService, 'acceptOffer').rejects(new reservationService.ReservationConflictError([{ id: 'other' }]));
+
+            await waitlistController.accept(req, res);
+
+            expect(res.status.calledWith(409)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Le catway n\'est plus libre sur ces dates : la demande est remise sur liste d\'attente'] })).to.be.true;
+        });
+
+        it('should return 409 when no catway is offered', async () => {
+            req.params.id = 'w1';
+            sinon.stub(waitlistService, 'acceptOffer').rejects(new waitlistService.WaitlistStatusError('Aucun catway n\'est proposé pour cette demande'));
+
+            await waitlistController.accept(req, res);
+
+            expect(res.status.calledWith(409)).to.be.true;
+        });
+
+        it('should return 404 when the entry is not found', async () => {
+            req.params.id = 'w1';
+            sinon.stub(waitlistService, 'acceptOffer').resolves(null);
+
+            await waitlistController.accept(req, res);
+
+            expect(res.status.calledWith(404)).to.be.true;
+        });
+    });
+
+    describe('decline', () => {
+        it('should put the entry back on the waitlist and go back to it', async () => {
+            req.params.id = 'w1';
+            sinon.stub(waitlistService, 'declineOffer').resolves({ clientName: 'Jean Dupont' });
+
+            await waitlistController.decline(req, res);
+
+            expect(res.redirect.calledWith('/waitlist?message=Jean Dupont est de nouveau sur liste d\'attente')).to.be.true;
+        });
+    });
+
+    describe('withdraw', () => {
+        it('should return 409 when the entry is already booked', async () => {
+            req.params.id = 'w1';
+            sinon.stub(waitlistService, 'withdrawEntry').rejects(new waitlistService.WaitlistStatusError('Cette demande n\'est plus sur la liste d\'attente'));
+
+            await waitlistController.withdraw(req, res);
+
+            expect(res.status.calledWith(409)).to.be.true;
+            expect(res.render.calledWith('error/error', { errors: ['Cette demande n\'est plus sur la liste d\'attente'] })).to.be.true;
+        });
+    });
+});